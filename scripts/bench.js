@@ -0,0 +1,162 @@
+// Times the table/chart pipeline on generated data:
+//   npm run bench            50 000 entries
+//   npm run bench -- 100000  any other size
+// Each "keystroke" re-runs everything a search change triggers in App
+// (filter, totals, charts, one table page) and must fit the 100 ms budget in
+// which an interface still feels instant. Exits non-zero when it doesn't.
+import { createServer } from "vite";
+
+const COUNT = Number(process.argv[2]) || 50000;
+const BUDGET_MS = 100;
+const RUNS = 5;
+
+const CATEGORIES = [
+  { id: "food", name: "อาหาร/เครื่องดื่ม", color: "#6366f1" },
+  { id: "coffee", name: "กาแฟ", color: "#a16207", parent: "food" },
+  { id: "transport", name: "เดินทาง", color: "#10b981" },
+  { id: "bill", name: "บิล", color: "#f59e0b" },
+  { id: "shopping", name: "ช้อปปิ้ง", color: "#ef4444" },
+  { id: "health", name: "สุขภาพ", color: "#22c55e" },
+  { id: "other", name: "อื่น ๆ", color: "#8b5cf6" },
+  { id: "salary", name: "เงินเดือน", color: "#16a34a", kind: "income" },
+  { id: "income-other", name: "รายรับอื่น ๆ", color: "#84cc16", kind: "income" },
+];
+const EXPENSE_IDS = CATEGORIES.filter((c) => !c.kind).map((c) => c.id);
+const ACCOUNTS = [
+  { id: "cash", name: "เงินสด", kind: "cash", currency: "THB", openingBalance: 0 },
+  { id: "bank", name: "KBank", kind: "bank", currency: "THB", openingBalance: 0 },
+  { id: "card", name: "บัตรเครดิต", kind: "card", currency: "THB", openingBalance: 0, closingDay: 25 },
+];
+const NOTES = ["ข้าวมันไก่", "coffee", "Grab", "ค่าไฟ", "Netflix", "ของใช้", "ยา", "lunch", "taxi", "7-Eleven"];
+const TAGS = ["work", "trip", "reimbursable", "gift"];
+const QUERIES = ["coffee", "cat:food", "cat:food amount>100", "#work -taxi", "ค่าไฟ after:2024-01-01"];
+
+// Deterministic, so runs are comparable
+let seed = 42;
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+const pick = (list) => list[Math.floor(random() * list.length)];
+const day = (i) => new Date(Date.UTC(2021, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+
+const generate = (count) => {
+  const expenses = [];
+  for (let i = 0; i < count; i++) {
+    const income = random() < 0.05;
+    const amount = Math.round(random() * 2000 * 100) / 100 + 1;
+    const e = {
+      id: `e${i}`,
+      date: day(Math.floor(random() * 365 * 5)),
+      type: income ? "income" : "expense",
+      amount,
+      ...(random() < 0.1 ? { currency: "USD" } : {}),
+      category: income ? pick(["salary", "income-other"]) : pick(EXPENSE_IDS),
+      accountId: pick(ACCOUNTS).id,
+      note: pick(NOTES),
+      ...(random() < 0.1 ? { tags: [pick(TAGS)] } : {}),
+    };
+    if (!income && random() < 0.05) {
+      const first = Math.round(amount * 60) / 100;
+      e.items = [
+        { category: pick(EXPENSE_IDS), amount: first },
+        { category: pick(EXPENSE_IDS), amount: Math.round((amount - first) * 100) / 100 },
+      ];
+    }
+    expenses.push(e);
+  }
+  return expenses;
+};
+
+const median = (xs) => [...xs].sort((a, b) => a - b)[Math.floor(xs.length / 2)];
+
+const time = (fn) => {
+  const times = [];
+  let result;
+  for (let i = 0; i < RUNS; i++) {
+    const start = performance.now();
+    result = fn();
+    times.push(performance.now() - start);
+  }
+  return { ms: median(times), result };
+};
+
+const server = await createServer({
+  appType: "custom",
+  logLevel: "error",
+  server: { middlewareMode: true, hmr: false },
+});
+try {
+  const load = (path) => server.ssrLoadModule(path);
+  const { accountBalance, cardStatement, runningBalances } = await load("/src/lib/accounts.js");
+  const { rollUp } = await load("/src/lib/categories.js");
+  const { rateLookup, toLedger } = await load("/src/lib/currency.js");
+  const { parseQuery } = await load("/src/lib/query.js");
+  const { tagTotals } = await load("/src/lib/tags.js");
+  const { cashFlow } = await load("/src/lib/transactions.js");
+  const { buildTrend } = await load("/src/lib/trends.js");
+  const { categoryTotals, filterLedger, pageOf, sortLedger } = await load("/src/lib/view.js");
+
+  const expenses = generate(COUNT);
+  const rates = Array.from({ length: 60 }, (_, m) => ({
+    id: `r${m}`,
+    from: "USD",
+    to: "THB",
+    rate: 33 + (m % 7) / 2,
+    date: day(m * 30),
+  }));
+  const transfers = Array.from({ length: 60 }, (_, m) => ({
+    id: `t${m}`,
+    date: day(m * 30 + 5),
+    from: "bank",
+    to: "card",
+    amount: 10000,
+  }));
+  const filters = { from: "", to: "", type: "all", category: "all", tag: "all", account: "all", person: "all" };
+
+  // Everything App derives after a filter or search change
+  const keystroke = (sorted, text) => {
+    const { terms } = parseQuery(text);
+    const { entries, lines } = filterLedger(sorted, filters, { terms, categories: CATEGORIES, accounts: ACCOUNTS });
+    const chartLines = rollUp(lines, CATEGORIES);
+    categoryTotals(chartLines, CATEGORIES, "expense");
+    cashFlow(lines);
+    tagTotals(lines);
+    buildTrend(chartLines, "month", "th-TH");
+    return pageOf(entries, 0).length && entries.length;
+  };
+
+  console.log(`${COUNT.toLocaleString()} entries, median of ${RUNS} runs\n`);
+  const ledger = time(() => toLedger(expenses, rates, "THB"));
+  console.log(`convert to base currency  ${ledger.ms.toFixed(1).padStart(7)} ms  (on data change)`);
+  const sorted = time(() => sortLedger(ledger.result, "dateDesc"));
+  console.log(`sort                      ${sorted.ms.toFixed(1).padStart(7)} ms  (on data or sort change)`);
+  // Balances for every account, card statements and the filtered account's running balance
+  const balances = time(() => {
+    const rateOf = rateLookup(rates);
+    ACCOUNTS.forEach((a) => accountBalance(a, expenses, transfers, rateOf));
+    ACCOUNTS.filter((a) => a.closingDay).forEach((a) => cardStatement(a, expenses, transfers, rateOf));
+    return runningBalances(ACCOUNTS[0], expenses, transfers, rateOf);
+  });
+  console.log(`account balances          ${balances.ms.toFixed(1).padStart(7)} ms  (on data change)`);
+
+  let worst = 0;
+  for (const query of ["", ...QUERIES]) {
+    // Typed one character at a time, as in the search box
+    const steps = query ? [...query].map((_, i) => query.slice(0, i + 1)) : [""];
+    const runs = steps.map((text) => time(() => keystroke(sorted.result, text)));
+    const slowest = Math.max(...runs.map((r) => r.ms));
+    worst = Math.max(worst, slowest);
+    const label = query ? `"${query}"` : "(no search)";
+    console.log(
+      `keystroke ${label.padEnd(24)}${slowest.toFixed(1).padStart(6)} ms  ` +
+        `→ ${runs.at(-1).result.toLocaleString()} entries`
+    );
+  }
+
+  const ok = worst <= BUDGET_MS;
+  console.log(`\nslowest keystroke ${worst.toFixed(1)} ms, budget ${BUDGET_MS} ms: ${ok ? "OK" : "TOO SLOW"}`);
+  process.exitCode = ok ? 0 : 1;
+} finally {
+  await server.close();
+}
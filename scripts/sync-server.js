@@ -0,0 +1,115 @@
+// Reference server for the sync API (docs/sync-api.md), for local testing:
+//   npm run sync-server                          http://localhost:8787
+//   PORT=9000 SYNC_TOKEN=secret SYNC_FILE=data.json npm run sync-server
+// Everything is kept in memory and written to SYNC_FILE (default
+// sync-data.json) after each push. It is meant for a trusted network; put a
+// real server behind HTTPS for anything else.
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || "";
+const FILE = process.env.SYNC_FILE || "sync-data.json";
+const COLLECTIONS = new Set(["expenses", "categories", "people", "settlements"]);
+const MAX_PAGE = 1000;
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// { seq, records: { "collection/id": { seq, record } } }; `seq` orders changes
+// and is the cursor handed to clients
+const store = existsSync(FILE) ? JSON.parse(readFileSync(FILE, "utf8")) : { seq: 0, records: {} };
+
+const save = () => {
+  writeFileSync(`${FILE}.tmp`, JSON.stringify(store));
+  renameSync(`${FILE}.tmp`, FILE);
+};
+
+const isRecord = (r) =>
+  r &&
+  COLLECTIONS.has(r.collection) &&
+  typeof r.id === "string" &&
+  r.id &&
+  typeof r.updatedAt === "string" &&
+  !isNaN(Date.parse(r.updatedAt)) &&
+  (r.deleted === true ? r.data === undefined : typeof r.data === "object" && r.data !== null);
+
+// Later `updatedAt` wins; on a tie the stored copy stays
+const accept = (record) => {
+  const key = `${record.collection}/${record.id}`;
+  const stored = store.records[key];
+  if (stored && stored.record.updatedAt >= record.updatedAt) return false;
+  const { collection, id, updatedAt, deleted, data } = record;
+  store.records[key] = {
+    seq: ++store.seq,
+    record: deleted ? { collection, id, updatedAt, deleted: true } : { collection, id, updatedAt, data },
+  };
+  return true;
+};
+
+const changesSince = (since, limit) => {
+  const all = Object.values(store.records)
+    .filter((r) => r.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  const page = all.slice(0, limit);
+  return {
+    cursor: String(page.length ? page[page.length - 1].seq : Math.max(since, 0)),
+    more: all.length > page.length,
+    records: page.map((r) => r.record),
+  };
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) reject(new Error("body too large"));
+      else chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "unauthorized" });
+  if (url.pathname !== "/changes") return send(res, 404, { error: "not found" });
+
+  if (req.method === "GET") {
+    const since = Number(url.searchParams.get("since") || 0);
+    const limit = Math.min(Number(url.searchParams.get("limit")) || MAX_PAGE, MAX_PAGE);
+    if (!Number.isInteger(since) || since < 0) return send(res, 400, { error: "bad cursor" });
+    return send(res, 200, changesSince(since, limit));
+  }
+
+  if (req.method === "POST") {
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch {
+      return send(res, 400, { error: "invalid JSON" });
+    }
+    if (!Array.isArray(body?.records) || !body.records.every(isRecord))
+      return send(res, 400, { error: "records must be a list of sync records" });
+    const accepted = body.records.filter(accept).length;
+    if (accepted) save();
+    return send(res, 200, { accepted, cursor: String(store.seq) });
+  }
+
+  send(res, 405, { error: "method not allowed" });
+});
+
+server.listen(PORT, () => {
+  console.log(`sync server on http://localhost:${PORT}, data in ${FILE}${TOKEN ? ", token required" : ""}`);
+});
@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
 import {
   PieChart,
   Pie,
@@ -12,28 +12,79 @@ import {
   BarChart,
   Bar,
 } from "recharts";
+import AccountsManager from "./components/AccountsManager";
+import AccountsPanel from "./components/AccountsPanel";
+import AttachmentPicker from "./components/AttachmentPicker";
+import AttachmentThumb from "./components/AttachmentThumb";
+import AttachmentViewer from "./components/AttachmentViewer";
+import BackupRestoreDialog from "./components/BackupRestoreDialog";
+import BudgetPanel from "./components/BudgetPanel";
+import BulkActions from "./components/BulkActions";
+import CategoryManager from "./components/CategoryManager";
+import CsvImportDialog from "./components/CsvImportDialog";
+import EditableCell from "./components/EditableCell";
+import ForecastPanel from "./components/ForecastPanel";
+import RatesManager from "./components/RatesManager";
+import ReportsDialog from "./components/ReportsDialog";
+import HouseholdDialog from "./components/HouseholdDialog";
+import RecurringManager from "./components/RecurringManager";
+import RulesManager from "./components/RulesManager";
+import ShareEditor from "./components/ShareEditor";
+import SplitEditor from "./components/SplitEditor";
+import TagInput from "./components/TagInput";
+import TagTotals from "./components/TagTotals";
+import StatementImportDialog from "./components/StatementImportDialog";
+import SyncDialog from "./components/SyncDialog";
+import TrashBin from "./components/TrashBin";
+import TrendPanel from "./components/TrendPanel";
+import UndoToast from "./components/UndoToast";
+import UnusualPanel from "./components/UnusualPanel";
+import UpdatePrompt from "./components/UpdatePrompt";
+import { I18nContext } from "./hooks/useI18n";
+import useServiceWorker from "./hooks/useServiceWorker";
+import useSync from "./hooks/useSync";
+import useUndoHistory from "./hooks/useUndoHistory";
+import { DEFAULT_ACCOUNTS, accountBalance, cardStatement, runningBalances } from "./lib/accounts";
+import { unusualEntries } from "./lib/anomalies";
+import {
+  allAttachments,
+  attachmentIds,
+  entryAttachments,
+  exportAttachments,
+  importAttachments,
+} from "./lib/attachments";
+import { makeBackup } from "./lib/backup";
+import { budgetMonthFor, budgetSummary, overspendWarnings } from "./lib/budget";
+import { moveToAccount, parseCellValue, recategorise, setEntryField, updateSelected } from "./lib/bulk";
+import { categoryOptions, categoryUsage, removeCategory, rollUp } from "./lib/categories";
+import { expensesToCSV, parseCSV } from "./lib/csv";
+import { toDateInputValue } from "./lib/dates";
+import { loadAll, pruneAttachments, saveExpenseChanges, saveValue } from "./lib/db";
+import { forecastMonth } from "./lib/forecast";
+import { PERSON_COLORS, checkShares, householdBalances, personUsage, shareFractions } from "./lib/household";
+import { CURRENCIES, entryCurrency, findRate, rateLookup, toLedger } from "./lib/currency";
+import { LANGUAGES, createI18n, translate } from "./lib/i18n";
+import { uid } from "./lib/ids";
+import { filtersFromSearch, filtersToSearch, parseQuery } from "./lib/query";
+import { collectDue, resumeTemplate } from "./lib/recurring";
+import { reportToCSV } from "./lib/reports";
+import { evaluateRules } from "./lib/rules";
+import { StatementError, detectFormat, parseStatement } from "./lib/statements";
+import { entryCategories, isBalanced, isSplit, toLines } from "./lib/split";
+import { allTags, entryTags, tagTotals } from "./lib/tags";
+import { moveToTrash, purgeExpired, restoreFromTrash } from "./lib/trash";
+import { TYPES, cashFlow, categoriesOfType, categoryKind, entryType, parseType } from "./lib/transactions";
+import { PAGE_SIZE, categoryTotals, filterLedger, indexById, pageCount, pageOf, sortLedger } from "./lib/view";
 
 // ===== Utilities =====
-const STORAGE_KEYS = {
-  expenses: "expenses-v1",
-  categories: "expense-categories-v1",
-};
-
-const formatTHB = (n) =>
-  new Intl.NumberFormat("th-TH", {
-    style: "currency",
-    currency: "THB",
-    maximumFractionDigits: 2,
-  }).format(Number(n || 0));
-
-const toDateInputValue = (d) => {
-  const z = (n) => (n < 10 ? `0${n}` : n);
-  return `${d.getFullYear()}-${z(d.getMonth() + 1)}-${z(d.getDate())}`;
+const DEFAULT_SETTINGS = {
+  overallBudget: null, // monthly limit across all categories, in baseCurrency
+  baseCurrency: "THB", // totals, charts and budgets are converted into this
+  trashRetentionDays: 30, // deleted entries are purged after this many days
+  language: "th", // see lib/i18n
+  calendar: null, // "buddhist" | "gregory"; null follows the language
 };
 
-const uid = () =>
-  Math.random().toString(36).slice(2) + Date.now().toString(36);
-
 // Default categories (with colors)
 const DEFAULT_CATEGORIES = [
   { id: "food", name: "อาหาร/เครื่องดื่ม", color: "#6366f1" }, // indigo
@@ -45,128 +96,594 @@ const DEFAULT_CATEGORIES = [
   { id: "other", name: "อื่น ๆ", color: "#8b5cf6" }, // violet
 ];
 
+// Income categories (kind: "income"); older saved data gets these appended on load
+const DEFAULT_INCOME_CATEGORIES = [
+  { id: "salary", name: "เงินเดือน", color: "#16a34a", kind: "income" }, // green
+  { id: "refund", name: "เงินคืน", color: "#0ea5e9", kind: "income" }, // sky
+  { id: "transfer-in", name: "โอนเข้า", color: "#14b8a6", kind: "income" }, // teal
+  { id: "income-other", name: "รายรับอื่น ๆ", color: "#84cc16", kind: "income" }, // lime
+];
+
+// Trigger a browser download of `blob`
+const downloadFile = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Filter panel option lists; labels come from the "sort." and "filters.help." messages
+const SORTS = ["dateDesc", "dateAsc", "amountDesc", "amountAsc"];
+const SEARCH_HELP = ["words", "category", "account", "amount", "dates", "type", "exclude"];
+
+// Entry fields the table edits in place, in column order
+const GRID_FIELDS = ["date", "category", "accountId", "amount", "note"];
+
+// The add form as rules see it (see lib/rules)
+const formAsEntry = (form) => ({ ...form, amount: parseFloat(form.amount) });
+
+const DEFAULT_FILTERS = {
+  from: "",
+  to: "",
+  type: "all", // all | expense | income
+  category: "all",
+  tag: "all",
+  account: "all",
+  person: "all", // a household member: only their share counts
+  sortBy: "dateDesc", // dateDesc | dateAsc | amountDesc | amountAsc
+  query: "", // see lib/query for the syntax
+};
+
+// New entries go to the first cash account unless another is picked
+const defaultAccount = (accounts) => accounts.find((a) => a.kind === "cash") || accounts[0];
+
+// A payer's entry starts out split equally across the household
+const everyone = (people) => ({ mode: "equal", parts: people.map((p) => ({ person: p.id, value: "" })) });
+
+const withIncomeDefaults = (saved) =>
+  saved.some((c) => categoryKind(c) === "income")
+    ? saved
+    : [...saved, ...DEFAULT_INCOME_CATEGORIES];
+
 // ===== Main App =====
 export default function ExpenseTrackerApp() {
-  const [expenses, setExpenses] = useState(() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEYS.expenses);
-      return raw ? JSON.parse(raw) : [];
-    } catch {
-      return [];
-    }
-  });
-
-  const [categories, setCategories] = useState(() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEYS.categories);
-      return raw ? JSON.parse(raw) : DEFAULT_CATEGORIES;
-    } catch {
-      return DEFAULT_CATEGORIES;
-    }
-  });
+  // Empty until the stored data has loaded from IndexedDB
+  const [expenses, setExpenses] = useState([]);
+  const [categories, setCategories] = useState(() =>
+    withIncomeDefaults(DEFAULT_CATEGORIES)
+  );
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [recurring, setRecurring] = useState([]);
+  const [rates, setRates] = useState([]);
+  const [trash, setTrash] = useState([]); // deleted expenses, see lib/trash
+  const [payees, setPayees] = useState({}); // statement payee → category, see lib/statements
+  const [presets, setPresets] = useState([]); // saved filters: { id, name, filters }
+  const [accounts, setAccounts] = useState(DEFAULT_ACCOUNTS); // see lib/accounts
+  const [transfers, setTransfers] = useState([]); // money moved between accounts
+  const [rules, setRules] = useState([]); // categorisation rules in priority order, see lib/rules
+  const [people, setPeople] = useState([]); // household members, see lib/household
+  const [settlements, setSettlements] = useState([]); // household paybacks
+  const [loaded, setLoaded] = useState(false); // true once stored data is in state
+  const [storageError, setStorageError] = useState(null); // { error, unsaved }
+  const savedExpenses = useRef([]); // last expenses array storage confirmed writing
+  // ?add=expense (the home-screen shortcut) opens on the form with the amount focused
+  const quickAdd = useRef(parseType(new URLSearchParams(window.location.search).get("add")));
+  const amountInput = useRef(null);
+  const serviceWorker = useServiceWorker();
 
-  const [form, setForm] = useState({
+  const [form, setForm] = useState(() => ({
     date: toDateInputValue(new Date()),
+    type: "expense",
     amount: "",
+    currency: settings.baseCurrency,
     category: DEFAULT_CATEGORIES[0].id,
+    items: [], // split lines; empty = single category
+    tags: [],
     note: "",
-    method: "เงินสด",
-  });
+    accountId: DEFAULT_ACCOUNTS[0].id,
+    attachments: [], // receipt metadata; files are stored as soon as they're picked
+    paidBy: "", // household member who paid; "" = not a shared cost
+    shares: null, // who it was for, with values as typed; see lib/household
+  }));
 
-  const [filters, setFilters] = useState({
-    from: "",
-    to: "",
-    category: "all",
-    sortBy: "dateDesc", // dateDesc | dateAsc | amountDesc | amountAsc
-    query: "",
-  });
+  // Filters start from the URL so a filtered view can be bookmarked
+  const [filters, setFilters] = useState(() =>
+    filtersFromSearch(window.location.search, DEFAULT_FILTERS)
+  );
 
   const [editingId, setEditingId] = useState(null);
+  const [handPicked, setHandPicked] = useState(() => new Set()); // form fields rules must leave alone
+  const [csvImport, setCsvImport] = useState(null); // { fileName, rows } while previewing
+  const [statementImport, setStatementImport] = useState(null); // { fileName, format, statement }
+  const [restore, setRestore] = useState(null); // { fileName, backup } while reviewing a restore
+  const [applyToSeries, setApplyToSeries] = useState(false); // edit all future occurrences
+  const [showRecurring, setShowRecurring] = useState(false);
+  const [showRates, setShowRates] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showAccounts, setShowAccounts] = useState(false);
+  const [showCategories, setShowCategories] = useState(false);
+  const [showReports, setShowReports] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+  const [showHousehold, setShowHousehold] = useState(false);
+  const [viewingAttachments, setViewingAttachments] = useState(null); // entry id
+  const [rollupCharts, setRollupCharts] = useState(true); // count subcategories under their parent
 
-  // Persist to localStorage
+  // Load once (the storage layer imports old localStorage data on first run).
+  // Nothing is written back unless this succeeds, so a failed open can't
+  // overwrite stored data with defaults.
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.expenses, JSON.stringify(expenses));
-  }, [expenses]);
+    let cancelled = false;
+    loadAll()
+      .then((data) => {
+        if (cancelled) return;
+        const loadedSettings = { ...DEFAULT_SETTINGS, ...data.settings };
+        savedExpenses.current = data.expenses;
+        setExpenses(data.expenses);
+        if (data.categories) setCategories(withIncomeDefaults(data.categories));
+        setSettings(loadedSettings);
+        setRecurring(data.recurring || []);
+        setRates(data.rates || []);
+        const keptTrash = purgeExpired(data.trash || [], loadedSettings.trashRetentionDays);
+        setTrash(keptTrash);
+        // Files left behind by deleted entries or abandoned forms
+        pruneAttachments(attachmentIds([...data.expenses, ...keptTrash])).catch(() => {});
+        setPayees(data.payees || {});
+        setPresets(data.presets || []);
+        const loadedAccounts = data.accounts?.length ? data.accounts : DEFAULT_ACCOUNTS;
+        setAccounts(loadedAccounts);
+        setTransfers(data.transfers || []);
+        setRules(data.rules || []);
+        setPeople(data.people || []);
+        setSettlements(data.settlements || []);
+        const account = defaultAccount(loadedAccounts);
+        setForm((prev) => ({ ...prev, accountId: account.id, currency: account.currency }));
+        setLoaded(true);
+      })
+      .catch((err) => {
+        if (!cancelled) setStorageError({ error: err, unsaved: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
+  const reportStorageError = (err) => setStorageError({ error: err });
+
+  // Persist through the storage layer
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.categories, JSON.stringify(categories));
-  }, [categories]);
+    if (!loaded) return;
+    // Only a write that lands moves the snapshot on, so whatever failed is
+    // part of the next diff and written again with the next change
+    saveExpenseChanges(savedExpenses.current, expenses)
+      .then(() => (savedExpenses.current = expenses))
+      .catch(reportStorageError);
+  }, [loaded, expenses]);
 
-  // ===== Derived data with filters =====
-  const filtered = useMemo(() => {
-    let list = [...expenses];
-    const { from, to, category, query, sortBy } = filters;
+  useEffect(() => {
+    if (loaded) saveValue("categories", categories).catch(reportStorageError);
+  }, [loaded, categories]);
 
-    if (from) {
-      const f = new Date(from);
-      list = list.filter((e) => new Date(e.date) >= f);
-    }
-    if (to) {
-      const t = new Date(to);
-      t.setHours(23, 59, 59, 999);
-      list = list.filter((e) => new Date(e.date) <= t);
+  useEffect(() => {
+    if (loaded) saveValue("settings", settings).catch(reportStorageError);
+  }, [loaded, settings]);
+
+  useEffect(() => {
+    if (loaded) saveValue("recurring", recurring).catch(reportStorageError);
+  }, [loaded, recurring]);
+
+  useEffect(() => {
+    if (loaded) saveValue("rates", rates).catch(reportStorageError);
+  }, [loaded, rates]);
+
+  useEffect(() => {
+    if (loaded) saveValue("trash", trash).catch(reportStorageError);
+  }, [loaded, trash]);
+
+  useEffect(() => {
+    if (loaded) saveValue("payees", payees).catch(reportStorageError);
+  }, [loaded, payees]);
+
+  useEffect(() => {
+    if (loaded) saveValue("presets", presets).catch(reportStorageError);
+  }, [loaded, presets]);
+
+  useEffect(() => {
+    if (loaded) saveValue("accounts", accounts).catch(reportStorageError);
+  }, [loaded, accounts]);
+
+  useEffect(() => {
+    if (loaded) saveValue("transfers", transfers).catch(reportStorageError);
+  }, [loaded, transfers]);
+
+  useEffect(() => {
+    if (loaded) saveValue("rules", rules).catch(reportStorageError);
+  }, [loaded, rules]);
+
+  useEffect(() => {
+    if (loaded) saveValue("people", people).catch(reportStorageError);
+  }, [loaded, people]);
+
+  useEffect(() => {
+    if (loaded) saveValue("settlements", settlements).catch(reportStorageError);
+  }, [loaded, settlements]);
+
+  // Optional sync of expenses, categories and the household with a self-hosted server
+  const sync = useSync(
+    { expenses, categories, people, settlements },
+    {
+      ready: loaded,
+      // Snapshots from before a pull lack the pulled records, and restoring one
+      // would push their deletion to every device
+      onRemote: (changed) => {
+        history.forget();
+        if (changed.expenses) setExpenses(changed.expenses);
+        if (changed.categories) setCategories(changed.categories);
+        if (changed.people) setPeople(changed.people);
+        if (changed.settlements) setSettlements(changed.settlements);
+      },
     }
-    if (category !== "all") list = list.filter((e) => e.category === category);
-
-    if (query.trim()) {
-      const q = query.toLowerCase();
-      list = list.filter(
-        (e) =>
-          e.note?.toLowerCase().includes(q) ||
-          e.method?.toLowerCase().includes(q)
-      );
+  );
+
+  useEffect(() => {
+    if (!loaded || !quickAdd.current) return;
+    const type = quickAdd.current;
+    quickAdd.current = null;
+    setForm((prev) => ({
+      ...prev,
+      type,
+      category: categoriesOfType(categories, type)[0]?.id || "other",
+      items: [],
+    }));
+    amountInput.current?.scrollIntoView({ block: "center" });
+    amountInput.current?.focus();
+  }, [loaded, categories]);
+
+  // Mirror the active filters in the address bar without adding history entries
+  useEffect(() => {
+    const search = filtersToSearch(filters, DEFAULT_FILTERS);
+    if (search !== window.location.search)
+      window.history.replaceState(null, "", `${window.location.pathname}${search}${window.location.hash}`);
+  }, [filters]);
+
+  // ===== Undo/redo =====
+  // Every user mutation calls `record(label)` first; the snapshot covers all
+  // persisted collections so any of them can be rolled back.
+  const history = useUndoHistory(
+    () => ({
+      expenses,
+      categories,
+      settings,
+      recurring,
+      rates,
+      trash,
+      payees,
+      presets,
+      accounts,
+      transfers,
+      rules,
+      people,
+      settlements,
+    }),
+    (snap) => {
+      setExpenses(snap.expenses);
+      setCategories(snap.categories);
+      setSettings(snap.settings);
+      setRecurring(snap.recurring);
+      setRates(snap.rates);
+      setTrash(snap.trash);
+      setPayees(snap.payees);
+      setPresets(snap.presets);
+      setAccounts(snap.accounts);
+      setTransfers(snap.transfers);
+      setRules(snap.rules);
+      setPeople(snap.people);
+      setSettlements(snap.settlements);
     }
+  );
+  const { record } = history;
 
-    switch (sortBy) {
-      case "dateAsc":
-        list.sort((a, b) => new Date(a.date) - new Date(b.date));
-        break;
-      case "amountDesc":
-        list.sort((a, b) => Number(b.amount) - Number(a.amount));
-        break;
-      case "amountAsc":
-        list.sort((a, b) => Number(a.amount) - Number(b.amount));
-        break;
-      default:
-        list.sort((a, b) => new Date(b.date) - new Date(a.date));
+  // Create recurring occurrences that fell due since the last visit. Re-runs
+  // whenever templates change; once watermarks reach today it is a no-op.
+  useEffect(() => {
+    const { created, templates } = collectDue(recurring, toDateInputValue(new Date()), uid);
+    if (templates === recurring) return;
+    if (created.length) {
+      setExpenses((prev) => {
+        const have = new Set(prev.map((x) => x.recurringId && `${x.recurringId}@${x.occurrence}`));
+        const fresh = created.filter((x) => !have.has(`${x.recurringId}@${x.occurrence}`));
+        return [...fresh, ...prev];
+      });
     }
-    return list;
-  }, [expenses, filters]);
+    setRecurring(templates);
+  }, [recurring]);
+
+  // ===== Language =====
+  const i18n = useMemo(
+    () => createI18n({ language: settings.language, calendar: settings.calendar }),
+    [settings.language, settings.calendar]
+  );
+  const { t } = i18n;
 
-  const total = useMemo(
-    () => filtered.reduce((s, e) => s + Number(e.amount || 0), 0),
-    [filtered]
+  useEffect(() => {
+    document.documentElement.lang = i18n.language;
+  }, [i18n.language]);
+
+  // ===== Derived data with filters =====
+  const base = settings.baseCurrency;
+  const money = (n) => i18n.money(n, base);
+
+  // Everything below works on base-currency amounts
+  const ledger = useMemo(() => toLedger(expenses, rates, base), [expenses, rates, base]);
+  const missingRates = useMemo(() => ledger.filter((e) => e.rateMissing), [ledger]);
+  // Split entries broken into one record per category line, for aggregation
+  const ledgerLines = useMemo(() => toLines(ledger), [ledger]);
+
+  const query = useMemo(() => parseQuery(filters.query), [filters.query]);
+
+  // The inputs update at once; the table and charts catch up with `view` so a
+  // large ledger doesn't make typing in the search box lag
+  const view = useDeferredValue(filters);
+  const viewQuery = useMemo(() => parseQuery(view.query), [view.query]);
+  const sorted = useMemo(() => sortLedger(ledger, view.sortBy), [ledger, view.sortBy]);
+  // Totals and charts count `filteredLines`, see lib/view
+  const { entries: filtered, lines: filteredLines } = useMemo(
+    () => filterLedger(sorted, view, { terms: viewQuery.terms, categories, accounts }),
+    [sorted, view, viewQuery, categories, accounts]
+  );
+  const chartLines = useMemo(
+    () => (rollupCharts ? rollUp(filteredLines, categories) : filteredLines),
+    [rollupCharts, filteredLines, categories]
   );
 
+  const totals = useMemo(() => cashFlow(filteredLines), [filteredLines]);
+
+  // Charts break down one type at a time: income only when the filter asks for it
+  const chartType = view.type === "income" ? "income" : "expense";
+
   // By category (for pie/bar)
-  const byCategory = useMemo(() => {
-    return categories
-      .map((c) => ({
-        name: c.name,
-        value: filtered
-          .filter((e) => e.category === c.id)
-          .reduce((s, e) => s + Number(e.amount || 0), 0),
-        color: c.color,
-      }))
-      .filter((x) => x.value > 0);
-  }, [filtered, categories]);
+  const byCategory = useMemo(
+    () => categoryTotals(chartLines, categories, chartType),
+    [chartLines, categories, chartType]
+  );
+
+  // The table shows one page at a time and starts over when the filters change
+  const [page, setPage] = useState(0);
+  useEffect(() => {
+    setPage(0);
+  }, [view]);
+  const pages = pageCount(filtered.length);
+  const currentPage = Math.min(page, pages - 1);
+  const pageRows = useMemo(() => pageOf(filtered, currentPage), [filtered, currentPage]);
+  const categoryById = useMemo(() => indexById(categories), [categories]);
+  const accountById = useMemo(() => indexById(accounts), [accounts]);
+
+  // Checked rows. Bulk actions only touch the ones the current filters show,
+  // so nothing hidden by a later search gets changed by accident.
+  const [selected, setSelected] = useState(() => new Set());
+  const lastChecked = useRef(null); // for shift-click ranges
+  const selectedRows = useMemo(
+    () => (selected.size ? filtered.filter((e) => selected.has(e.id)) : []),
+    [filtered, selected]
+  );
+  const allSelected = filtered.length > 0 && selectedRows.length === filtered.length;
+
+  // Active table cell: { id, field, editing, seed }, see EditableCell
+  const [cell, setCell] = useState(null);
+
+  // Budgets follow the date filters but ignore category/search so limits stay comparable
+  const budgetMonth = budgetMonthFor(filters);
+  const budgets = useMemo(
+    () => budgetSummary(ledgerLines, categories, budgetMonth, settings.overallBudget),
+    [ledgerLines, categories, budgetMonth, settings.overallBudget]
+  );
+
+  // Month-end projection for the same month, and expenses far outside their
+  // category's usual range, which stay flagged until fixed or confirmed
+  const forecast = useMemo(
+    () => forecastMonth(ledgerLines, categories, budgetMonth),
+    [ledgerLines, categories, budgetMonth]
+  );
+  const unusual = useMemo(() => unusualEntries(ledgerLines), [ledgerLines]);
+  const unusualList = useMemo(
+    () =>
+      sortLedger(
+        ledger.filter((e) => unusual.has(e.id)),
+        "dateDesc"
+      ).map((entry) => ({ entry, flag: unusual.get(entry.id) })),
+    [ledger, unusual]
+  );
+
+  const existingIds = useMemo(() => expenses.map((e) => e.id), [expenses]);
+  const tagList = useMemo(() => allTags(expenses), [expenses]);
+  const tagBreakdown = useMemo(() => tagTotals(filteredLines), [filteredLines]);
+
+  // Balances work on original amounts, converted into each account's currency
+  const rateOf = useMemo(() => rateLookup(rates), [rates]);
+  const balances = useMemo(
+    () => new Map(accounts.map((a) => [a.id, accountBalance(a, expenses, transfers, rateOf)])),
+    [accounts, expenses, transfers, rateOf]
+  );
+  const cardStatements = useMemo(
+    () =>
+      new Map(
+        accounts
+          .filter((a) => a.kind === "card" && a.closingDay)
+          .map((a) => [a.id, cardStatement(a, expenses, transfers, rateOf)])
+      ),
+    [accounts, expenses, transfers, rateOf]
+  );
+  // Balance after each entry of the account being filtered on
+  const filteredAccount = accounts.find((a) => a.id === filters.account);
+  const runningBalance = useMemo(
+    () => filteredAccount && runningBalances(filteredAccount, expenses, transfers, rateOf),
+    [filteredAccount, expenses, transfers, rateOf]
+  );
+  // Entries, templates and transfers per account; used accounts can't be deleted
+  const accountUsage = useMemo(() => {
+    const usage = new Map();
+    const use = (id) => id && usage.set(id, (usage.get(id) || 0) + 1);
+    for (const x of [...expenses, ...trash, ...recurring]) use(x.accountId);
+    for (const t of transfers) {
+      use(t.from);
+      use(t.to);
+    }
+    return usage;
+  }, [expenses, trash, recurring, transfers]);
+
+  // Household: running balances in the base currency, and who can't be deleted
+  const settlementLedger = useMemo(() => toLedger(settlements, rates, base), [settlements, rates, base]);
+  const householdRows = useMemo(
+    () => householdBalances(people, ledger, settlementLedger),
+    [people, ledger, settlementLedger]
+  );
+  const peopleUsage = useMemo(
+    () => personUsage({ expenses, trash, recurring, settlements }),
+    [expenses, trash, recurring, settlements]
+  );
+  const personById = useMemo(() => indexById(people), [people]);
+
+  const expenseCategories = useMemo(() => categoriesOfType(categories, "expense"), [categories]);
+  const formCategories = categoriesOfType(categories, form.type);
 
   // ===== Handlers =====
-  const resetForm = () =>
+  // Keeps the current type so several incomes can be entered in a row
+  // and the current account, in that account's currency
+  const resetForm = () => {
+    setHandPicked(new Set());
+    setForm((prev) => {
+      const account = accounts.find((a) => a.id === prev.accountId) || defaultAccount(accounts);
+      return {
+        date: toDateInputValue(new Date()),
+        type: prev.type,
+        amount: "",
+        currency: account?.currency || base,
+        category: categoriesOfType(categories, prev.type)[0]?.id || "other",
+        items: [],
+        tags: [],
+        note: "",
+        accountId: account?.id || "",
+        attachments: [],
+        // The same payer usually enters several costs; amounts typed for one don't carry over
+        paidBy: prev.paidBy,
+        shares: prev.paidBy ? (prev.shares?.mode === "equal" ? prev.shares : everyone(people)) : null,
+      };
+    });
+  };
+
+  // While adding, rules fill in the category and account as the note and
+  // amount are typed, unless the user has picked that field by hand
+  const withRules = (next) => {
+    if (editingId) return next;
+    const hit = evaluateRules(formAsEntry(next), rules, { categories, accounts });
+    let filled = next;
+    if (hit.category && !handPicked.has("category") && !isSplit(next)) filled = { ...filled, category: hit.category };
+    if (hit.accountId && !handPicked.has("accountId") && hit.accountId !== next.accountId) {
+      const account = accounts.find((a) => a.id === hit.accountId);
+      filled = { ...filled, accountId: account.id, currency: account.currency };
+    }
+    return filled;
+  };
+  const pickByHand = (field) => setHandPicked((prev) => new Set(prev).add(field));
+  const formRules = useMemo(() => {
+    if (editingId || !rules.length) return [];
+    const { ruleIds } = evaluateRules(formAsEntry(form), rules, { categories, accounts });
+    return rules.filter((r) => ruleIds.includes(r.id));
+  }, [editingId, form, rules, categories, accounts]);
+
+  const switchType = (type) =>
+    setForm(
+      withRules({
+        ...form,
+        type,
+        category: categoriesOfType(categories, type)[0]?.id || "other",
+        items: [],
+      })
+    );
+
+  // Start a split with the current category holding the whole amount
+  const startSplit = () =>
     setForm({
-      date: toDateInputValue(new Date()),
-      amount: "",
-      category: categories[0]?.id || "other",
-      note: "",
-      method: "เงินสด",
+      ...form,
+      items: [
+        { category: form.category, amount: form.amount, note: "" },
+        {
+          category: formCategories.find((c) => c.id !== form.category)?.id || form.category,
+          amount: "",
+          note: "",
+        },
+      ],
     });
 
+  // Validated form → stored fields; alerts and returns null when invalid
+  const readForm = () => {
+    const invalid = (message) => {
+      alert(message);
+      return null;
+    };
+    const { items: lines, tags, accountId, attachments, paidBy, shares: typedShares, ...rest } = form;
+    const amount = parseFloat(form.amount);
+    if (isNaN(amount) || amount <= 0) return invalid(t("form.invalidAmount"));
+    const shares = paidBy && typedShares && {
+      mode: typedShares.mode,
+      parts: typedShares.parts.map(({ person, value }) =>
+        typedShares.mode === "equal" ? { person } : { person, value: parseFloat(value) }
+      ),
+    };
+    const sharesProblem = shares && checkShares(amount, shares);
+    if (sharesProblem) return invalid(t(`household.invalid.${sharesProblem}`));
+    const fields = {
+      ...rest,
+      amount,
+      ...(accountId && { accountId }),
+      ...(tags.length > 0 && { tags }),
+      ...(attachments.length > 0 && { attachments }),
+      ...(paidBy && { paidBy }),
+      ...(shares && { shares }),
+    };
+    if (!lines.length) return fields;
+    const items = lines.map((it) => ({ ...it, amount: parseFloat(it.amount) }));
+    if (items.some((it) => !(it.amount > 0))) return invalid(t("form.invalidItemAmount"));
+    if (!isBalanced(amount, items)) return invalid(t("form.unbalanced"));
+    return { ...fields, items, category: items[0].category };
+  };
+
+  // Ask before saving an entry that pushes a monthly budget over its limit
+  const confirmBudget = (entry, excludeId) => {
+    const rate = findRate(rates, entryCurrency(entry), base, entry.date);
+    if (rate == null) return true;
+    const converted = {
+      ...entry,
+      amount: entry.amount * rate,
+      items: entry.items?.map((it) => ({ ...it, amount: it.amount * rate })),
+    };
+    const warnings = overspendWarnings(converted, {
+      expenses: ledgerLines,
+      categories,
+      overallBudget: settings.overallBudget,
+      excludeId,
+    });
+    if (!warnings.length) return true;
+    const lines = warnings.map((w) =>
+      t("budget.overspendLine", {
+        label: w.overall ? t("budget.overall") : w.label,
+        after: money(w.after),
+        limit: money(w.limit),
+      })
+    );
+    return confirm(t("budget.confirmOverspend", { lines: lines.join("\n") }));
+  };
+
   const addExpense = (e) => {
     e.preventDefault();
-    const amount = parseFloat(form.amount);
-    if (isNaN(amount) || amount <= 0) return alert("กรอกจำนวนเงินให้ถูกต้อง");
-    if (!form.date) return alert("กรอกวันที่");
-    const payload = { id: uid(), ...form, amount };
+    const entry = readForm();
+    if (!entry) return;
+    if (!entry.date) return alert(t("form.missingDate"));
+    if (!confirmBudget(entry)) return;
+    const payload = { id: uid(), ...entry };
+    record(t("undo.add"));
     setExpenses((prev) => [payload, ...prev]);
     resetForm();
   };
@@ -175,430 +692,1833 @@ export default function ExpenseTrackerApp() {
     const item = expenses.find((x) => x.id === id);
     if (!item) return;
     setEditingId(id);
-    setForm({ ...item, amount: String(item.amount) });
+    setApplyToSeries(false);
+    setForm({
+      ...item,
+      type: entryType(item),
+      currency: entryCurrency(item),
+      amount: String(item.amount),
+      items: isSplit(item) ? item.items.map((it) => ({ ...it, amount: String(it.amount) })) : [],
+      tags: entryTags(item),
+      accountId: item.accountId || "",
+      attachments: entryAttachments(item),
+      paidBy: item.paidBy || "",
+      shares: item.shares
+        ? { mode: item.shares.mode, parts: item.shares.parts.map((p) => ({ ...p, value: String(p.value ?? "") })) }
+        : null,
+    });
   };
 
   const saveEdit = (e) => {
     e.preventDefault();
-    const amount = parseFloat(form.amount);
-    if (isNaN(amount) || amount <= 0) return alert("กรอกจำนวนเงินให้ถูกต้อง");
-    setExpenses((prev) =>
-      prev.map((x) => (x.id === editingId ? { ...x, ...form, amount } : x))
-    );
+    const entry = readForm();
+    if (!entry) return;
+    const { amount } = entry;
+    if (!confirmBudget(entry, editingId)) return;
+    // Merge over the stored record, dropping optional fields that were cleared
+    const apply = (x) => {
+      const next = { ...x, ...entry };
+      for (const key of ["items", "tags", "accountId", "attachments", "paidBy", "shares"])
+        if (!entry[key]) delete next[key];
+      // A confirmed unusual amount is checked again once the amount or category changes
+      if (Number(x.amount) !== amount || entryCategories(x).join() !== entryCategories(entry).join())
+        delete next.reviewed;
+      return next;
+    };
+    record(t("undo.edit"));
+    if (form.recurringId && applyToSeries) {
+      // This occurrence onwards, plus the template for ones not generated yet
+      const { type, currency, category, accountId, note } = entry;
+      const shared = { type, amount, currency, category, accountId, note, tags: entry.tags || [] };
+      // Split lines and who-paid shares go with the amount so later occurrences
+      // still add up (readForm checked them against it). Templates carry the
+      // shares but not split lines, so new occurrences start unsplit.
+      const withOptional = (x, keys) => {
+        const next = { ...x, ...shared };
+        for (const key of keys) {
+          if (entry[key]) next[key] = entry[key];
+          else delete next[key];
+        }
+        return next;
+      };
+      const following = (x) => withOptional(x, ["items", "paidBy", "shares"]);
+      setExpenses((prev) =>
+        prev.map((x) =>
+          x.id === editingId
+            ? apply(x)
+            : x.recurringId === form.recurringId && x.occurrence >= form.occurrence
+              ? following(x)
+              : x
+        )
+      );
+      setRecurring((prev) =>
+        prev.map((t) => (t.id === form.recurringId ? withOptional(t, ["paidBy", "shares"]) : t))
+      );
+    } else {
+      setExpenses((prev) => prev.map((x) => (x.id === editingId ? apply(x) : x)));
+    }
     setEditingId(null);
     resetForm();
   };
 
+  // Deleting moves entries to the trash; undo or the trash view brings them back
   const removeExpense = (id) => {
-    if (!confirm("ลบรายการนี้หรือไม่?")) return;
+    const item = expenses.find((x) => x.id === id);
+    if (!item) return;
+    record(t("undo.delete"));
     setExpenses((prev) => prev.filter((x) => x.id !== id));
+    setTrash((prev) => [...moveToTrash([item]), ...prev]);
+    if (editingId === id) {
+      setEditingId(null);
+      resetForm();
+    }
   };
 
   const clearAll = () => {
-    if (!confirm("ลบข้อมูลทั้งหมดหรือไม่?")) return;
+    if (!expenses.length) return;
+    if (!confirm(t("app.confirmClearAll", { count: expenses.length }))) return;
+    record(t("undo.deleteAll"));
+    setTrash((prev) => [...moveToTrash(expenses), ...prev]);
     setExpenses([]);
+    setEditingId(null);
+    resetForm();
+  };
+
+  // ----- Selection and bulk actions -----
+  const toggleSelected = (id, range) => {
+    const on = !selected.has(id);
+    let ids = [id];
+    const from = pageRows.findIndex((e) => e.id === lastChecked.current);
+    const to = pageRows.findIndex((e) => e.id === id);
+    if (range && from >= 0) ids = pageRows.slice(Math.min(from, to), Math.max(from, to) + 1).map((e) => e.id);
+    setSelected((prev) => {
+      const next = new Set(prev);
+      ids.forEach((x) => (on ? next.add(x) : next.delete(x)));
+      return next;
+    });
+    lastChecked.current = id;
+  };
+
+  const toggleAllSelected = () => setSelected(allSelected ? new Set() : new Set(filtered.map((e) => e.id)));
+
+  const applyBulk = (change, skippedMessage) => {
+    const ids = new Set(selectedRows.map((e) => e.id));
+    const { entries, changed, skipped } = updateSelected(expenses, ids, change);
+    if (changed) {
+      record(t("undo.bulkEdit", { count: changed }));
+      setExpenses(entries);
+    }
+    if (skipped && skippedMessage) alert(t(skippedMessage, { count: skipped }));
+  };
+
+  const bulkRecategorise = (id) =>
+    applyBulk(recategorise(categories.find((c) => c.id === id)), "bulk.skippedCategory");
+  const bulkSetAccount = (accountId) =>
+    applyBulk(moveToAccount(accountById.get(accountId)), "bulk.skippedAccount");
+  const bulkSetDate = (date) => applyBulk((e) => setEntryField(e, "date", date));
+
+  const bulkExport = () => {
+    const ids = new Set(selectedRows.map((e) => e.id));
+    const csv = expensesToCSV(
+      expenses.filter((e) => ids.has(e.id)),
+      accounts
+    );
+    downloadFile(new Blob(["\ufeff" + csv], { type: "text/csv;charset=utf-8;" }), `expenses_selected_${Date.now()}.csv`);
+  };
+
+  const bulkDelete = () => {
+    const ids = new Set(selectedRows.map((e) => e.id));
+    if (!confirm(t("bulk.confirmDelete", { count: ids.size }))) return;
+    record(t("undo.bulkDelete", { count: ids.size }));
+    setTrash((prev) => [...moveToTrash(expenses.filter((e) => ids.has(e.id))), ...prev]);
+    setExpenses((prev) => prev.filter((e) => !ids.has(e.id)));
+    setSelected(new Set());
+    if (ids.has(editingId)) {
+      setEditingId(null);
+      resetForm();
+    }
+  };
+
+  // ----- Inline cell editing -----
+  // What the active cell edits with; split entries change categories and
+  // amounts in the form, where the lines have to add up, and so do entries
+  // whose household shares are exact amounts
+  const cellEditor = (e, field) => {
+    if (field === "date") return { type: "date", value: e.date };
+    if (field === "note") return { type: "text", value: e.note || "" };
+    if (field === "accountId")
+      return {
+        type: "select",
+        value: e.accountId || "",
+        options: [
+          { value: "", label: t("common.none") },
+          ...accounts
+            .filter((a) => a.currency === entryCurrency(e) || a.id === e.accountId)
+            .map((a) => ({ value: a.id, label: a.name })),
+        ],
+      };
+    if (isSplit(e) || (field === "amount" && e.shares?.mode === "exact")) return null;
+    if (field === "category")
+      return {
+        type: "select",
+        value: e.category,
+        options: categoryOptions(categoriesOfType(categories, entryType(e))).map((c) => ({ value: c.id, label: c.label })),
+      };
+    return { type: "number", value: String(e.originalAmount) };
+  };
+
+  const moveCell = (id, field, [rows, cols]) => {
+    const row = pageRows.findIndex((e) => e.id === id);
+    const next = pageRows[Math.min(Math.max(row + rows, 0), pageRows.length - 1)];
+    const col = Math.min(Math.max(GRID_FIELDS.indexOf(field) + cols, 0), GRID_FIELDS.length - 1);
+    if (next) setCell({ id: next.id, field: GRID_FIELDS[col] });
+  };
+
+  // `e` is the ledger row, so amounts compare in the entry's own currency
+  const commitCell = (e, field, raw, move) => {
+    const value = parseCellValue(field, raw);
+    const current = field === "amount" ? e.originalAmount : (e[field] ?? "");
+    const sharesProblem = field === "amount" && value !== undefined && checkShares(value, e.shares);
+    if (value === undefined) alert(t(`inline.invalid.${field}`));
+    else if (sharesProblem) alert(t(`household.invalid.${sharesProblem}`));
+    else if (value !== current) {
+      record(t("undo.inlineEdit"));
+      setExpenses((prev) => prev.map((x) => (x.id === e.id ? setEntryField(x, field, value) : x)));
+    }
+    if (move) moveCell(e.id, field, move);
+    else setCell({ id: e.id, field });
+  };
+
+  const cellProps = (e, field) => {
+    const active = cell?.id === e.id && cell.field === field;
+    return {
+      active,
+      editing: active && cell.editing,
+      seed: active ? cell.seed : null,
+      editor: active ? cellEditor(e, field) : null,
+      onActivate: () => setCell({ id: e.id, field }),
+      onMove: (move) => moveCell(e.id, field, move),
+      onEdit: (seed) => setCell({ id: e.id, field, editing: true, seed }),
+      onCommit: (raw, move) => commitCell(e, field, raw, move),
+      onCancel: () => setCell({ id: e.id, field }),
+    };
+  };
+
+  // Receipts changed from the viewer
+  const saveAttachments = (id, attachments) => {
+    record(t("undo.attachments"));
+    setExpenses((prev) =>
+      prev.map((x) => {
+        if (x.id !== id) return x;
+        const { attachments: _old, ...rest } = x;
+        return attachments.length ? { ...rest, attachments } : rest;
+      })
+    );
+    if (editingId === id) setForm((prev) => ({ ...prev, attachments }));
+  };
+
+  // Trash
+  const restoreTrashed = (id) => {
+    const item = trash.find((t) => t.id === id);
+    if (!item) return;
+    record(t("undo.restoreEntry"));
+    setTrash((prev) => prev.filter((t) => t.id !== id));
+    setExpenses((prev) =>
+      prev.some((x) => x.id === id) ? prev : [restoreFromTrash(item), ...prev]
+    );
+  };
+
+  const purgeTrashed = (id) => {
+    record(t("undo.purge"));
+    setTrash((prev) => prev.filter((t) => t.id !== id));
+  };
+
+  const emptyTrash = () => {
+    if (!confirm(t("trash.confirmEmpty", { count: trash.length }))) return;
+    record(t("undo.emptyTrash"));
+    setTrash([]);
+  };
+
+  const changeRetention = (trashRetentionDays) => {
+    record(t("undo.retention"));
+    setSettings((prev) => ({ ...prev, trashRetentionDays }));
+    setTrash((prev) => purgeExpired(prev, trashRetentionDays));
   };
 
   // Category management
-  const addCategory = () => {
-    const name = prompt("ชื่อหมวดหมู่");
-    if (!name) return;
-    const color =
-      prompt("รหัสสี (เช่น #ff0000)", "#10b981") || "#10b981";
-    const id = name.trim().toLowerCase().replace(/\s+/g, "-");
-    setCategories((prev) => [...prev, { id, name, color }]);
+  const saveCategory = (c) => {
+    record(t(c.id ? "undo.editCategory" : "undo.addCategory"));
+    if (c.id) setCategories((prev) => prev.map((x) => (x.id === c.id ? c : x)));
+    else setCategories((prev) => [...prev, { ...c, id: uid() }]);
+  };
+
+  const reorderCategories = (next) => {
+    record(t("undo.reorderCategories"));
+    setCategories(next);
+  };
+
+  const usageOfCategory = (id) => categoryUsage({ expenses, trash, recurring }, id);
+
+  // Entries, templates, payee mappings and rules move to `targetId` first
+  const deleteCategory = (id, targetId) => {
+    const next = removeCategory({ categories, expenses, trash, recurring, payees, rules }, id, targetId);
+    record(t(targetId ? "undo.mergeCategory" : "undo.deleteCategory"));
+    setCategories(next.categories);
+    setExpenses(next.expenses);
+    setTrash(next.trash);
+    setRecurring(next.recurring);
+    setPayees(next.payees);
+    setRules(next.rules);
+    if (filters.category === id) setFilters((prev) => ({ ...prev, category: targetId || "all" }));
+    if (form.category === id || form.items.some((it) => it.category === id)) {
+      const fallback = targetId || next.categories.find((c) => categoryKind(c) === form.type)?.id || "other";
+      setForm((prev) => ({
+        ...prev,
+        category: prev.category === id ? fallback : prev.category,
+        items: prev.items.map((it) => (it.category === id ? { ...it, category: fallback } : it)),
+      }));
+    }
+  };
+
+  // Mark flagged amounts as correct; see lib/anomalies
+  const dismissUnusual = (ids) => {
+    const confirmed = new Set(ids);
+    record(t("undo.reviewed"));
+    setExpenses((prev) => prev.map((x) => (confirmed.has(x.id) ? { ...x, reviewed: true } : x)));
+  };
+
+  const saveBudgets = (byCategory, overallBudget) => {
+    record(t("undo.budgets"));
+    setCategories((prev) =>
+      prev.map((c) => ({ ...c, budget: byCategory[c.id] ?? null }))
+    );
+    setSettings((prev) => ({ ...prev, overallBudget }));
+  };
+
+  // Recurring templates
+  const saveTemplate = (tpl) => {
+    record(t(tpl.id ? "undo.editTemplate" : "undo.addTemplate"));
+    if (tpl.id) setRecurring((prev) => prev.map((x) => (x.id === tpl.id ? tpl : x)));
+    else setRecurring((prev) => [...prev, { ...tpl, id: uid(), paused: false, through: null }]);
+  };
+
+  const toggleTemplatePause = (id) => {
+    const today = toDateInputValue(new Date());
+    record(t("undo.pauseTemplate"));
+    setRecurring((prev) =>
+      prev.map((tpl) =>
+        tpl.id !== id ? tpl : tpl.paused ? resumeTemplate(tpl, today) : { ...tpl, paused: true }
+      )
+    );
+  };
+
+  const endTemplate = (id) => {
+    if (!confirm(t("recurring.confirmEnd"))) return;
+    record(t("undo.endTemplate"));
+    const today = toDateInputValue(new Date());
+    setRecurring((prev) => prev.map((tpl) => (tpl.id === id ? { ...tpl, endDate: today } : tpl)));
+  };
+
+  const deleteTemplate = (id) => {
+    if (!confirm(t("recurring.confirmDelete"))) return;
+    record(t("undo.deleteTemplate"));
+    setRecurring((prev) => prev.filter((tpl) => tpl.id !== id));
+  };
+
+  // Categorisation rules; the list order is their priority
+  const saveRule = (rule) => {
+    record(t(rule.id ? "undo.editRule" : "undo.addRule"));
+    if (rule.id) setRules((prev) => prev.map((r) => (r.id === rule.id ? rule : r)));
+    else setRules((prev) => [...prev, { ...rule, id: uid() }]);
+  };
+
+  const moveRule = (id, step) => {
+    const from = rules.findIndex((r) => r.id === id);
+    const to = from + step;
+    if (from < 0 || to < 0 || to >= rules.length) return;
+    record(t("undo.reorderRules"));
+    const next = [...rules];
+    next.splice(to, 0, ...next.splice(from, 1));
+    setRules(next);
+  };
+
+  const toggleRule = (id) => {
+    record(t("undo.editRule"));
+    setRules((prev) =>
+      prev.map((r) => {
+        if (r.id !== id) return r;
+        if (!r.disabled) return { ...r, disabled: true };
+        const { disabled: _disabled, ...rest } = r;
+        return rest;
+      })
+    );
+  };
+
+  const deleteRule = (id) => {
+    if (!confirm(t("rules.confirmDelete"))) return;
+    record(t("undo.deleteRule"));
+    setRules((prev) => prev.filter((r) => r.id !== id));
+  };
+
+  // Entries as changed in the rules dry run
+  const applyRuleChanges = (changed) => {
+    const byId = indexById(changed);
+    record(t("undo.applyRules", { count: changed.length }));
+    setExpenses((prev) => prev.map((e) => byId.get(e.id) || e));
+  };
+
+  // Exchange rates
+  const addRate = (row) => {
+    record(t("undo.addRate"));
+    setRates((prev) => [...prev, { ...row, id: uid() }]);
+  };
+
+  const deleteRate = (id) => {
+    record(t("undo.deleteRate"));
+    setRates((prev) => prev.filter((r) => r.id !== id));
+  };
+
+  const changeLanguage = (language) => {
+    record(translate(language, "undo.language"));
+    setSettings((prev) => ({ ...prev, language }));
+  };
+
+  // Flips between Buddhist-era and Gregorian years
+  const toggleCalendar = () => {
+    record(t("undo.calendar"));
+    setSettings((prev) => ({ ...prev, calendar: i18n.calendar === "buddhist" ? "gregory" : "buddhist" }));
+  };
+
+  const changeBaseCurrency = (baseCurrency) => {
+    record(t("undo.baseCurrency"));
+    setSettings((prev) => ({ ...prev, baseCurrency }));
+  };
+
+  // Accounts and transfers
+  const saveAccount = (a) => {
+    record(t(a.id ? "undo.editAccount" : "undo.addAccount"));
+    if (a.id) setAccounts((prev) => prev.map((x) => (x.id === a.id ? a : x)));
+    else setAccounts((prev) => [...prev, { ...a, id: uid() }]);
+  };
+
+  const deleteAccount = (id) => {
+    const used = accountUsage.get(id);
+    if (used) return alert(t("accounts.inUse", { count: used }));
+    if (accounts.length === 1) return alert(t("accounts.lastOne"));
+    if (!confirm(t("accounts.confirmDelete"))) return;
+    record(t("undo.deleteAccount"));
+    setAccounts((prev) => prev.filter((a) => a.id !== id));
+    if (filters.account === id) setFilters((prev) => ({ ...prev, account: "all" }));
+    if (form.accountId === id) setForm((prev) => ({ ...prev, accountId: "" }));
+  };
+
+  const addTransfer = (transfer) => {
+    record(t("undo.transfer"));
+    setTransfers((prev) => [...prev, { ...transfer, id: uid() }]);
+  };
+
+  const deleteTransfer = (id) => {
+    record(t("undo.deleteTransfer"));
+    setTransfers((prev) => prev.filter((x) => x.id !== id));
+  };
+
+  // Household members and paybacks between them
+  const addPerson = (name) => {
+    record(t("undo.addPerson"));
+    setPeople((prev) => [...prev, { id: uid(), name, color: PERSON_COLORS[prev.length % PERSON_COLORS.length] }]);
+  };
+
+  const renamePerson = (id) => {
+    const person = personById.get(id);
+    const name = prompt(t("household.rename"), person?.name || "")?.trim();
+    if (!name || name === person?.name) return;
+    record(t("undo.renamePerson"));
+    setPeople((prev) => prev.map((p) => (p.id === id ? { ...p, name } : p)));
+  };
+
+  const deletePerson = (id) => {
+    const used = peopleUsage.get(id);
+    if (used) return alert(t("household.inUse", { count: used }));
+    if (!confirm(t("household.confirmDelete"))) return;
+    record(t("undo.deletePerson"));
+    setPeople((prev) => prev.filter((p) => p.id !== id));
+    if (filters.person === id) setFilters((prev) => ({ ...prev, person: "all" }));
+    if (form.paidBy === id) setForm((prev) => ({ ...prev, paidBy: "", shares: null }));
+    // Unused people can still sit in the form's split
+    else if (form.shares) {
+      setForm((prev) => ({
+        ...prev,
+        shares: { ...prev.shares, parts: prev.shares.parts.filter((p) => p.person !== id) },
+      }));
+    }
+  };
+
+  const settle = (payments) => {
+    record(t("undo.settle", { count: payments.length }));
+    setSettlements((prev) => [...prev, ...payments.map((p) => ({ ...p, id: uid(), currency: base }))]);
+  };
+
+  const deleteSettlement = (id) => {
+    if (!confirm(t("household.confirmDeletePayment"))) return;
+    record(t("undo.deleteSettlement"));
+    setSettlements((prev) => prev.filter((s) => s.id !== id));
+  };
+
+  // Narrows the ledger and the charts to one person's share
+  const showShare = (id) => {
+    setFilters((prev) => ({ ...prev, person: id }));
+    setShowHousehold(false);
   };
 
-  const renameCategory = (id) => {
-    const name = prompt("แก้ไขชื่อหมวดหมู่");
+  // Filter presets
+  const savePreset = () => {
+    const name = prompt(t("filters.presetName"), "")?.trim();
     if (!name) return;
-    setCategories((prev) => prev.map((c) => (c.id === id ? { ...c, name } : c)));
+    record(t("undo.savePreset"));
+    setPresets((prev) => [...prev, { id: uid(), name, filters }]);
   };
 
-  const deleteCategory = (id) => {
-    if (!confirm("ลบหมวดหมู่? (รายการที่ใช้หมวดนี้จะไม่ถูกลบ)")) return;
-    setCategories((prev) => prev.filter((c) => c.id !== id));
+  const deletePreset = (id) => {
+    record(t("undo.deletePreset"));
+    setPresets((prev) => prev.filter((p) => p.id !== id));
   };
 
+  const isActivePreset = (p) =>
+    Object.keys(DEFAULT_FILTERS).every((k) => (p.filters[k] ?? DEFAULT_FILTERS[k]) === filters[k]);
+
   // CSV Export/Import
   const exportCSV = () => {
-    const headers = ["date", "amount", "category", "note", "method", "id"];
-    const rows = expenses.map((e) => headers.map((h) => e[h] ?? "").toString());
-    const csv = [headers.join(","), ...rows].join("\n");
+    const csv = expensesToCSV(expenses, accounts);
     const blob = new Blob(["\ufeff" + csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `expenses_${Date.now()}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(blob, `expenses_${Date.now()}.csv`);
   };
 
+  const exportReport = (report) => {
+    const csv = reportToCSV(report, base, t);
+    const blob = new Blob(["\ufeff" + csv], { type: "text/csv;charset=utf-8;" });
+    downloadFile(blob, `report_${report.key}.csv`);
+  };
+
+  // Parse only; rows are added after the user confirms the column mapping
   const importCSV = (file) => {
     if (!file) return;
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const text = e.target?.result || "";
-        const [headerLine, ...lines] = text.split(/\r?\n/).filter(Boolean);
-        const headers = headerLine.split(",");
-        const idx = (h) => headers.indexOf(h);
-        const data = lines.map((line) => {
-          const cols = line.split(",");
-          return {
-            id: cols[idx("id")] || uid(),
-            date: cols[idx("date")],
-            amount: parseFloat(cols[idx("amount")]) || 0,
-            category: cols[idx("category")] || "other",
-            note: cols[idx("note")] || "",
-            method: cols[idx("method")] || "",
-          };
-        });
-        setExpenses((prev) => [...data, ...prev]);
+        const rows = parseCSV(e.target?.result || "");
+        if (rows.length < 2) return alert(t("import.empty"));
+        setCsvImport({ fileName: file.name, rows });
       } catch {
-        alert("ไฟล์ไม่ถูกต้อง");
+        alert(t("import.invalidFile"));
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const confirmImport = (data, newAccounts) => {
+    record(t("undo.importCsv", { count: data.length }));
+    setExpenses((prev) => [...data, ...prev]);
+    if (newAccounts.length) setAccounts((prev) => [...prev, ...newAccounts]);
+    setCsvImport(null);
+  };
+
+  // OFX/QIF/JSON statements: parsed here, rows are added from the review dialog
+  const importStatement = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const text = e.target?.result || "";
+      const format = detectFormat(file.name, text);
+      if (!format) return alert(t("import.unknownFormat"));
+      try {
+        const statement = parseStatement(format, text);
+        if (!statement.transactions.length && !statement.rejected.length)
+          return alert(t("import.empty"));
+        setStatementImport({ fileName: file.name, format, statement });
+      } catch (err) {
+        alert(err instanceof StatementError ? i18n.message(err) : t("import.invalidFile"));
       }
     };
     reader.readAsText(file);
   };
 
+  const confirmStatement = (data, learned) => {
+    record(t("undo.importStatement", { count: data.length }));
+    setExpenses((prev) => [...data, ...prev]);
+    if (Object.keys(learned).length) setPayees((prev) => ({ ...prev, ...learned }));
+    setStatementImport(null);
+  };
+
+  // JSON backup of everything persisted; restore goes through BackupRestoreDialog.
+  // `attachments` here is metadata only; the files are read in when exporting.
+  const persisted = useMemo(
+    () => ({
+      expenses,
+      categories,
+      settings,
+      recurring,
+      rates,
+      trash,
+      payees,
+      presets,
+      accounts,
+      transfers,
+      rules,
+      people,
+      settlements,
+      attachments: allAttachments([...expenses, ...trash]),
+    }),
+    [
+      expenses,
+      categories,
+      settings,
+      recurring,
+      rates,
+      trash,
+      payees,
+      presets,
+      accounts,
+      transfers,
+      rules,
+      people,
+      settlements,
+    ]
+  );
+
+  const exportBackup = async () => {
+    try {
+      const attachments = await exportAttachments(persisted.attachments);
+      const json = JSON.stringify(makeBackup({ ...persisted, attachments }), null, 2);
+      downloadFile(
+        new Blob([json], { type: "application/json" }),
+        `expense-backup_${toDateInputValue(new Date())}.json`
+      );
+    } catch (err) {
+      reportStorageError(err);
+    }
+  };
+
+  const openBackup = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setRestore({ fileName: file.name, backup: JSON.parse(e.target?.result || "") });
+      } catch {
+        alert(t("backup.invalidJson"));
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // Files go in first so restored entries never point at missing receipts
+  const applyRestore = async (data) => {
+    try {
+      await importAttachments(data.attachments);
+    } catch (err) {
+      return reportStorageError(err);
+    }
+    record(t("undo.restoreBackup"));
+    setExpenses(data.expenses);
+    setCategories(withIncomeDefaults(data.categories.length ? data.categories : DEFAULT_CATEGORIES));
+    setSettings({ ...DEFAULT_SETTINGS, ...data.settings });
+    setRecurring(data.recurring);
+    setRates(data.rates);
+    setTrash(data.trash);
+    setPayees(data.payees);
+    setPresets(data.presets);
+    setAccounts(data.accounts.length ? data.accounts : DEFAULT_ACCOUNTS);
+    setTransfers(data.transfers);
+    setRules(data.rules);
+    setPeople(data.people);
+    setSettlements(data.settlements);
+    setEditingId(null);
+    setRestore(null);
+  };
+
   // ===== UI =====
+  // While the report is open, printing shows only the report
+  const printHidden = showReports ? "print:hidden" : "";
+  const viewedEntry = viewingAttachments && expenses.find((x) => x.id === viewingAttachments);
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-sky-50 via-white to-indigo-50 text-slate-800">
-      {/* Header */}
-      <header className="sticky top-0 z-10 backdrop-blur bg-gradient-to-r from-indigo-600 to-sky-500 text-white shadow">
-        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
-          <h1 className="text-2xl font-black tracking-tight flex items-center gap-2">
-            <span>💸</span> ระบบบันทึกค่าใช้จ่าย
-          </h1>
-          <div className="flex gap-2">
-            <button
-              onClick={exportCSV}
-              className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
-            >
-              ส่งออก CSV
-            </button>
-            <label className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-sm cursor-pointer transition-all hover:shadow active:scale-95">
-              นำเข้า CSV
-              <input
-                type="file"
-                accept=".csv"
-                className="hidden"
-                onChange={(e) => importCSV(e.target.files?.[0])}
-              />
-            </label>
-            <button
-              onClick={clearAll}
-              className="px-3 py-1.5 rounded-xl bg-rose-500/90 hover:bg-rose-500 text-white text-sm transition-all hover:shadow active:scale-95"
-            >
-              ลบทั้งหมด
-            </button>
-          </div>
-        </div>
-      </header>
-
-      <main className="max-w-6xl mx-auto p-4 grid lg:grid-cols-3 gap-4">
-        {/* Left: Form */}
-        <section className="lg:col-span-1">
-          <div className="bg-white/90 backdrop-blur rounded-2xl shadow p-4 border border-slate-100">
-            <h2 className="font-bold text-lg mb-2">
-              {editingId ? "แก้ไขรายการ" : "เพิ่มรายการใหม่"}
-            </h2>
-            <form onSubmit={editingId ? saveEdit : addExpense} className="space-y-3">
-              <div>
-                <label className="block text-sm mb-1">วันที่</label>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen bg-gradient-to-br from-sky-50 via-white to-indigo-50 text-slate-800">
+        {/* Header */}
+        <header
+          className={`sticky top-0 z-10 backdrop-blur bg-gradient-to-r from-indigo-600 to-sky-500 text-white shadow ${printHidden}`}
+        >
+          <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
+            <h1 className="text-2xl font-black tracking-tight flex items-center gap-2">
+              <span>💸</span> {t("app.title")}
+            </h1>
+            <div className="flex flex-wrap justify-end gap-2">
+              <button
+                onClick={history.undo}
+                disabled={!history.canUndo}
+                title={t("app.undoHint")}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95 disabled:opacity-40"
+              >
+                ↶
+              </button>
+              <button
+                onClick={history.redo}
+                disabled={!history.canRedo}
+                title={t("app.redoHint")}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95 disabled:opacity-40"
+              >
+                ↷
+              </button>
+              <select
+                value={i18n.language}
+                onChange={(e) => changeLanguage(e.target.value)}
+                aria-label={t("header.language")}
+                className="px-2 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow"
+              >
+                {Object.entries(LANGUAGES).map(([key, name]) => (
+                  <option key={key} value={key} className="text-slate-800">
+                    {name}
+                  </option>
+                ))}
+              </select>
+              <button onClick={toggleCalendar} title={t("header.calendarHint")} className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95">
+                {t(`calendar.${i18n.calendar}`)}
+              </button>
+              <button
+                onClick={() => setShowRates(true)}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                {t("header.currency", { currency: base })}
+              </button>
+              <button
+                onClick={() => setShowReports(true)}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                {t("header.reports")}
+              </button>
+              <button
+                onClick={() => setShowAccounts(true)}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                {t("header.accounts")}
+              </button>
+              <button
+                onClick={() => setShowRecurring(true)}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                {t("header.recurring")}
+              </button>
+              <button
+                onClick={() => setShowRules(true)}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                ⚡ {t("header.rules")}
+              </button>
+              <button
+                onClick={() => setShowHousehold(true)}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                👥 {t("header.household")}
+              </button>
+              <button
+                onClick={() => setShowSync(true)}
+                title={sync.error ? i18n.message(sync.error) : undefined}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                ☁️ {t("header.sync")}
+                {sync.phase === "error" ? " ⚠" : sync.pending > 0 && ` (${sync.pending})`}
+              </button>
+              <button
+                onClick={exportCSV}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                {t("header.exportCsv")}
+              </button>
+              <label className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-sm cursor-pointer transition-all hover:shadow active:scale-95">
+                {t("header.importCsv")}
                 <input
-                  type="date"
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
-                  value={form.date}
-                  onChange={(e) => setForm({ ...form, date: e.target.value })}
+                  type="file"
+                  accept=".csv"
+                  className="hidden"
+                  onChange={(e) => {
+                    importCSV(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
                 />
-              </div>
-
-              <div>
-                <label className="block text-sm mb-1">จำนวนเงิน (บาท)</label>
+              </label>
+              <label className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-sm cursor-pointer transition-all hover:shadow active:scale-95">
+                {t("header.importStatement")}
                 <input
-                  type="number"
-                  step="0.01"
-                  min="0"
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
-                  value={form.amount}
-                  onChange={(e) => setForm({ ...form, amount: e.target.value })}
-                  placeholder="เช่น 100"
+                  type="file"
+                  accept=".ofx,.qfx,.qif,.json"
+                  className="hidden"
+                  onChange={(e) => {
+                    importStatement(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
                 />
-                <div className="flex flex-wrap gap-2 mt-2">
-                  {[20, 35, 50, 100, 200].map((v) => (
+              </label>
+              <button
+                onClick={exportBackup}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                {t("header.backup")}
+              </button>
+              <label className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-sm cursor-pointer transition-all hover:shadow active:scale-95">
+                {t("header.restore")}
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  className="hidden"
+                  onChange={(e) => {
+                    openBackup(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+              <button
+                onClick={() => setShowTrash(true)}
+                className="px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                {t("header.trash")}
+                {trash.length > 0 && ` (${trash.length})`}
+              </button>
+              <button
+                onClick={clearAll}
+                className="px-3 py-1.5 rounded-xl bg-rose-500/90 hover:bg-rose-500 text-white text-sm transition-all hover:shadow active:scale-95"
+              >
+                {t("header.clearAll")}
+              </button>
+            </div>
+          </div>
+        </header>
+
+        {storageError && (
+          <div className={`max-w-6xl mx-auto px-4 pt-4 ${printHidden}`}>
+            <div className="rounded-2xl border border-rose-200 bg-rose-50 text-rose-700 text-sm p-3 flex items-start justify-between gap-3">
+              <span>
+                ⚠ {i18n.message(storageError.error)}
+                {storageError.unsaved && ` · ${t("app.unsaved")}`}
+              </span>
+              <button onClick={() => setStorageError(null)} className="underline shrink-0">
+                {t("common.close")}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!loaded && !storageError && (
+          <div className="max-w-6xl mx-auto px-4 pt-4 text-sm text-slate-500">{t("app.loading")}</div>
+        )}
+
+        <main className={`max-w-6xl mx-auto p-4 grid lg:grid-cols-3 gap-4 ${printHidden}`}>
+          {/* Left: Form */}
+          <section className="lg:col-span-1">
+            <div className="bg-white/90 backdrop-blur rounded-2xl shadow p-4 border border-slate-100">
+              <h2 className="font-bold text-lg mb-2">
+                {t(editingId ? "form.editTitle" : "form.addTitle")}
+              </h2>
+              <form onSubmit={editingId ? saveEdit : addExpense} className="space-y-3">
+                <div className="grid grid-cols-2 gap-1 p-1 rounded-xl bg-slate-100">
+                  {TYPES.map((key) => (
                     <button
-                      key={v}
+                      key={key}
                       type="button"
-                      onClick={() => setForm({ ...form, amount: String(v) })}
-                      className="px-2 py-1 rounded-lg bg-sky-50 hover:bg-sky-100 text-sky-700 text-xs transition-all"
+                      onClick={() => switchType(key)}
+                      className={`py-1.5 rounded-lg text-sm transition-all ${
+                        form.type === key
+                          ? key === "income"
+                            ? "bg-emerald-600 text-white shadow"
+                            : "bg-white text-slate-800 shadow"
+                          : "text-slate-500 hover:text-slate-700"
+                      }`}
                     >
-                      + {v}
+                      {t(`type.${key}`)}
                     </button>
                   ))}
                 </div>
-              </div>
 
-              <div>
-                <label className="block text-sm mb-1">หมวดหมู่</label>
-                <select
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
-                  value={form.category}
-                  onChange={(e) => setForm({ ...form, category: e.target.value })}
-                >
-                  {categories.map((c) => (
-                    <option key={c.id} value={c.id}>
-                      {c.name}
-                    </option>
-                  ))}
-                </select>
-                <div className="flex gap-2 mt-2">
-                  <button
-                    type="button"
-                    onClick={addCategory}
-                    className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
-                  >
-                    เพิ่มหมวด
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => renameCategory(form.category)}
-                    className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+                <div>
+                  <label className="block text-sm mb-1">{t("field.date")}</label>
+                  <input
+                    type="date"
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
+                    value={form.date}
+                    onChange={(e) => setForm({ ...form, date: e.target.value })}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm mb-1">{t("field.amount")}</label>
+                  <div className="flex gap-2">
+                    <input
+                      ref={amountInput}
+                      type="number"
+                      inputMode="decimal"
+                      step="0.01"
+                      min="0"
+                      className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
+                      value={form.amount}
+                      onChange={(e) => setForm(withRules({ ...form, amount: e.target.value }))}
+                      placeholder={t("form.amountPlaceholder")}
+                    />
+                    <select
+                      className="rounded-xl border border-slate-300 px-2 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
+                      value={form.currency}
+                      onChange={(e) => setForm({ ...form, currency: e.target.value })}
+                    >
+                      {CURRENCIES.map((c) => (
+                        <option key={c}>{c}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {[20, 35, 50, 100, 200].map((v) => (
+                      <button
+                        key={v}
+                        type="button"
+                        onClick={() => setForm(withRules({ ...form, amount: String(v) }))}
+                        className="px-2 py-1 rounded-lg bg-sky-50 hover:bg-sky-100 text-sky-700 text-xs transition-all"
+                      >
+                        + {v}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm">{t("field.category")}</label>
+                    <button
+                      type="button"
+                      onClick={() => (isSplit(form) ? setForm({ ...form, items: [] }) : startSplit())}
+                      className="text-xs text-sky-700 hover:underline"
+                    >
+                      {t(isSplit(form) ? "form.singleCategory" : "form.split")}
+                    </button>
+                  </div>
+                  {isSplit(form) ? (
+                    <SplitEditor
+                      items={form.items}
+                      categories={formCategories}
+                      total={form.amount}
+                      currency={form.currency}
+                      onChange={(items) => setForm({ ...form, items })}
+                    />
+                  ) : (
+                    <select
+                      className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
+                      value={form.category}
+                      onChange={(e) => {
+                        pickByHand("category");
+                        setForm({ ...form, category: e.target.value });
+                      }}
+                    >
+                      {categoryOptions(formCategories).map((c) => (
+                        <option key={c.id} value={c.id}>
+                          {c.label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <div className="flex gap-2 mt-2">
+                    <button
+                      type="button"
+                      onClick={() => setShowCategories(true)}
+                      className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+                    >
+                      {t("form.manageCategories")}
+                    </button>
+                  </div>
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm">{t("field.account")}</label>
+                    <button
+                      type="button"
+                      onClick={() => setShowAccounts(true)}
+                      className="text-xs text-sky-700 hover:underline"
+                    >
+                      {t("form.manageAccounts")}
+                    </button>
+                  </div>
+                  <select
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
+                    value={form.accountId}
+                    onChange={(e) => {
+                      const account = accounts.find((a) => a.id === e.target.value);
+                      pickByHand("accountId");
+                      setForm({ ...form, accountId: e.target.value, ...(account && { currency: account.currency }) });
+                    }}
                   >
-                    แก้ชื่อหมวด
-                  </button>
+                    <option value="">{t("common.none")}</option>
+                    {accounts.map((a) => (
+                      <option key={a.id} value={a.id}>
+                        {a.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {people.length > 0 && (
+                  <div className="space-y-2">
+                    <label className="block text-sm">
+                      {t(form.type === "income" ? "field.receivedBy" : "field.paidBy")}
+                    </label>
+                    <select
+                      className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
+                      value={form.paidBy}
+                      onChange={(e) =>
+                        setForm({
+                          ...form,
+                          paidBy: e.target.value,
+                          shares: e.target.value ? form.shares || everyone(people) : null,
+                        })
+                      }
+                    >
+                      <option value="">{t("household.notShared")}</option>
+                      {people.map((p) => (
+                        <option key={p.id} value={p.id}>
+                          {p.name}
+                        </option>
+                      ))}
+                    </select>
+                    {form.paidBy && form.shares && (
+                      <ShareEditor
+                        shares={form.shares}
+                        people={people}
+                        total={form.amount}
+                        currency={form.currency}
+                        onChange={(shares) => setForm({ ...form, shares })}
+                      />
+                    )}
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm mb-1">{t("form.note")}</label>
+                  <input
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white placeholder:text-slate-400 focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
+                    value={form.note}
+                    onChange={(e) => setForm(withRules({ ...form, note: e.target.value }))}
+                    placeholder={t("form.notePlaceholder")}
+                  />
+                  {formRules.length > 0 && (
+                    <div className="text-xs text-violet-700 mt-1">
+                      ⚡ {t("rules.formHint", { names: formRules.map((r) => r.name).join(", ") })}
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm mb-1">{t("field.tags")}</label>
+                  <TagInput
+                    tags={form.tags}
+                    suggestions={tagList}
+                    onChange={(tags) => setForm((prev) => ({ ...prev, tags }))}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm mb-1">{t("attachments.title")}</label>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {form.attachments.map((a) => (
+                      <span key={a.id} className="inline-flex items-center gap-1 text-xs">
+                        <AttachmentThumb attachment={a} />
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setForm((prev) => ({ ...prev, attachments: prev.attachments.filter((x) => x.id !== a.id) }))
+                          }
+                          className="text-slate-400 hover:text-rose-600"
+                          aria-label={t("attachments.removeNamed", { name: a.name })}
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                    <AttachmentPicker
+                      onAdd={(added) => setForm((prev) => ({ ...prev, attachments: [...prev.attachments, ...added] }))}
+                      onError={reportStorageError}
+                    />
+                  </div>
+                </div>
+
+                {editingId && form.recurringId && (
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={applyToSeries}
+                      onChange={(e) => setApplyToSeries(e.target.checked)}
+                    />
+                    {t("form.applyToSeries")}
+                  </label>
+                )}
+
+                <div className="flex gap-2">
                   <button
-                    type="button"
-                    onClick={() => deleteCategory(form.category)}
-                    className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+                    type="submit"
+                    className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
                   >
-                    ลบหมวด
+                    {t(editingId ? "form.saveEdit" : "form.add")}
                   </button>
+                  {editingId && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setEditingId(null);
+                        resetForm();
+                      }}
+                      className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+                    >
+                      {t("common.cancel")}
+                    </button>
+                  )}
                 </div>
-              </div>
+              </form>
+            </div>
+          </section>
 
-              <div>
-                <label className="block text-sm mb-1">วิธีจ่าย</label>
-                <input
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
-                  value={form.method}
-                  onChange={(e) => setForm({ ...form, method: e.target.value })}
-                  placeholder="เช่น เงินสด, PromptPay, บัตรเครดิต"
-                />
+          {/* Right: Dashboard + List */}
+          <section className="lg:col-span-2 space-y-4">
+            {/* Filters */}
+            <div className="bg-white/90 backdrop-blur rounded-2xl shadow p-4 border border-slate-100">
+              <h2 className="font-bold mb-3">🔎 {t("filters.title")}</h2>
+              <div className="grid md:grid-cols-4 gap-3">
+                <div>
+                  <label className="block text-xs mb-1">{t("filters.from")}</label>
+                  <input
+                    type="date"
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                    value={filters.from}
+                    onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs mb-1">{t("filters.to")}</label>
+                  <input
+                    type="date"
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                    value={filters.to}
+                    onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs mb-1">{t("field.type")}</label>
+                  <select
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                    value={filters.type}
+                    onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+                  >
+                    <option value="all">{t("common.all")}</option>
+                    {TYPES.map((key) => (
+                      <option key={key} value={key}>
+                        {t(`type.${key}`)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs mb-1">{t("field.category")}</label>
+                  <select
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                    value={filters.category}
+                    onChange={(e) => setFilters({ ...filters, category: e.target.value })}
+                  >
+                    <option value="all">{t("common.all")}</option>
+                    {TYPES.map((key) => (
+                      <optgroup key={key} label={t(`type.${key}`)}>
+                        {categoryOptions(categoriesOfType(categories, key)).map((c) => (
+                          <option key={c.id} value={c.id}>
+                            {c.label}
+                          </option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs mb-1">{t("field.tags")}</label>
+                  <select
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                    value={filters.tag}
+                    onChange={(e) => setFilters({ ...filters, tag: e.target.value })}
+                  >
+                    <option value="all">{t("common.all")}</option>
+                    {tagList.map((tag) => (
+                      <option key={tag} value={tag}>
+                        #{tag}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs mb-1">{t("field.account")}</label>
+                  <select
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                    value={filters.account}
+                    onChange={(e) => setFilters({ ...filters, account: e.target.value })}
+                  >
+                    <option value="all">{t("common.all")}</option>
+                    {accounts.map((a) => (
+                      <option key={a.id} value={a.id}>
+                        {a.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {people.length > 0 && (
+                  <div>
+                    <label className="block text-xs mb-1">{t("filters.person")}</label>
+                    <select
+                      className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                      value={filters.person}
+                      onChange={(e) => setFilters({ ...filters, person: e.target.value })}
+                    >
+                      <option value="all">{t("common.all")}</option>
+                      {people.map((p) => (
+                        <option key={p.id} value={p.id}>
+                          {p.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-xs mb-1">{t("filters.sort")}</label>
+                  <select
+                    className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                    value={filters.sortBy}
+                    onChange={(e) => setFilters({ ...filters, sortBy: e.target.value })}
+                  >
+                    {SORTS.map((key) => (
+                      <option key={key} value={key}>
+                        {t(`sort.${key}`)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
               </div>
 
-              <div>
-                <label className="block text-sm mb-1">บันทึก/หมายเหตุ</label>
+              <div className="mt-3">
+                <label className="block text-xs mb-1">{t("filters.search")}</label>
                 <input
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2 bg-white placeholder:text-slate-400 focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all"
-                  value={form.note}
-                  onChange={(e) => setForm({ ...form, note: e.target.value })}
-                  placeholder="รายละเอียดเพิ่มเติม"
+                  className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                  placeholder={t("filters.searchPlaceholder")}
+                  value={filters.query}
+                  onChange={(e) => setFilters({ ...filters, query: e.target.value })}
                 />
+                {query.errors.length > 0 && (
+                  <div className="text-xs text-rose-600 mt-1">{query.errors.map(i18n.message).join(" · ")}</div>
+                )}
+                <details className="text-xs text-slate-500 mt-1">
+                  <summary className="cursor-pointer">{t("filters.help")}</summary>
+                  <ul className="mt-1 space-y-0.5">
+                    {SEARCH_HELP.map((key) => (
+                      <li key={key}>{t(`filters.help.${key}`)}</li>
+                    ))}
+                  </ul>
+                </details>
               </div>
 
-              <div className="flex gap-2">
+              <div className="flex flex-wrap items-center gap-2 mt-3">
+                {presets.map((p) => (
+                  <span
+                    key={p.id}
+                    className={`inline-flex items-center rounded-full text-xs border ${
+                      isActivePreset(p)
+                        ? "bg-sky-600 border-sky-600 text-white"
+                        : "bg-white border-slate-300 hover:bg-slate-100"
+                    }`}
+                  >
+                    <button
+                      onClick={() => setFilters({ ...DEFAULT_FILTERS, ...p.filters })}
+                      className="pl-3 pr-1 py-1"
+                    >
+                      {p.name}
+                    </button>
+                    <button
+                      onClick={() => deletePreset(p.id)}
+                      className="pr-2 py-1 opacity-60 hover:opacity-100"
+                      aria-label={t("filters.deletePreset")}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
                 <button
-                  type="submit"
-                  className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+                  onClick={savePreset}
+                  className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
                 >
-                  {editingId ? "บันทึกการแก้ไข" : "เพิ่มรายการ"}
+                  + {t("filters.savePreset")}
                 </button>
-                {editingId && (
+                {filtersToSearch(filters, DEFAULT_FILTERS) && (
                   <button
-                    type="button"
-                    onClick={() => {
-                      setEditingId(null);
-                      resetForm();
-                    }}
-                    className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+                    onClick={() => setFilters(DEFAULT_FILTERS)}
+                    className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
                   >
-                    ยกเลิก
+                    {t("filters.clear")}
                   </button>
                 )}
               </div>
-            </form>
-          </div>
-        </section>
-
-        {/* Right: Dashboard + List */}
-        <section className="lg:col-span-2 space-y-4">
-          {/* Filters */}
-          <div className="bg-white/90 backdrop-blur rounded-2xl shadow p-4 border border-slate-100">
-            <h2 className="font-bold mb-3">🔎 ตัวกรอง</h2>
-            <div className="grid md:grid-cols-5 gap-3">
-              <div>
-                <label className="block text-xs mb-1">ตั้งแต่วันที่</label>
-                <input
-                  type="date"
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2"
-                  value={filters.from}
-                  onChange={(e) => setFilters({ ...filters, from: e.target.value })}
-                />
-              </div>
-              <div>
-                <label className="block text-xs mb-1">ถึงวันที่</label>
-                <input
-                  type="date"
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2"
-                  value={filters.to}
-                  onChange={(e) => setFilters({ ...filters, to: e.target.value })}
-                />
-              </div>
-              <div>
-                <label className="block text-xs mb-1">หมวดหมู่</label>
-                <select
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2"
-                  value={filters.category}
-                  onChange={(e) => setFilters({ ...filters, category: e.target.value })}
-                >
-                  <option value="all">ทั้งหมด</option>
-                  {categories.map((c) => (
-                    <option key={c.id} value={c.id}>
-                      {c.name}
-                    </option>
-                  ))}
-                </select>
+            </div>
+
+            {/* Cash flow for the filtered period */}
+            <div className="grid sm:grid-cols-3 gap-4">
+              <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+                <div className="text-sm text-slate-500">{t("type.income")}</div>
+                <div className="text-xl font-bold text-emerald-600">{money(totals.income)}</div>
               </div>
-              <div>
-                <label className="block text-xs mb-1">ค้นหา (วิธีจ่าย)</label>
-                <input
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2"
-                  placeholder="เช่น เงินสด"
-                  value={filters.query}
-                  onChange={(e) => setFilters({ ...filters, query: e.target.value })}
-                />
+              <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+                <div className="text-sm text-slate-500">{t("type.expense")}</div>
+                <div className="text-xl font-bold text-rose-600">{money(totals.expense)}</div>
               </div>
-              <div>
-                <label className="block text-xs mb-1">จัดเรียง</label>
-                <select
-                  className="w-full rounded-xl border border-slate-300 px-3 py-2"
-                  value={filters.sortBy}
-                  onChange={(e) => setFilters({ ...filters, sortBy: e.target.value })}
+              <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+                <div className="text-sm text-slate-500">{t("totals.net")}</div>
+                <div
+                  className={`text-xl font-bold ${totals.net < 0 ? "text-rose-600" : "text-slate-800"}`}
                 >
-                  <option value="dateDesc">วันที่ ใหม่→เก่า</option>
-                  <option value="dateAsc">วันที่ เก่า→ใหม่</option>
-                  <option value="amountDesc">จำนวนเงิน มาก→น้อย</option>
-                  <option value="amountAsc">จำนวนเงิน น้อย→มาก</option>
-                </select>
+                  {money(totals.net)}
+                </div>
               </div>
             </div>
-          </div>
 
-          {/* Charts by category */}
-          <div className="grid md:grid-cols-2 gap-4">
-            <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
-              <div className="font-semibold mb-2">แจกแจงตามหมวดหมู่</div>
-              <div className="h-56">
-                <ResponsiveContainer width="100%" height="100%">
-                  <PieChart>
-                    <Pie data={byCategory} dataKey="value" nameKey="name" outerRadius={90} label>
-                      {byCategory.map((entry, i) => (
-                        <Cell key={i} fill={entry.color} />
-                      ))}
-                    </Pie>
-                    <Tooltip formatter={(v) => formatTHB(v)} />
-                    <Legend />
-                  </PieChart>
-                </ResponsiveContainer>
+            {missingRates.length > 0 && (
+              <div className="rounded-2xl border border-amber-200 bg-amber-50 text-amber-800 text-sm p-3">
+                ⚠{" "}
+                {t("rates.missing", {
+                  count: missingRates.length,
+                  base,
+                  currencies: [...new Set(missingRates.map((e) => e.currency))].join(", "),
+                })}{" "}
+                ·{" "}
+                <button onClick={() => setShowRates(true)} className="underline">
+                  {t("rates.add")}
+                </button>
               </div>
-            </div>
+            )}
 
-            <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
-              <div className="font-semibold mb-2">ยอดต่อหมวด (แท่ง)</div>
-              <div className="h-56">
-                <ResponsiveContainer width="100%" height="100%">
-                  <BarChart data={byCategory}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" interval={0} angle={-10} textAnchor="end" height={50} />
-                    <YAxis />
-                    <Tooltip formatter={(v) => formatTHB(v)} />
-                    <Bar dataKey="value">
-                      {byCategory.map((entry, i) => (
-                        <Cell key={i} fill={entry.color} />
-                      ))}
-                    </Bar>
-                  </BarChart>
-                </ResponsiveContainer>
+            <AccountsPanel
+              accounts={accounts}
+              balances={balances}
+              statements={cardStatements}
+              activeAccount={filters.account}
+              onSelect={(account) => setFilters((prev) => ({ ...prev, account }))}
+              onManage={() => setShowAccounts(true)}
+            />
+
+            <BudgetPanel
+              month={budgetMonth}
+              summary={budgets}
+              categories={expenseCategories}
+              currency={base}
+              overallBudget={settings.overallBudget}
+              onSave={saveBudgets}
+            />
+
+            <ForecastPanel
+              month={budgetMonth}
+              forecast={forecast}
+              currency={base}
+              overallBudget={settings.overallBudget}
+            />
+
+            {unusualList.length > 0 && (
+              <UnusualPanel
+                entries={unusualList}
+                categories={categories}
+                currency={base}
+                onEdit={(entry) => startEdit(entry.id)}
+                onDismiss={dismissUnusual}
+              />
+            )}
+
+            {/* Charts by category */}
+            <div className="grid md:grid-cols-2 gap-4">
+              <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-semibold">{t(`charts.breakdown.${chartType}`)}</div>
+                  <label className="flex items-center gap-1 text-xs text-slate-500">
+                    <input
+                      type="checkbox"
+                      checked={rollupCharts}
+                      onChange={(e) => setRollupCharts(e.target.checked)}
+                    />
+                    {t("charts.rollup")}
+                  </label>
+                </div>
+                <div className="h-56">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <PieChart>
+                      <Pie data={byCategory} dataKey="value" nameKey="name" outerRadius={90} label>
+                        {byCategory.map((entry, i) => (
+                          <Cell key={i} fill={entry.color} />
+                        ))}
+                      </Pie>
+                      <Tooltip formatter={(v) => money(v)} />
+                      <Legend />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </div>
               </div>
-            </div>
-          </div>
 
-          {/* List */}
-          <div className="bg-white rounded-2xl shadow p-4 border border-slate-100">
-            <div className="flex items-center justify-between mb-2">
-              <h2 className="font-bold">รายการล่าสุด</h2>
-              <span className="text-sm text-slate-500">{filtered.length} รายการ</span>
+              <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+                <div className="font-semibold mb-2">{t(`charts.bars.${chartType}`)}</div>
+                <div className="h-56">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={byCategory}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" interval={0} angle={-10} textAnchor="end" height={50} />
+                      <YAxis tickFormatter={i18n.compact} />
+                      <Tooltip formatter={(v) => money(v)} />
+                      <Bar dataKey="value" name={t("field.amount")}>
+                        {byCategory.map((entry, i) => (
+                          <Cell key={i} fill={entry.color} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
             </div>
-            <div className="overflow-x-auto">
-              <table className="min-w-full text-sm divide-y divide-slate-200">
-                <thead className="sticky top-0 bg-white/95 backdrop-blur text-left text-slate-600">
-                  <tr>
-                    <th className="py-2">วันที่</th>
-                    <th className="py-2">หมวด</th>
-                    <th className="py-2">วิธีจ่าย</th>
-                    <th className="py-2 text-right">จำนวนเงิน</th>
-                    <th className="py-2">หมายเหตุ</th>
-                    <th className="py-2 text-right">จัดการ</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {filtered.length === 0 && (
+
+            <TagTotals
+              totals={tagBreakdown}
+              activeTag={filters.tag}
+              money={money}
+              onSelectTag={(tag) => setFilters((prev) => ({ ...prev, tag }))}
+            />
+
+            <TrendPanel
+              entries={chartLines}
+              monthEntries={ledgerLines}
+              month={budgetMonth}
+              categories={categories}
+              overallBudget={settings.overallBudget}
+              money={money}
+              onSelectRange={(from, to) => setFilters((prev) => ({ ...prev, from, to }))}
+            />
+
+            {/* List */}
+            <div className="bg-white rounded-2xl shadow p-4 border border-slate-100">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="font-bold">{t("list.title")}</h2>
+                <span className="text-sm text-slate-500">{t("list.count", { count: filtered.length })}</span>
+              </div>
+              <div className={`text-xs text-slate-500 mb-2 ${printHidden}`}>{t("list.inlineHint")}</div>
+              {selectedRows.length > 0 && (
+                <BulkActions
+                  count={selectedRows.length}
+                  categories={categories}
+                  accounts={accounts}
+                  onRecategorise={bulkRecategorise}
+                  onSetAccount={bulkSetAccount}
+                  onSetDate={bulkSetDate}
+                  onExport={bulkExport}
+                  onDelete={bulkDelete}
+                  onClear={() => setSelected(new Set())}
+                />
+              )}
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm divide-y divide-slate-200">
+                  <thead className="sticky top-0 bg-white/95 backdrop-blur text-left text-slate-600">
                     <tr>
-                      <td colSpan={6} className="py-8 text-center text-slate-500">
-                        ยังไม่มีรายการที่ตรงกับตัวกรอง ✨ ลองเพิ่มรายการใหม่หรือปรับตัวกรองดูนะ
-                      </td>
+                      <th className={`py-2 w-8 ${printHidden}`}>
+                        <input
+                          type="checkbox"
+                          checked={allSelected}
+                          ref={(el) => el && (el.indeterminate = selectedRows.length > 0 && !allSelected)}
+                          onChange={toggleAllSelected}
+                          title={t("bulk.selectAll", { count: filtered.length })}
+                          aria-label={t("bulk.selectAll", { count: filtered.length })}
+                        />
+                      </th>
+                      <th className="py-2">{t("field.date")}</th>
+                      <th className="py-2">{t("list.category")}</th>
+                      <th className="py-2">{t("field.account")}</th>
+                      <th className="py-2 text-right">{t("field.amount")}</th>
+                      <th className="py-2">{t("field.note")}</th>
+                      <th className="py-2 text-right">{t("list.actions")}</th>
                     </tr>
-                  )}
-                  {filtered.map((e) => {
-                    const cat = categories.find((c) => c.id === e.category);
-                    return (
-                      <tr key={e.id} className="border-t hover:bg-sky-50/50 transition-colors">
-                        <td className="py-2 font-medium text-slate-700">
-                          {new Date(e.date).toLocaleDateString("th-TH")}
+                  </thead>
+                  <tbody>
+                    {filtered.length === 0 && (
+                      <tr>
+                        <td colSpan={7} className="py-8 text-center text-slate-500">
+                          {t("list.empty")}
                         </td>
-                        <td className="py-2">
-                          <span className="inline-flex items-center gap-2">
-                            <span
-                              className="inline-block w-2.5 h-2.5 rounded-full ring-2 ring-white shadow"
-                              style={{ background: cat?.color || "#94a3b8" }}
+                      </tr>
+                    )}
+                    {pageRows.map((e) => {
+                      const parts = isSplit(e)
+                        ? e.items
+                        : [{ category: e.category, amount: e.amount }];
+                      return (
+                        <tr
+                          key={e.id}
+                          className={`border-t transition-colors ${
+                            selected.has(e.id) ? "bg-sky-50" : "hover:bg-sky-50/50"
+                          }`}
+                        >
+                          <td className={`py-2 ${printHidden}`}>
+                            <input
+                              type="checkbox"
+                              checked={selected.has(e.id)}
+                              onChange={(ev) => toggleSelected(e.id, ev.nativeEvent.shiftKey)}
+                              aria-label={t("bulk.selectRow")}
                             />
-                            <span className="px-2 py-0.5 rounded-full text-xs bg-slate-100">
-                              {cat?.name || e.category}
-                            </span>
-                          </span>
-                        </td>
-                        <td className="py-2">{e.method}</td>
-                        <td className="py-2 text-right font-medium">{formatTHB(e.amount)}</td>
-                        <td className="py-2">{e.note}</td>
-                        <td className="py-2 text-right">
-                          <button
-                            onClick={() => startEdit(e.id)}
-                            className="px-2 py-1 rounded-lg bg-sky-100 hover:bg-sky-200 mr-2"
+                          </td>
+                          <EditableCell {...cellProps(e, "date")} className="py-2 font-medium text-slate-700">
+                            {i18n.date(e.date)}
+                          </EditableCell>
+                          <EditableCell {...cellProps(e, "category")} className="py-2">
+                            <div className="flex flex-col gap-1">
+                              {parts.map((part, i) => {
+                                const cat = categoryById.get(part.category);
+                                const parent = cat?.parent && categoryById.get(cat.parent);
+                                return (
+                                  <span key={i} className="inline-flex items-center gap-2">
+                                    <span
+                                      className="inline-block w-2.5 h-2.5 rounded-full ring-2 ring-white shadow"
+                                      style={{ background: cat?.color || "#94a3b8" }}
+                                    />
+                                    <span className="px-2 py-0.5 rounded-full text-xs bg-slate-100">
+                                      {cat?.icon && `${cat.icon} `}
+                                      {parent && `${parent.name} › `}
+                                      {cat ? cat.name : part.category}
+                                    </span>
+                                    {parts.length > 1 && (
+                                      <span className="text-xs text-slate-500">{money(part.amount)}</span>
+                                    )}
+                                  </span>
+                                );
+                              })}
+                            </div>
+                          </EditableCell>
+                          <EditableCell {...cellProps(e, "accountId")} className="py-2">
+                            {accountById.get(e.accountId)?.name || "—"}
+                          </EditableCell>
+                          <EditableCell
+                            {...cellProps(e, "amount")}
+                            className={`py-2 text-right font-medium ${
+                              entryType(e) === "income" ? "text-emerald-600" : ""
+                            }`}
                           >
-                            แก้ไข
-                          </button>
-                          <button
-                            onClick={() => removeExpense(e.id)}
-                            className="px-2 py-1 rounded-lg bg-rose-100 hover:bg-rose-200"
-                          >
-                            ลบ
-                          </button>
-                        </td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
+                            {e.rateMissing ? (
+                              <span className="text-amber-600" title={t("rates.noRate")}>
+                                ⚠
+                              </span>
+                            ) : (
+                              <>
+                                {entryType(e) === "income" ? "+" : ""}
+                                {money(e.amount)}
+                              </>
+                            )}
+                            {unusual.has(e.id) && (
+                              <button
+                                onClick={() => dismissUnusual([e.id])}
+                                title={t("unusual.badge", { amount: money(unusual.get(e.id).typical) })}
+                                className="ml-1 px-1.5 rounded-full text-xs bg-amber-100 text-amber-700 hover:bg-amber-200"
+                              >
+                                ⚠
+                              </button>
+                            )}
+                            {e.currency !== base && (
+                              <div className="text-xs font-normal text-slate-500">
+                                {i18n.money(e.originalAmount, e.currency)}
+                              </div>
+                            )}
+                            {runningBalance?.has(e.id) && (
+                              <div className="text-xs font-normal text-slate-500" title={t("list.balanceHint")}>
+                                {t("list.balance", {
+                                  amount: i18n.money(runningBalance.get(e.id), filteredAccount.currency),
+                                })}
+                              </div>
+                            )}
+                            {view.person !== "all" && !e.rateMissing && (
+                              <div className="text-xs font-normal text-violet-700">
+                                {t("household.yourShare", {
+                                  name: personById.get(view.person)?.name || "?",
+                                  amount: money(e.amount * (shareFractions(e).get(view.person) || 0)),
+                                })}
+                              </div>
+                            )}
+                          </EditableCell>
+                          <EditableCell {...cellProps(e, "note")} className="py-2">
+                            {e.recurringId && (
+                              <span title={t("header.recurring")} className="mr-1">
+                                🔁
+                              </span>
+                            )}
+                            {e.note}
+                            {e.paidBy && (
+                              <span
+                                className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-slate-100 text-slate-700"
+                                title={t(entryType(e) === "income" ? "field.receivedBy" : "field.paidBy")}
+                              >
+                                <span
+                                  className="inline-block w-2 h-2 rounded-full"
+                                  style={{ background: personById.get(e.paidBy)?.color || "#94a3b8" }}
+                                />
+                                {personById.get(e.paidBy)?.name || "?"}
+                                {e.shares?.parts.length > 1 && ` · 👥${e.shares.parts.length}`}
+                              </span>
+                            )}
+                            {entryAttachments(e).length > 0 && (
+                              <button
+                                onClick={() => setViewingAttachments(e.id)}
+                                title={t("attachments.view", { count: entryAttachments(e).length })}
+                                className="ml-2 inline-flex items-center gap-1 align-middle text-xs text-slate-500"
+                              >
+                                <AttachmentThumb attachment={entryAttachments(e)[0]} className="w-7 h-7" />
+                                {entryAttachments(e).length > 1 && `+${entryAttachments(e).length - 1}`}
+                              </button>
+                            )}
+                            {entryTags(e).length > 0 && (
+                              <div className="flex flex-wrap gap-1 mt-1">
+                                {entryTags(e).map((tag) => (
+                                  <button
+                                    key={tag}
+                                    onClick={() => setFilters((prev) => ({ ...prev, tag }))}
+                                    className="px-2 py-0.5 rounded-full text-xs bg-sky-100 text-sky-800 hover:bg-sky-200"
+                                  >
+                                    #{tag}
+                                  </button>
+                                ))}
+                              </div>
+                            )}
+                          </EditableCell>
+                          <td className="py-2 text-right">
+                            <button
+                              onClick={() => startEdit(e.id)}
+                              className="px-2 py-1 rounded-lg bg-sky-100 hover:bg-sky-200 mr-2"
+                            >
+                              {t("common.edit")}
+                            </button>
+                            <button
+                              onClick={() => removeExpense(e.id)}
+                              className="px-2 py-1 rounded-lg bg-rose-100 hover:bg-rose-200"
+                            >
+                              {t("common.delete")}
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {pages > 1 && (
+                <div className="flex flex-wrap items-center justify-between gap-2 mt-3 text-sm">
+                  <span className="text-slate-500">
+                    {t("list.showing", {
+                      from: i18n.number(currentPage * PAGE_SIZE + 1),
+                      to: i18n.number(currentPage * PAGE_SIZE + pageRows.length),
+                      total: i18n.number(filtered.length),
+                    })}
+                  </span>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setPage(currentPage - 1)}
+                      disabled={currentPage === 0}
+                      className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95 disabled:opacity-50"
+                      aria-label={t("list.previousPage")}
+                    >
+                      ‹
+                    </button>
+                    <span>{t("list.page", { page: currentPage + 1, pages })}</span>
+                    <button
+                      onClick={() => setPage(currentPage + 1)}
+                      disabled={currentPage === pages - 1}
+                      className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95 disabled:opacity-50"
+                      aria-label={t("list.nextPage")}
+                    >
+                      ›
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
-          </div>
-        </section>
-      </main>
+          </section>
+        </main>
+
+        {csvImport && (
+          <CsvImportDialog
+            fileName={csvImport.fileName}
+            rows={csvImport.rows}
+            existingIds={existingIds}
+            categories={categories}
+            accounts={accounts}
+            rules={rules}
+            onCancel={() => setCsvImport(null)}
+            onConfirm={confirmImport}
+          />
+        )}
+
+        {statementImport && (
+          <StatementImportDialog
+            fileName={statementImport.fileName}
+            format={statementImport.format}
+            statement={statementImport.statement}
+            expenses={expenses}
+            categories={categories}
+            accounts={accounts}
+            payees={payees}
+            rules={rules}
+            baseCurrency={base}
+            onCancel={() => setStatementImport(null)}
+            onConfirm={confirmStatement}
+          />
+        )}
+
+        {viewedEntry && (
+          <AttachmentViewer
+            key={viewedEntry.id}
+            entry={viewedEntry}
+            onChange={(list) => saveAttachments(viewedEntry.id, list)}
+            onError={reportStorageError}
+            onClose={() => setViewingAttachments(null)}
+          />
+        )}
+
+        {restore && (
+          <BackupRestoreDialog
+            fileName={restore.fileName}
+            backup={restore.backup}
+            current={persisted}
+            onCancel={() => setRestore(null)}
+            onRestore={applyRestore}
+          />
+        )}
+
+        {showRecurring && (
+          <RecurringManager
+            templates={recurring}
+            categories={categories}
+            accounts={accounts}
+            baseCurrency={base}
+            onClose={() => setShowRecurring(false)}
+            onSave={saveTemplate}
+            onTogglePause={toggleTemplatePause}
+            onEnd={endTemplate}
+            onDelete={deleteTemplate}
+          />
+        )}
+
+        {showRules && (
+          <RulesManager
+            rules={rules}
+            entries={expenses}
+            categories={categories}
+            accounts={accounts}
+            onClose={() => setShowRules(false)}
+            onSave={saveRule}
+            onMove={moveRule}
+            onToggle={toggleRule}
+            onDelete={deleteRule}
+            onApply={applyRuleChanges}
+          />
+        )}
+
+        {showHousehold && (
+          <HouseholdDialog
+            people={people}
+            balances={householdRows}
+            settlements={settlements}
+            usage={peopleUsage}
+            baseCurrency={base}
+            onClose={() => setShowHousehold(false)}
+            onAddPerson={addPerson}
+            onRenamePerson={renamePerson}
+            onDeletePerson={deletePerson}
+            onSettle={settle}
+            onDeleteSettlement={deleteSettlement}
+            onShowShare={showShare}
+          />
+        )}
+
+        {showReports && (
+          <ReportsDialog
+            entries={ledger}
+            lines={ledgerLines}
+            categories={categories}
+            money={money}
+            onExportCSV={exportReport}
+            onClose={() => setShowReports(false)}
+          />
+        )}
+
+        {showCategories && (
+          <CategoryManager
+            categories={categories}
+            initialType={form.type}
+            usage={usageOfCategory}
+            onSave={saveCategory}
+            onDelete={deleteCategory}
+            onReorder={reorderCategories}
+            onClose={() => setShowCategories(false)}
+          />
+        )}
+
+        {showAccounts && (
+          <AccountsManager
+            accounts={accounts}
+            transfers={transfers}
+            balances={balances}
+            usage={accountUsage}
+            baseCurrency={base}
+            onSaveAccount={saveAccount}
+            onDeleteAccount={deleteAccount}
+            onAddTransfer={addTransfer}
+            onDeleteTransfer={deleteTransfer}
+            onClose={() => setShowAccounts(false)}
+          />
+        )}
+
+        {showSync && <SyncDialog sync={sync} onClose={() => setShowSync(false)} />}
+
+        {showRates && (
+          <RatesManager
+            rates={rates}
+            baseCurrency={base}
+            onChangeBase={changeBaseCurrency}
+            onAdd={addRate}
+            onDelete={deleteRate}
+            onClose={() => setShowRates(false)}
+          />
+        )}
+
+        {showTrash && (
+          <TrashBin
+            trash={trash}
+            categories={categories}
+            retentionDays={settings.trashRetentionDays}
+            onChangeRetention={changeRetention}
+            onRestore={restoreTrashed}
+            onPurge={purgeTrashed}
+            onEmpty={emptyTrash}
+            onClose={() => setShowTrash(false)}
+          />
+        )}
+
+        {serviceWorker.updateReady && (
+          <UpdatePrompt onReload={serviceWorker.applyUpdate} onDismiss={serviceWorker.dismissUpdate} />
+        )}
+
+        <UndoToast
+          toast={history.toast}
+          canUndo={history.canUndo}
+          canRedo={history.canRedo}
+          onUndo={history.undo}
+          onRedo={history.redo}
+          onDismiss={history.dismissToast}
+        />
 
-      <footer className="max-w-6xl mx-auto p-4 text-xs text-slate-500">
-        บันทึกข้อมูลลงในเบราว์เซอร์ของคุณ (LocalStorage) · สามารถส่งออก/นำเข้า CSV ได้
-      </footer>
-    </div>
+        <footer className={`max-w-6xl mx-auto p-4 text-xs text-slate-500 ${printHidden}`}>
+          {t("app.footer")}
+        </footer>
+      </div>
+    </I18nContext.Provider>
   );
 }
@@ -0,0 +1,385 @@
+import React, { useState } from "react";
+import { ACCOUNT_KINDS } from "../lib/accounts";
+import { CURRENCIES } from "../lib/currency";
+import { toDateInputValue } from "../lib/dates";
+import useI18n from "../hooks/useI18n";
+
+const inputClass = "w-full rounded-xl border border-slate-300 px-3 py-2";
+
+const blankAccount = (currency) => ({
+  name: "",
+  kind: "bank",
+  currency,
+  openingBalance: "",
+  openingDate: "",
+  closingDay: "",
+});
+
+function AccountForm({ initial, onCancel, onSubmit }) {
+  const { t } = useI18n();
+  const [a, setA] = useState(initial);
+  const set = (patch) => setA((prev) => ({ ...prev, ...patch }));
+
+  const submit = (e) => {
+    e.preventDefault();
+    const name = a.name.trim();
+    if (!name) return alert(t("accounts.missingName"));
+    const openingBalance = a.openingBalance === "" ? 0 : parseFloat(a.openingBalance);
+    if (isNaN(openingBalance)) return alert(t("accounts.invalidOpening"));
+    const closingDay = parseInt(a.closingDay, 10);
+    if (a.kind === "card" && !(closingDay >= 1 && closingDay <= 31)) return alert(t("accounts.invalidClosingDay"));
+    const { closingDay: _closingDay, openingDate, ...rest } = a;
+    onSubmit({
+      ...rest,
+      name,
+      openingBalance,
+      ...(openingDate && { openingDate }),
+      ...(a.kind === "card" && { closingDay }),
+    });
+  };
+
+  return (
+    <form onSubmit={submit} className="grid sm:grid-cols-3 gap-3 rounded-xl border border-slate-200 p-3">
+      <div>
+        <label className="block text-xs mb-1">{t("accounts.name")}</label>
+        <input
+          className={inputClass}
+          value={a.name}
+          onChange={(e) => set({ name: e.target.value })}
+          placeholder={t("accounts.namePlaceholder")}
+        />
+      </div>
+      <div>
+        <label className="block text-xs mb-1">{t("field.type")}</label>
+        <select className={inputClass} value={a.kind} onChange={(e) => set({ kind: e.target.value })}>
+          {ACCOUNT_KINDS.map((key) => (
+            <option key={key} value={key}>
+              {t(`accountKind.${key}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs mb-1">{t("field.currency")}</label>
+        <select className={inputClass} value={a.currency} onChange={(e) => set({ currency: e.target.value })}>
+          {CURRENCIES.map((c) => (
+            <option key={c}>{c}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs mb-1">
+          {a.kind === "card" ? t("accounts.openingCard") : t("accounts.opening")}
+        </label>
+        <input
+          type="number"
+          step="0.01"
+          className={inputClass}
+          value={a.openingBalance}
+          onChange={(e) => set({ openingBalance: e.target.value })}
+        />
+      </div>
+      <div>
+        <label className="block text-xs mb-1">{t("accounts.openingDate")}</label>
+        <input
+          type="date"
+          className={inputClass}
+          value={a.openingDate || ""}
+          onChange={(e) => set({ openingDate: e.target.value })}
+        />
+      </div>
+      {a.kind === "card" && (
+        <div>
+          <label className="block text-xs mb-1">{t("accounts.closingDay")}</label>
+          <input
+            type="number"
+            min="1"
+            max="31"
+            className={inputClass}
+            value={a.closingDay}
+            onChange={(e) => set({ closingDay: e.target.value })}
+          />
+        </div>
+      )}
+      <div className="sm:col-span-3 flex gap-2">
+        <button
+          type="submit"
+          className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+        >
+          {a.id ? t("accounts.saveEdit") : t("accounts.add")}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+        >
+          {t("common.cancel")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function TransferForm({ accounts, onSubmit }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(() => ({
+    date: toDateInputValue(new Date()),
+    from: accounts[0]?.id || "",
+    to: accounts[1]?.id || "",
+    amount: "",
+    toAmount: "",
+    note: "",
+  }));
+  const set = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+  const from = accounts.find((a) => a.id === draft.from);
+  const to = accounts.find((a) => a.id === draft.to);
+  const crossCurrency = from && to && from.currency !== to.currency;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!from || !to || from.id === to.id) return alert(t("transfer.sameAccount"));
+    const amount = parseFloat(draft.amount);
+    if (isNaN(amount) || amount <= 0) return alert(t("form.invalidAmount"));
+    const toAmount = parseFloat(draft.toAmount);
+    if (crossCurrency && (isNaN(toAmount) || toAmount <= 0)) return alert(t("transfer.invalidReceived"));
+    if (!draft.date) return alert(t("transfer.missingDate"));
+    onSubmit({
+      date: draft.date,
+      from: draft.from,
+      to: draft.to,
+      amount,
+      ...(crossCurrency && { toAmount }),
+      note: draft.note.trim(),
+    });
+    set({ amount: "", toAmount: "", note: "" });
+  };
+
+  return (
+    <form onSubmit={submit} className="grid grid-cols-2 sm:grid-cols-6 gap-3 items-end">
+      <div>
+        <label className="block text-xs mb-1">{t("field.date")}</label>
+        <input type="date" className={inputClass} value={draft.date} onChange={(e) => set({ date: e.target.value })} />
+      </div>
+      <div>
+        <label className="block text-xs mb-1">{t("transfer.from")}</label>
+        <select className={inputClass} value={draft.from} onChange={(e) => set({ from: e.target.value })}>
+          {accounts.map((a) => (
+            <option key={a.id} value={a.id}>
+              {a.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs mb-1">{t("transfer.to")}</label>
+        <select className={inputClass} value={draft.to} onChange={(e) => set({ to: e.target.value })}>
+          {accounts.map((a) => (
+            <option key={a.id} value={a.id}>
+              {a.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs mb-1">
+          {t("transfer.amount")}
+          {from && ` (${from.currency})`}
+        </label>
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          className={inputClass}
+          value={draft.amount}
+          onChange={(e) => set({ amount: e.target.value })}
+        />
+      </div>
+      {crossCurrency ? (
+        <div>
+          <label className="block text-xs mb-1">{t("transfer.received", { currency: to.currency })}</label>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            className={inputClass}
+            value={draft.toAmount}
+            onChange={(e) => set({ toAmount: e.target.value })}
+          />
+        </div>
+      ) : (
+        <div>
+          <label className="block text-xs mb-1">{t("field.note")}</label>
+          <input className={inputClass} value={draft.note} onChange={(e) => set({ note: e.target.value })} />
+        </div>
+      )}
+      <button
+        type="submit"
+        className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+      >
+        {t("transfer.submit")}
+      </button>
+    </form>
+  );
+}
+
+// Accounts with their balances, plus transfers between them
+export default function AccountsManager({
+  accounts,
+  transfers,
+  balances,
+  usage,
+  baseCurrency,
+  onSaveAccount,
+  onDeleteAccount,
+  onAddTransfer,
+  onDeleteTransfer,
+  onClose,
+}) {
+  const { t, money, date } = useI18n();
+  const [editing, setEditing] = useState(null); // account being edited or added
+  const name = (id) => accounts.find((a) => a.id === id)?.name || id;
+  const sortedTransfers = [...transfers].sort((a, b) => b.date.localeCompare(a.date));
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold text-lg">🏦 {t("accounts.title")}</h2>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+
+        <table className="min-w-full text-sm divide-y divide-slate-200">
+          <thead className="text-left text-slate-600">
+            <tr>
+              <th className="py-2">{t("field.account")}</th>
+              <th className="py-2">{t("field.type")}</th>
+              <th className="py-2 text-right">{t("accounts.opening")}</th>
+              <th className="py-2 text-right">{t("accounts.balance")}</th>
+              <th className="py-2 text-right">{t("list.actions")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {accounts.map((a) => (
+              <tr key={a.id} className="border-t">
+                <td className="py-2">
+                  <div className="font-medium">{a.name}</div>
+                  <div className="text-xs text-slate-500">{t("list.count", { count: usage.get(a.id) || 0 })}</div>
+                </td>
+                <td className="py-2">
+                  {ACCOUNT_KINDS.includes(a.kind) ? t(`accountKind.${a.kind}`) : a.kind}
+                  {a.kind === "card" && a.closingDay && (
+                    <div className="text-xs text-slate-500">{t("accounts.closesOn", { day: a.closingDay })}</div>
+                  )}
+                </td>
+                <td className="py-2 text-right">{money(a.openingBalance, a.currency)}</td>
+                <td
+                  className={`py-2 text-right font-medium ${balances.get(a.id) < 0 ? "text-rose-600" : ""}`}
+                >
+                  {money(balances.get(a.id) || 0, a.currency)}
+                </td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  <button
+                    onClick={() =>
+                      setEditing({
+                        ...a,
+                        openingBalance: String(a.openingBalance),
+                        closingDay: a.closingDay ? String(a.closingDay) : "",
+                      })
+                    }
+                    className="px-2 py-1 rounded-lg bg-sky-100 hover:bg-sky-200 mr-2"
+                  >
+                    {t("common.edit")}
+                  </button>
+                  <button
+                    onClick={() => onDeleteAccount(a.id)}
+                    className="px-2 py-1 rounded-lg bg-rose-100 hover:bg-rose-200"
+                  >
+                    {t("common.delete")}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {editing ? (
+          <AccountForm
+            key={editing.id || "new"}
+            initial={editing}
+            onCancel={() => setEditing(null)}
+            onSubmit={(a) => {
+              onSaveAccount(a);
+              setEditing(null);
+            }}
+          />
+        ) : (
+          <button
+            onClick={() => setEditing(blankAccount(baseCurrency))}
+            className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+          >
+            + {t("accounts.add")}
+          </button>
+        )}
+
+        <div className="space-y-3">
+          <div className="font-semibold">{t("transfer.title")}</div>
+          {accounts.length < 2 ? (
+            <div className="text-sm text-slate-500">{t("transfer.needTwo")}</div>
+          ) : (
+            <TransferForm accounts={accounts} onSubmit={onAddTransfer} />
+          )}
+          <p className="text-xs text-slate-500">
+            {t("transfer.hint")}
+          </p>
+          {sortedTransfers.length > 0 && (
+            <table className="min-w-full text-sm divide-y divide-slate-200">
+              <thead className="text-left text-slate-600">
+                <tr>
+                  <th className="py-2">{t("field.date")}</th>
+                  <th className="py-2">{t("transfer.route")}</th>
+                  <th className="py-2 text-right">{t("field.amount")}</th>
+                  <th className="py-2">{t("field.note")}</th>
+                  <th className="py-2 text-right">{t("list.actions")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sortedTransfers.map((transfer) => {
+                  const from = accounts.find((a) => a.id === transfer.from);
+                  const to = accounts.find((a) => a.id === transfer.to);
+                  return (
+                    <tr key={transfer.id} className="border-t">
+                      <td className="py-2">{date(transfer.date)}</td>
+                      <td className="py-2">
+                        {name(transfer.from)} → {name(transfer.to)}
+                      </td>
+                      <td className="py-2 text-right">
+                        {money(transfer.amount, from?.currency)}
+                        {transfer.toAmount != null && (
+                          <div className="text-xs text-slate-500">{money(transfer.toAmount, to?.currency)}</div>
+                        )}
+                      </td>
+                      <td className="py-2">{transfer.note}</td>
+                      <td className="py-2 text-right">
+                        <button
+                          onClick={() => onDeleteTransfer(transfer.id)}
+                          className="px-2 py-1 rounded-lg bg-rose-100 hover:bg-rose-200"
+                        >
+                          {t("common.delete")}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
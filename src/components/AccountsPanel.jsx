@@ -0,0 +1,60 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+
+// Balance per account, with the statement cycle for credit cards. Clicking an
+// account filters the table to it and shows running balances.
+export default function AccountsPanel({ accounts, balances, statements, activeAccount, onSelect, onManage }) {
+  const { t, money, date } = useI18n();
+  const shortDate = (d) => date(d, { day: "numeric", month: "short" });
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-semibold">🏦 {t("header.accounts")}</div>
+        <button
+          onClick={onManage}
+          className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+        >
+          {t("accounts.manage")}
+        </button>
+      </div>
+      <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        {accounts.map((a) => {
+          const balance = balances.get(a.id) || 0;
+          const statement = statements.get(a.id);
+          const active = activeAccount === a.id;
+          return (
+            <button
+              key={a.id}
+              onClick={() => onSelect(active ? "all" : a.id)}
+              className={`text-left rounded-xl border p-3 transition-all hover:shadow ${
+                active ? "border-sky-500 ring-2 ring-sky-200" : "border-slate-200"
+              }`}
+            >
+              <div className="text-xs text-slate-500">{t(`accountKind.${a.kind}`)}</div>
+              <div className="font-medium">{a.name}</div>
+              <div className={`text-lg font-bold ${balance < 0 ? "text-rose-600" : "text-slate-800"}`}>
+                {money(balance, a.currency)}
+              </div>
+              {statement && (
+                <div className="text-xs text-slate-500 mt-1 space-y-0.5">
+                  <div>
+                    {t("accounts.currentCycle", {
+                      start: shortDate(statement.current.start),
+                      end: shortDate(statement.current.end),
+                    })}{" "}
+                    <b className="text-slate-700">{money(statement.current.charges, a.currency)}</b>
+                  </div>
+                  <div>
+                    {t("accounts.lastStatement", { date: shortDate(statement.previous.end) })}{" "}
+                    {money(statement.previous.charges, a.currency)}
+                  </div>
+                </div>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
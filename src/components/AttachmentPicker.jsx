@@ -0,0 +1,45 @@
+import React, { useRef, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { ACCEPTED_TYPES, MAX_ATTACHMENT_BYTES, storeFiles } from "../lib/attachments";
+
+const buttonClass =
+  "px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95 disabled:opacity-50";
+
+// Camera and file buttons. Picked files are stored right away and handed to
+// `onAdd` as attachment metadata; files that can't be attached are reported.
+export default function AttachmentPicker({ onAdd, onError }) {
+  const { t } = useI18n();
+  const camera = useRef(null);
+  const files = useRef(null);
+  const [busy, setBusy] = useState(false);
+
+  const pick = async (e) => {
+    const list = [...(e.target.files || [])];
+    e.target.value = ""; // picking the same file again still fires onChange
+    if (!list.length) return;
+    setBusy(true);
+    try {
+      const { added, rejected } = await storeFiles(list);
+      if (added.length) onAdd(added);
+      if (rejected.length)
+        alert(t("attachments.rejected", { names: rejected.join(", "), size: MAX_ATTACHMENT_BYTES / 1024 / 1024 }));
+    } catch (err) {
+      onError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <span className="inline-flex flex-wrap gap-2">
+      <button type="button" disabled={busy} onClick={() => camera.current?.click()} className={buttonClass}>
+        📷 {t("attachments.camera")}
+      </button>
+      <button type="button" disabled={busy} onClick={() => files.current?.click()} className={buttonClass}>
+        📎 {t("attachments.files")}
+      </button>
+      <input ref={camera} type="file" accept="image/*" capture="environment" className="hidden" onChange={pick} />
+      <input ref={files} type="file" accept={ACCEPTED_TYPES} multiple className="hidden" onChange={pick} />
+    </span>
+  );
+}
@@ -0,0 +1,20 @@
+import React from "react";
+import useAttachmentUrl from "../hooks/useAttachmentUrl";
+import { isImage } from "../lib/attachments";
+
+// Square preview of one attachment: the stored thumbnail for images, an icon
+// for PDFs and for files that can't be previewed
+export default function AttachmentThumb({ attachment, className = "w-10 h-10" }) {
+  const url = useAttachmentUrl(isImage(attachment) ? attachment.id : null, "thumb");
+  return (
+    <span
+      className={`inline-flex items-center justify-center overflow-hidden rounded-lg bg-slate-100 border border-slate-200 ${className}`}
+    >
+      {url ? (
+        <img src={url} alt={attachment.name} className="w-full h-full object-cover" />
+      ) : (
+        <span aria-hidden>{isImage(attachment) ? "🧾" : "📄"}</span>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,144 @@
+import React, { useRef, useState } from "react";
+import AttachmentPicker from "./AttachmentPicker";
+import AttachmentThumb from "./AttachmentThumb";
+import useAttachmentUrl from "../hooks/useAttachmentUrl";
+import useI18n from "../hooks/useI18n";
+import { ACCEPTED_TYPES, entryAttachments, isImage, storeFiles } from "../lib/attachments";
+
+const ZOOMS = [1, 1.5, 2, 3];
+
+const buttonClass =
+  "px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95 disabled:opacity-50";
+
+// The selected file at full size: images can be zoomed (click to toggle),
+// PDFs use the browser's own viewer
+function Preview({ attachment }) {
+  const { t } = useI18n();
+  const url = useAttachmentUrl(attachment.id);
+  const [zoom, setZoom] = useState(0); // index into ZOOMS; 0 = fit
+
+  if (url === undefined) return <div className="py-16 text-center text-slate-500">…</div>;
+  if (!url) return <div className="py-16 text-center text-slate-500">{t("attachments.missing")}</div>;
+  if (!isImage(attachment))
+    return <iframe src={url} title={attachment.name} className="w-full h-[60vh] rounded-xl border border-slate-200" />;
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2 text-sm">
+        <button type="button" disabled={zoom === 0} onClick={() => setZoom(zoom - 1)} className={buttonClass}>
+          −
+        </button>
+        <span className="w-12 text-center">{ZOOMS[zoom] * 100}%</span>
+        <button
+          type="button"
+          disabled={zoom === ZOOMS.length - 1}
+          onClick={() => setZoom(zoom + 1)}
+          className={buttonClass}
+        >
+          +
+        </button>
+      </div>
+      <div className="max-h-[60vh] overflow-auto rounded-xl border border-slate-200 bg-slate-50">
+        <img
+          src={url}
+          alt={attachment.name}
+          onClick={() => setZoom(zoom ? 0 : 1)}
+          style={{ width: `${ZOOMS[zoom] * 100}%`, maxWidth: "none" }}
+          className={zoom ? "cursor-zoom-out" : "cursor-zoom-in"}
+        />
+      </div>
+    </div>
+  );
+}
+
+// Receipts of one entry: browse, zoom, add more, replace or remove
+export default function AttachmentViewer({ entry, onChange, onError, onClose }) {
+  const { t, date } = useI18n();
+  const attachments = entryAttachments(entry);
+  const [selectedId, setSelectedId] = useState(attachments[0]?.id);
+  const replaceInput = useRef(null);
+  const selected = attachments.find((a) => a.id === selectedId) || attachments[0];
+
+  const add = (added) => {
+    onChange([...attachments, ...added]);
+    setSelectedId(added[0].id);
+  };
+
+  const remove = () => {
+    if (!confirm(t("attachments.confirmRemove", { name: selected.name }))) return;
+    onChange(attachments.filter((a) => a.id !== selected.id));
+    setSelectedId(null);
+  };
+
+  const replace = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { added, rejected } = await storeFiles([file]);
+      if (rejected.length) return alert(t("attachments.unsupported", { name: file.name }));
+      onChange(attachments.map((a) => (a.id === selected.id ? added[0] : a)));
+      setSelectedId(added[0].id);
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div className="flex items-center justify-between gap-2">
+          <div>
+            <h2 className="font-bold text-lg">🧾 {t("attachments.title")}</h2>
+            <div className="text-sm text-slate-500">
+              {date(entry.date)}
+              {entry.note && ` · ${entry.note}`}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+
+        {selected ? (
+          <>
+            <Preview key={selected.id} attachment={selected} />
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="flex-1 truncate text-slate-600">{selected.name}</span>
+              <button type="button" onClick={() => replaceInput.current?.click()} className={buttonClass}>
+                {t("attachments.replace")}
+              </button>
+              <button
+                type="button"
+                onClick={remove}
+                className="px-3 py-1.5 rounded-xl bg-rose-100 hover:bg-rose-200 transition-all active:scale-95"
+              >
+                {t("attachments.remove")}
+              </button>
+              <input ref={replaceInput} type="file" accept={ACCEPTED_TYPES} className="hidden" onChange={replace} />
+            </div>
+          </>
+        ) : (
+          <div className="text-sm text-slate-500">{t("attachments.none")}</div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2">
+          {attachments.map((a) => (
+            <button
+              key={a.id}
+              type="button"
+              title={a.name}
+              onClick={() => setSelectedId(a.id)}
+              className={`rounded-lg ${a.id === selected?.id ? "ring-2 ring-sky-500" : ""}`}
+            >
+              <AttachmentThumb attachment={a} className="w-14 h-14" />
+            </button>
+          ))}
+          <AttachmentPicker onAdd={add} onError={onError} />
+        </div>
+      </div>
+    </div>
+  );
+}
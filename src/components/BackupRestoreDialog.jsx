@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { RECORD_COLLECTIONS, mergeBackup, validateBackup } from "../lib/backup";
+import { entryCurrency } from "../lib/currency";
+
+// Labels come from the "backup.section." messages
+const SECTIONS = [...RECORD_COLLECTIONS, "settings", "payees"];
+
+// One-line summary of a record so the two sides of a conflict can be compared
+const describe = (key, rec, { t, money }) => {
+  switch (key) {
+    case "expenses":
+    case "trash":
+      return `${rec.date} · ${money(rec.amount, entryCurrency(rec))}${rec.note ? ` · ${rec.note}` : ""}`;
+    case "categories":
+      return `${rec.name} (${rec.color})`;
+    case "recurring":
+      return `${rec.note || rec.category} · ${money(rec.amount, entryCurrency(rec))}`;
+    case "rates":
+      return t("backup.describe.rate", rec);
+    case "presets":
+      return rec.name;
+    case "accounts":
+      return t("backup.describe.account", { name: rec.name, amount: money(rec.openingBalance, rec.currency) });
+    case "transfers":
+      return `${rec.date} · ${rec.amount} · ${rec.from} → ${rec.to}`;
+    case "rules":
+      return rec.name || rec.conditions.map((c) => c.value).join(" · ");
+    case "people":
+      return rec.name;
+    case "settlements":
+      return `${rec.date} · ${rec.from} → ${rec.to} · ${money(rec.amount, entryCurrency(rec))}`;
+    case "attachments":
+      return rec.name;
+    default:
+      return JSON.stringify(rec);
+  }
+};
+
+const count = (value) => (Array.isArray(value) ? value.length : Object.keys(value || {}).length);
+
+// Checks the file against the schema, then restores by replacing everything or
+// merging by id. Nothing is written until the user confirms.
+export default function BackupRestoreDialog({ fileName, backup, current, onCancel, onRestore }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [mode, setMode] = useState("merge"); // merge | replace
+  const [prefer, setPrefer] = useState("local"); // which side wins a conflict
+
+  const checked = useMemo(() => validateBackup(backup), [backup]);
+  const merged = useMemo(
+    () => (checked.data ? mergeBackup(current, checked.data, prefer) : null),
+    [checked, current, prefer]
+  );
+  const conflicts = merged
+    ? Object.entries(merged.report).flatMap(([key, r]) => r.conflicts.map((c) => ({ ...c, key })))
+    : [];
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div>
+          <h2 className="font-bold text-lg">{t("backup.title")}</h2>
+          <div className="text-sm text-slate-500">
+            {fileName}
+            {!isNaN(Date.parse(backup?.exportedAt)) &&
+              ` · ${t("backup.exportedAt", { date: i18n.dateTime(backup.exportedAt) })}`}
+          </div>
+        </div>
+
+        {!checked.data ? (
+          <div className="space-y-2">
+            <div className="text-sm text-rose-600">{t("backup.invalid")}</div>
+            <ul className="text-xs max-h-64 overflow-y-auto rounded-xl border border-slate-200 p-2 space-y-1">
+              {checked.errors.map((e, i) => (
+                <li key={i} className="text-rose-600">
+                  {i18n.message(e)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : (
+          <>
+            <table className="min-w-full text-sm divide-y divide-slate-200">
+              <thead className="text-left text-slate-600">
+                <tr>
+                  <th className="py-2">{t("backup.data")}</th>
+                  <th className="py-2 text-right">{t("backup.inFile")}</th>
+                  <th className="py-2 text-right">{t("backup.onDevice")}</th>
+                  {mode === "merge" && <th className="py-2 text-right">{t("backup.addedConflicts")}</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {SECTIONS.map((key) => (
+                  <tr key={key} className="border-t">
+                    <td className="py-2">{t(`backup.section.${key}`)}</td>
+                    <td className="py-2 text-right">{count(checked.data[key])}</td>
+                    <td className="py-2 text-right">{count(current[key])}</td>
+                    {mode === "merge" && (
+                      <td className="py-2 text-right">
+                        {merged.report[key].added} / {merged.report[key].conflicts.length}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {checked.warnings.map((w, i) => (
+              <div key={i} className="text-sm text-amber-600">
+                {i18n.message(w)}
+              </div>
+            ))}
+
+            <div className="space-y-2 text-sm">
+              <label className="flex items-start gap-2">
+                <input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} />
+                <span>
+                  <b>{t("backup.merge")}</b> · {t("backup.mergeHint")}
+                </span>
+              </label>
+              <label className="flex items-start gap-2">
+                <input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} />
+                <span>
+                  <b>{t("backup.replace")}</b> · {t("backup.replaceHint")}
+                </span>
+              </label>
+            </div>
+
+            {mode === "merge" && (
+              <div className="space-y-2">
+                <label className="flex items-center gap-2 text-sm">
+                  {t("backup.prefer")}
+                  <select
+                    className="rounded-xl border border-slate-300 px-2 py-1"
+                    value={prefer}
+                    onChange={(e) => setPrefer(e.target.value)}
+                  >
+                    <option value="local">{t("backup.local")}</option>
+                    <option value="backup">{t("backup.file")}</option>
+                  </select>
+                </label>
+                {conflicts.length > 0 ? (
+                  <ul className="text-xs max-h-64 overflow-y-auto rounded-xl border border-slate-200 p-2 space-y-2">
+                    {conflicts.map((c) => (
+                      <li key={`${c.key}:${c.id}`}>
+                        <div className="font-medium">
+                          {t(`backup.section.${c.key}`)} · {c.id}
+                        </div>
+                        <div className={c.winner === "local" ? "text-emerald-700" : "text-slate-400 line-through"}>
+                          {t("backup.local")}: {describe(c.key, c.local, i18n)}
+                        </div>
+                        <div className={c.winner === "backup" ? "text-emerald-700" : "text-slate-400 line-through"}>
+                          {t("backup.file")}: {describe(c.key, c.backup, i18n)}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <div className="text-sm text-slate-500">{t("backup.noConflicts")}</div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+          >
+            {t("common.cancel")}
+          </button>
+          {checked.data && (
+            <button
+              type="button"
+              onClick={() => onRestore(mode === "merge" ? merged.data : checked.data)}
+              className={`px-3 py-2 rounded-xl text-white font-medium shadow transition-all active:scale-95 ${
+                mode === "merge" ? "bg-sky-600 hover:bg-sky-700" : "bg-rose-500 hover:bg-rose-600"
+              }`}
+            >
+              {t(mode === "merge" ? "backup.merge" : "backup.replaceAll")}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
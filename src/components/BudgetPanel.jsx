@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { monthLabel } from "../lib/budget";
+import { categoryLabel } from "../lib/categories";
+
+const barColor = (ratio) =>
+  ratio >= 1 ? "bg-rose-500" : ratio >= 0.8 ? "bg-amber-500" : "bg-emerald-500";
+
+function BudgetBar({ label, color, row, currency }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const money = (n) => i18n.money(n, currency);
+  return (
+    <div>
+      <div className="flex items-center justify-between text-sm mb-1">
+        <span className="inline-flex items-center gap-2">
+          {color && (
+            <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ background: color }} />
+          )}
+          {label}
+        </span>
+        <span className="text-slate-500">
+          {money(row.spent)} / {money(row.limit)}
+        </span>
+      </div>
+      <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all ${barColor(row.ratio)}`}
+          style={{ width: `${Math.min(row.ratio, 1) * 100}%` }}
+        />
+      </div>
+      <div className={`text-xs mt-1 ${row.remaining < 0 ? "text-rose-600" : "text-slate-500"}`}>
+        {row.remaining < 0
+          ? t("budget.over", { amount: money(-row.remaining) })
+          : t("budget.left", { amount: money(row.remaining) })}
+      </div>
+    </div>
+  );
+}
+
+// Limits are in the base currency
+export default function BudgetPanel({ month, summary, categories, overallBudget, currency, onSave }) {
+  const { t, locale } = useI18n();
+  const [draft, setDraft] = useState(null); // { overall, [categoryId]: string } while editing
+
+  const startEditing = () =>
+    setDraft({
+      overall: overallBudget ? String(overallBudget) : "",
+      ...Object.fromEntries(categories.map((c) => [c.id, c.budget ? String(c.budget) : ""])),
+    });
+
+  const save = () => {
+    const toLimit = (v) => (parseFloat(v) > 0 ? parseFloat(v) : null);
+    const { overall, ...byCategory } = draft;
+    onSave(
+      Object.fromEntries(Object.entries(byCategory).map(([id, v]) => [id, toLimit(v)])),
+      toLimit(overall)
+    );
+    setDraft(null);
+  };
+
+  const empty = !summary.overall && summary.categories.length === 0;
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold">🎯 {t("budget.title", { month: monthLabel(month, locale) })}</h2>
+        {!draft && (
+          <button
+            onClick={startEditing}
+            className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+          >
+            {t("budget.set")}
+          </button>
+        )}
+      </div>
+
+      {draft ? (
+        <div className="space-y-3">
+          <div className="grid sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs mb-1">{t("budget.overallMonthly", { currency })}</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                value={draft.overall}
+                onChange={(e) => setDraft({ ...draft, overall: e.target.value })}
+                placeholder={t("common.unlimited")}
+              />
+            </div>
+            {categories.map((c) => (
+              <div key={c.id}>
+                <label className="block text-xs mb-1">{categoryLabel(categories, c.id)}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                  value={draft[c.id]}
+                  onChange={(e) => setDraft({ ...draft, [c.id]: e.target.value })}
+                  placeholder={t("common.unlimited")}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={save}
+              className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+            >
+              {t("budget.save")}
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+            >
+              {t("common.cancel")}
+            </button>
+          </div>
+        </div>
+      ) : empty ? (
+        <div className="text-sm text-slate-500">{t("budget.empty")}</div>
+      ) : (
+        <div className="space-y-3">
+          {summary.overall && <BudgetBar label={t("budget.overall")} row={summary.overall} currency={currency} />}
+          <div className="grid md:grid-cols-2 gap-3">
+            {summary.categories.map((row) => (
+              <BudgetBar
+                key={row.category.id}
+                label={categoryLabel(categories, row.category.id)}
+                color={row.category.color}
+                row={row}
+                currency={currency}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { categoryOptions } from "../lib/categories";
+import { toDateInputValue } from "../lib/dates";
+import { TYPES, categoriesOfType } from "../lib/transactions";
+
+const controlClass = "rounded-lg border border-slate-300 px-2 py-1 text-sm bg-white";
+const buttonClass = "px-2 py-1 rounded-lg text-sm transition-all active:scale-95";
+
+// Toolbar over the entry table while rows are selected
+export default function BulkActions({
+  count,
+  categories,
+  accounts,
+  onRecategorise,
+  onSetAccount,
+  onSetDate,
+  onExport,
+  onDelete,
+  onClear,
+}) {
+  const { t } = useI18n();
+  const [date, setDate] = useState(toDateInputValue(new Date()));
+
+  return (
+    <div className="sticky top-0 z-10 mb-2 rounded-xl bg-sky-50 border border-sky-200 p-2 flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-medium">{t("bulk.selected", { count })}</span>
+      <select
+        className={controlClass}
+        value=""
+        onChange={(e) => e.target.value && onRecategorise(e.target.value)}
+        aria-label={t("bulk.recategorise")}
+      >
+        <option value="">{t("bulk.recategorise")}</option>
+        {TYPES.map((key) => (
+          <optgroup key={key} label={t(`type.${key}`)}>
+            {categoryOptions(categoriesOfType(categories, key)).map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.label}
+              </option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+      <select
+        className={controlClass}
+        value=""
+        onChange={(e) => e.target.value && onSetAccount(e.target.value === "-" ? "" : e.target.value)}
+        aria-label={t("bulk.setAccount")}
+      >
+        <option value="">{t("bulk.setAccount")}</option>
+        {accounts.map((a) => (
+          <option key={a.id} value={a.id}>
+            {a.name}
+          </option>
+        ))}
+        <option value="-">{t("common.none")}</option>
+      </select>
+      <span className="inline-flex items-center gap-1">
+        <input type="date" className={controlClass} value={date} onChange={(e) => setDate(e.target.value)} />
+        <button
+          onClick={() => date && onSetDate(date)}
+          className={`${buttonClass} bg-slate-200 hover:bg-slate-300`}
+        >
+          {t("bulk.setDate")}
+        </button>
+      </span>
+      <button onClick={onExport} className={`${buttonClass} bg-slate-200 hover:bg-slate-300`}>
+        {t("bulk.export")}
+      </button>
+      <button onClick={onDelete} className={`${buttonClass} bg-rose-100 hover:bg-rose-200`}>
+        {t("common.delete")}
+      </button>
+      <button onClick={onClear} className="ml-auto underline text-slate-600">
+        {t("bulk.clear")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,304 @@
+import React, { useState } from "react";
+import {
+  CATEGORY_ICONS,
+  categoryLabel,
+  categoryTree,
+  childrenOf,
+  isHexColor,
+  moveCategory,
+  parentCandidates,
+} from "../lib/categories";
+import { FALLBACK_CATEGORY, TYPES, categoriesOfType } from "../lib/transactions";
+import useI18n from "../hooks/useI18n";
+
+// Imports file what they can't place under these, so they can't be deleted
+const FALLBACK = new Set(Object.values(FALLBACK_CATEGORY));
+
+const inputClass = "w-full rounded-xl border border-slate-300 px-3 py-2";
+
+const blankCategory = (type) => ({
+  name: "",
+  color: "#10b981",
+  icon: "",
+  parent: "",
+  ...(type === "income" && { kind: "income" }),
+});
+
+function CategoryForm({ initial, categories, onCancel, onSubmit }) {
+  const { t } = useI18n();
+  const [c, setC] = useState(initial);
+  const set = (patch) => setC((prev) => ({ ...prev, ...patch }));
+  const parents = parentCandidates(categories, c);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const name = c.name.trim();
+    if (!name) return alert(t("categories.missingName"));
+    if (!isHexColor(c.color)) return alert(t("categories.invalidColor"));
+    const clash = categories.find(
+      (x) => x.id !== c.id && x.name.trim().toLowerCase() === name.toLowerCase() && (x.parent || "") === c.parent
+    );
+    if (clash) return alert(t("categories.exists", { name: categoryLabel(categories, clash.id) }));
+    // `depth` comes with categoryTree rows and is only for display
+    const { icon, parent, depth: _depth, ...rest } = c;
+    onSubmit({ ...rest, name, ...(icon.trim() && { icon: icon.trim() }), ...(parent && { parent }) });
+  };
+
+  return (
+    <form onSubmit={submit} className="grid sm:grid-cols-2 gap-3 rounded-xl border border-slate-200 p-3">
+      <div>
+        <label className="block text-xs mb-1">{t("categories.name")}</label>
+        <input className={inputClass} value={c.name} onChange={(e) => set({ name: e.target.value })} />
+      </div>
+      <div>
+        <label className="block text-xs mb-1">{t("categories.parent")}</label>
+        <select className={inputClass} value={c.parent} onChange={(e) => set({ parent: e.target.value })}>
+          <option value="">— {t("categories.topLevel")} —</option>
+          {parents.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs mb-1">{t("categories.color")}</label>
+        <div className="flex gap-2">
+          <input
+            type="color"
+            className="h-10 w-12 rounded-lg border border-slate-300"
+            value={isHexColor(c.color) ? c.color : "#000000"}
+            onChange={(e) => set({ color: e.target.value })}
+          />
+          <input
+            className={`${inputClass} ${isHexColor(c.color) ? "" : "border-rose-400"}`}
+            value={c.color}
+            onChange={(e) => set({ color: e.target.value.trim() })}
+            placeholder="#10b981"
+          />
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs mb-1">{t("categories.icon")}</label>
+        <input
+          className={inputClass}
+          value={c.icon}
+          onChange={(e) => set({ icon: e.target.value })}
+          placeholder={t("categories.iconPlaceholder")}
+        />
+        <div className="flex flex-wrap gap-1 mt-1">
+          {CATEGORY_ICONS.map((icon) => (
+            <button
+              key={icon}
+              type="button"
+              onClick={() => set({ icon })}
+              className={`w-7 h-7 rounded-lg ${c.icon === icon ? "bg-sky-100 ring-2 ring-sky-400" : "hover:bg-slate-100"}`}
+            >
+              {icon}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="sm:col-span-2 flex gap-2">
+        <button
+          type="submit"
+          className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+        >
+          {c.id ? t("categories.saveEdit") : t("categories.addShort")}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+        >
+          {t("common.cancel")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Entries using the category must go somewhere before it can be deleted
+function DeletePanel({ category, categories, used, onCancel, onConfirm }) {
+  const { t } = useI18n();
+  const targets = categoriesOfType(categories, category.kind === "income" ? "income" : "expense").filter(
+    (c) => c.id !== category.id
+  );
+  const [target, setTarget] = useState(category.parent || targets[0]?.id || "");
+  const children = childrenOf(categories, category.id);
+
+  return (
+    <div className="rounded-xl border border-rose-200 bg-rose-50 p-3 space-y-2 text-sm">
+      <div className="font-medium">{t("categories.deleteTitle", { name: category.name })}</div>
+      {children.length > 0 && (
+        <div className="text-xs text-slate-600">
+          {t("categories.orphans", { names: children.map((c) => c.name).join(", ") })}
+        </div>
+      )}
+      {used > 0 ? (
+        <>
+          <div>{t("categories.inUse", { count: used })}</div>
+          <select className={inputClass} value={target} onChange={(e) => setTarget(e.target.value)}>
+            {targets.map((c) => (
+              <option key={c.id} value={c.id}>
+                {categoryLabel(categories, c.id)}
+              </option>
+            ))}
+          </select>
+        </>
+      ) : (
+        <div className="text-slate-600">{t("categories.unused")}</div>
+      )}
+      <div className="flex gap-2">
+        <button
+          type="button"
+          disabled={used > 0 && !target}
+          onClick={() => onConfirm(used > 0 ? target : null)}
+          className="px-3 py-1.5 rounded-xl bg-rose-600 hover:bg-rose-700 text-white transition-all active:scale-95 disabled:opacity-50"
+        >
+          {used > 0 ? t("categories.moveAndDelete") : t("categories.delete")}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+        >
+          {t("common.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Add, edit, nest, reorder (drag the ⋮⋮ handle) and delete categories
+export default function CategoryManager({ categories, initialType, usage, onSave, onDelete, onReorder, onClose }) {
+  const { t } = useI18n();
+  const [type, setType] = useState(initialType);
+  const [editing, setEditing] = useState(null); // category draft, or null
+  const [deleting, setDeleting] = useState(null); // id awaiting reassignment
+  const [dragged, setDragged] = useState(null);
+  const rows = categoryTree(categoriesOfType(categories, type));
+
+  const drop = (targetId) => {
+    if (dragged && dragged !== targetId) onReorder(moveCategory(categories, dragged, targetId));
+    setDragged(null);
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold text-lg">🗂️ {t("categories.title")}</h2>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-1 p-1 rounded-xl bg-slate-100 max-w-xs">
+          {TYPES.map((key) => (
+            <button
+              key={key}
+              onClick={() => {
+                setType(key);
+                setEditing(null);
+                setDeleting(null);
+              }}
+              className={`py-1.5 rounded-lg text-sm transition-all ${
+                type === key ? "bg-white text-slate-800 shadow" : "text-slate-500 hover:text-slate-700"
+              }`}
+            >
+              {t(`type.${key}`)}
+            </button>
+          ))}
+        </div>
+
+        <ul className="divide-y divide-slate-200">
+          {rows.map((c) => (
+            <li
+              key={c.id}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => drop(c.id)}
+              className={`py-2 ${dragged === c.id ? "opacity-40" : ""}`}
+            >
+              <div className={`flex items-center gap-2 ${c.depth ? "pl-6" : ""}`}>
+                <span
+                  draggable
+                  onDragStart={() => setDragged(c.id)}
+                  onDragEnd={() => setDragged(null)}
+                  className="cursor-move text-slate-400 select-none"
+                  title={t("categories.dragHint")}
+                >
+                  ⋮⋮
+                </span>
+                <span className="inline-block w-3 h-3 rounded-full" style={{ background: c.color }} />
+                <span className="flex-1">
+                  {c.icon && <span className="mr-1">{c.icon}</span>}
+                  {c.name}
+                  {c.budget > 0 && <span className="text-xs text-slate-500 ml-2">{t("categories.hasBudget")}</span>}
+                </span>
+                <span className="text-xs text-slate-500">{t("list.count", { count: usage(c.id) })}</span>
+                <button
+                  onClick={() => {
+                    setDeleting(null);
+                    setEditing({ ...c, icon: c.icon || "", parent: c.parent || "" });
+                  }}
+                  className="px-2 py-1 rounded-lg bg-sky-100 hover:bg-sky-200 text-sm"
+                >
+                  {t("common.edit")}
+                </button>
+                <button
+                  onClick={() => {
+                    setEditing(null);
+                    setDeleting(c.id);
+                  }}
+                  disabled={FALLBACK.has(c.id)}
+                  title={FALLBACK.has(c.id) ? t("categories.fallback") : undefined}
+                  className="px-2 py-1 rounded-lg bg-rose-100 hover:bg-rose-200 text-sm disabled:opacity-50 disabled:hover:bg-rose-100"
+                >
+                  {t("common.delete")}
+                </button>
+              </div>
+              {deleting === c.id && (
+                <div className="mt-2">
+                  <DeletePanel
+                    category={c}
+                    categories={categories}
+                    used={usage(c.id)}
+                    onCancel={() => setDeleting(null)}
+                    onConfirm={(target) => {
+                      onDelete(c.id, target);
+                      setDeleting(null);
+                    }}
+                  />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {editing ? (
+          <CategoryForm
+            key={editing.id || "new"}
+            initial={editing}
+            categories={categories}
+            onCancel={() => setEditing(null)}
+            onSubmit={(c) => {
+              onSave(c);
+              setEditing(null);
+            }}
+          />
+        ) : (
+          <button
+            onClick={() => setEditing(blankCategory(type))}
+            className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+          >
+            + {t(`categories.add.${type}`)}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { IMPORT_FIELDS, buildImport, guessMapping } from "../lib/csv";
+import { uid } from "../lib/ids";
+
+const PREVIEW_ROWS = 5;
+
+// Column-mapping preview shown before any CSV rows are added
+export default function CsvImportDialog({
+  fileName,
+  rows,
+  existingIds,
+  categories,
+  accounts,
+  rules,
+  onCancel,
+  onConfirm,
+}) {
+  const { t, message } = useI18n();
+  const [headers, ...dataRows] = rows;
+  const [mapping, setMapping] = useState(() => guessMapping(headers));
+
+  const missing = IMPORT_FIELDS.filter((f) => f.required && mapping[f.key] < 0);
+
+  const result = useMemo(() => {
+    if (IMPORT_FIELDS.some((f) => f.required && mapping[f.key] < 0)) return null;
+    return buildImport(rows.slice(1), mapping, { existingIds, categories, accounts, rules, makeId: uid });
+  }, [rows, mapping, existingIds, categories, accounts, rules]);
+
+  const issues = result
+    ? [
+        ...result.rejected.map((x) => ({ ...x, kind: "rejected", tone: "text-rose-600" })),
+        ...result.skipped.map((x) => ({ ...x, kind: "skipped", tone: "text-amber-600" })),
+        ...result.warnings.map((x) => ({ ...x, kind: "warning", tone: "text-slate-500" })),
+      ].sort((a, b) => a.line - b.line)
+    : [];
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div>
+          <h2 className="font-bold text-lg">{t("header.importCsv")}</h2>
+          <div className="text-sm text-slate-500">
+            {fileName} · {t("csvImport.rows", { count: dataRows.length })}
+          </div>
+        </div>
+
+        <div>
+          <div className="font-semibold mb-2">{t("csvImport.mapping")}</div>
+          <div className="grid sm:grid-cols-3 gap-3">
+            {IMPORT_FIELDS.map((f) => (
+              <div key={f.key}>
+                <label className="block text-xs mb-1">
+                  {t(`csvImport.field.${f.key}`)}
+                  {f.required && <span className="text-rose-500"> *</span>}
+                </label>
+                <select
+                  className="w-full rounded-xl border border-slate-300 px-3 py-2"
+                  value={mapping[f.key]}
+                  onChange={(e) => setMapping({ ...mapping, [f.key]: Number(e.target.value) })}
+                >
+                  <option value={-1}>{t("csvImport.unused")}</option>
+                  {headers.map((h, i) => (
+                    <option key={i} value={i}>
+                      {h || t("csvImport.column", { n: i + 1 })}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-slate-500 mt-2">
+            {t("csvImport.dateHint")}
+          </p>
+        </div>
+
+        <div className="overflow-x-auto">
+          <div className="font-semibold mb-2">{t("csvImport.preview")}</div>
+          <table className="min-w-full text-sm divide-y divide-slate-200">
+            <thead className="text-left text-slate-600">
+              <tr>
+                {headers.map((h, i) => (
+                  <th key={i} className="py-1 pr-3">
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {dataRows.slice(0, PREVIEW_ROWS).map((r, i) => (
+                <tr key={i} className="border-t">
+                  {headers.map((_, j) => (
+                    <td key={j} className="py-1 pr-3 whitespace-pre-wrap">
+                      {r[j]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {missing.length > 0 ? (
+          <div className="text-sm text-rose-600">
+            {t("csvImport.missing", { fields: missing.map((f) => t(`csvImport.field.${f.key}`)).join(", ") })}
+          </div>
+        ) : (
+          <div className="space-y-2">
+            <div className="text-sm">
+              {t("csvImport.summary", {
+                accepted: result.accepted.length,
+                rejected: result.rejected.length,
+                skipped: result.skipped.length,
+              })}
+            </div>
+            {result.ruled > 0 && (
+              <div className="text-xs text-slate-500">{t("csvImport.ruled", { count: result.ruled })}</div>
+            )}
+            {result.accounts.length > 0 && (
+              <div className="text-xs text-slate-500">
+                {t("csvImport.newAccounts", { names: result.accounts.map((a) => a.name).join(", ") })}
+              </div>
+            )}
+            {issues.length > 0 && (
+              <ul className="text-xs max-h-48 overflow-y-auto rounded-xl border border-slate-200 p-2 space-y-1">
+                {issues.map((x, i) => (
+                  <li key={i} className={x.tone}>
+                    {t(`csvImport.issue.${x.kind}`, { line: x.line, reason: message(x.reason) })}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="button"
+            disabled={!result || result.accepted.length === 0}
+            onClick={() => onConfirm(result.accepted, result.accounts)}
+            className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95 disabled:opacity-50"
+          >
+            {t("csvImport.confirm", { count: result?.accepted.length || 0 })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const MOVES = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+// Inputs that typing straight into a cell can start with that character
+const TYPABLE = new Set(["text", "number"]);
+
+function CellEditor({ editor, initial, onCommit, onCancel }) {
+  const [draft, setDraft] = useState(initial);
+  const input = useRef(null);
+  const finished = useRef(false);
+
+  useEffect(() => {
+    input.current?.focus();
+  }, []);
+
+  const finish = (move) => {
+    if (finished.current) return;
+    finished.current = true;
+    onCommit(draft, move);
+  };
+
+  const onKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === "Enter") finish([e.shiftKey ? -1 : 1, 0]);
+    else if (e.key === "Tab") finish([0, e.shiftKey ? -1 : 1]);
+    else if (e.key === "Escape") {
+      finished.current = true;
+      onCancel();
+    } else return;
+    e.preventDefault();
+  };
+
+  const props = {
+    ref: input,
+    value: draft,
+    onChange: (e) => setDraft(e.target.value),
+    onKeyDown,
+    onBlur: () => finish(null),
+    className: "w-full min-w-24 rounded-lg border border-sky-400 px-2 py-1 text-sm bg-white",
+  };
+  if (editor.type === "select")
+    return (
+      <select {...props}>
+        {editor.options.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+    );
+  return <input type={editor.type} step={editor.type === "number" ? "0.01" : undefined} {...props} />;
+}
+
+// One spreadsheet-style cell of the entry table. Arrow keys move between
+// cells; Enter, F2, a double click or typing starts editing; Enter/Tab save
+// and move on and Escape cancels. `editor` is { type, value, options? } with
+// type "date" | "number" | "text" | "select", or null where the cell can't
+// be edited in place. `seed` is the key typed to start editing, if any.
+export default function EditableCell({
+  active,
+  editing,
+  seed,
+  editor,
+  onActivate,
+  onMove,
+  onEdit,
+  onCommit,
+  onCancel,
+  className = "",
+  children,
+}) {
+  const cell = useRef(null);
+
+  useEffect(() => {
+    if (active && !editing && !cell.current.contains(document.activeElement)) cell.current.focus();
+  }, [active, editing]);
+
+  const onKeyDown = (e) => {
+    if (editing || e.target !== cell.current) return;
+    if (MOVES[e.key]) onMove(MOVES[e.key]);
+    else if (editor && (e.key === "Enter" || e.key === "F2")) onEdit(null);
+    else if (editor && TYPABLE.has(editor.type) && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey)
+      onEdit(e.key);
+    else return;
+    e.preventDefault();
+  };
+
+  return (
+    <td
+      ref={cell}
+      tabIndex={active ? 0 : -1}
+      onFocus={() => !active && onActivate()}
+      onKeyDown={onKeyDown}
+      onDoubleClick={(e) => editor && !editing && e.target === e.currentTarget && onEdit(null)}
+      className={`${className} outline-none ${active ? "ring-2 ring-inset ring-sky-400" : ""} ${
+        editor ? "cursor-cell" : ""
+      }`}
+    >
+      {editing && editor ? (
+        <CellEditor editor={editor} initial={seed ?? editor.value} onCommit={onCommit} onCancel={onCancel} />
+      ) : (
+        children
+      )}
+    </td>
+  );
+}
@@ -0,0 +1,90 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+import { monthLabel } from "../lib/budget";
+
+// Bar of what's spent, with the rest of the projection shaded and the budget
+// (if any) marked, all on the scale of the largest of the three
+function ProjectionBar({ spent, projected, budget }) {
+  const scale = Math.max(spent, projected, budget || 0) || 1;
+  const over = budget > 0 && projected > budget;
+  return (
+    <div className="relative h-2 rounded-full bg-slate-100 overflow-hidden">
+      <div
+        className={`absolute inset-y-0 left-0 rounded-full ${over ? "bg-rose-200" : "bg-sky-200"}`}
+        style={{ width: `${(projected / scale) * 100}%` }}
+      />
+      <div
+        className={`absolute inset-y-0 left-0 rounded-full ${over ? "bg-rose-500" : "bg-sky-500"}`}
+        style={{ width: `${(spent / scale) * 100}%` }}
+      />
+      {budget > 0 && (
+        <div className="absolute inset-y-0 w-0.5 bg-slate-700" style={{ left: `${(budget / scale) * 100}%` }} />
+      )}
+    </div>
+  );
+}
+
+// Month-end projection per top-level category; amounts are in the base currency
+export default function ForecastPanel({ month, forecast, overallBudget, currency }) {
+  const i18n = useI18n();
+  const { t, locale } = i18n;
+  const money = (n) => i18n.money(n, currency);
+  const { days, elapsed, rows, total } = forecast;
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold">🔮 {t("forecast.title", { month: monthLabel(month, locale) })}</h2>
+        <span className="text-xs text-slate-500">{t("forecast.progress", { day: elapsed, days })}</span>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-sm text-slate-500">{t("forecast.empty")}</div>
+      ) : (
+        <div className="space-y-3">
+          <div>
+            <div className="flex items-center justify-between text-sm mb-1">
+              <span className="font-medium">{t("forecast.total")}</span>
+              <span>
+                {money(total.spent)} → <b>{money(total.projected)}</b>
+              </span>
+            </div>
+            <ProjectionBar spent={total.spent} projected={total.projected} budget={Number(overallBudget)} />
+            {total.typical !== null && (
+              <div className="text-xs mt-1 text-slate-500">
+                {t("forecast.typical", { amount: money(total.typical) })}
+              </div>
+            )}
+          </div>
+          <div className="grid md:grid-cols-2 gap-3">
+            {rows.map(({ category, spent, typical, projected }) => {
+              const budget = Number(category.budget);
+              return (
+                <div key={category.id}>
+                  <div className="flex items-center justify-between text-sm mb-1">
+                    <span className="inline-flex items-center gap-2">
+                      <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ background: category.color }} />
+                      {category.icon && `${category.icon} `}
+                      {category.name}
+                    </span>
+                    <span className="text-slate-500">
+                      {money(spent)} → <b className="text-slate-700">{money(projected)}</b>
+                    </span>
+                  </div>
+                  <ProjectionBar spent={spent} projected={projected} budget={budget} />
+                  <div
+                    className={`text-xs mt-1 ${budget > 0 && projected > budget ? "text-rose-600" : "text-slate-500"}`}
+                  >
+                    {budget > 0 && projected > budget
+                      ? t("forecast.overBudget", { amount: money(projected - budget) })
+                      : typical !== null && t("forecast.typical", { amount: money(typical) })}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
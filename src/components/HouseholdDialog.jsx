@@ -0,0 +1,275 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { toDateInputValue } from "../lib/dates";
+import { settleUp } from "../lib/household";
+
+const inputClass = "rounded-xl border border-slate-300 px-3 py-2";
+const smallButton = "px-2 py-1 rounded-lg text-sm transition-all active:scale-95";
+
+// People in the household, who owes whom, the fewest transfers that settle
+// it, and the paybacks recorded so far. Balances are in the base currency.
+export default function HouseholdDialog({
+  people,
+  balances,
+  settlements,
+  usage,
+  baseCurrency,
+  onClose,
+  onAddPerson,
+  onRenamePerson,
+  onDeletePerson,
+  onSettle,
+  onDeleteSettlement,
+  onShowShare,
+}) {
+  const { t, money, date } = useI18n();
+  const [name, setName] = useState("");
+  const [payment, setPayment] = useState(() => ({
+    from: people[0]?.id || "",
+    to: people[1]?.id || "",
+    amount: "",
+    date: toDateInputValue(new Date()),
+  }));
+
+  const transfers = useMemo(() => settleUp(balances), [balances]);
+  const personById = useMemo(() => new Map(people.map((p) => [p.id, p])), [people]);
+  const nameOf = (id) => personById.get(id)?.name || "?";
+  const widest = Math.max(...balances.map((b) => Math.abs(b.net)), 0.01);
+
+  const addPerson = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onAddPerson(name.trim());
+    setName("");
+  };
+
+  const recordPayment = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(payment.amount);
+    if (!payment.from || !payment.to || payment.from === payment.to) return alert(t("household.samePerson"));
+    if (!(amount > 0)) return alert(t("form.invalidAmount"));
+    onSettle([{ from: payment.from, to: payment.to, amount, date: payment.date || toDateInputValue(new Date()) }]);
+    setPayment({ ...payment, amount: "" });
+  };
+
+  const today = toDateInputValue(new Date());
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-4 space-y-5">
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold text-lg">👥 {t("household.title")}</h2>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+
+        <section className="space-y-2">
+          <div className="font-semibold">{t("household.people")}</div>
+          {people.length === 0 && <div className="text-sm text-slate-500">{t("household.empty")}</div>}
+          <ul className="divide-y divide-slate-200">
+            {people.map((p) => (
+              <li key={p.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                <span className="inline-flex items-center gap-2">
+                  <span className="inline-block w-3 h-3 rounded-full" style={{ background: p.color }} />
+                  <span className="font-medium">{p.name}</span>
+                  <span className="text-xs text-slate-500">{t("household.usage", { count: usage.get(p.id) || 0 })}</span>
+                </span>
+                <span className="flex gap-2">
+                  <button onClick={() => onShowShare(p.id)} className={`${smallButton} bg-violet-100 hover:bg-violet-200`}>
+                    {t("household.showShare")}
+                  </button>
+                  <button onClick={() => onRenamePerson(p.id)} className={`${smallButton} bg-sky-100 hover:bg-sky-200`}>
+                    {t("household.rename")}
+                  </button>
+                  <button onClick={() => onDeletePerson(p.id)} className={`${smallButton} bg-rose-100 hover:bg-rose-200`}>
+                    {t("common.delete")}
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={addPerson} className="flex gap-2">
+            <input
+              className={`${inputClass} flex-1 min-w-0`}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t("household.namePlaceholder")}
+              aria-label={t("household.name")}
+            />
+            <button
+              type="submit"
+              className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+            >
+              + {t("household.addPerson")}
+            </button>
+          </form>
+        </section>
+
+        {people.length > 1 && (
+          <>
+            <section className="space-y-2">
+              <div className="font-semibold">{t("household.balances")}</div>
+              <table className="min-w-full text-sm">
+                <thead className="text-left text-slate-600">
+                  <tr>
+                    <th className="py-1 pr-3">{t("household.person")}</th>
+                    <th className="py-1 pr-3 text-right">{t("household.paid")}</th>
+                    <th className="py-1 pr-3 text-right">{t("household.share")}</th>
+                    <th className="py-1 pr-3 text-right">{t("household.settled")}</th>
+                    <th className="py-1 pr-3 text-right">{t("household.net")}</th>
+                    <th className="py-1 w-1/4" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {balances.map((b) => (
+                    <tr key={b.person} className="border-t">
+                      <td className="py-1 pr-3">{nameOf(b.person)}</td>
+                      <td className="py-1 pr-3 text-right">{money(b.paid, baseCurrency)}</td>
+                      <td className="py-1 pr-3 text-right">{money(b.share, baseCurrency)}</td>
+                      <td className="py-1 pr-3 text-right">{money(b.settled, baseCurrency)}</td>
+                      <td
+                        className={`py-1 pr-3 text-right font-medium ${
+                          b.net > 0 ? "text-emerald-600" : b.net < 0 ? "text-rose-600" : ""
+                        }`}
+                        title={t(b.net > 0 ? "household.isOwed" : b.net < 0 ? "household.owes" : "household.even")}
+                      >
+                        {money(b.net, baseCurrency)}
+                      </td>
+                      <td className="py-1">
+                        <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+                          <div
+                            className={`h-full ${b.net >= 0 ? "bg-emerald-400" : "bg-rose-400"}`}
+                            style={{ width: `${(Math.abs(b.net) / widest) * 100}%` }}
+                          />
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+
+            <section className="space-y-2">
+              <div className="font-semibold">{t("household.settleUp")}</div>
+              {transfers.length === 0 ? (
+                <div className="text-sm text-emerald-700">{t("household.allSettled")}</div>
+              ) : (
+                <>
+                  <ul className="space-y-1">
+                    {transfers.map((x, i) => (
+                      <li key={i} className="flex items-center justify-between gap-2 text-sm">
+                        <span>
+                          {t("household.transfer", {
+                            from: nameOf(x.from),
+                            to: nameOf(x.to),
+                            amount: money(x.amount, baseCurrency),
+                          })}
+                        </span>
+                        <button
+                          onClick={() => onSettle([{ ...x, date: today }])}
+                          className={`${smallButton} bg-emerald-100 hover:bg-emerald-200`}
+                        >
+                          {t("household.markPaid")}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  {transfers.length > 1 && (
+                    <button
+                      onClick={() => onSettle(transfers.map((x) => ({ ...x, date: today })))}
+                      className={`${smallButton} bg-emerald-600 hover:bg-emerald-700 text-white`}
+                    >
+                      {t("household.markAllPaid")}
+                    </button>
+                  )}
+                </>
+              )}
+            </section>
+
+            <section className="space-y-2">
+              <div className="font-semibold">{t("household.payments")}</div>
+              <form onSubmit={recordPayment} className="flex flex-wrap gap-2 items-center text-sm">
+                <select
+                  className={inputClass}
+                  value={payment.from}
+                  onChange={(e) => setPayment({ ...payment, from: e.target.value })}
+                  aria-label={t("household.from")}
+                >
+                  {people.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}
+                    </option>
+                  ))}
+                </select>
+                <span>→</span>
+                <select
+                  className={inputClass}
+                  value={payment.to}
+                  onChange={(e) => setPayment({ ...payment, to: e.target.value })}
+                  aria-label={t("household.to")}
+                >
+                  {people.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  className={`${inputClass} w-28`}
+                  value={payment.amount}
+                  onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                  placeholder={baseCurrency}
+                  aria-label={t("field.amount")}
+                />
+                <input
+                  type="date"
+                  className={inputClass}
+                  value={payment.date}
+                  onChange={(e) => setPayment({ ...payment, date: e.target.value })}
+                  aria-label={t("field.date")}
+                />
+                <button type="submit" className={`${smallButton} bg-slate-200 hover:bg-slate-300`}>
+                  {t("household.recordPayment")}
+                </button>
+              </form>
+              {settlements.length === 0 ? (
+                <div className="text-sm text-slate-500">{t("household.noPayments")}</div>
+              ) : (
+                <ul className="divide-y divide-slate-200 text-sm">
+                  {[...settlements]
+                    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+                    .map((s) => (
+                      <li key={s.id} className="py-1.5 flex items-center justify-between gap-2">
+                        <span>
+                          {date(s.date)} ·{" "}
+                          {t("household.paidBack", {
+                            from: nameOf(s.from),
+                            to: nameOf(s.to),
+                            amount: money(s.amount, s.currency),
+                          })}
+                        </span>
+                        <button
+                          onClick={() => onDeleteSettlement(s.id)}
+                          className="text-slate-400 hover:text-rose-600 px-1"
+                          aria-label={t("common.delete")}
+                        >
+                          ✕
+                        </button>
+                      </li>
+                    ))}
+                </ul>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
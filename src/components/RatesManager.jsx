@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { CURRENCIES } from "../lib/currency";
+import { toDateInputValue } from "../lib/dates";
+
+const inputClass = "w-full rounded-xl border border-slate-300 px-3 py-2";
+
+// User-maintained exchange-rate table plus the base currency used for totals
+export default function RatesManager({ rates, baseCurrency, onChangeBase, onAdd, onDelete, onClose }) {
+  const { t, number, date } = useI18n();
+  const [row, setRow] = useState({
+    from: CURRENCIES.find((c) => c !== baseCurrency),
+    to: baseCurrency,
+    rate: "",
+    date: toDateInputValue(new Date()),
+  });
+
+  const submit = (e) => {
+    e.preventDefault();
+    const rate = parseFloat(row.rate);
+    if (isNaN(rate) || rate <= 0) return alert(t("rates.invalidRate"));
+    if (row.from === row.to) return alert(t("rates.sameCurrency"));
+    if (!row.date) return alert(t("rates.missingDate"));
+    onAdd({ ...row, rate });
+    setRow({ ...row, rate: "" });
+  };
+
+  const sorted = [...rates].sort(
+    (a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to) || b.date.localeCompare(a.date)
+  );
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-2xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold text-lg">💱 {t("rates.title")}</h2>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+
+        <div className="max-w-xs">
+          <label className="block text-xs mb-1">{t("rates.base")}</label>
+          <select className={inputClass} value={baseCurrency} onChange={(e) => onChangeBase(e.target.value)}>
+            {CURRENCIES.map((c) => (
+              <option key={c}>{c}</option>
+            ))}
+          </select>
+        </div>
+
+        <form onSubmit={submit} className="grid grid-cols-2 sm:grid-cols-5 gap-3 items-end">
+          <div>
+            <label className="block text-xs mb-1">{t("rates.oneUnitOf")}</label>
+            <select className={inputClass} value={row.from} onChange={(e) => setRow({ ...row, from: e.target.value })}>
+              {CURRENCIES.map((c) => (
+                <option key={c}>{c}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs mb-1">{t("rates.equals")}</label>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              className={inputClass}
+              value={row.rate}
+              onChange={(e) => setRow({ ...row, rate: e.target.value })}
+              placeholder={t("rates.ratePlaceholder")}
+            />
+          </div>
+          <div>
+            <label className="block text-xs mb-1">{t("rates.to")}</label>
+            <select className={inputClass} value={row.to} onChange={(e) => setRow({ ...row, to: e.target.value })}>
+              {CURRENCIES.map((c) => (
+                <option key={c}>{c}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs mb-1">{t("rates.effective")}</label>
+            <input
+              type="date"
+              className={inputClass}
+              value={row.date}
+              onChange={(e) => setRow({ ...row, date: e.target.value })}
+            />
+          </div>
+          <button
+            type="submit"
+            className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+          >
+            {t("rates.add")}
+          </button>
+        </form>
+
+        <p className="text-xs text-slate-500">
+          {t("rates.hint")}
+        </p>
+
+        {sorted.length === 0 ? (
+          <div className="text-sm text-slate-500">{t("rates.none")}</div>
+        ) : (
+          <table className="min-w-full text-sm divide-y divide-slate-200">
+            <thead className="text-left text-slate-600">
+              <tr>
+                <th className="py-2">{t("rates.pair")}</th>
+                <th className="py-2 text-right">{t("rates.rate")}</th>
+                <th className="py-2">{t("rates.effective")}</th>
+                <th className="py-2 text-right">{t("list.actions")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((r) => (
+                <tr key={r.id} className="border-t">
+                  <td className="py-2">
+                    1 {r.from} → {r.to}
+                  </td>
+                  <td className="py-2 text-right font-medium">{number(r.rate, { maximumFractionDigits: 6 })}</td>
+                  <td className="py-2">{date(r.date)}</td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => onDelete(r.id)}
+                      className="px-2 py-1 rounded-lg bg-rose-100 hover:bg-rose-200"
+                    >
+                      {t("common.delete")}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
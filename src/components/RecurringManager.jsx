@@ -0,0 +1,345 @@
+import React, { useState } from "react";
+import { categoryLabel, categoryOptions } from "../lib/categories";
+import { toDateInputValue } from "../lib/dates";
+import { CURRENCIES, entryCurrency } from "../lib/currency";
+import { rescaleShares } from "../lib/household";
+import {
+  FREQUENCIES,
+  describeSchedule,
+  isEnded,
+  nextOccurrence,
+  weekdayNames,
+} from "../lib/recurring";
+import { TYPES, categoriesOfType } from "../lib/transactions";
+import useI18n from "../hooks/useI18n";
+
+const inputClass = "w-full rounded-xl border border-slate-300 px-3 py-2";
+
+const blankTemplate = (categories, accounts, currency) => {
+  const today = new Date();
+  return {
+    type: "expense",
+    amount: "",
+    currency,
+    category: categories.find((c) => c.id === "bill")?.id || categories[0]?.id || "other",
+    accountId: accounts[0]?.id || "",
+    note: "",
+    freq: "monthly",
+    weekday: today.getDay(),
+    day: today.getDate(),
+    month: today.getMonth() + 1,
+    startDate: toDateInputValue(today),
+    endDate: "",
+  };
+};
+
+function TemplateForm({ initial, categories, accounts, onCancel, onSubmit }) {
+  const { t, locale } = useI18n();
+  const [draft, setDraft] = useState(initial);
+  const set = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+  const typeCategories = categoriesOfType(categories, draft.type);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(draft.amount);
+    if (isNaN(amount) || amount <= 0) return alert(t("form.invalidAmount"));
+    if (!draft.startDate) return alert(t("recurring.missingStart"));
+    if (draft.endDate && draft.endDate < draft.startDate) return alert(t("recurring.endBeforeStart"));
+    // Exact who-paid shares (set by a series edit) follow a new amount
+    const shares = draft.shares && rescaleShares(draft.shares, amount);
+    onSubmit({ ...draft, amount, endDate: draft.endDate || null, ...(shares && { shares }) });
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-3 rounded-xl border border-slate-200 p-3">
+      <div className="grid sm:grid-cols-3 gap-3">
+        <div>
+          <label className="block text-xs mb-1">{t("field.type")}</label>
+          <select
+            className={inputClass}
+            value={draft.type}
+            onChange={(e) =>
+              set({
+                type: e.target.value,
+                category: categoriesOfType(categories, e.target.value)[0]?.id || "other",
+              })
+            }
+          >
+            {TYPES.map((key) => (
+              <option key={key} value={key}>
+                {t(`type.${key}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs mb-1">{t("field.amount")}</label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              className={inputClass}
+              value={draft.amount}
+              onChange={(e) => set({ amount: e.target.value })}
+            />
+            <select
+              className="rounded-xl border border-slate-300 px-2 py-2"
+              value={entryCurrency(draft)}
+              onChange={(e) => set({ currency: e.target.value })}
+            >
+              {CURRENCIES.map((c) => (
+                <option key={c}>{c}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div>
+          <label className="block text-xs mb-1">{t("field.category")}</label>
+          <select
+            className={inputClass}
+            value={draft.category}
+            onChange={(e) => set({ category: e.target.value })}
+          >
+            {categoryOptions(typeCategories).map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs mb-1">{t("field.account")}</label>
+          <select
+            className={inputClass}
+            value={draft.accountId || ""}
+            onChange={(e) => {
+              const account = accounts.find((a) => a.id === e.target.value);
+              set({ accountId: e.target.value, ...(account && { currency: account.currency }) });
+            }}
+          >
+            {accounts.map((a) => (
+              <option key={a.id} value={a.id}>
+                {a.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="sm:col-span-2">
+          <label className="block text-xs mb-1">{t("form.note")}</label>
+          <input
+            className={inputClass}
+            value={draft.note}
+            onChange={(e) => set({ note: e.target.value })}
+            placeholder={t("recurring.notePlaceholder")}
+          />
+        </div>
+        <div>
+          <label className="block text-xs mb-1">{t("recurring.frequency")}</label>
+          <select className={inputClass} value={draft.freq} onChange={(e) => set({ freq: e.target.value })}>
+            {FREQUENCIES.map((key) => (
+              <option key={key} value={key}>
+                {t(`frequency.${key}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+        {draft.freq === "weekly" && (
+          <div>
+            <label className="block text-xs mb-1">{t("recurring.weekday")}</label>
+            <select
+              className={inputClass}
+              value={draft.weekday}
+              onChange={(e) => set({ weekday: Number(e.target.value) })}
+            >
+              {weekdayNames(locale).map((w, i) => (
+                <option key={i} value={i}>
+                  {w}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        {draft.freq === "yearly" && (
+          <div>
+            <label className="block text-xs mb-1">{t("recurring.month")}</label>
+            <input
+              type="number"
+              min="1"
+              max="12"
+              className={inputClass}
+              value={draft.month}
+              onChange={(e) => set({ month: Number(e.target.value) })}
+            />
+          </div>
+        )}
+        {(draft.freq === "monthly" || draft.freq === "yearly") && (
+          <div>
+            <label className="block text-xs mb-1">{t("recurring.dayOfMonth")}</label>
+            <input
+              type="number"
+              min="1"
+              max="31"
+              className={inputClass}
+              value={draft.day}
+              onChange={(e) => set({ day: Number(e.target.value) })}
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-xs mb-1">{t("recurring.start")}</label>
+          <input
+            type="date"
+            className={inputClass}
+            value={draft.startDate}
+            onChange={(e) => set({ startDate: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="block text-xs mb-1">{t("recurring.endOptional")}</label>
+          <input
+            type="date"
+            className={inputClass}
+            value={draft.endDate || ""}
+            onChange={(e) => set({ endDate: e.target.value })}
+          />
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+        >
+          {t("common.save")}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+        >
+          {t("common.cancel")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Screen for creating, pausing, editing and ending recurring series
+export default function RecurringManager({
+  templates,
+  categories,
+  accounts,
+  baseCurrency,
+  onClose,
+  onSave,
+  onTogglePause,
+  onEnd,
+  onDelete,
+}) {
+  const i18n = useI18n();
+  const { t, money, date } = i18n;
+  const [editing, setEditing] = useState(null); // template draft, or null
+  const today = toDateInputValue(new Date());
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold text-lg">🔁 {t("recurring.title")}</h2>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+
+        {editing ? (
+          <TemplateForm
+            initial={editing}
+            categories={categories}
+            accounts={accounts}
+            onCancel={() => setEditing(null)}
+            onSubmit={(tpl) => {
+              onSave(tpl);
+              setEditing(null);
+            }}
+          />
+        ) : (
+          <button
+            onClick={() => setEditing(blankTemplate(categories, accounts, baseCurrency))}
+            className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+          >
+            + {t("recurring.add")}
+          </button>
+        )}
+
+        {templates.length === 0 ? (
+          <div className="text-sm text-slate-500">
+            {t("recurring.empty")}
+          </div>
+        ) : (
+          <ul className="divide-y divide-slate-200">
+            {templates.map((tpl) => {
+              const cat = categories.find((c) => c.id === tpl.category);
+              const account = accounts.find((a) => a.id === tpl.accountId);
+              const ended = isEnded(tpl, today);
+              const next = nextOccurrence(tpl, today);
+              return (
+                <li key={tpl.id} className="py-3 flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <div className="font-medium">
+                      {tpl.note || cat?.name || tpl.category}{" "}
+                      <span className={tpl.type === "income" ? "text-emerald-600" : ""}>
+                        {money(tpl.amount, entryCurrency(tpl))}
+                      </span>
+                    </div>
+                    <div className="text-xs text-slate-500">
+                      {describeSchedule(tpl, i18n)} · {categoryLabel(categories, tpl.category)}
+                      {account && ` · ${account.name}`}
+                      {ended
+                        ? ` · ${t("recurring.ended")}`
+                        : tpl.paused
+                          ? ` · ${t("recurring.paused")}`
+                          : next && ` · ${t("recurring.next", { date: date(next) })}`}
+                    </div>
+                  </div>
+                  <div className="flex gap-2 text-sm">
+                    {!ended && (
+                      <button
+                        onClick={() => onTogglePause(tpl.id)}
+                        className="px-2 py-1 rounded-lg bg-amber-100 hover:bg-amber-200"
+                      >
+                        {tpl.paused ? t("recurring.resume") : t("recurring.pause")}
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setEditing({ ...tpl, endDate: tpl.endDate || "" })}
+                      className="px-2 py-1 rounded-lg bg-sky-100 hover:bg-sky-200"
+                    >
+                      {t("common.edit")}
+                    </button>
+                    {!ended && (
+                      <button
+                        onClick={() => onEnd(tpl.id)}
+                        className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200"
+                      >
+                        {t("recurring.end")}
+                      </button>
+                    )}
+                    <button
+                      onClick={() => onDelete(tpl.id)}
+                      className="px-2 py-1 rounded-lg bg-rose-100 hover:bg-rose-200"
+                    >
+                      {t("common.delete")}
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
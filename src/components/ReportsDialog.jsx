@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { toDateInputValue } from "../lib/dates";
+import { PERIODS, buildReport, periodOf, shiftPeriod } from "../lib/reports";
+
+const pct = (p) => (p == null ? "—" : `${p > 0 ? "+" : ""}${p.toFixed(1)}%`);
+
+// Spending going up is bad news, income going up is good
+const changeTone = (diff, type) =>
+  !diff ? "text-slate-500" : (diff > 0) === (type === "expense") ? "text-rose-600" : "text-emerald-600";
+
+function Change({ diff, pct: p, type, money }) {
+  return (
+    <span className={changeTone(diff, type)}>
+      {diff > 0 ? "+" : ""}
+      {money(diff)} <span className="text-xs">({pct(p)})</span>
+    </span>
+  );
+}
+
+// Month/quarter/year summary against the period before it. Printing the page
+// while this is open prints only the report (see print: classes in App).
+export default function ReportsDialog({ entries, lines, categories, money, onExportCSV, onClose }) {
+  const i18n = useI18n();
+  const { t, date } = i18n;
+  const [kind, setKind] = useState("month");
+  const [key, setKey] = useState(() => periodOf("month", toDateInputValue(new Date())));
+  const report = useMemo(
+    () => buildReport({ entries, lines, categories, kind, key, i18n }),
+    [entries, lines, categories, kind, key, i18n]
+  );
+
+  const changeKind = (next) => {
+    setKind(next);
+    setKey(periodOf(next, report.from));
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4 print:static print:block print:bg-white print:p-0">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-4xl max-h-[90vh] overflow-y-auto p-4 space-y-4 print:max-w-none print:max-h-none print:overflow-visible print:shadow-none print:border-0 print:rounded-none">
+        <div className="flex flex-wrap items-center justify-between gap-2 print:hidden">
+          <div className="flex items-center gap-2">
+            <div className="flex gap-1 p-1 rounded-xl bg-slate-100">
+              {PERIODS.map((k) => (
+                <button
+                  key={k}
+                  onClick={() => changeKind(k)}
+                  className={`px-2 py-1 rounded-lg text-sm transition-all ${
+                    kind === k ? "bg-white shadow text-slate-800" : "text-slate-500 hover:text-slate-700"
+                  }`}
+                >
+                  {t(`period.${k}`)}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={() => setKey(shiftPeriod(kind, key, -1))}
+              className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300"
+              aria-label={t("reports.previous")}
+            >
+              ‹
+            </button>
+            <button
+              onClick={() => setKey(shiftPeriod(kind, key, 1))}
+              className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300"
+              aria-label={t("reports.next")}
+            >
+              ›
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => window.print()}
+              className="px-3 py-1.5 rounded-xl bg-sky-600 hover:bg-sky-700 text-white text-sm transition-all active:scale-95"
+            >
+              {t("reports.print")}
+            </button>
+            <button
+              onClick={() => onExportCSV(report)}
+              className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+            >
+              {t("header.exportCsv")}
+            </button>
+            <button
+              onClick={onClose}
+              className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+            >
+              {t("common.close")}
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <h2 className="font-bold text-xl">📊 {t("reports.title", { period: report.label })}</h2>
+          <div className="text-sm text-slate-500">
+            {date(report.from)} – {date(report.to)} · {t("reports.comparedWith", { period: report.previousLabel })}
+          </div>
+        </div>
+
+        <div className="grid sm:grid-cols-4 gap-3 print:grid-cols-4">
+          {["income", "expense", "net"].map((k) => (
+            <div key={k} className="rounded-xl border border-slate-200 p-3">
+              <div className="text-xs text-slate-500">{t(k === "net" ? "totals.net" : `type.${k}`)}</div>
+              <div className="text-lg font-bold">{money(report.totals[k])}</div>
+              <div className="text-xs">
+                <Change {...report.changes[k]} type={k === "expense" ? "expense" : "income"} money={money} />
+              </div>
+            </div>
+          ))}
+          <div className="rounded-xl border border-slate-200 p-3">
+            <div className="text-xs text-slate-500">{t("reports.averageDaily")}</div>
+            <div className="text-lg font-bold">{money(report.averageDaily)}</div>
+            <div className="text-xs text-slate-500">{t("common.days", { count: report.days })}</div>
+          </div>
+        </div>
+
+        {Object.entries(report.rows).map(
+          ([type, rows]) =>
+            rows.length > 0 && (
+              <div key={type} className="break-inside-avoid">
+                <div className="font-semibold mb-1">{t(`reports.byCategory.${type}`)}</div>
+                <table className="min-w-full text-sm divide-y divide-slate-200">
+                  <thead className="text-left text-slate-600">
+                    <tr>
+                      <th className="py-1">{t("list.category")}</th>
+                      <th className="py-1 text-right">{report.label}</th>
+                      <th className="py-1 text-right">{report.previousLabel}</th>
+                      <th className="py-1 text-right">{t("reports.change")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((r) => (
+                      <tr key={r.category} className="border-t">
+                        <td className={`py-1 ${r.depth ? "pl-5 text-slate-600" : "font-medium"}`}>
+                          {r.depth ? `↳ ${categories.find((c) => c.id === r.category)?.name}` : r.label}
+                        </td>
+                        <td className="py-1 text-right">{money(r.current)}</td>
+                        <td className="py-1 text-right text-slate-500">{money(r.previous)}</td>
+                        <td className="py-1 text-right">
+                          <Change diff={r.diff} pct={r.pct} type={type} money={money} />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )
+        )}
+
+        <div className="grid md:grid-cols-2 gap-4 print:grid-cols-2">
+          <div className="break-inside-avoid">
+            <div className="font-semibold mb-1">{t("reports.topNotes")}</div>
+            {report.topNotes.length === 0 ? (
+              <div className="text-sm text-slate-500">{t("reports.noNotes")}</div>
+            ) : (
+              <ol className="text-sm space-y-1">
+                {report.topNotes.map((n) => (
+                  <li key={n.note} className="flex justify-between gap-2">
+                    <span>
+                      {n.note} <span className="text-xs text-slate-500">×{n.count}</span>
+                    </span>
+                    <span>{money(n.total)}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+          <div className="break-inside-avoid">
+            <div className="font-semibold mb-1">{t("reports.largest")}</div>
+            {report.largest.length === 0 ? (
+              <div className="text-sm text-slate-500">{t("reports.noExpenses")}</div>
+            ) : (
+              <ol className="text-sm space-y-1">
+                {report.largest.map((e) => (
+                  <li key={e.id} className="flex justify-between gap-2">
+                    <span>
+                      {date(e.date, { day: "numeric", month: "short" })} ·{" "}
+                      {e.note || e.categoryLabel}
+                    </span>
+                    <span>{money(e.amount)}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
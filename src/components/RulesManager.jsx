@@ -0,0 +1,494 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { categoryLabel, categoryOptions } from "../lib/categories";
+import { entryCurrency } from "../lib/currency";
+import {
+  CONDITION_OPS,
+  RULE_FIELDS,
+  blankCondition,
+  planRules,
+  ruleFromSuggestion,
+  ruleMatches,
+  suggestRules,
+} from "../lib/rules";
+import { TYPES, categoriesOfType } from "../lib/transactions";
+
+const inputClass = "w-full rounded-xl border border-slate-300 px-3 py-2";
+const smallButton = "px-2 py-1 rounded-lg text-sm transition-all active:scale-95";
+
+const blankRule = () => ({ name: "", conditions: [blankCondition()], category: "", accountId: "" });
+
+// Grouped category picker; "" = the rule leaves the category alone
+function CategorySelect({ categories, value, onChange, emptyLabel }) {
+  const { t } = useI18n();
+  return (
+    <select className={inputClass} value={value} onChange={(e) => onChange(e.target.value)}>
+      <option value="">{emptyLabel}</option>
+      {TYPES.map((key) => (
+        <optgroup key={key} label={t(`type.${key}`)}>
+          {categoryOptions(categoriesOfType(categories, key)).map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.label}
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+}
+
+function RuleForm({ initial, categories, accounts, onCancel, onSubmit }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(initial);
+  const set = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+  const setCondition = (i, patch) =>
+    set({ conditions: draft.conditions.map((c, j) => (j === i ? { ...c, ...patch } : c)) });
+
+  const submit = (e) => {
+    e.preventDefault();
+    const conditions = draft.conditions.map((c) =>
+      c.field === "amount" ? { ...c, value: parseFloat(c.value) } : { ...c, value: String(c.value).trim() }
+    );
+    if (!conditions.length) return alert(t("rules.noConditions"));
+    if (conditions.some((c) => (c.field === "amount" ? !(c.value > 0) : !c.value)))
+      return alert(t("rules.incompleteCondition"));
+    if (!draft.category && !draft.accountId) return alert(t("rules.noAction"));
+    const { category, accountId, ...rest } = draft;
+    onSubmit({
+      ...rest,
+      name: draft.name.trim() || conditions.find((c) => c.field === "note")?.value || t("rules.untitled"),
+      conditions,
+      ...(category && { category }),
+      ...(accountId && { accountId }),
+    });
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-3 rounded-xl border border-slate-200 p-3">
+      <div>
+        <label className="block text-xs mb-1">{t("rules.name")}</label>
+        <input
+          className={inputClass}
+          value={draft.name}
+          onChange={(e) => set({ name: e.target.value })}
+          placeholder={t("rules.namePlaceholder")}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <div className="text-xs">{t("rules.when")}</div>
+        {draft.conditions.map((c, i) => (
+          <div key={i} className="flex flex-wrap sm:flex-nowrap gap-2 items-center">
+            <select
+              className="rounded-xl border border-slate-300 px-2 py-2"
+              value={c.field}
+              onChange={(e) => setCondition(i, blankCondition(e.target.value))}
+              aria-label={t("rules.conditionField")}
+            >
+              {Object.keys(CONDITION_OPS).map((field) => (
+                <option key={field} value={field}>
+                  {t(`rules.field.${field}`)}
+                </option>
+              ))}
+            </select>
+            {CONDITION_OPS[c.field].length > 1 && (
+              <select
+                className="rounded-xl border border-slate-300 px-2 py-2"
+                value={c.op}
+                onChange={(e) => setCondition(i, { op: e.target.value })}
+                aria-label={t("rules.conditionOp")}
+              >
+                {CONDITION_OPS[c.field].map((op) => (
+                  <option key={op} value={op}>
+                    {t(`rules.op.${op}`)}
+                  </option>
+                ))}
+              </select>
+            )}
+            {c.field === "account" ? (
+              <select
+                className={inputClass}
+                value={c.value}
+                onChange={(e) => setCondition(i, { value: e.target.value })}
+                aria-label={t("rules.conditionValue")}
+              >
+                <option value="">{t("rules.chooseAccount")}</option>
+                {accounts.map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.name}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={c.field === "amount" ? "number" : "text"}
+                step={c.field === "amount" ? "0.01" : undefined}
+                min={c.field === "amount" ? "0" : undefined}
+                className={inputClass}
+                value={c.value || ""}
+                onChange={(e) => setCondition(i, { value: e.target.value })}
+                placeholder={c.field === "note" ? t("rules.notePlaceholder") : undefined}
+                aria-label={t("rules.conditionValue")}
+              />
+            )}
+            {draft.conditions.length > 1 && (
+              <button
+                type="button"
+                onClick={() => set({ conditions: draft.conditions.filter((_, j) => j !== i) })}
+                className="text-slate-400 hover:text-rose-600 px-1"
+                aria-label={t("rules.removeCondition")}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => set({ conditions: [...draft.conditions, blankCondition()] })}
+          className="text-xs text-sky-700 hover:underline"
+        >
+          + {t("rules.addCondition")}
+        </button>
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs mb-1">{t("rules.setCategory")}</label>
+          <CategorySelect
+            categories={categories}
+            value={draft.category || ""}
+            onChange={(category) => set({ category })}
+            emptyLabel={t("rules.keep")}
+          />
+        </div>
+        <div>
+          <label className="block text-xs mb-1">{t("rules.setAccount")}</label>
+          <select
+            className={inputClass}
+            value={draft.accountId || ""}
+            onChange={(e) => set({ accountId: e.target.value })}
+          >
+            <option value="">{t("rules.keep")}</option>
+            {accounts.map((a) => (
+              <option key={a.id} value={a.id}>
+                {a.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+        >
+          {t("common.save")}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+        >
+          {t("common.cancel")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Dry run of the rules over existing entries; nothing changes until the
+// ticked rows are applied
+function RunRules({ entries, rules, categories, accounts, onApply }) {
+  const { t, money, date } = useI18n();
+  const [onlyFallback, setOnlyFallback] = useState(true);
+  const [fields, setFields] = useState(RULE_FIELDS);
+  // { rows: [{ entry, next, ruleIds, approved }], basis } once previewed; a
+  // preview of other rules, entries or options is stale
+  const [preview, setPreview] = useState(null);
+  const basis = [entries, rules, categories, accounts, onlyFallback, fields.join()];
+  const plan = preview && preview.basis.every((x, i) => x === basis[i]) ? preview.rows : null;
+  const setPlan = (rows) => setPreview({ rows, basis });
+
+  const runPreview = () =>
+    setPlan(
+      planRules(entries, rules, { categories, accounts }, { fields, onlyFallback }).map((c) => ({
+        ...c,
+        approved: true,
+      }))
+    );
+  const toggleField = (field) =>
+    setFields(fields.includes(field) ? fields.filter((f) => f !== field) : [...fields, field]);
+  const approved = plan?.filter((c) => c.approved) || [];
+  const accountName = (id) => accounts.find((a) => a.id === id)?.name || t("common.none");
+  const ruleNames = (ids) => ids.map((id) => rules.find((r) => r.id === id)?.name).join(", ");
+
+  return (
+    <div className="space-y-2">
+      <div className="font-semibold">{t("rules.runTitle")}</div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm">
+        <label className="inline-flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={onlyFallback}
+            onChange={(e) => setOnlyFallback(e.target.checked)}
+          />
+          {t("rules.onlyFallback")}
+        </label>
+        {RULE_FIELDS.map((field) => (
+          <label key={field} className="inline-flex items-center gap-1">
+            <input type="checkbox" checked={fields.includes(field)} onChange={() => toggleField(field)} />
+            {t(`rules.runField.${field}`)}
+          </label>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={runPreview}
+        disabled={!rules.length || !fields.length}
+        className={`${smallButton} bg-violet-100 hover:bg-violet-200 disabled:opacity-50`}
+      >
+        {t("rules.preview")}
+      </button>
+
+      {plan &&
+        (plan.length === 0 ? (
+          <div className="text-sm text-slate-500">{t("rules.nothingToChange")}</div>
+        ) : (
+          <>
+            <div className="overflow-x-auto max-h-72 overflow-y-auto rounded-xl border border-slate-200">
+              <table className="min-w-full text-sm">
+                <thead className="text-left text-slate-600 bg-slate-50 sticky top-0">
+                  <tr>
+                    <th className="py-1 px-2">
+                      <input
+                        type="checkbox"
+                        checked={approved.length === plan.length}
+                        onChange={(e) => setPlan(plan.map((c) => ({ ...c, approved: e.target.checked })))}
+                        aria-label={t("rules.tickAll")}
+                      />
+                    </th>
+                    <th className="py-1 pr-3">{t("field.date")}</th>
+                    <th className="py-1 pr-3">{t("form.note")}</th>
+                    <th className="py-1 pr-3 text-right">{t("field.amount")}</th>
+                    <th className="py-1 pr-3">{t("rules.change")}</th>
+                    <th className="py-1 pr-3">{t("rules.byRule")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.map((c, i) => (
+                    <tr key={c.entry.id} className={`border-t ${c.approved ? "" : "opacity-50"}`}>
+                      <td className="py-1 px-2">
+                        <input
+                          type="checkbox"
+                          checked={c.approved}
+                          onChange={() => setPlan(plan.map((x, j) => (j === i ? { ...x, approved: !x.approved } : x)))}
+                          aria-label={t("rules.tickRow")}
+                        />
+                      </td>
+                      <td className="py-1 pr-3 whitespace-nowrap">{date(c.entry.date)}</td>
+                      <td className="py-1 pr-3">{c.entry.note}</td>
+                      <td className="py-1 pr-3 text-right whitespace-nowrap">
+                        {money(c.entry.amount, entryCurrency(c.entry))}
+                      </td>
+                      <td className="py-1 pr-3 text-xs">
+                        {c.next.category !== c.entry.category && (
+                          <div>
+                            {categoryLabel(categories, c.entry.category)} → {categoryLabel(categories, c.next.category)}
+                          </div>
+                        )}
+                        {c.next.accountId !== c.entry.accountId && (
+                          <div>
+                            {accountName(c.entry.accountId)} → {accountName(c.next.accountId)}
+                          </div>
+                        )}
+                      </td>
+                      <td className="py-1 pr-3 text-xs text-slate-500">{ruleNames(c.ruleIds)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <button
+              type="button"
+              disabled={!approved.length}
+              onClick={() => {
+                onApply(approved.map((c) => c.next));
+                setPreview(null);
+              }}
+              className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95 disabled:opacity-50"
+            >
+              {t("rules.apply", { count: approved.length })}
+            </button>
+          </>
+        ))}
+    </div>
+  );
+}
+
+// Create, order and test categorisation rules, take up suggestions learned
+// from past entries and run the rules over existing data
+export default function RulesManager({
+  rules,
+  entries,
+  categories,
+  accounts,
+  onClose,
+  onSave,
+  onMove,
+  onToggle,
+  onDelete,
+  onApply,
+}) {
+  const { t, number } = useI18n();
+  const [editing, setEditing] = useState(null); // rule draft, or null
+  const [dismissed, setDismissed] = useState(() => new Set()); // suggestion keys hidden this session
+
+  const matchCounts = useMemo(
+    () => new Map(rules.map((r) => [r.id, entries.filter((e) => ruleMatches(r, e)).length])),
+    [rules, entries]
+  );
+  const suggestions = useMemo(
+    () => suggestRules(entries, rules, { categories, accounts }).filter((s) => !dismissed.has(s.key)),
+    [entries, rules, categories, accounts, dismissed]
+  );
+
+  const accountName = (id) => accounts.find((a) => a.id === id)?.name || "?";
+  const describeCondition = (c) =>
+    t(`rules.describe.${c.field}`, {
+      op: t(`rules.op.${c.op}`),
+      value: c.field === "amount" ? number(c.value) : c.field === "account" ? accountName(c.value) : c.value,
+    });
+  const describeActions = (r) =>
+    [r.category && categoryLabel(categories, r.category), r.accountId && accountName(r.accountId)]
+      .filter(Boolean)
+      .join(" · ");
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold text-lg">⚡ {t("rules.title")}</h2>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+        <p className="text-sm text-slate-500">{t("rules.intro")}</p>
+
+        {editing ? (
+          <RuleForm
+            initial={editing}
+            categories={categories}
+            accounts={accounts}
+            onCancel={() => setEditing(null)}
+            onSubmit={(rule) => {
+              onSave(rule);
+              setEditing(null);
+            }}
+          />
+        ) : (
+          <button
+            onClick={() => setEditing(blankRule())}
+            className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95"
+          >
+            + {t("rules.add")}
+          </button>
+        )}
+
+        {rules.length === 0 ? (
+          <div className="text-sm text-slate-500">{t("rules.empty")}</div>
+        ) : (
+          <ol className="divide-y divide-slate-200">
+            {rules.map((r, i) => (
+              <li key={r.id} className={`py-3 flex flex-wrap items-center justify-between gap-2 ${r.disabled ? "opacity-50" : ""}`}>
+                <div className="min-w-0">
+                  <div className="font-medium">
+                    <span className="text-slate-400 mr-1">{i + 1}.</span>
+                    {r.name}
+                    <span className="ml-2 text-xs font-normal text-slate-500">
+                      {t("rules.matches", { count: matchCounts.get(r.id) })}
+                    </span>
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {r.conditions.map(describeCondition).join(` ${t("rules.and")} `)} → {describeActions(r)}
+                  </div>
+                </div>
+                <div className="flex gap-2 text-sm">
+                  <button
+                    onClick={() => onMove(r.id, -1)}
+                    disabled={i === 0}
+                    className={`${smallButton} bg-slate-100 hover:bg-slate-200 disabled:opacity-40`}
+                    aria-label={t("rules.moveUp")}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => onMove(r.id, 1)}
+                    disabled={i === rules.length - 1}
+                    className={`${smallButton} bg-slate-100 hover:bg-slate-200 disabled:opacity-40`}
+                    aria-label={t("rules.moveDown")}
+                  >
+                    ↓
+                  </button>
+                  <button onClick={() => onToggle(r.id)} className={`${smallButton} bg-amber-100 hover:bg-amber-200`}>
+                    {r.disabled ? t("rules.enable") : t("rules.disable")}
+                  </button>
+                  <button
+                    onClick={() => setEditing({ ...r, category: r.category || "", accountId: r.accountId || "" })}
+                    className={`${smallButton} bg-sky-100 hover:bg-sky-200`}
+                  >
+                    {t("common.edit")}
+                  </button>
+                  <button onClick={() => onDelete(r.id)} className={`${smallButton} bg-rose-100 hover:bg-rose-200`}>
+                    {t("common.delete")}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {suggestions.length > 0 && (
+          <div className="space-y-2">
+            <div className="font-semibold">{t("rules.suggestions")}</div>
+            <ul className="divide-y divide-slate-200 rounded-xl border border-violet-200 bg-violet-50/50">
+              {suggestions.map((s) => (
+                <li key={s.key} className="px-3 py-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+                  <div>
+                    <div>
+                      {describeCondition({ field: "note", op: "contains", value: s.key })} →{" "}
+                      {describeActions(s)}
+                    </div>
+                    <div className="text-xs text-slate-500">
+                      {t("rules.learnedFrom", { matched: s.matched, count: s.count })}
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => onSave(ruleFromSuggestion(s))}
+                      className={`${smallButton} bg-violet-600 hover:bg-violet-700 text-white`}
+                    >
+                      {t("rules.accept")}
+                    </button>
+                    <button
+                      onClick={() => setDismissed(new Set(dismissed).add(s.key))}
+                      className={`${smallButton} bg-slate-100 hover:bg-slate-200`}
+                    >
+                      {t("rules.dismiss")}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <RunRules entries={entries} rules={rules} categories={categories} accounts={accounts} onApply={onApply} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+import { SHARE_MODES } from "../lib/household";
+
+const inputClass =
+  "rounded-xl border border-slate-300 px-2 py-1.5 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all";
+
+// Who an entry was for: tick people and, unless it's split equally, give each
+// a percentage or an amount. `shares` is { mode, parts: [{ person, value }] }
+// with values as typed (see lib/household).
+export default function ShareEditor({ shares, people, total, currency, onChange }) {
+  const { t, money, number } = useI18n();
+  const { mode, parts } = shares;
+  const partOf = (id) => parts.find((p) => p.person === id);
+  const typed = parts.reduce((s, p) => s + (parseFloat(p.value) || 0), 0);
+  const target = mode === "percent" ? 100 : parseFloat(total) || 0;
+  const remaining = target - typed;
+
+  // People stay in list order so the stored parts don't depend on click order
+  const toggle = (id) =>
+    onChange({
+      mode,
+      parts: people
+        .filter((p) => (p.id === id ? !partOf(id) : partOf(p.id)))
+        .map((p) => partOf(p.id) || { person: p.id, value: "" }),
+    });
+  const setValue = (id, value) =>
+    onChange({ mode, parts: parts.map((p) => (p.person === id ? { ...p, value } : p)) });
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-3 gap-1 p-1 rounded-xl bg-slate-100" role="group" aria-label={t("household.splitMode")}>
+        {SHARE_MODES.map((key) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => onChange({ mode: key, parts: parts.map((p) => ({ person: p.person, value: "" })) })}
+            className={`py-1 rounded-lg text-xs transition-all ${
+              mode === key ? "bg-white text-slate-800 shadow" : "text-slate-500 hover:text-slate-700"
+            }`}
+          >
+            {t(`household.mode.${key}`)}
+          </button>
+        ))}
+      </div>
+      {people.map((p) => {
+        const part = partOf(p.id);
+        return (
+          <div key={p.id} className="flex items-center gap-2 text-sm">
+            <label className="flex-1 min-w-0 inline-flex items-center gap-2">
+              <input type="checkbox" checked={!!part} onChange={() => toggle(p.id)} />
+              <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ background: p.color }} />
+              <span className="truncate">{p.name}</span>
+            </label>
+            {part && mode === "equal" && (
+              <span className="text-xs text-slate-500">
+                {money((parseFloat(total) || 0) / parts.length, currency)}
+              </span>
+            )}
+            {part && mode !== "equal" && (
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                className={`${inputClass} w-24`}
+                value={part.value}
+                onChange={(e) => setValue(p.id, e.target.value)}
+                placeholder={mode === "percent" ? "%" : t("split.amount")}
+                aria-label={t("household.shareOf", { name: p.name })}
+              />
+            )}
+          </div>
+        );
+      })}
+      {mode !== "equal" && (
+        <div
+          className={`text-xs text-right ${
+            Math.abs(remaining) < 0.005 ? "text-emerald-600" : remaining < 0 ? "text-rose-600" : "text-amber-600"
+          }`}
+        >
+          {mode === "percent"
+            ? t("household.percentLeft", { value: number(remaining) })
+            : t("household.amountLeft", { amount: money(remaining, currency) })}
+        </div>
+      )}
+    </div>
+  );
+}
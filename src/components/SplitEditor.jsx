@@ -0,0 +1,91 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+import { categoryOptions } from "../lib/categories";
+import { allocated } from "../lib/split";
+
+const inputClass =
+  "rounded-xl border border-slate-300 px-2 py-1.5 bg-white focus:ring-2 focus:ring-sky-400 focus:border-sky-400 transition-all";
+
+// Category lines for one payment; shows how much of the total is still unallocated
+export default function SplitEditor({ items, categories, total, currency, onChange }) {
+  const { t, money } = useI18n();
+  const remaining = (parseFloat(total) || 0) - allocated(items);
+  const update = (i, patch) => onChange(items.map((it, j) => (j === i ? { ...it, ...patch } : it)));
+
+  const addLine = () =>
+    onChange([
+      ...items,
+      {
+        category: categories[0]?.id || "other",
+        amount: remaining > 0 ? String(Math.round(remaining * 100) / 100) : "",
+        note: "",
+      },
+    ]);
+
+  return (
+    <div className="space-y-2">
+      {items.map((it, i) => (
+        <div key={i} className="flex gap-2">
+          <select
+            className={`${inputClass} w-32 shrink-0`}
+            value={it.category}
+            onChange={(e) => update(i, { category: e.target.value })}
+          >
+            {categoryOptions(categories).map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            className={`${inputClass} w-24 shrink-0`}
+            value={it.amount}
+            onChange={(e) => update(i, { amount: e.target.value })}
+            placeholder={t("split.amount")}
+          />
+          <input
+            className={`${inputClass} min-w-0 flex-1`}
+            value={it.note}
+            onChange={(e) => update(i, { note: e.target.value })}
+            placeholder={t("field.note")}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(items.filter((_, j) => j !== i))}
+            className="px-2 rounded-lg bg-rose-100 hover:bg-rose-200"
+            aria-label={t("split.removeLine")}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between text-sm">
+        <button
+          type="button"
+          onClick={addLine}
+          className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+        >
+          + {t("split.addLine")}
+        </button>
+        <span
+          className={
+            Math.abs(remaining) < 0.005
+              ? "text-emerald-600"
+              : remaining < 0
+                ? "text-rose-600"
+                : "text-amber-600"
+          }
+        >
+          {Math.abs(remaining) < 0.005
+            ? t("split.balanced")
+            : remaining < 0
+              ? t("split.over", { amount: money(-remaining, currency) })
+              : t("split.remaining", { amount: money(remaining, currency) })}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+import React, { useMemo, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { methodKey } from "../lib/accounts";
+import { categoryOptions } from "../lib/categories";
+import { CURRENCIES } from "../lib/currency";
+import { uid } from "../lib/ids";
+import { STATEMENT_FORMATS, findDuplicate, payeeKey, reviewRows } from "../lib/statements";
+import { categoriesOfType } from "../lib/transactions";
+
+// Review table for a parsed bank statement: pick a category per payee, untick
+// rows to leave out. Likely duplicates of existing entries start unticked.
+export default function StatementImportDialog({
+  fileName,
+  format,
+  statement,
+  expenses,
+  categories,
+  accounts,
+  payees,
+  rules,
+  baseCurrency,
+  onCancel,
+  onConfirm,
+}) {
+  const { t, message, money, date } = useI18n();
+  // The account named in the file if it matches one, else the first bank account
+  const [accountId, setAccountId] = useState(() => {
+    const named = statement.account && accounts.find((a) => methodKey(a.name) === methodKey(statement.account));
+    return (named || accounts.find((a) => a.kind === "bank") || accounts[0])?.id || "";
+  });
+  const [currency, setCurrency] = useState(
+    () => statement.currency || accounts.find((a) => a.id === accountId)?.currency || baseCurrency
+  );
+  const [rows, setRows] = useState(() => {
+    const initial = reviewRows(statement.transactions, { categories, payees, rules, accounts, accountId });
+    return initial.map((r) => ({ ...r, approved: !findDuplicate(r, currency, expenses) }));
+  });
+  const [learned, setLearned] = useState({}); // payeeKey → category chosen in this review
+
+  const duplicates = useMemo(
+    () => rows.map((r) => findDuplicate(r, currency, expenses)),
+    [rows, currency, expenses]
+  );
+  const approvedCount = rows.filter((r) => r.approved).length;
+  const duplicateCount = duplicates.filter(Boolean).length;
+
+  const toggle = (i) => setRows(rows.map((r, j) => (j === i ? { ...r, approved: !r.approved } : r)));
+  const setAll = (approved) => setRows(rows.map((r) => ({ ...r, approved })));
+
+  // A category picked for one row applies to every row from the same payee
+  const changeCategory = (row, category) => {
+    const key = payeeKey(row.type, row.payee);
+    setRows(rows.map((r) => (r.payee && payeeKey(r.type, r.payee) === key ? { ...r, category } : r)));
+    if (row.payee) setLearned({ ...learned, [key]: category });
+  };
+
+  const confirm = () =>
+    onConfirm(
+      rows
+        .filter((r) => r.approved)
+        .map((r) => ({
+          id: uid(),
+          date: r.date,
+          type: r.type,
+          amount: r.amount,
+          currency,
+          category: r.category,
+          note: r.note,
+          ...(accountId && { accountId }),
+        })),
+      learned
+    );
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-4xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div>
+          <h2 className="font-bold text-lg">
+            {t("header.importStatement")} ({STATEMENT_FORMATS[format]})
+          </h2>
+          <div className="text-sm text-slate-500">
+            {fileName} · {t("list.count", { count: rows.length })}
+            {statement.rejected.length > 0 && ` · ${t("statement.unreadable", { count: statement.rejected.length })}`}
+          </div>
+        </div>
+
+        <div className="grid sm:grid-cols-3 gap-3">
+          <div>
+            <label className="block text-xs mb-1">{t("field.currency")}</label>
+            <select
+              className="w-full rounded-xl border border-slate-300 px-3 py-2"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+            >
+              {CURRENCIES.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="sm:col-span-2">
+            <label className="block text-xs mb-1">
+              {t("statement.account")}
+              {statement.account && ` · ${t("statement.accountInFile", { account: statement.account })}`}
+            </label>
+            <select
+              className="w-full rounded-xl border border-slate-300 px-3 py-2"
+              value={accountId}
+              onChange={(e) => {
+                setAccountId(e.target.value);
+                const account = accounts.find((a) => a.id === e.target.value);
+                if (account) setCurrency(account.currency);
+              }}
+            >
+              {accounts.map((a) => (
+                <option key={a.id} value={a.id}>
+                  {a.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+          <div>
+            {t("statement.selected", { selected: approvedCount, count: rows.length })}
+            {duplicateCount > 0 && (
+              <span className="text-amber-600"> · {t("statement.duplicates", { count: duplicateCount })}</span>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setAll(true)}
+              className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+            >
+              {t("statement.selectAll")}
+            </button>
+            <button
+              type="button"
+              onClick={() => setAll(false)}
+              className="text-xs px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+            >
+              {t("statement.selectNone")}
+            </button>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm divide-y divide-slate-200">
+            <thead className="text-left text-slate-600">
+              <tr>
+                <th className="py-2 pr-2"></th>
+                <th className="py-2 pr-2">{t("field.date")}</th>
+                <th className="py-2 pr-2">{t("statement.payee")}</th>
+                <th className="py-2 pr-2">{t("list.category")}</th>
+                <th className="py-2 text-right">{t("field.amount")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => {
+                const dup = duplicates[i];
+                return (
+                  <tr key={r.line} className={`border-t ${r.approved ? "" : "text-slate-400"}`}>
+                    <td className="py-2 pr-2">
+                      <input type="checkbox" checked={r.approved} onChange={() => toggle(i)} />
+                    </td>
+                    <td className="py-2 pr-2 whitespace-nowrap">
+                      {date(r.date)}
+                    </td>
+                    <td className="py-2 pr-2">
+                      <div>{r.note}</div>
+                      {dup && (
+                        <div className="text-xs text-amber-600">
+                          {t("statement.possibleDuplicate", {
+                            note: dup.note || t("statement.noNote"),
+                            amount: money(dup.amount, currency),
+                          })}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-2 pr-2">
+                      <select
+                        className="rounded-xl border border-slate-300 px-2 py-1"
+                        value={r.category}
+                        onChange={(e) => changeCategory(r, e.target.value)}
+                      >
+                        {categoryOptions(categoriesOfType(categories, r.type)).map((c) => (
+                          <option key={c.id} value={c.id}>
+                            {c.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td
+                      className={`py-2 text-right whitespace-nowrap ${
+                        r.type === "income" ? "text-emerald-600" : ""
+                      }`}
+                    >
+                      {r.type === "income" ? "+" : "-"}
+                      {money(r.amount, currency)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {statement.rejected.length > 0 && (
+          <ul className="text-xs max-h-32 overflow-y-auto rounded-xl border border-slate-200 p-2 space-y-1">
+            {statement.rejected.map((x, i) => (
+              <li key={i} className="text-rose-600">
+                {t("statement.rejected", { line: x.line, reason: message(x.reason) })}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 transition-all active:scale-95"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="button"
+            disabled={approvedCount === 0}
+            onClick={confirm}
+            className="px-3 py-2 rounded-xl bg-sky-600 hover:bg-sky-700 text-white font-medium shadow transition-all active:scale-95 disabled:opacity-50"
+          >
+            {t("csvImport.confirm", { count: approvedCount })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
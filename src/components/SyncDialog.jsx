@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import useI18n from "../hooks/useI18n";
+
+const inputClass = "w-full rounded-xl border border-slate-300 px-3 py-2";
+const buttonClass = "px-3 py-2 rounded-xl transition-all active:scale-95 disabled:opacity-50";
+
+// Connects to a self-hosted sync server (docs/sync-api.md) and shows how the
+// last sync went. `sync` is what useSync returns.
+export default function SyncDialog({ sync, onClose }) {
+  const { t, dateTime, message } = useI18n();
+  const [url, setUrl] = useState(sync.url);
+  const [token, setToken] = useState("");
+
+  const submit = (e) => {
+    e.preventDefault();
+    const address = url.trim();
+    if (!/^https?:\/\/\S+$/i.test(address)) return alert(t("sync.invalidUrl"));
+    sync.connect({ url: address, token: token.trim() });
+    setToken("");
+  };
+
+  const disconnect = () => {
+    if (confirm(t("sync.confirmDisconnect"))) sync.disconnect();
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-lg max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold text-lg">☁️ {t("sync.title")}</h2>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+
+        <p className="text-sm text-slate-600">{t("sync.intro")}</p>
+
+        {sync.enabled && (
+          <div
+            className={`rounded-xl p-3 text-sm space-y-1 ${
+              sync.phase === "error" ? "bg-rose-50 text-rose-700" : "bg-slate-50 text-slate-700"
+            }`}
+          >
+            <div className="font-medium">{t(`sync.phase.${sync.phase}`)}</div>
+            {sync.error && <div>{message(sync.error)}</div>}
+            <div>{sync.lastSync ? t("sync.lastSync", { time: dateTime(sync.lastSync) }) : t("sync.never")}</div>
+            {sync.pending > 0 && <div>{t("sync.pending", { count: sync.pending })}</div>}
+            {sync.skipped > 0 && <div className="text-amber-700">{t("sync.skipped", { count: sync.skipped })}</div>}
+          </div>
+        )}
+
+        <form onSubmit={submit} className="space-y-3">
+          <div>
+            <label className="block text-xs mb-1">{t("sync.url")}</label>
+            <input
+              type="url"
+              className={inputClass}
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="http://localhost:8787"
+            />
+          </div>
+          <div>
+            <label className="block text-xs mb-1">{t("sync.token")}</label>
+            <input
+              type="password"
+              className={inputClass}
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              placeholder={sync.enabled ? t("sync.tokenUnchanged") : t("sync.tokenOptional")}
+              autoComplete="off"
+            />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button type="submit" className={`${buttonClass} bg-sky-600 hover:bg-sky-700 text-white font-medium shadow`}>
+              {sync.enabled ? t("sync.save") : t("sync.connect")}
+            </button>
+            {sync.enabled && (
+              <>
+                <button
+                  type="button"
+                  onClick={sync.syncNow}
+                  disabled={sync.phase === "syncing"}
+                  className={`${buttonClass} bg-slate-200 hover:bg-slate-300`}
+                >
+                  {t("sync.now")}
+                </button>
+                <button type="button" onClick={disconnect} className={`${buttonClass} bg-rose-100 hover:bg-rose-200`}>
+                  {t("sync.disconnect")}
+                </button>
+              </>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { normalizeTag } from "../lib/tags";
+
+const MAX_SUGGESTIONS = 8;
+
+// Chips for the current tags plus a text box that suggests tags already in use.
+// Enter, comma or space adds a tag; Backspace on an empty box removes the last.
+export default function TagInput({ tags, suggestions, onChange }) {
+  const { t: translate } = useI18n();
+  const [text, setText] = useState("");
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+
+  const typed = normalizeTag(text);
+  const matches = suggestions
+    .filter((t) => !tags.includes(t) && (!typed || t.includes(typed)))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const add = (tag) => {
+    const t = normalizeTag(tag);
+    if (t && !tags.includes(t)) onChange([...tags, t]);
+    setText("");
+    setActive(0);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === "," || e.key === " ") {
+      if (!typed) return;
+      e.preventDefault();
+      // Enter takes the highlighted suggestion; comma and space keep what was typed
+      add(e.key === "Enter" && open && matches[active] ? matches[active] : typed);
+    } else if (e.key === "Backspace" && !text && tags.length) {
+      onChange(tags.slice(0, -1));
+    } else if (e.key === "ArrowDown" && matches.length) {
+      e.preventDefault();
+      setOpen(true);
+      setActive((active + 1) % matches.length);
+    } else if (e.key === "ArrowUp" && matches.length) {
+      e.preventDefault();
+      setActive((active - 1 + matches.length) % matches.length);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-1 w-full rounded-xl border border-slate-300 px-2 py-1.5 bg-white focus-within:ring-2 focus-within:ring-sky-400 focus-within:border-sky-400 transition-all">
+        {tags.map((t) => (
+          <span
+            key={t}
+            className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-sky-100 text-sky-800"
+          >
+            #{t}
+            <button
+              type="button"
+              onClick={() => onChange(tags.filter((x) => x !== t))}
+              className="opacity-60 hover:opacity-100"
+              aria-label={translate("tags.remove", { tag: t })}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          className="flex-1 min-w-[6rem] px-1 py-0.5 outline-none bg-transparent placeholder:text-slate-400"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setOpen(true);
+            setActive(0);
+          }}
+          onKeyDown={onKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => {
+            // Keep a half-typed tag rather than dropping it when the form is submitted
+            if (typed) add(typed);
+            setOpen(false);
+          }}
+          placeholder={tags.length ? "" : translate("tags.placeholder")}
+        />
+      </div>
+      {open && matches.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full max-h-48 overflow-y-auto rounded-xl border border-slate-200 bg-white shadow text-sm">
+          {matches.map((t, i) => (
+            <li key={t}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => add(t)}
+                className={`w-full text-left px-3 py-1.5 ${i === active ? "bg-sky-50" : "hover:bg-slate-50"}`}
+              >
+                #{t}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
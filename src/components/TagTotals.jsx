@@ -0,0 +1,41 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+
+// Spending and income per tag for the filtered entries; clicking a tag filters by it
+export default function TagTotals({ totals, activeTag, money, onSelectTag }) {
+  const { t } = useI18n();
+  if (!totals.length) return null;
+  const max = Math.max(...totals.map((row) => row.expense), 1);
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">{t("tags.totals")}</div>
+        <div className="text-xs text-slate-500">{t("tags.totalsHint")}</div>
+      </div>
+      <div className="space-y-2">
+        {totals.map((row) => (
+          <div key={row.tag} className="text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <button
+                onClick={() => onSelectTag(activeTag === row.tag ? "all" : row.tag)}
+                className={`px-2 py-0.5 rounded-full text-xs ${
+                  activeTag === row.tag ? "bg-sky-600 text-white" : "bg-sky-100 text-sky-800 hover:bg-sky-200"
+                }`}
+              >
+                #{row.tag}
+              </button>
+              <span className="text-right">
+                {row.expense > 0 && <span className="text-rose-600">{money(row.expense)}</span>}
+                {row.income > 0 && <span className="text-emerald-600 ml-2">+{money(row.income)}</span>}
+              </span>
+            </div>
+            <div className="h-1.5 rounded-full bg-slate-100 mt-1 overflow-hidden">
+              <div className="h-full bg-rose-400" style={{ width: `${(row.expense / max) * 100}%` }} />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
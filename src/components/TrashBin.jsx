@@ -0,0 +1,106 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+import { entryCurrency } from "../lib/currency";
+import { daysLeft } from "../lib/trash";
+
+const RETENTION_CHOICES = [7, 30, 90, 365];
+
+export default function TrashBin({
+  trash,
+  categories,
+  retentionDays,
+  onChangeRetention,
+  onRestore,
+  onPurge,
+  onEmpty,
+  onClose,
+}) {
+  const { t, money, date } = useI18n();
+  const sorted = [...trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+  return (
+    <div className="fixed inset-0 z-20 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold text-lg">🗑 {t("header.trash")}</h2>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 hover:bg-slate-300 text-sm transition-all active:scale-95"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+          <label className="flex items-center gap-2">
+            {t("trash.keepFor")}
+            <select
+              className="rounded-xl border border-slate-300 px-2 py-1"
+              value={retentionDays}
+              onChange={(e) => onChangeRetention(Number(e.target.value))}
+            >
+              {RETENTION_CHOICES.map((d) => (
+                <option key={d} value={d}>
+                  {t("common.days", { count: d })}
+                </option>
+              ))}
+            </select>
+          </label>
+          {trash.length > 0 && (
+            <button
+              onClick={onEmpty}
+              className="px-3 py-1.5 rounded-xl bg-rose-500/90 hover:bg-rose-500 text-white transition-all active:scale-95"
+            >
+              {t("trash.empty")}
+            </button>
+          )}
+        </div>
+
+        {sorted.length === 0 ? (
+          <div className="text-sm text-slate-500">{t("trash.isEmpty")}</div>
+        ) : (
+          <table className="min-w-full text-sm divide-y divide-slate-200">
+            <thead className="text-left text-slate-600">
+              <tr>
+                <th className="py-2">{t("field.date")}</th>
+                <th className="py-2">{t("list.category")}</th>
+                <th className="py-2 text-right">{t("field.amount")}</th>
+                <th className="py-2">{t("field.note")}</th>
+                <th className="py-2">{t("trash.purgeIn")}</th>
+                <th className="py-2 text-right">{t("list.actions")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((e) => {
+                const cat = categories.find((c) => c.id === e.category);
+                return (
+                  <tr key={e.id} className="border-t">
+                    <td className="py-2">{date(e.date)}</td>
+                    <td className="py-2">{cat?.name || e.category}</td>
+                    <td className="py-2 text-right">{money(e.amount, entryCurrency(e))}</td>
+                    <td className="py-2">{e.note}</td>
+                    <td className="py-2 text-slate-500">{t("common.days", { count: daysLeft(e, retentionDays) })}</td>
+                    <td className="py-2 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => onRestore(e.id)}
+                        className="px-2 py-1 rounded-lg bg-sky-100 hover:bg-sky-200 mr-2"
+                      >
+                        {t("trash.restore")}
+                      </button>
+                      <button
+                        onClick={() => onPurge(e.id)}
+                        className="px-2 py-1 rounded-lg bg-rose-100 hover:bg-rose-200"
+                      >
+                        {t("trash.purge")}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useMemo, useState } from "react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Line,
+  LineChart,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import useI18n from "../hooks/useI18n";
+import { monthLabel } from "../lib/budget";
+import { GROUPINGS, buildTrend, cumulativeForMonth } from "../lib/trends";
+
+// Spending over the filtered range, stacked by category; clicking a bar
+// narrows the date filters to that period
+export default function TrendPanel({ entries, monthEntries, month, categories, overallBudget, money, onSelectRange }) {
+  const { t, locale, compact } = useI18n();
+  const [grouping, setGrouping] = useState("day");
+
+  const { rows: data, clipped } = useMemo(() => buildTrend(entries, grouping, locale), [entries, grouping, locale]);
+  const used = useMemo(() => {
+    const ids = new Set(data.flatMap((row) => Object.keys(row)));
+    return categories.filter((c) => ids.has(c.id));
+  }, [data, categories]);
+  const cumulative = useMemo(() => cumulativeForMonth(monthEntries, month), [monthEntries, month]);
+
+  return (
+    <div className="grid md:grid-cols-3 gap-4">
+      <div className="md:col-span-2 bg-white rounded-2xl shadow p-4 border border-slate-200">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">{t("trend.title")}</div>
+          <div className="flex gap-1 p-1 rounded-xl bg-slate-100">
+            {GROUPINGS.map((key) => (
+              <button
+                key={key}
+                onClick={() => setGrouping(key)}
+                className={`px-2 py-0.5 rounded-lg text-xs transition-all ${
+                  grouping === key ? "bg-white shadow text-slate-800" : "text-slate-500 hover:text-slate-700"
+                }`}
+              >
+                {t(`grouping.${key}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="h-56">
+          {data.length === 0 ? (
+            <div className="h-full flex items-center justify-center text-sm text-slate-500">
+              {t("trend.empty")}
+            </div>
+          ) : (
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={data}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis tickFormatter={compact} />
+                <Tooltip formatter={(v, name) => [money(v), name]} />
+                {used.map((c) => (
+                  <Bar
+                    key={c.id}
+                    dataKey={c.id}
+                    name={c.name}
+                    stackId="spend"
+                    fill={c.color}
+                    cursor="pointer"
+                    onClick={(bar) => {
+                      const row = bar?.payload ?? bar;
+                      if (row?.from) onSelectRange(row.from, row.to);
+                    }}
+                  />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+        <div className="text-xs text-slate-500 mt-1">
+          {t("trend.hint")}
+          {clipped && ` · ${t("trend.clipped", { count: data.length })}`}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4 border border-slate-200">
+        <div className="font-semibold mb-2">{t("trend.cumulative", { month: monthLabel(month, locale) })}</div>
+        <div className="h-56">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={cumulative}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="day" />
+              <YAxis tickFormatter={compact} />
+              <Tooltip formatter={(v) => money(v)} labelFormatter={(day) => t("trend.day", { day })} />
+              {overallBudget > 0 && (
+                <ReferenceLine y={overallBudget} stroke="#ef4444" strokeDasharray="4 4" label={t("budget.overall")} />
+              )}
+              <Line type="monotone" dataKey="value" name={t("trend.runningTotal")} stroke="#0284c7" dot={false} connectNulls={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+
+export default function UndoToast({ toast, canUndo, canRedo, onUndo, onRedo, onDismiss }) {
+  const { t } = useI18n();
+  if (!toast) return null;
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-30 print:hidden">
+      <div
+        key={toast.key}
+        className="flex items-center gap-3 rounded-xl bg-slate-800 text-white text-sm shadow-lg px-4 py-2"
+      >
+        <span>
+          {toast.kind === "done" ? toast.label : t(`undo.toast.${toast.kind}`, { label: toast.label })}
+        </span>
+        {toast.kind !== "undo" && canUndo && (
+          <button onClick={onUndo} className="font-semibold text-sky-300 hover:text-sky-200">
+            {t("undo.undo")}
+          </button>
+        )}
+        {toast.kind === "undo" && canRedo && (
+          <button onClick={onRedo} className="font-semibold text-sky-300 hover:text-sky-200">
+            {t("undo.redo")}
+          </button>
+        )}
+        <button onClick={onDismiss} className="text-slate-400 hover:text-white" aria-label={t("common.close")}>
+          ×
+        </button>
+      </div>
+    </div>
+  );
+}
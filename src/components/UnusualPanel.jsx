@@ -0,0 +1,48 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+import { categoryLabel } from "../lib/categories";
+
+const buttonClass = "text-xs px-2 py-1 rounded-lg transition-all active:scale-95";
+
+// Expenses far above their category's usual amount, to fix or confirm.
+// `entries` are ledger entries (base currency) paired with their flag.
+export default function UnusualPanel({ entries, categories, currency, onEdit, onDismiss }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const money = (n) => i18n.money(n, currency);
+
+  return (
+    <div className="bg-amber-50 rounded-2xl shadow p-4 border border-amber-200">
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <h2 className="font-bold">⚠ {t("unusual.title", { count: entries.length })}</h2>
+        <button
+          onClick={() => onDismiss(entries.map(({ entry }) => entry.id))}
+          className={`${buttonClass} bg-slate-200 hover:bg-slate-300`}
+        >
+          {t("unusual.dismissAll")}
+        </button>
+      </div>
+      <div className="text-xs text-slate-600 mb-3">{t("unusual.hint")}</div>
+      <ul className="divide-y divide-amber-200 max-h-64 overflow-y-auto">
+        {entries.map(({ entry, flag }) => (
+          <li key={entry.id} className="py-2 flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-slate-500">{i18n.date(entry.date)}</span>
+            <span className="px-2 py-0.5 rounded-full text-xs bg-white">{categoryLabel(categories, flag.category)}</span>
+            <span className="flex-1 min-w-0 truncate">{entry.note}</span>
+            <span className="font-medium">{money(flag.amount)}</span>
+            <span className="text-xs text-slate-500">{t("unusual.usually", { amount: money(flag.typical) })}</span>
+            <button onClick={() => onEdit(entry)} className={`${buttonClass} bg-sky-100 hover:bg-sky-200`}>
+              {t("common.edit")}
+            </button>
+            <button
+              onClick={() => onDismiss([entry.id])}
+              className={`${buttonClass} bg-emerald-100 hover:bg-emerald-200`}
+            >
+              {t("unusual.dismiss")}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
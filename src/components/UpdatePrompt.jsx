@@ -0,0 +1,20 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+
+// Shown when a new version has been downloaded in the background
+export default function UpdatePrompt({ onReload, onDismiss }) {
+  const { t } = useI18n();
+  return (
+    <div className="fixed top-16 left-1/2 -translate-x-1/2 z-30 print:hidden">
+      <div className="flex items-center gap-3 rounded-xl bg-indigo-700 text-white text-sm shadow-lg px-4 py-2">
+        <span>{t("update.available")}</span>
+        <button onClick={onReload} className="font-semibold text-sky-200 hover:text-white">
+          {t("update.reload")}
+        </button>
+        <button onClick={onDismiss} className="text-indigo-300 hover:text-white" aria-label={t("common.close")}>
+          ×
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { useEffect, useState } from "react";
+import { loadAttachment } from "../lib/db";
+
+// Object URL for a stored attachment's file (`variant` "blob") or thumbnail
+// ("thumb"): undefined while loading, null when there is none. Revoked on
+// unmount.
+export default function useAttachmentUrl(id, variant = "blob") {
+  const [loaded, setLoaded] = useState(null); // { key, url }
+  const key = `${id}:${variant}`;
+
+  useEffect(() => {
+    if (!id) return;
+    let cancelled = false;
+    let url = null;
+    loadAttachment(id)
+      .then((rec) => {
+        if (cancelled) return;
+        url = rec?.[variant] ? URL.createObjectURL(rec[variant]) : null;
+        setLoaded({ key, url });
+      })
+      .catch(() => !cancelled && setLoaded({ key, url: null }));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [id, variant, key]);
+
+  return loaded?.key === key ? loaded.url : undefined;
+}
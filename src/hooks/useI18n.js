@@ -0,0 +1,9 @@
+import { createContext, useContext } from "react";
+import { createI18n } from "../lib/i18n";
+
+// Provided by App from the language/calendar settings (see lib/i18n)
+export const I18nContext = createContext(createI18n({ language: "th" }));
+
+export default function useI18n() {
+  return useContext(I18nContext);
+}
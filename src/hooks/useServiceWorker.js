@@ -0,0 +1,53 @@
+import { useEffect, useState } from "react";
+
+// Registers the service worker in production builds (see src/sw.js) and
+// reports when a newer deploy has been downloaded. `applyUpdate` hands control
+// to the new worker and reloads once it has taken over.
+export default function useServiceWorker() {
+  const [waiting, setWaiting] = useState(null); // installed worker waiting to activate
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+    const sw = navigator.serviceWorker;
+    let registration;
+
+    // Only an update when a worker already controls the page; the very first
+    // install just caches the app quietly
+    const watch = (worker) =>
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed" && sw.controller) setWaiting(worker);
+      });
+
+    let reloading = false;
+    const onControllerChange = () => {
+      if (reloading) return;
+      reloading = true;
+      window.location.reload();
+    };
+    // Check for a new deploy whenever the app comes back to the foreground
+    const onVisible = () => {
+      if (document.visibilityState === "visible") registration?.update().catch(() => {});
+    };
+
+    sw.register(`${import.meta.env.BASE_URL}sw.js`)
+      .then((reg) => {
+        registration = reg;
+        if (reg.waiting && sw.controller) setWaiting(reg.waiting);
+        watch(reg.installing);
+        reg.addEventListener("updatefound", () => watch(reg.installing));
+      })
+      .catch(() => {}); // offline support is a bonus; the app works without it
+    sw.addEventListener("controllerchange", onControllerChange);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      sw.removeEventListener("controllerchange", onControllerChange);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, []);
+
+  return {
+    updateReady: Boolean(waiting),
+    applyUpdate: () => waiting?.postMessage({ type: "SKIP_WAITING" }),
+    dismissUpdate: () => setWaiting(null),
+  };
+}
@@ -0,0 +1,178 @@
+import { useEffect, useRef, useState } from "react";
+import { loadValue, saveValue } from "../lib/db";
+import {
+  SYNC_COLLECTIONS,
+  mergeRemote,
+  newSyncState,
+  outgoingChanges,
+  pendingCount,
+  pullChanges,
+  pushChanges,
+  reconcile,
+  settlePushed,
+  trackChanges,
+} from "../lib/sync";
+
+const PUSH_DELAY_MS = 2000; // after the last local change
+const POLL_MS = 60 * 1000;
+
+const OFF = { enabled: false, url: "", phase: "off", error: null, skipped: 0, lastSync: null, pending: 0 };
+
+// Keeps `collections` ({ expenses, categories, people, settlements }) in step
+// with a sync server once connected (see lib/sync). Local changes are pushed
+// shortly after they happen; the server is polled every minute, when the page
+// comes back into view and when the device comes back online. Pulled changes go
+// to `onRemote` with only the lists that changed; they bypass undo, and the
+// caller should drop older undo history (restoring it would delete them).
+export default function useSync(collections, { ready, onRemote }) {
+  const [status, setStatus] = useState(OFF);
+  const sync = useRef(null); // see lib/sync; null while disconnected
+  const seen = useRef(null); // collections as last tracked; null until loaded
+  const latest = useRef(collections);
+  const remote = useRef(new WeakMap()); // records applied from the server → index
+  const running = useRef(false);
+  const timer = useRef(null);
+  const skipped = useRef(0);
+
+  // `error` is the thrown error; word it with i18n's message()
+  const publish = (phase, error = null) => {
+    const s = sync.current;
+    setStatus(
+      s
+        ? {
+            enabled: true,
+            url: s.url,
+            phase,
+            error,
+            skipped: skipped.current,
+            lastSync: s.lastSync,
+            pending: pendingCount(s),
+          }
+        : OFF
+    );
+  };
+
+  const persist = () => saveValue("sync", sync.current).catch((err) => publish("error", err));
+
+  const run = async () => {
+    if (running.current || !sync.current) return;
+    running.current = true;
+    clearTimeout(timer.current);
+    publish("syncing");
+    try {
+      // Pull first, so changes made elsewhere are weighed against ours before we push
+      let cursor = sync.current.cursor;
+      let page;
+      skipped.current = 0;
+      do {
+        page = await pullChanges(sync.current, cursor);
+        if (!sync.current) return;
+        const merged = mergeRemote(sync.current, latest.current, page.records);
+        sync.current = merged.state;
+        skipped.current += merged.rejected;
+        if (Object.keys(merged.collections).length) {
+          merged.remote.forEach((i, r) => remote.current.set(r, i));
+          latest.current = { ...latest.current, ...merged.collections };
+          onRemote(merged.collections);
+        }
+        cursor = page.cursor;
+      } while (page.more);
+      sync.current = { ...sync.current, cursor };
+
+      for (let out = outgoingChanges(sync.current, latest.current); out.length; ) {
+        await pushChanges(sync.current, out);
+        if (!sync.current) return;
+        sync.current = settlePushed(sync.current, out);
+        out = outgoingChanges(sync.current, latest.current);
+      }
+      sync.current = { ...sync.current, lastSync: new Date().toISOString() };
+      publish("idle");
+    } catch (err) {
+      publish(err.offline ? "offline" : "error", err);
+    } finally {
+      running.current = false;
+      if (sync.current) persist();
+    }
+  };
+
+  // Queues local changes and pushes them once editing settles
+  const track = (next) => {
+    const prev = seen.current;
+    latest.current = next;
+    if (!prev) return;
+    seen.current = next;
+    if (!sync.current) return;
+    let state = sync.current;
+    for (const c of SYNC_COLLECTIONS)
+      if (prev[c] !== next[c]) state = trackChanges(state, c, prev[c], next[c], remote.current);
+    if (state === sync.current) return;
+    sync.current = state;
+    persist();
+    if (!running.current) publish(status.phase === "syncing" ? "idle" : status.phase, status.error);
+    clearTimeout(timer.current);
+    timer.current = setTimeout(() => actions.current.run(), PUSH_DELAY_MS);
+  };
+
+  // Effects, timers and listeners call whatever the latest render made
+  const actions = useRef({ run, track });
+  useEffect(() => {
+    actions.current = { run, track };
+  });
+
+  // Load the saved sync state once the app's own data is in
+  useEffect(() => {
+    if (!ready) return;
+    let cancelled = false;
+    loadValue("sync")
+      .then((saved) => {
+        if (cancelled) return;
+        seen.current = latest.current;
+        if (!saved) return;
+        sync.current = reconcile(saved, latest.current);
+        actions.current.run();
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [ready]);
+
+  const { expenses, categories, people, settlements } = collections;
+  useEffect(() => {
+    actions.current.track({ expenses, categories, people, settlements });
+  }, [expenses, categories, people, settlements]);
+
+  useEffect(() => {
+    const kick = () => sync.current && actions.current.run();
+    const onVisible = () => document.visibilityState === "visible" && kick();
+    const poll = setInterval(kick, POLL_MS);
+    window.addEventListener("online", kick);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(poll);
+      clearTimeout(timer.current);
+      window.removeEventListener("online", kick);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, []);
+
+  // A new address starts over (the first sync merges both sides); the same
+  // address only updates the token, and keeps it when none is given
+  const connect = ({ url, token }) => {
+    sync.current =
+      sync.current?.url === url
+        ? { ...sync.current, token: token || sync.current.token }
+        : reconcile(newSyncState({ url, token }), latest.current);
+    persist();
+    run();
+  };
+
+  const disconnect = () => {
+    sync.current = null;
+    clearTimeout(timer.current);
+    saveValue("sync", null).catch(() => {});
+    publish();
+  };
+
+  return { ...status, connect, disconnect, syncNow: run };
+}
@@ -0,0 +1,82 @@
+import { useEffect, useRef, useState } from "react";
+
+const LIMIT = 100;
+const TOAST_MS = 6000;
+
+// Snapshot-based undo/redo. Call `record(label)` right before a mutation;
+// `snapshot()` must return everything undoable and `restore(state)` put it back.
+// State arrays are immutable, so a snapshot only holds references.
+export default function useUndoHistory(snapshot, restore) {
+  const [past, setPast] = useState([]); // [{ label, state }]
+  const [future, setFuture] = useState([]);
+  const [toast, setToast] = useState(null); // { label, kind: "done" | "undo" | "redo", key }
+
+  const record = (label) => {
+    setPast((prev) => [...prev.slice(1 - LIMIT), { label, state: snapshot() }]);
+    setFuture([]);
+    setToast({ label, kind: "done", key: Date.now() });
+  };
+
+  const undo = () => {
+    if (!past.length) return;
+    const last = past[past.length - 1];
+    setPast(past.slice(0, -1));
+    setFuture([...future, { label: last.label, state: snapshot() }]);
+    restore(last.state);
+    setToast({ label: last.label, kind: "undo", key: Date.now() });
+  };
+
+  const redo = () => {
+    if (!future.length) return;
+    const next = future[future.length - 1];
+    setFuture(future.slice(0, -1));
+    setPast([...past, { label: next.label, state: snapshot() }]);
+    restore(next.state);
+    setToast({ label: next.label, kind: "redo", key: Date.now() });
+  };
+
+  // Drops every snapshot, for changes made outside the app that undo must not
+  // step back over
+  const forget = () => {
+    setPast([]);
+    setFuture([]);
+  };
+
+  // Ctrl/⌘+Z and Ctrl/⌘+Shift+Z (or Ctrl+Y). Text fields keep their own undo.
+  const latest = useRef({ undo, redo });
+  useEffect(() => {
+    latest.current = { undo, redo };
+  });
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable)
+        return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) latest.current.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") latest.current.redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), TOAST_MS);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  return {
+    record,
+    undo,
+    redo,
+    forget,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    toast,
+    dismissToast: () => setToast(null),
+  };
+}
@@ -0,0 +1,175 @@
+import { LEGACY_CURRENCY, entryCurrency } from "./currency";
+import { toDateInputValue } from "./dates";
+import { entryType } from "./transactions";
+
+// ===== Payment accounts =====
+// An account is { id, name, kind, currency, openingBalance, openingDate?,
+// closingDay? }. Entries and recurring templates point at one through
+// `accountId`; records from before accounts existed carried a free-text
+// `method`, which migrateMethods turns into accounts.
+//
+// Balances are kept in the account's own currency: income adds, expenses
+// subtract, so a credit card sits below zero while money is owed. Only
+// activity on or after `openingDate` (when set) counts towards the balance.
+// A card's `closingDay` (1-31, clamped in short months) ends each statement cycle.
+//
+// Transfers move money between two accounts without being income or
+// expense: { id, date, from, to, amount, toAmount?, note }. `amount` is in the
+// source account's currency; `toAmount` is what arrives when the two
+// accounts use different currencies.
+
+export const ACCOUNT_KINDS = ["cash", "bank", "ewallet", "card"];
+
+export const DEFAULT_ACCOUNTS = [
+  { id: "cash", name: "เงินสด", kind: "cash", currency: LEGACY_CURRENCY, openingBalance: 0 },
+];
+
+// ----- Method strings → accounts -----
+// Spellings that mean the same account; the first one names it
+const METHOD_ALIASES = [
+  ["เงินสด", "cash"],
+  ["PromptPay", "พร้อมเพย์", "prompt pay"],
+  ["บัตรเครดิต", "credit card", "credit"],
+  ["โอน", "transfer", "โอนเงิน"],
+];
+
+const squash = (s) => String(s ?? "").trim().toLowerCase().replace(/[\s_-]+/g, "");
+
+// Case, spacing and known aliases don't matter: "PromptPay" = "promptpay" = "พร้อมเพย์"
+export const methodKey = (s) => {
+  const key = squash(s);
+  const group = METHOD_ALIASES.find((g) => g.some((a) => squash(a) === key));
+  return group ? squash(group[0]) : key;
+};
+
+const displayName = (s) => {
+  const group = METHOD_ALIASES.find((g) => g.some((a) => squash(a) === squash(s)));
+  return group ? group[0] : String(s).trim();
+};
+
+export const guessKind = (name) => {
+  const s = String(name).toLowerCase();
+  if (/เงินสด|cash/.test(s)) return "cash";
+  if (/บัตร|card|credit|visa|master|jcb|amex/.test(s)) return "card";
+  if (/promptpay|พร้อมเพย์|wallet|truemoney|rabbit|line ?pay|shopeepay/.test(s)) return "ewallet";
+  return "bank";
+};
+
+// Looks accounts up by name, creating one for each name not seen before.
+// New accounts collect in `created` for the caller to save.
+export const accountResolver = (accounts, makeId) => {
+  const byKey = new Map(accounts.map((a) => [methodKey(a.name), a.id]));
+  const created = [];
+  const resolve = (name, currency = LEGACY_CURRENCY) => {
+    const key = methodKey(name);
+    if (!key) return undefined;
+    if (!byKey.has(key)) {
+      const account = { id: makeId(), name: displayName(name), kind: guessKind(name), currency, openingBalance: 0 };
+      created.push(account);
+      byKey.set(key, account.id);
+    }
+    return byKey.get(key);
+  };
+  return { resolve, created };
+};
+
+// `method` → `accountId` on one record; records without `method` pass through
+const convertMethod = (record, resolve) => {
+  if (!("method" in record)) return record;
+  const { method, ...rest } = record;
+  const accountId = rest.accountId || resolve(method, entryCurrency(record));
+  return accountId ? { ...rest, accountId } : rest;
+};
+
+// Used by the storage migration and when restoring older backups
+export const migrateMethods = ({ accounts = [], expenses = [], trash = [], recurring = [] }, makeId) => {
+  const { resolve, created } = accountResolver(accounts, makeId);
+  const convert = (list) => list.map((r) => convertMethod(r, resolve));
+  const next = { expenses: convert(expenses), trash: convert(trash), recurring: convert(recurring) };
+  return { ...next, accounts: [...accounts, ...created] };
+};
+
+// ----- Balances -----
+// Every change to an account's balance, oldest first:
+// { id, date, amount (signed, account currency), kind: "entry" | "transfer", rateMissing? }
+// `rateOf` is a rateLookup over the exchange rates, shared across accounts.
+export const accountMovements = (account, expenses, transfers, rateOf) => {
+  const since = account.openingDate || "";
+  const moves = [];
+  for (const e of expenses) {
+    if (e.accountId !== account.id || e.date < since) continue;
+    const rate = rateOf(entryCurrency(e), account.currency, e.date);
+    const value = rate == null ? 0 : Number(e.amount) * rate;
+    moves.push({
+      id: e.id,
+      date: e.date,
+      amount: entryType(e) === "income" ? value : -value,
+      kind: "entry",
+      ...(rate == null && { rateMissing: true }),
+    });
+  }
+  for (const t of transfers) {
+    if (t.date < since) continue;
+    if (t.from === account.id) moves.push({ id: t.id, date: t.date, amount: -Number(t.amount), kind: "transfer" });
+    if (t.to === account.id)
+      moves.push({ id: t.id, date: t.date, amount: Number(t.toAmount ?? t.amount), kind: "transfer" });
+  }
+  return moves.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Balance after each movement, keyed by entry/transfer id
+export const runningBalances = (account, expenses, transfers, rateOf) => {
+  const balances = new Map();
+  let balance = Number(account.openingBalance || 0);
+  for (const m of accountMovements(account, expenses, transfers, rateOf)) {
+    balance += m.amount;
+    balances.set(m.id, balance);
+  }
+  return balances;
+};
+
+export const accountBalance = (account, expenses, transfers, rateOf) =>
+  accountMovements(account, expenses, transfers, rateOf).reduce(
+    (s, m) => s + m.amount,
+    Number(account.openingBalance || 0)
+  );
+
+// ----- Card statement cycles -----
+const closingDate = (y, m, day) => {
+  const last = new Date(y, m + 1, 0).getDate();
+  return toDateInputValue(new Date(y, m, Math.min(day, last)));
+};
+
+const nextDay = (date) => {
+  const [y, m, d] = date.split("-").map(Number);
+  return toDateInputValue(new Date(y, m - 1, d + 1));
+};
+
+// The cycle that contains `date`: from the day after one closing date up to
+// and including the next
+export const cardCycle = (closingDay, date) => {
+  const [y, m] = date.split("-").map(Number);
+  const thisMonth = closingDate(y, m - 1, closingDay);
+  const end = date <= thisMonth ? thisMonth : closingDate(y, m, closingDay);
+  const [ey, em] = end.split("-").map(Number);
+  return { start: nextDay(closingDate(ey, em - 2, closingDay)), end };
+};
+
+// Net charges (spending minus refunds) inside a cycle; payments into the card
+// are transfers and don't reduce it
+const cycleCharges = (moves, cycle) =>
+  -moves
+    .filter((m) => m.kind === "entry" && m.date >= cycle.start && m.date <= cycle.end)
+    .reduce((s, m) => s + m.amount, 0);
+
+// Current cycle so far plus the last closed statement
+export const cardStatement = (account, expenses, transfers, rateOf, today = toDateInputValue(new Date())) => {
+  const moves = accountMovements(account, expenses, transfers, rateOf);
+  const current = cardCycle(account.closingDay, today);
+  const [y, m, d] = current.start.split("-").map(Number);
+  const previous = cardCycle(account.closingDay, toDateInputValue(new Date(y, m - 1, d - 1)));
+  return {
+    current: { ...current, charges: cycleCharges(moves, current) },
+    previous: { ...previous, charges: cycleCharges(moves, previous) },
+  };
+};
@@ -0,0 +1,52 @@
+import { entryType } from "./transactions";
+
+// ===== Unusual expenses =====
+// An expense is flagged when a line of it costs far more than its category
+// usually does, which is most often a slipped digit (฿4,000 for a ฿400 meal).
+// "Usually" is the category's median, and "far more" has to clear both a
+// multiple of the median and the interquartile fence, so a single outlier
+// can't stretch the normal range the way it would stretch a mean.
+// Only unusually large amounts are flagged; small ones rarely cost anything.
+// Entries the user has confirmed carry `reviewed: true` and aren't flagged
+// again until their amount or category changes.
+
+const MIN_SAMPLES = 8; // fewer than this and a category has no "usual" yet
+const MIN_RATIO = 4; // times the median
+const IQR_FACTOR = 3;
+
+const quantile = (sorted, q) => {
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i);
+  return sorted[lo] + (sorted[Math.ceil(i)] - sorted[lo]) * (i - lo);
+};
+
+const usualRanges = (lines) => {
+  const amounts = new Map();
+  for (const l of lines) {
+    if (entryType(l) !== "expense" || l.rateMissing) continue;
+    if (!amounts.has(l.category)) amounts.set(l.category, []);
+    amounts.get(l.category).push(Number(l.amount || 0));
+  }
+  const ranges = new Map();
+  for (const [category, list] of amounts) {
+    if (list.length < MIN_SAMPLES) continue;
+    list.sort((a, b) => a - b);
+    const [q1, median, q3] = [0.25, 0.5, 0.75].map((q) => quantile(list, q));
+    ranges.set(category, { typical: median, limit: Math.max(median * MIN_RATIO, q3 + IQR_FACTOR * (q3 - q1)) });
+  }
+  return ranges;
+};
+
+// Pass split entries as lines, converted to the base currency. Returns a Map
+// of entry id → { category, amount, typical } for flagged, unreviewed entries.
+export const unusualEntries = (lines) => {
+  const ranges = usualRanges(lines);
+  const flagged = new Map();
+  for (const l of lines) {
+    if (l.reviewed || flagged.has(l.id) || entryType(l) !== "expense" || l.rateMissing) continue;
+    const range = ranges.get(l.category);
+    if (range && Number(l.amount) > range.limit)
+      flagged.set(l.id, { category: l.category, amount: Number(l.amount), typical: range.typical });
+  }
+  return flagged;
+};
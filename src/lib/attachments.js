@@ -0,0 +1,101 @@
+import { loadAttachment, saveAttachments } from "./db";
+import { uid } from "./ids";
+
+// ===== Receipt attachments =====
+// An entry's `attachments` is a list of { id, name, type, size }; the files
+// themselves (plus a small JPEG thumbnail for images) are stored by id in
+// IndexedDB, see lib/db. Backups carry them as data URLs; CSV leaves them out.
+
+// For <input accept>
+export const ACCEPTED_TYPES = "image/*,application/pdf";
+
+export const MAX_ATTACHMENT_BYTES = 15 * 1024 * 1024;
+
+const THUMB_SIZE = 160;
+
+export const isImage = (a) => String(a?.type).startsWith("image/");
+export const isAttachmentType = (type) => String(type).startsWith("image/") || type === "application/pdf";
+
+export const entryAttachments = (e) => (Array.isArray(e?.attachments) ? e.attachments : []);
+
+// Metadata of every file that entries (live or trashed) point at, once each
+export const allAttachments = (entries) => [
+  ...new Map(entries.flatMap((e) => entryAttachments(e).map((a) => [a.id, a]))).values(),
+];
+
+export const attachmentIds = (entries) => new Set(allAttachments(entries).map((a) => a.id));
+
+// Scaled-down JPEG of an image; null where the browser can't decode it
+const makeThumbnail = async (blob) => {
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMB_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.8));
+  } catch {
+    return null;
+  }
+};
+
+// Stores picked or captured files. Returns { added, rejected } where `added`
+// is the metadata to put on the entry and `rejected` the names of files that
+// aren't images/PDFs or are too large.
+export const storeFiles = async (files) => {
+  const accepted = [];
+  const rejected = [];
+  for (const file of files) {
+    if (isAttachmentType(file.type) && file.size <= MAX_ATTACHMENT_BYTES) accepted.push(file);
+    else rejected.push(file.name);
+  }
+  const records = await Promise.all(
+    accepted.map(async (file) => {
+      const thumb = isImage(file) ? await makeThumbnail(file) : null;
+      return { id: uid(), blob: file, ...(thumb && { thumb }) };
+    })
+  );
+  await saveAttachments(records);
+  const added = records.map(({ id, blob }) => ({ id, name: blob.name, type: blob.type, size: blob.size }));
+  return { added, rejected };
+};
+
+// ----- Backup -----
+const toDataURL = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const fromDataURL = (url) => {
+  const [head, body] = url.split(",");
+  const bytes = Uint8Array.from(atob(body), (c) => c.charCodeAt(0));
+  return new Blob([bytes], { type: head.slice(5).split(";")[0] });
+};
+
+// Backup records for the given metadata; files missing from storage are skipped
+export const exportAttachments = async (list) => {
+  const out = [];
+  for (const a of list) {
+    const rec = await loadAttachment(a.id);
+    if (rec) out.push({ ...a, data: await toDataURL(rec.blob) });
+  }
+  return out;
+};
+
+// Writes backup records that carry file data (merged-in local ones don't)
+export const importAttachments = async (records) => {
+  const incoming = records.filter((r) => r.data);
+  const stored = await Promise.all(
+    incoming.map(async (r) => {
+      const blob = fromDataURL(r.data);
+      const thumb = isImage(r) ? await makeThumbnail(blob) : null;
+      return { id: r.id, blob, ...(thumb && { thumb }) };
+    })
+  );
+  if (stored.length) await saveAttachments(stored);
+};
@@ -0,0 +1,333 @@
+import { ACCOUNT_KINDS, DEFAULT_ACCOUNTS, migrateMethods } from "./accounts";
+import { attachmentIds, isAttachmentType } from "./attachments";
+import { isCurrencyCode } from "./currency";
+import { uid } from "./ids";
+import { SHARE_MODES, personUsage } from "./household";
+import { message } from "./messages";
+import { FREQUENCIES } from "./recurring";
+import { CONDITION_OPS } from "./rules";
+import { isBalanced, isSplit } from "./split";
+
+// ===== JSON backup & restore =====
+// A backup holds every persisted collection:
+//   { format: "expense-tracker-backup", version, exportedAt, data: { expenses,
+//     categories, settings, recurring, rates, trash, payees, presets,
+//     accounts, transfers, rules, people, settlements, attachments } }
+// `attachments` holds the receipt files as { id, name, type, size, data }
+// with `data` a data: URL.
+// Bump BACKUP_VERSION when the shape changes and teach `upgrade` to bring
+// older files forward; a file newer than this build is refused.
+
+export const BACKUP_FORMAT = "expense-tracker-backup";
+// 2: accounts replace free-text `method`, 3: attachments, 4: rules, 5: household people and settlements
+export const BACKUP_VERSION = 5;
+
+// Collections of records keyed by `id`, merged record by record; each is
+// named by its "backup.section." message
+export const RECORD_COLLECTIONS = [
+  "expenses",
+  "categories",
+  "recurring",
+  "rates",
+  "trash",
+  "presets",
+  "accounts",
+  "transfers",
+  "rules",
+  "people",
+  "settlements",
+  "attachments",
+];
+
+export const makeBackup = (data, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: now.toISOString(),
+  data,
+});
+
+// ----- Schema -----
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isDate = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+const isId = (v) => typeof v === "string" && v.length > 0;
+const isPositive = (v) => typeof v === "number" && isFinite(v) && v > 0;
+const isAttachment = (a) => isObject(a) && isId(a.id) && isAttachmentType(a.type);
+const isShares = (s) =>
+  isObject(s) &&
+  SHARE_MODES.includes(s.mode) &&
+  Array.isArray(s.parts) &&
+  s.parts.length > 0 &&
+  s.parts.every(
+    (p) => isObject(p) && isId(p.person) && (s.mode === "equal" || (typeof p.value === "number" && p.value >= 0))
+  );
+const isCondition = (c) =>
+  isObject(c) &&
+  CONDITION_OPS[c.field]?.includes(c.op) &&
+  (c.field === "amount" ? isPositive(c.value) : isId(c.value));
+
+// Each checker returns a list of problems with one record, as messages
+const checkEntry = (e) => {
+  const errors = [];
+  if (!isId(e.id)) errors.push(message("problem.noId"));
+  if (!isDate(e.date)) errors.push(message("problem.badDate"));
+  if (!isPositive(e.amount)) errors.push(message("problem.badAmount"));
+  if (e.type !== undefined && e.type !== "expense" && e.type !== "income") errors.push(message("problem.badType"));
+  if (e.currency !== undefined && !isCurrencyCode(e.currency)) errors.push(message("problem.badCurrency"));
+  if (!isId(e.category)) errors.push(message("problem.noCategory"));
+  if (e.tags !== undefined && (!Array.isArray(e.tags) || e.tags.some((t) => !isId(t))))
+    errors.push(message("problem.badTags"));
+  if (e.attachments !== undefined && (!Array.isArray(e.attachments) || !e.attachments.every(isAttachment)))
+    errors.push(message("problem.badAttachments"));
+  if (e.paidBy !== undefined && !isId(e.paidBy)) errors.push(message("problem.badPaidBy"));
+  if (e.shares !== undefined && (!isId(e.paidBy) || !isShares(e.shares))) errors.push(message("problem.badShares"));
+  if (e.items !== undefined) {
+    if (!Array.isArray(e.items) || e.items.some((it) => !isObject(it) || !isId(it.category) || !isPositive(it.amount)))
+      errors.push(message("problem.badItems"));
+    else if (isSplit(e) && !isBalanced(e.amount, e.items)) errors.push(message("problem.itemsUnbalanced"));
+  }
+  return errors;
+};
+
+const CHECKERS = {
+  expenses: checkEntry,
+  trash: (e) => [...checkEntry(e), ...(isNaN(Date.parse(e.deletedAt)) ? [message("problem.noDeletedAt")] : [])],
+  categories: (c) => [
+    ...(isId(c.id) ? [] : [message("problem.noId")]),
+    ...(typeof c.name === "string" && c.name ? [] : [message("problem.noName")]),
+    ...(typeof c.color === "string" ? [] : [message("problem.noColor")]),
+    ...(c.kind === undefined || c.kind === "income" ? [] : [message("problem.badCategoryKind")]),
+    ...(c.parent === undefined || (isId(c.parent) && c.parent !== c.id) ? [] : [message("problem.badParent")]),
+    ...(c.icon === undefined || typeof c.icon === "string" ? [] : [message("problem.badIcon")]),
+  ],
+  recurring: (t) => [
+    ...(isId(t.id) ? [] : [message("problem.noId")]),
+    ...(FREQUENCIES.includes(t.freq) ? [] : [message("problem.badFrequency")]),
+    ...(isDate(t.startDate) ? [] : [message("problem.badStartDate")]),
+    ...(isPositive(t.amount) ? [] : [message("problem.badAmount")]),
+    ...(t.paidBy === undefined || isId(t.paidBy) ? [] : [message("problem.badPaidBy")]),
+    ...(t.shares === undefined || (isId(t.paidBy) && isShares(t.shares)) ? [] : [message("problem.badShares")]),
+  ],
+  presets: (p) => [
+    ...(isId(p.id) ? [] : [message("problem.noId")]),
+    ...(typeof p.name === "string" && p.name ? [] : [message("problem.noName")]),
+    ...(isObject(p.filters) ? [] : [message("problem.noFilters")]),
+  ],
+  rates: (r) => [
+    ...(isId(r.id) ? [] : [message("problem.noId")]),
+    ...(isCurrencyCode(r.from) && isCurrencyCode(r.to) ? [] : [message("problem.badCurrency")]),
+    ...(isPositive(r.rate) ? [] : [message("problem.badRate")]),
+    ...(isDate(r.date) ? [] : [message("problem.badDate")]),
+  ],
+  accounts: (a) => [
+    ...(isId(a.id) ? [] : [message("problem.noId")]),
+    ...(typeof a.name === "string" && a.name ? [] : [message("problem.noName")]),
+    ...(ACCOUNT_KINDS.includes(a.kind) ? [] : [message("problem.badAccountKind")]),
+    ...(isCurrencyCode(a.currency) ? [] : [message("problem.badCurrency")]),
+    ...(typeof a.openingBalance === "number" && isFinite(a.openingBalance)
+      ? []
+      : [message("problem.badOpeningBalance")]),
+    ...(a.openingDate === undefined || isDate(a.openingDate) ? [] : [message("problem.badOpeningDate")]),
+    ...(a.closingDay === undefined || (Number.isInteger(a.closingDay) && a.closingDay >= 1 && a.closingDay <= 31)
+      ? []
+      : [message("problem.badClosingDay")]),
+  ],
+  rules: (r) => [
+    ...(isId(r.id) ? [] : [message("problem.noId")]),
+    ...(Array.isArray(r.conditions) && r.conditions.length && r.conditions.every(isCondition)
+      ? []
+      : [message("problem.badConditions")]),
+    ...(isId(r.category) || isId(r.accountId) ? [] : [message("problem.noRuleAction")]),
+  ],
+  people: (p) => [
+    ...(isId(p.id) ? [] : [message("problem.noId")]),
+    ...(typeof p.name === "string" && p.name ? [] : [message("problem.noName")]),
+    ...(p.color === undefined || typeof p.color === "string" ? [] : [message("problem.badColor")]),
+  ],
+  settlements: (s) => [
+    ...(isId(s.id) ? [] : [message("problem.noId")]),
+    ...(isDate(s.date) ? [] : [message("problem.badDate")]),
+    ...(isId(s.from) && isId(s.to) && s.from !== s.to ? [] : [message("problem.badPeople")]),
+    ...(isPositive(s.amount) ? [] : [message("problem.badAmount")]),
+    ...(s.currency === undefined || isCurrencyCode(s.currency) ? [] : [message("problem.badCurrency")]),
+  ],
+  attachments: (a) => [
+    ...(isId(a.id) ? [] : [message("problem.noId")]),
+    ...(isAttachmentType(a.type) ? [] : [message("problem.badFileType")]),
+    ...(typeof a.data === "string" && a.data.startsWith("data:") ? [] : [message("problem.noFileData")]),
+  ],
+  transfers: (t) => [
+    ...(isId(t.id) ? [] : [message("problem.noId")]),
+    ...(isDate(t.date) ? [] : [message("problem.badDate")]),
+    ...(isId(t.from) && isId(t.to) && t.from !== t.to ? [] : [message("problem.badTransferAccounts")]),
+    ...(isPositive(t.amount) ? [] : [message("problem.badAmount")]),
+    ...(t.toAmount === undefined || isPositive(t.toAmount) ? [] : [message("problem.badToAmount")]),
+  ],
+};
+
+// Problems with a single record arriving from elsewhere (see lib/sync)
+export const checkRecord = (collection, rec) =>
+  isObject(rec) ? CHECKERS[collection](rec) : [message("problem.notObject")];
+
+// Older backup versions are upgraded here, one step per version
+const upgrade = (backup) => {
+  let { version, data } = backup;
+  if (version < 2 && isObject(data)) {
+    // Same conversion as the storage migration; malformed lists are left for validation
+    const lists = ["expenses", "trash", "recurring"].every((k) => data[k] === undefined || Array.isArray(data[k]));
+    if (lists) data = { ...data, ...migrateMethods({ ...data, accounts: DEFAULT_ACCOUNTS }, uid), transfers: [] };
+    version = 2;
+  }
+  return { ...backup, version, data };
+};
+
+// Stop listing after this many problems; one is enough to refuse the file
+const MAX_ERRORS = 50;
+
+// Returns { data, errors, warnings } with errors and warnings as messages.
+// `data` is null unless the file is usable as a whole, so nothing is written
+// from a partly valid backup.
+export const validateBackup = (raw) => {
+  if (!isObject(raw) || raw.format !== BACKUP_FORMAT)
+    return { data: null, errors: [message("backup.error.notBackup")], warnings: [] };
+  if (!Number.isInteger(raw.version) || raw.version < 1)
+    return { data: null, errors: [message("backup.error.noVersion")], warnings: [] };
+  if (raw.version > BACKUP_VERSION)
+    return {
+      data: null,
+      errors: [message("backup.error.tooNew", { version: raw.version, supported: BACKUP_VERSION })],
+      warnings: [],
+    };
+
+  const { data } = upgrade(raw);
+  const errors = [];
+  const warnings = [];
+  if (!isObject(data)) return { data: null, errors: [message("backup.error.noData")], warnings };
+
+  for (const key of RECORD_COLLECTIONS) {
+    const section = message(`backup.section.${key}`);
+    const list = data[key] ?? [];
+    if (!Array.isArray(list)) {
+      errors.push(message("backup.error.notList", { section }));
+      continue;
+    }
+    const ids = new Set();
+    list.forEach((rec, i) => {
+      const problems = isObject(rec) ? CHECKERS[key](rec) : [message("problem.notObject")];
+      if (isObject(rec) && isId(rec.id)) {
+        if (ids.has(rec.id)) problems.push(message("problem.duplicateId", { id: rec.id }));
+        ids.add(rec.id);
+      }
+      if (problems.length) errors.push(message("backup.error.record", { section, index: i + 1, problems }));
+    });
+  }
+  if (data.settings !== undefined && !isObject(data.settings)) errors.push(message("backup.error.settings"));
+  if (data.payees !== undefined && (!isObject(data.payees) || Object.values(data.payees).some((v) => !isId(v))))
+    errors.push(message("backup.error.payees"));
+
+  if (errors.length)
+    return {
+      data: null,
+      errors:
+        errors.length > MAX_ERRORS
+          ? [...errors.slice(0, MAX_ERRORS), message("backup.error.more", { count: errors.length - MAX_ERRORS })]
+          : errors,
+      warnings,
+    };
+
+  const categoryIds = new Set((data.categories ?? []).map((c) => c.id));
+  const unknown = new Set(
+    [...(data.expenses ?? []), ...(data.trash ?? [])]
+      .flatMap((e) => (isSplit(e) ? e.items.map((it) => it.category) : [e.category]))
+      .filter((id) => !categoryIds.has(id))
+  );
+  if (unknown.size) warnings.push(message("backup.warning.unknownCategories", { ids: [...unknown] }));
+  const personIds = new Set((data.people ?? []).map((p) => p.id));
+  const strangers = [...personUsage(data).keys()].filter((id) => !personIds.has(id));
+  if (strangers.length) warnings.push(message("backup.warning.unknownPeople", { ids: strangers }));
+  const fileIds = new Set((data.attachments ?? []).map((a) => a.id));
+  const referenced = attachmentIds([...(data.expenses ?? []), ...(data.trash ?? [])]);
+  const missing = [...referenced].filter((id) => !fileIds.has(id));
+  if (missing.length) warnings.push(message("backup.warning.missingAttachments", { count: missing.length }));
+
+  return {
+    data: {
+      expenses: data.expenses ?? [],
+      categories: data.categories ?? [],
+      settings: data.settings ?? {},
+      recurring: data.recurring ?? [],
+      rates: data.rates ?? [],
+      trash: data.trash ?? [],
+      payees: data.payees ?? {},
+      presets: data.presets ?? [],
+      accounts: data.accounts ?? [],
+      transfers: data.transfers ?? [],
+      rules: data.rules ?? [],
+      people: data.people ?? [],
+      settlements: data.settlements ?? [],
+      attachments: data.attachments ?? [],
+    },
+    errors,
+    warnings,
+  };
+};
+
+// ----- Merge -----
+// Equal as JSON, whatever order the keys were written in: the same record can
+// come from different code paths ({ ...x, ...entry } keeps x's order)
+const same = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object" || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = (o) => Object.keys(o).filter((k) => o[k] !== undefined);
+  const mine = keys(a);
+  return mine.length === keys(b).length && mine.every((k) => b[k] !== undefined && same(a[k], b[k]));
+};
+
+// Union by id. Records only on one side are kept; when both sides hold a
+// different version of the same id, `prefer` ("local" | "backup") decides and
+// the pair is reported as a conflict.
+const mergeRecords = (local, incoming, prefer, equal = same) => {
+  const byId = new Map(local.map((r) => [r.id, r]));
+  const conflicts = [];
+  let added = 0;
+  for (const rec of incoming) {
+    const mine = byId.get(rec.id);
+    if (!mine) {
+      byId.set(rec.id, rec);
+      added++;
+    } else if (!equal(mine, rec)) {
+      conflicts.push({ id: rec.id, local: mine, backup: rec, winner: prefer });
+      if (prefer === "backup") byId.set(rec.id, rec);
+    }
+  }
+  return { list: [...byId.values()], conflicts, added };
+};
+
+// Returns { data, report } where report[key] = { added, conflicts } per
+// collection. Settings and payee mappings are merged key by key.
+export const mergeBackup = (local, incoming, prefer = "local") => {
+  const data = {};
+  const report = {};
+  for (const key of RECORD_COLLECTIONS) {
+    // A stored file never changes, so the same id is the same file
+    const equal = key === "attachments" ? () => true : same;
+    const { list, conflicts, added } = mergeRecords(local[key], incoming[key], prefer, equal);
+    data[key] = list;
+    report[key] = { added, conflicts };
+  }
+  // An entry can't be both live and in the trash; the live copy wins
+  const live = new Set(data.expenses.map((e) => e.id));
+  data.trash = data.trash.filter((t) => !live.has(t.id));
+
+  for (const key of ["settings", "payees"]) {
+    const conflicts = Object.keys(incoming[key])
+      .filter((k) => k in local[key] && !same(local[key][k], incoming[key][k]))
+      .map((k) => ({ id: k, local: local[key][k], backup: incoming[key][k], winner: prefer }));
+    data[key] =
+      prefer === "backup" ? { ...local[key], ...incoming[key] } : { ...incoming[key], ...local[key] };
+    report[key] = {
+      added: Object.keys(incoming[key]).filter((k) => !(k in local[key])).length,
+      conflicts,
+    };
+  }
+  return { data, report };
+};
@@ -0,0 +1,91 @@
+import { rootOf } from "./categories";
+import { toDateInputValue } from "./dates";
+import { entryLines } from "./split";
+import { categoryKind, entryType } from "./transactions";
+
+// ===== Monthly budgets =====
+// A category's `budget` is a monthly limit in THB; null/0 means "no limit".
+// Only expenses count against budgets; income is ignored throughout. Spending
+// in a subcategory also counts towards its parent's budget.
+
+export const monthKey = (date) => String(date || "").slice(0, 7); // "YYYY-MM"
+
+// The month the budget panel reports on follows the date filters so earlier
+// months can be reviewed: the "to" date wins, then "from", else this month.
+export const budgetMonthFor = (filters) =>
+  monthKey(filters.to || filters.from || toDateInputValue(new Date()));
+
+export const monthLabel = (key, locale) => {
+  const [y, m] = key.split("-").map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString(locale, {
+    month: "long",
+    year: "numeric",
+  });
+};
+
+// The category itself plus its parent, if any
+const budgetIds = (categories, id) => {
+  const root = rootOf(categories, id);
+  return root === id ? [id] : [id, root];
+};
+
+const spentInMonth = (expenses, categories, month, excludeId) => {
+  const byCat = {};
+  let total = 0;
+  for (const e of expenses) {
+    if (e.id === excludeId || entryType(e) !== "expense" || monthKey(e.date) !== month)
+      continue;
+    const amount = Number(e.amount || 0);
+    for (const id of budgetIds(categories, e.category)) byCat[id] = (byCat[id] || 0) + amount;
+    total += amount;
+  }
+  return { byCat, total };
+};
+
+const status = (spent, limit) => ({
+  spent,
+  limit,
+  remaining: limit - spent,
+  ratio: limit > 0 ? spent / limit : 0,
+});
+
+// Progress rows for every category that has a budget, plus the overall limit.
+// Pass split entries as lines so each part counts under its own category.
+export const budgetSummary = (expenses, categories, month, overallBudget) => {
+  const { byCat, total } = spentInMonth(expenses, categories, month);
+  return {
+    categories: categories
+      .filter((c) => categoryKind(c) === "expense" && Number(c.budget) > 0)
+      .map((c) => ({ ...status(byCat[c.id] || 0, Number(c.budget)), category: c })),
+    overall: Number(overallBudget) > 0 ? status(total, Number(overallBudget)) : null,
+  };
+};
+
+// Which limits `entry` would exceed in its own month.
+// `expenses` must already be split into lines (see lib/split); `excludeId`
+// leaves out the record being edited so it isn't counted twice.
+export const overspendWarnings = (entry, { expenses, categories, overallBudget, excludeId }) => {
+  if (entryType(entry) !== "expense") return [];
+  const month = monthKey(entry.date);
+  const { byCat, total } = spentInMonth(expenses, categories, month, excludeId);
+  const amount = Number(entry.amount || 0);
+  const warnings = [];
+
+  // A split entry is checked against each of its categories
+  const adding = {};
+  for (const line of entryLines(entry))
+    for (const id of budgetIds(categories, line.category))
+      adding[id] = (adding[id] || 0) + Number(line.amount || 0);
+  for (const [categoryId, extra] of Object.entries(adding)) {
+    const cat = categories.find((c) => c.id === categoryId);
+    const limit = Number(cat?.budget);
+    const after = (byCat[categoryId] || 0) + extra;
+    if (limit > 0 && after > limit) warnings.push({ label: cat.name, limit, after });
+  }
+
+  const overall = Number(overallBudget);
+  if (overall > 0 && total + amount > overall)
+    warnings.push({ overall: true, limit: overall, after: total + amount });
+
+  return warnings;
+};
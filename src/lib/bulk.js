@@ -0,0 +1,57 @@
+import { entryCurrency } from "./currency";
+import { parseFlexibleDate } from "./dates";
+import { isSplit } from "./split";
+import { categoryKind, entryType } from "./transactions";
+
+// ===== Bulk and in-place edits of entries =====
+// The table can change many entries at once (selected rows) or one field of
+// one entry (inline cells). Both go through setEntryField so they keep the
+// same invariants as saving the form.
+
+// Sets one field: an empty account drops the key, and a new amount or
+// category means a confirmed unusual amount (see lib/anomalies) is checked again
+export const setEntryField = (entry, field, value) => {
+  const next = { ...entry, [field]: value };
+  if (field === "accountId" && !value) delete next.accountId;
+  if (field === "amount" || field === "category") delete next.reviewed;
+  return next;
+};
+
+// Applies `change` to the entries in `ids`. Returns { entries, changed,
+// skipped }; `change` returns its argument untouched to skip an entry.
+export const updateSelected = (entries, ids, change) => {
+  let changed = 0;
+  let skipped = 0;
+  const next = entries.map((e) => {
+    if (!ids.has(e.id)) return e;
+    const updated = change(e);
+    if (updated === e) skipped++;
+    else changed++;
+    return updated;
+  });
+  return { entries: changed ? next : entries, changed, skipped };
+};
+
+// Split entries keep their per-line categories, and an entry only takes a
+// category of its own type
+export const recategorise = (category) => (e) =>
+  isSplit(e) || entryType(e) !== categoryKind(category) ? e : setEntryField(e, "category", category.id);
+
+// An entry only moves to an account in its own currency: the amount was
+// recorded in that currency and relabelling it would change what it's worth.
+// No account takes any entry.
+export const moveToAccount = (account) => (e) =>
+  account && account.currency !== entryCurrency(e) ? e : setEntryField(e, "accountId", account?.id || "");
+
+// Raw text from an inline editor → the value to store, or undefined when
+// it isn't valid for the field
+export const parseCellValue = (field, raw) => {
+  const text = String(raw ?? "").trim();
+  if (field === "date") return parseFlexibleDate(text) ?? undefined;
+  if (field === "amount") {
+    const amount = Math.round(parseFloat(text.replace(/,/g, "")) * 100) / 100;
+    return amount > 0 ? amount : undefined;
+  }
+  if (field === "category") return text || undefined;
+  return text;
+};
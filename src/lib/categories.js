@@ -0,0 +1,114 @@
+import { remapRules } from "./rules";
+import { categoryKind } from "./transactions";
+
+// ===== Category hierarchy =====
+// A category is { id, name, color, icon?, kind?, parent?, budget? }. `parent`
+// makes it a subcategory (Food > Coffee); only one level deep, and always the
+// same kind as its parent. The array order is the display order, with each
+// parent's children listed under it.
+
+export const isHexColor = (s) => /^#[0-9a-f]{6}$/i.test(String(s || ""));
+
+export const CATEGORY_ICONS = ["🍜", "☕", "🚕", "🧾", "🛍️", "💊", "🎬", "🏠", "📚", "✈️", "🎁", "🐶", "💼", "💰", "🔁", "📦"];
+
+export const childrenOf = (categories, id) => categories.filter((c) => c.parent === id);
+
+// The top-level category an id belongs to (itself when it has no parent)
+export const rootOf = (categories, id) => {
+  const c = categories.find((x) => x.id === id);
+  return c?.parent && categories.some((x) => x.id === c.parent) ? c.parent : id;
+};
+
+// The id plus its subcategories, for filters that should include children
+export const withChildren = (categories, id) => [id, ...childrenOf(categories, id).map((c) => c.id)];
+
+export const categoryLabel = (categories, id) => {
+  const c = categories.find((x) => x.id === id);
+  if (!c) return id;
+  const parent = c.parent && categories.find((x) => x.id === c.parent);
+  return `${parent ? `${parent.name} › ` : ""}${c.name}`;
+};
+
+// Parents in order, each followed by its children, with `depth` for indenting.
+// Children whose parent is missing are shown as top-level.
+export const categoryTree = (categories) => {
+  const ids = new Set(categories.map((c) => c.id));
+  const roots = categories.filter((c) => !c.parent || !ids.has(c.parent));
+  return roots.flatMap((r) => [
+    { ...r, depth: 0 },
+    ...childrenOf(categories, r.id).map((c) => ({ ...c, depth: 1 })),
+  ]);
+};
+
+// <option> rows for a category select
+export const categoryOptions = (categories) =>
+  categoryTree(categories).map((c) => ({
+    id: c.id,
+    label: `${c.depth ? "   ↳ " : ""}${c.icon ? `${c.icon} ` : ""}${c.name}`,
+  }));
+
+// Categories a given one may be placed under
+export const parentCandidates = (categories, category) =>
+  categories.filter(
+    (c) =>
+      c.id !== category.id &&
+      !c.parent &&
+      categoryKind(c) === categoryKind(category) &&
+      !(category.id && childrenOf(categories, category.id).length)
+  );
+
+// Drag-and-drop: put `id` just before `targetId`
+export const moveCategory = (categories, id, targetId) => {
+  if (id === targetId) return categories;
+  const moving = categories.find((c) => c.id === id);
+  const rest = categories.filter((c) => c.id !== id);
+  const at = rest.findIndex((c) => c.id === targetId);
+  if (!moving || at < 0) return categories;
+  return [...rest.slice(0, at), moving, ...rest.slice(at)];
+};
+
+// Lines counted under their top-level category, for rolled-up charts
+export const rollUp = (lines, categories) =>
+  lines.map((l) => {
+    const root = rootOf(categories, l.category);
+    return root === l.category ? l : { ...l, category: root };
+  });
+
+// ----- Deleting safely -----
+const usesCategory = (e, id) =>
+  e.category === id || (Array.isArray(e.items) && e.items.some((it) => it.category === id));
+
+// How many entries, trashed entries and templates point at a category
+export const categoryUsage = ({ expenses = [], trash = [], recurring = [] }, id) =>
+  [...expenses, ...trash, ...recurring].filter((e) => usesCategory(e, id)).length;
+
+const reassign = (e, from, to) => {
+  if (!usesCategory(e, from)) return e;
+  const items = e.items?.map((it) => (it.category === from ? { ...it, category: to } : it));
+  return { ...e, category: e.category === from ? to : e.category, ...(items && { items }) };
+};
+
+// Removes category `id`, moving whatever used it to `targetId` (a merge when
+// the target already has entries). Subcategories of a removed parent become
+// top-level; payee mappings and rules follow the move.
+export const removeCategory = (data, id, targetId) => {
+  const move = (list) => (targetId ? list.map((e) => reassign(e, id, targetId)) : list);
+  return {
+    categories: data.categories
+      .filter((c) => c.id !== id)
+      .map((c) => {
+        if (c.parent !== id) return c;
+        const { parent: _parent, ...rest } = c;
+        return rest;
+      }),
+    expenses: move(data.expenses),
+    trash: move(data.trash),
+    recurring: move(data.recurring),
+    payees: Object.fromEntries(
+      Object.entries(data.payees)
+        .filter(([, v]) => v !== id || targetId)
+        .map(([k, v]) => [k, v === id ? targetId : v])
+    ),
+    rules: remapRules(data.rules, id, targetId),
+  };
+};
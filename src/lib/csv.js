@@ -0,0 +1,247 @@
+import { accountResolver } from "./accounts";
+import { entryCurrency, isCurrencyCode } from "./currency";
+import { parseFlexibleDate } from "./dates";
+import { message } from "./messages";
+import { applyRules } from "./rules";
+import { isBalanced, isSplit } from "./split";
+import { entryTags, formatTags, parseTags } from "./tags";
+import { FALLBACK_CATEGORY, categoriesOfType, entryType, parseType } from "./transactions";
+
+// ===== RFC 4180 reader/writer =====
+
+// Quote a field only when it has to be: commas, quotes, line breaks or edge spaces.
+const escapeField = (value) => {
+  const s = value == null ? "" : String(value);
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCSV = (rows) =>
+  rows.map((row) => row.map(escapeField).join(",")).join("\r\n");
+
+// Returns an array of rows (arrays of strings). Handles quoted fields with
+// embedded commas, doubled quotes and CR/LF, plus a leading BOM. A row with
+// text after a closing quote ("abc"def) is kept, flagged `malformed`, so the
+// import can reject it with a reason rather than guess what was meant.
+export const parseCSV = (text) => {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let closed = false; // just past a closing quote
+  let malformed = false;
+  let i = 0;
+  const endRow = () => {
+    row.push(field);
+    if (malformed) row.malformed = true;
+    rows.push(row);
+    row = [];
+    field = "";
+    malformed = false;
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+        closed = true;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\r" || ch === "\n") {
+      endRow();
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+    } else {
+      if (closed) malformed = true;
+      field += ch;
+    }
+    closed = false;
+    i++;
+  }
+  if (inQuotes) throw new Error("unterminated quoted field");
+  if (field !== "" || row.length) endRow();
+  // Drop blank lines (a single empty field)
+  return rows.filter((r) => !(r.length === 1 && r[0].trim() === ""));
+};
+
+// ===== Expense mapping =====
+// `items` holds a split entry's lines as JSON, e.g. [{"category":"food","amount":120,"note":""}];
+// `tags` is space-separated, e.g. "#trip-chiangmai #reimbursable"; `account` is the account name
+export const EXPENSE_CSV_HEADERS = [
+  "date", "type", "amount", "currency", "category", "note", "account", "tags", "id", "items",
+];
+
+export const IMPORT_FIELDS = [
+  { key: "date", required: true, aliases: ["date", "วันที่", "วัน"] },
+  { key: "type", aliases: ["type", "ประเภท"] },
+  { key: "amount", required: true, aliases: ["amount", "จำนวนเงิน", "จำนวน", "ยอด"] },
+  { key: "currency", aliases: ["currency", "สกุลเงิน"] },
+  { key: "category", aliases: ["category", "หมวดหมู่", "หมวด"] },
+  { key: "note", aliases: ["note", "memo", "หมายเหตุ", "บันทึก", "รายละเอียด"] },
+  { key: "account", aliases: ["account", "บัญชี", "method", "payment", "วิธีจ่าย", "ช่องทาง"] },
+  { key: "tags", aliases: ["tags", "tag", "แท็ก"] },
+  { key: "id", aliases: ["id"] },
+  { key: "items", aliases: ["items", "split"] },
+];
+
+export const expensesToCSV = (expenses, accounts = []) =>
+  toCSV([
+    EXPENSE_CSV_HEADERS,
+    ...expenses.map((e) =>
+      EXPENSE_CSV_HEADERS.map((h) => {
+        if (h === "type") return entryType(e);
+        if (h === "currency") return entryCurrency(e);
+        if (h === "items") return isSplit(e) ? JSON.stringify(e.items) : "";
+        if (h === "tags") return formatTags(entryTags(e));
+        if (h === "account") return accounts.find((a) => a.id === e.accountId)?.name ?? "";
+        return e[h] ?? "";
+      })
+    ),
+  ]);
+
+// Map each field to a column index by header name (-1 = not mapped)
+export const guessMapping = (headers) => {
+  const norm = headers.map((h) => String(h).trim().toLowerCase());
+  return Object.fromEntries(
+    IMPORT_FIELDS.map((f) => [f.key, norm.findIndex((h) => f.aliases.includes(h))])
+  );
+};
+
+// "฿1,234.50" / "1,234.50 THB" style noise is stripped; comma is a thousands separator.
+export const parseAmount = (input) => {
+  const s = String(input ?? "").replace(/[฿\s,]|THB|บาท/gi, "");
+  if (!/^[-+]?\d*\.?\d+$/.test(s)) return NaN;
+  return parseFloat(s);
+};
+
+// Only categories of the row's own type are candidates
+export const resolveCategory = (raw, type, categories) => {
+  const fallback = FALLBACK_CATEGORY[type];
+  const v = String(raw || "").trim();
+  if (!v) return { id: fallback };
+  const lower = v.toLowerCase();
+  const hit = categoriesOfType(categories, type).find(
+    (c) => c.id.toLowerCase() === lower || c.name.toLowerCase() === lower
+  );
+  return hit ? { id: hit.id } : { id: fallback, unknown: v };
+};
+
+// Turn parsed data rows into expenses using the chosen mapping.
+// Rows are numbered as records in the file (header = 1) so the user can find them.
+// Account names not seen before become new accounts, returned in `accounts`.
+// Categorisation rules fill in a category the row doesn't name (or names
+// wrongly) and an empty account; `ruled` counts the rows they changed.
+export const buildImport = (rows, mapping, { existingIds, categories, accounts = [], rules = [], makeId }) => {
+  const accepted = [];
+  let ruled = 0;
+  const rejected = [];
+  const skipped = [];
+  const warnings = [];
+  const seen = new Set(existingIds);
+  const { resolve, created } = accountResolver(accounts, makeId);
+  const col = (r, key) => (mapping[key] >= 0 ? (r[mapping[key]] ?? "").trim() : "");
+
+  rows.forEach((r, i) => {
+    const line = i + 2;
+    if (r.malformed) {
+      rejected.push({ line, reason: message("problem.textAfterQuote"), row: r });
+      return;
+    }
+    const rawId = col(r, "id");
+    if (rawId && seen.has(rawId)) {
+      skipped.push({ line, reason: message("problem.duplicateId", { id: rawId }), row: r });
+      return;
+    }
+
+    const date = parseFlexibleDate(col(r, "date"));
+    if (!date) {
+      rejected.push({ line, reason: message("problem.badDateValue", { value: col(r, "date") }), row: r });
+      return;
+    }
+    const amount = parseAmount(col(r, "amount"));
+    if (isNaN(amount) || amount <= 0) {
+      rejected.push({ line, reason: message("problem.badAmountValue", { value: col(r, "amount") }), row: r });
+      return;
+    }
+
+    // Empty currency = THB, as for records saved before currencies existed
+    const currency = col(r, "currency").toUpperCase();
+    if (currency && !isCurrencyCode(currency)) {
+      rejected.push({ line, reason: message("problem.badCurrencyValue", { value: col(r, "currency") }), row: r });
+      return;
+    }
+
+    const rawType = col(r, "type");
+    const type = parseType(rawType);
+    if (rawType && !type) {
+      rejected.push({ line, reason: message("problem.badTypeValue", { value: rawType }), row: r });
+      return;
+    }
+
+    const rawCategory = col(r, "category");
+    const cat = resolveCategory(rawCategory, type || "expense", categories);
+
+    let items;
+    const rawItems = col(r, "items");
+    if (rawItems) {
+      try {
+        items = JSON.parse(rawItems).map((it) => ({
+          category: resolveCategory(it.category, type || "expense", categories).id,
+          amount: parseAmount(it.amount),
+          note: String(it.note ?? ""),
+        }));
+      } catch {
+        items = null;
+      }
+      if (!items?.length || items.some((it) => !(it.amount > 0)) || !isBalanced(amount, items)) {
+        rejected.push({ line, reason: message("problem.badItemsTotal"), row: r });
+        return;
+      }
+    }
+
+    const id = rawId || makeId();
+    const tags = parseTags(col(r, "tags"));
+    const accountId = resolve(col(r, "account"), currency || undefined);
+    seen.add(id);
+    const entry = {
+      id,
+      date,
+      type: type || "expense",
+      amount,
+      ...(currency && { currency }),
+      category: cat.id,
+      note: col(r, "note"),
+      ...(accountId && { accountId }),
+      ...(tags.length > 0 && { tags }),
+      ...(items && { items, category: items[0].category }),
+    };
+    const fill = [
+      ...(!rawCategory || cat.unknown ? ["category"] : []),
+      ...(!col(r, "account") ? ["accountId"] : []),
+    ];
+    const final = fill.length ? applyRules(entry, rules, { categories, accounts }, fill) : entry;
+    if (final !== entry) ruled++;
+    if (cat.unknown) {
+      const name = categories.find((c) => c.id === final.category)?.name || final.category;
+      warnings.push({ line, reason: message("problem.unknownCategory", { value: cat.unknown, category: name }) });
+    }
+    accepted.push(final);
+  });
+
+  return { accepted, rejected, skipped, warnings, ruled, accounts: created };
+};
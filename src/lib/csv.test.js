@@ -0,0 +1,167 @@
+import { describe, expect, it } from "vitest";
+import { buildImport, expensesToCSV, guessMapping, parseAmount, parseCSV, toCSV } from "./csv";
+
+const CATEGORIES = [
+  { id: "food", name: "Food" },
+  { id: "other", name: "Other" },
+  { id: "salary", name: "Salary", kind: "income" },
+  { id: "income-other", name: "Other income", kind: "income" },
+];
+
+// Ids in file order, so results are predictable
+const ids = () => {
+  let n = 0;
+  return () => `new${++n}`;
+};
+
+const importRows = (text, options = {}) => {
+  const [headers, ...rows] = parseCSV(text);
+  return buildImport(rows, guessMapping(headers), {
+    existingIds: [],
+    categories: CATEGORIES,
+    makeId: ids(),
+    ...options,
+  });
+};
+
+describe("parseCSV", () => {
+  it("reads quoted commas, doubled quotes, line breaks and a BOM", () => {
+    expect(parseCSV('\uFEFFa,b\r\n"1,5","say ""hi"""\n"two\nlines",x')).toEqual([
+      ["a", "b"],
+      ["1,5", 'say "hi"'],
+      ["two\nlines", "x"],
+    ]);
+  });
+
+  it("drops blank lines and keeps empty trailing fields", () => {
+    expect(parseCSV("a,b\n\n1,\n")).toEqual([
+      ["a", "b"],
+      ["1", ""],
+    ]);
+  });
+
+  it("flags rows with text after a closing quote", () => {
+    const rows = parseCSV('a,b\n"x"y,1\n"x",1');
+    expect(rows[1].malformed).toBe(true);
+    expect(rows[2].malformed).toBeUndefined();
+  });
+
+  it("refuses an unterminated quoted field", () => {
+    expect(() => parseCSV('a\n"open')).toThrow();
+  });
+
+  it("reads back what toCSV writes", () => {
+    const rows = [
+      ["plain", " padded ", 'with "quotes"'],
+      ["a,b", "line\r\nbreak", ""],
+    ];
+    expect(parseCSV(toCSV(rows))).toEqual(rows);
+  });
+});
+
+describe("parseAmount", () => {
+  it("strips currency signs and thousands separators", () => {
+    expect(parseAmount("฿1,234.50")).toBe(1234.5);
+    expect(parseAmount("1,234.50 THB")).toBe(1234.5);
+    expect(parseAmount("120 บาท")).toBe(120);
+  });
+
+  it("rejects anything else", () => {
+    expect(parseAmount("12abc")).toBeNaN();
+    expect(parseAmount("")).toBeNaN();
+  });
+});
+
+describe("buildImport", () => {
+  it("turns rows into entries", () => {
+    const { accepted, rejected } = importRows(
+      "date,type,amount,currency,category,note,tags\n" +
+        "2026-03-01,expense,120,,Food,Lunch,#work\n" +
+        "2026-03-02,income,5000,USD,salary,March,"
+    );
+    expect(rejected).toEqual([]);
+    expect(accepted).toEqual([
+      { id: "new1", date: "2026-03-01", type: "expense", amount: 120, category: "food", note: "Lunch", tags: ["work"] },
+      {
+        id: "new2",
+        date: "2026-03-02",
+        type: "income",
+        amount: 5000,
+        currency: "USD",
+        category: "salary",
+        note: "March",
+      },
+    ]);
+  });
+
+  it("rejects bad rows with their line in the file", () => {
+    const { accepted, rejected } = importRows(
+      "date,amount,note\n" +
+        "not a date,10,\n" +
+        "2026-03-01,-5,\n" +
+        '2026-03-01,5,"ok"but not\n' +
+        "2026-03-01,5,fine"
+    );
+    expect(accepted).toHaveLength(1);
+    expect(rejected.map((r) => [r.line, r.reason.code])).toEqual([
+      [2, "problem.badDateValue"],
+      [3, "problem.badAmountValue"],
+      [4, "problem.textAfterQuote"],
+    ]);
+  });
+
+  it("files unknown categories under the type's fallback with a warning", () => {
+    const { accepted, warnings } = importRows("date,type,amount,category\n2026-03-01,income,10,Gift");
+    expect(accepted[0].category).toBe("income-other");
+    expect(warnings.map((w) => [w.line, w.reason.code])).toEqual([[2, "problem.unknownCategory"]]);
+  });
+
+  it("skips ids that already exist, including repeats within the file", () => {
+    const { accepted, skipped } = importRows("id,date,amount\nold,2026-03-01,1\nx,2026-03-01,2\nx,2026-03-01,3", {
+      existingIds: ["old"],
+    });
+    expect(accepted.map((e) => e.amount)).toEqual([2]);
+    expect(skipped.map((s) => s.line)).toEqual([2, 4]);
+  });
+
+  it("only accepts split lines that add up to the amount", () => {
+    const items = (lines) => `"${JSON.stringify(lines).replace(/"/g, '""')}"`;
+    const { accepted, rejected } = importRows(
+      "date,amount,items\n" +
+        `2026-03-01,100,${items([{ category: "food", amount: 60 }, { category: "other", amount: 40 }])}\n` +
+        `2026-03-01,100,${items([{ category: "food", amount: 60 }])}`
+    );
+    expect(accepted[0].items.map((it) => it.amount)).toEqual([60, 40]);
+    expect(rejected.map((r) => r.reason.code)).toEqual(["problem.badItemsTotal"]);
+  });
+
+  it("creates accounts it hasn't seen, once each", () => {
+    const result = importRows("date,amount,account\n2026-03-01,1,KBank\n2026-03-02,2,kbank", {
+      accounts: [{ id: "cash", name: "Cash" }],
+    });
+    expect(result.accounts).toHaveLength(1);
+    expect(result.accepted.map((e) => e.accountId)).toEqual([result.accounts[0].id, result.accounts[0].id]);
+  });
+});
+
+describe("expensesToCSV", () => {
+  it("round-trips through the importer", () => {
+    const entries = [
+      {
+        id: "a",
+        date: "2026-03-01",
+        type: "expense",
+        amount: 100,
+        currency: "USD",
+        category: "food",
+        note: 'Dinner, "late"',
+        items: [
+          { category: "food", amount: 70, note: "" },
+          { category: "other", amount: 30, note: "" },
+        ],
+      },
+    ];
+    const { accepted } = importRows(expensesToCSV(entries));
+    expect(accepted).toEqual(entries);
+  });
+});
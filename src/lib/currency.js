@@ -0,0 +1,79 @@
+import { isSplit } from "./split";
+
+// ===== Currencies & exchange rates =====
+// Stored entries keep `amount` in their own `currency`. Records saved before
+// currencies existed have no `currency` and are THB.
+// A rate row { from, to, rate, date } means 1 `from` = `rate` `to` from `date` on.
+
+export const LEGACY_CURRENCY = "THB";
+
+export const CURRENCIES = ["THB", "USD", "EUR", "JPY", "GBP", "CNY", "KRW", "SGD", "HKD", "TWD", "LAK", "MYR", "VND"];
+
+export const entryCurrency = (e) => e?.currency || LEGACY_CURRENCY;
+
+export const isCurrencyCode = (s) => /^[A-Z]{3}$/.test(String(s || ""));
+
+// Latest row effective on `date`; before the first row, the earliest one applies
+const pickRow = (rows, date) => {
+  let best = null;
+  let earliest = null;
+  for (const r of rows) {
+    if (!earliest || r.date < earliest.date) earliest = r;
+    if (r.date <= date && (!best || r.date > best.date)) best = r;
+  }
+  return best || earliest;
+};
+
+// Direct pair, its inverse, or one hop through a shared currency. null if unknown.
+export const findRate = (rates, from, to, date) => {
+  if (from === to) return 1;
+  const direct = (a, b) => {
+    const fwd = pickRow(rates.filter((r) => r.from === a && r.to === b && r.rate > 0), date);
+    if (fwd) return Number(fwd.rate);
+    const inv = pickRow(rates.filter((r) => r.from === b && r.to === a && r.rate > 0), date);
+    return inv ? 1 / Number(inv.rate) : null;
+  };
+  const d = direct(from, to);
+  if (d != null) return d;
+  const pivots = new Set(rates.flatMap((r) => [r.from, r.to]));
+  for (const p of pivots) {
+    if (p === from || p === to) continue;
+    const a = direct(from, p);
+    const b = a != null ? direct(p, to) : null;
+    if (b != null) return a * b;
+  }
+  return null;
+};
+
+// findRate remembered per pair and day, for converting many records against
+// the same `rates`: (from, to, date) => rate | null
+export const rateLookup = (rates) => {
+  const found = new Map();
+  return (from, to, date) => {
+    const key = `${from} ${to} ${date}`;
+    if (!found.has(key)) found.set(key, findRate(rates, from, to, date));
+    return found.get(key);
+  };
+};
+
+// Derived view for totals and charts: `amount` becomes the base-currency value
+// and the stored figure moves to `originalAmount`. Entries without a usable rate
+// stay in the list (so the table still shows them) flagged `rateMissing`, with
+// a base amount of 0. Rates are looked up once per currency and day.
+export const toLedger = (expenses, rates, base) => {
+  const rateOf = rateLookup(rates);
+  return expenses.map((e) => {
+    const currency = entryCurrency(e);
+    const originalAmount = Number(e.amount || 0);
+    const rate = rateOf(currency, base, e.date);
+    const r = rate ?? 0;
+    return {
+      ...e,
+      currency,
+      originalAmount,
+      amount: originalAmount * r,
+      ...(isSplit(e) && { items: e.items.map((it) => ({ ...it, amount: Number(it.amount || 0) * r })) }),
+      ...(rate == null && { rateMissing: true }),
+    };
+  });
+};
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { findRate, rateLookup, toLedger } from "./currency";
+
+const RATES = [
+  { id: "r1", from: "USD", to: "THB", rate: 35, date: "2026-01-01" },
+  { id: "r2", from: "USD", to: "THB", rate: 36, date: "2026-02-01" },
+  { id: "r3", from: "EUR", to: "USD", rate: 1.1, date: "2026-01-01" },
+];
+
+describe("findRate", () => {
+  it("is 1 within a currency", () => {
+    expect(findRate([], "THB", "THB", "2026-01-01")).toBe(1);
+  });
+
+  it("takes the latest row effective on the date", () => {
+    expect(findRate(RATES, "USD", "THB", "2026-01-31")).toBe(35);
+    expect(findRate(RATES, "USD", "THB", "2026-02-01")).toBe(36);
+    expect(findRate(RATES, "USD", "THB", "2027-01-01")).toBe(36);
+  });
+
+  it("uses the earliest row before the first one", () => {
+    expect(findRate(RATES, "USD", "THB", "2020-01-01")).toBe(35);
+  });
+
+  it("inverts a pair stored the other way round", () => {
+    expect(findRate(RATES, "THB", "USD", "2026-02-15")).toBeCloseTo(1 / 36);
+  });
+
+  it("hops through a shared currency", () => {
+    expect(findRate(RATES, "EUR", "THB", "2026-01-15")).toBeCloseTo(38.5);
+  });
+
+  it("skips unusable rates and reports unknown pairs as null", () => {
+    expect(findRate([{ from: "JPY", to: "THB", rate: 0, date: "2026-01-01" }], "JPY", "THB", "2026-01-01")).toBe(null);
+    expect(findRate(RATES, "GBP", "THB", "2026-01-01")).toBe(null);
+  });
+});
+
+describe("rateLookup", () => {
+  it("agrees with findRate and looks each pair and day up once", () => {
+    let reads = 0;
+    const counted = new Proxy(RATES, {
+      get: (list, key) => {
+        if (key === "filter") reads++;
+        return list[key];
+      },
+    });
+    const rateOf = rateLookup(counted);
+    expect(rateOf("USD", "THB", "2026-02-10")).toBe(36);
+    const afterFirst = reads;
+    expect(rateOf("USD", "THB", "2026-02-10")).toBe(36);
+    expect(reads).toBe(afterFirst);
+    expect(rateOf("GBP", "THB", "2026-02-10")).toBe(null);
+  });
+});
+
+describe("toLedger", () => {
+  it("converts entries and their split lines into the base currency", () => {
+    const [usd, thb] = toLedger(
+      [
+        {
+          id: "a",
+          date: "2026-02-02",
+          currency: "USD",
+          amount: 10,
+          items: [
+            { category: "food", amount: 6 },
+            { category: "bill", amount: 4 },
+          ],
+        },
+        { id: "b", date: "2026-02-02", amount: 100 },
+      ],
+      RATES,
+      "THB"
+    );
+    expect(usd).toMatchObject({ amount: 360, originalAmount: 10, currency: "USD" });
+    expect(usd.items.map((it) => it.amount)).toEqual([216, 144]);
+    expect(thb).toMatchObject({ amount: 100, originalAmount: 100, currency: "THB" });
+  });
+
+  it("keeps entries without a rate, flagged and worth nothing", () => {
+    const [entry] = toLedger([{ id: "a", date: "2026-01-01", currency: "GBP", amount: 5 }], RATES, "THB");
+    expect(entry).toMatchObject({ amount: 0, originalAmount: 5, rateMissing: true });
+  });
+});
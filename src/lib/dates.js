@@ -0,0 +1,40 @@
+// ===== Date helpers =====
+export const toDateInputValue = (d) => {
+  const z = (n) => (n < 10 ? `0${n}` : n);
+  return `${d.getFullYear()}-${z(d.getMonth() + 1)}-${z(d.getDate())}`;
+};
+
+// Buddhist era = Gregorian + 543. Any 4-digit year past 2400 is assumed to be BE.
+const BE_OFFSET = 543;
+
+const buildDate = (y, m, d) => {
+  let year = Number(y);
+  const month = Number(m);
+  const day = Number(d);
+  if (year > 2400) year -= BE_OFFSET;
+  const date = new Date(year, month - 1, day);
+  // Reject overflow such as 31/02 rolling into March
+  if (
+    date.getFullYear() !== year ||
+    date.getMonth() !== month - 1 ||
+    date.getDate() !== day
+  )
+    return null;
+  return toDateInputValue(date);
+};
+
+// Parse the date formats we see in bank/spreadsheet exports into "YYYY-MM-DD".
+// Supports YYYY-MM-DD, YYYY/MM/DD, ISO timestamps and DD/MM/YYYY (also with - or .).
+// Returns null when the input is not a valid calendar date.
+export const parseFlexibleDate = (input) => {
+  const s = String(input ?? "").trim();
+  if (!s) return null;
+
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (m) return buildDate(m[1], m[2], m[3]);
+
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (m) return buildDate(m[3], m[2], m[1]);
+
+  return null;
+};
@@ -0,0 +1,227 @@
+import { DEFAULT_ACCOUNTS, migrateMethods } from "./accounts";
+import { uid } from "./ids";
+import { MessageError, message } from "./messages";
+
+// ===== IndexedDB storage layer =====
+// Expenses live one record per key so a change writes only what changed.
+// Small collections (categories, settings, recurring templates, rates, trash,
+// statement payee mappings, filter presets, accounts, transfers, categorisation
+// rules, household people and settlements) are kept whole under a key in the
+// `kv` store. Receipt files live in `attachments` as { id, blob, thumb? };
+// entries only hold their metadata (see lib/attachments).
+//
+// Schema changes go through MIGRATIONS: step N upgrades a database at version
+// N-1 to version N inside the versionchange transaction, and may rewrite
+// existing records as well as create stores. Bump DB_VERSION and append a
+// step; never edit a step that has shipped.
+
+export const DB_NAME = "expense-tracker";
+
+// localStorage keys used before IndexedDB; imported once by the first migration
+export const LEGACY_KEYS = {
+  expenses: "expenses-v1",
+  categories: "expense-categories-v1",
+  settings: "expense-settings-v1",
+  recurring: "expense-recurring-v1",
+  rates: "expense-rates-v1",
+};
+
+const readLegacy = (key) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+const MIGRATIONS = [
+  // 1: stores + one-time copy of the -v1 localStorage blobs. The old keys are
+  // left in place as a fallback copy.
+  (db, tx) => {
+    db.createObjectStore("expenses", { keyPath: "id" });
+    db.createObjectStore("kv");
+    const expenses = readLegacy(LEGACY_KEYS.expenses);
+    if (Array.isArray(expenses)) expenses.forEach((e) => e?.id && tx.objectStore("expenses").put(e));
+    for (const key of ["categories", "settings", "recurring", "rates"]) {
+      const value = readLegacy(LEGACY_KEYS[key]);
+      if (value !== undefined) tx.objectStore("kv").put(value, key);
+    }
+  },
+
+  // 2: free-text `method` on entries, trash and templates becomes `accountId`
+  // pointing at an account created per distinct method.
+  (db, tx) => {
+    const expensesStore = tx.objectStore("expenses");
+    const kv = tx.objectStore("kv");
+    expensesStore.getAll().onsuccess = (e1) => {
+      const expenses = e1.target.result;
+      kv.get("trash").onsuccess = (e2) => {
+        const trash = e2.target.result || [];
+        kv.get("recurring").onsuccess = (e3) => {
+          const recurring = e3.target.result || [];
+          const next = migrateMethods({ accounts: DEFAULT_ACCOUNTS, expenses, trash, recurring }, uid);
+          next.expenses.forEach((x, i) => x !== expenses[i] && expensesStore.put(x));
+          kv.put(next.trash, "trash");
+          kv.put(next.recurring, "recurring");
+          kv.put(next.accounts, "accounts");
+        };
+      };
+    };
+  },
+
+  // 3: receipt files, kept out of the entry records so loading stays light
+  (db) => {
+    db.createObjectStore("attachments", { keyPath: "id" });
+  },
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+export class StorageError extends MessageError {
+  constructor(code, params, cause) {
+    super(code, params, cause);
+    this.name = "StorageError";
+  }
+}
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const done = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+  });
+
+let dbPromise = null;
+
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined")
+      return reject(new StorageError("storage.error.unsupported"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      const tx = req.transaction;
+      for (let v = event.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](db, tx);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(new StorageError("storage.error.open", undefined, req.error));
+    req.onblocked = () => reject(new StorageError("storage.error.blocked"));
+  });
+  // Let a later call retry after a failed open
+  dbPromise.catch(() => (dbPromise = null));
+  return dbPromise;
+};
+
+// Keys the app keeps in the `kv` store
+export const KV_KEYS = [
+  "categories",
+  "settings",
+  "recurring",
+  "rates",
+  "trash",
+  "payees",
+  "presets",
+  "accounts",
+  "transfers",
+  "rules",
+  "people",
+  "settlements",
+];
+
+// Everything the app persists. Missing kv entries come back undefined so the
+// caller can apply its own defaults.
+export const loadAll = async () => {
+  const db = await openDatabase();
+  const tx = db.transaction(["expenses", "kv"], "readonly");
+  const kv = tx.objectStore("kv");
+  const [expenses, ...values] = await Promise.all([
+    promisify(tx.objectStore("expenses").getAll()),
+    ...KV_KEYS.map((key) => promisify(kv.get(key))),
+  ]);
+  return { expenses, ...Object.fromEntries(KV_KEYS.map((key, i) => [key, values[i]])) };
+};
+
+// A single kv value, for data kept outside KV_KEYS (e.g. sync state, see lib/sync)
+export const loadValue = async (key) => {
+  const db = await openDatabase();
+  return promisify(db.transaction("kv").objectStore("kv").get(key));
+};
+
+// Why a write failed: a message, or the browser's own wording
+const describe = (err) =>
+  err?.name === "QuotaExceededError"
+    ? message("storage.error.quota")
+    : err?.message || message("storage.error.unknown");
+
+// Writes only the expenses whose object identity changed since `prev`
+export const saveExpenseChanges = async (prev, next) => {
+  const before = new Map(prev.map((e) => [e.id, e]));
+  const after = new Set();
+  const puts = [];
+  for (const e of next) {
+    after.add(e.id);
+    if (before.get(e.id) !== e) puts.push(e);
+  }
+  const deletes = prev.filter((e) => !after.has(e.id)).map((e) => e.id);
+  if (!puts.length && !deletes.length) return;
+
+  try {
+    const db = await openDatabase();
+    const tx = db.transaction("expenses", "readwrite");
+    const store = tx.objectStore("expenses");
+    puts.forEach((e) => store.put(e));
+    deletes.forEach((id) => store.delete(id));
+    await done(tx);
+  } catch (err) {
+    throw new StorageError("storage.error.saveEntries", { reason: describe(err) }, err);
+  }
+};
+
+export const saveValue = async (key, value) => {
+  try {
+    const db = await openDatabase();
+    const tx = db.transaction("kv", "readwrite");
+    tx.objectStore("kv").put(value, key);
+    await done(tx);
+  } catch (err) {
+    throw new StorageError("storage.error.saveData", { reason: describe(err) }, err);
+  }
+};
+
+// ----- Attachments -----
+export const saveAttachments = async (records) => {
+  try {
+    const db = await openDatabase();
+    const tx = db.transaction("attachments", "readwrite");
+    const store = tx.objectStore("attachments");
+    records.forEach((r) => store.put(r));
+    await done(tx);
+  } catch (err) {
+    throw new StorageError("storage.error.saveAttachments", { reason: describe(err) }, err);
+  }
+};
+
+// Undefined when the file is gone (e.g. an entry restored from an old backup)
+export const loadAttachment = async (id) => {
+  const db = await openDatabase();
+  return promisify(db.transaction("attachments").objectStore("attachments").get(id));
+};
+
+// Removes files no entry points at any more. Run at start-up rather than on
+// delete, so undo can still bring an entry back together with its files.
+export const pruneAttachments = async (keepIds) => {
+  const db = await openDatabase();
+  const tx = db.transaction("attachments", "readwrite");
+  const store = tx.objectStore("attachments");
+  store.getAllKeys().onsuccess = (e) =>
+    e.target.result.filter((id) => !keepIds.has(id)).forEach((id) => store.delete(id));
+  await done(tx);
+};
@@ -0,0 +1,78 @@
+import { monthKey } from "./budget";
+import { rootOf } from "./categories";
+import { toDateInputValue } from "./dates";
+import { categoriesOfType, entryType } from "./transactions";
+
+// ===== Month-end forecast =====
+// Projects what each top-level expense category will total by the end of
+// `month` from two signals: the pace so far this month, and the average of up
+// to HISTORY_MONTHS earlier months. The history carries most of the weight at
+// the start of the month and the current pace takes over as the month goes
+// on, so one big purchase on the 2nd isn't multiplied by thirty. With no
+// earlier months to lean on, the pace still only counts in full from the
+// PACE_DAYS-th day; before that it's damped towards spending nothing more.
+// Subcategory spending counts towards its top-level category, as budgets do.
+
+const HISTORY_MONTHS = 6;
+const PACE_DAYS = 7;
+
+const daysIn = (month) => {
+  const [y, m] = month.split("-").map(Number);
+  return new Date(y, m, 0).getDate();
+};
+
+const shiftMonth = (month, by) => {
+  const [y, m] = month.split("-").map(Number);
+  return monthKey(toDateInputValue(new Date(y, m - 1 + by, 1)));
+};
+
+// Pass split entries as lines, converted to the base currency. Returns
+// { days, elapsed, rows, total } where each row is
+// { category, spent, typical, projected } and `typical` is the average of
+// earlier months, or null when there are none to go by.
+export const forecastMonth = (lines, categories, month, today = toDateInputValue(new Date())) => {
+  const days = daysIn(month);
+  const current = monthKey(today);
+  const elapsed = month < current ? days : month > current ? 0 : Number(today.slice(8, 10));
+
+  const history = Array.from({ length: HISTORY_MONTHS }, (_, i) => shiftMonth(month, -(i + 1)));
+  const inHistory = new Set(history);
+  const roots = new Map();
+  const spent = new Map();
+  const past = new Map();
+  let firstMonth = null;
+  for (const l of lines) {
+    if (entryType(l) !== "expense" || !l.date) continue;
+    const key = monthKey(l.date);
+    if (!firstMonth || key < firstMonth) firstMonth = key;
+    const sums = key === month ? spent : inHistory.has(key) ? past : null;
+    if (!sums) continue;
+    if (!roots.has(l.category)) roots.set(l.category, rootOf(categories, l.category));
+    const root = roots.get(l.category);
+    sums.set(root, (sums.get(root) || 0) + Number(l.amount || 0));
+  }
+  // Months before the first recorded entry weren't tracked, not spent-free
+  const pastMonths = history.filter((m) => firstMonth && m >= firstMonth).length;
+  const weight = pastMonths ? elapsed / days : Math.min(1, elapsed / PACE_DAYS);
+
+  const rows = categoriesOfType(categories, "expense")
+    .filter((c) => !c.parent)
+    .map((category) => {
+      const sofar = spent.get(category.id) || 0;
+      const typical = pastMonths ? (past.get(category.id) || 0) / pastMonths : null;
+      const pace = elapsed ? sofar / elapsed : 0;
+      const daily = weight * pace + (1 - weight) * ((typical || 0) / days);
+      return { category, spent: sofar, typical, projected: sofar + (days - elapsed) * daily };
+    })
+    .filter((r) => r.projected > 0 || r.typical > 0);
+
+  const total = rows.reduce(
+    (sum, r) => ({
+      spent: sum.spent + r.spent,
+      typical: pastMonths ? sum.typical + r.typical : null,
+      projected: sum.projected + r.projected,
+    }),
+    { spent: 0, typical: 0, projected: 0 }
+  );
+  return { days, elapsed, rows, total };
+};
@@ -0,0 +1,19 @@
+// `locale` is a tag from lib/i18n (language plus calendar); pass the active one
+export const formatMoney = (n, currency = "THB", locale) =>
+  new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency,
+    maximumFractionDigits: 2,
+  }).format(Number(n || 0));
+
+export const formatNumber = (n, locale, options) =>
+  new Intl.NumberFormat(locale, options).format(Number(n || 0));
+
+// Short chart-axis labels such as "12K"
+export const formatCompact = (n, locale) =>
+  new Intl.NumberFormat(locale, { notation: "compact", maximumFractionDigits: 1 }).format(Number(n || 0));
+
+// Accepts "YYYY-MM-DD", timestamps or Date objects
+export const formatDate = (d, locale, options) => new Date(d).toLocaleDateString(locale, options);
+
+export const formatDateTime = (d, locale) => new Date(d).toLocaleString(locale);
@@ -0,0 +1,179 @@
+import { entryType } from "./transactions";
+
+// ===== Shared household ledger =====
+// People are { id, name, color }. An entry someone in the household paid for
+// carries `paidBy` (a person id) and, when it was for others too, `shares`:
+//
+//   { mode: "equal",   parts: [{ person: "p1" }, { person: "p2" }] }
+//   { mode: "percent", parts: [{ person: "p1", value: 60 }, { person: "p2", value: 40 }] }
+//   { mode: "exact",   parts: [{ person: "p1", value: 350 }, { person: "p2", value: 249 }] }
+//
+// Exact values are in the entry's currency and add up to its amount. Without
+// `shares` the whole amount is the payer's own. Income works the other way
+// round: `paidBy` received the money and `shares` says whose it is.
+// Recurring templates carry the same two fields for the entries they create.
+// A settlement { id, date, from, to, amount, currency } records `from` paying
+// `to` back.
+
+export const SHARE_MODES = ["equal", "percent", "exact"];
+
+export const PERSON_COLORS = ["#0ea5e9", "#f97316", "#a855f7", "#10b981", "#e11d48", "#eab308", "#64748b"];
+
+const sumOf = (parts) => parts.reduce((s, p) => s + Number(p.value || 0), 0);
+
+// What is wrong with `shares` for an entry of `amount`, or null. Codes:
+// "noPeople" | "duplicate" | "value" | "percentTotal" | "exactTotal"
+export const checkShares = (amount, shares) => {
+  if (!shares) return null;
+  const { mode, parts } = shares;
+  if (!parts.length) return "noPeople";
+  if (new Set(parts.map((p) => p.person)).size !== parts.length) return "duplicate";
+  if (mode === "equal") return null;
+  if (parts.some((p) => !(Number(p.value) >= 0))) return "value";
+  if (mode === "percent" && Math.abs(sumOf(parts) - 100) >= 0.005) return "percentTotal";
+  if (mode === "exact" && Math.abs(sumOf(parts) - amount) >= 0.005) return "exactTotal";
+  return null;
+};
+
+// Person id → fraction of the entry that is theirs (summing to 1); empty for
+// entries outside the household. Ledger records keep the entry's total in
+// `originalAmount` (see toLedger), so this also works on their split lines.
+export const shareFractions = (e) => {
+  if (!e.paidBy) return new Map();
+  const parts = e.shares?.parts;
+  if (!parts?.length) return new Map([[e.paidBy, 1]]);
+  if (e.shares.mode === "equal") return new Map(parts.map((p) => [p.person, 1 / parts.length]));
+  const total = e.shares.mode === "percent" ? 100 : Number(e.originalAmount ?? e.amount);
+  return new Map(parts.map((p) => [p.person, total ? Number(p.value || 0) / total : 0]));
+};
+
+// People referenced by entries, trash, recurring templates and settlements, id → count
+export const personUsage = ({ expenses = [], trash = [], recurring = [], settlements = [] }) => {
+  const usage = new Map();
+  const count = (id) => id && usage.set(id, (usage.get(id) || 0) + 1);
+  for (const e of [...expenses, ...trash, ...recurring]) {
+    const involved = new Set([e.paidBy, ...(e.shares?.parts || []).map((p) => p.person)]);
+    involved.forEach(count);
+  }
+  for (const s of settlements) {
+    count(s.from);
+    count(s.to);
+  }
+  return usage;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// `shares` for an entry whose amount becomes `amount`. Exact parts are scaled
+// in proportion, with the rounding left on the last one; other modes don't
+// depend on the amount and come back as they are.
+export const rescaleShares = (shares, amount) => {
+  if (shares?.mode !== "exact") return shares;
+  const total = sumOf(shares.parts);
+  const parts = shares.parts.map((p) => ({
+    ...p,
+    value: round2(total ? (Number(p.value || 0) * amount) / total : amount / shares.parts.length),
+  }));
+  parts[parts.length - 1].value = round2(amount - sumOf(parts.slice(0, -1)));
+  return { ...shares, parts };
+};
+
+// Running balance per person in the base currency: { person, paid, share,
+// settled, net } where `net` > 0 means the household owes them. `entries` and
+// `settlements` are converted with toLedger; records without a rate are left
+// out (see the missing-rate warning).
+export const householdBalances = (people, entries, settlements) => {
+  const rows = new Map(people.map((p) => [p.id, { person: p.id, paid: 0, share: 0, settled: 0 }]));
+  for (const e of entries) {
+    if (!e.paidBy || e.rateMissing) continue;
+    const amount = Number(e.amount) * (entryType(e) === "income" ? -1 : 1);
+    if (rows.has(e.paidBy)) rows.get(e.paidBy).paid += amount;
+    for (const [person, fraction] of shareFractions(e)) if (rows.has(person)) rows.get(person).share += amount * fraction;
+  }
+  for (const s of settlements) {
+    if (s.rateMissing) continue;
+    if (rows.has(s.from)) rows.get(s.from).settled += s.amount;
+    if (rows.has(s.to)) rows.get(s.to).settled -= s.amount;
+  }
+  return [...rows.values()].map((r) => ({
+    person: r.person,
+    paid: round2(r.paid),
+    share: round2(r.share),
+    settled: round2(r.settled),
+    net: round2(r.paid - r.share + r.settled),
+  }));
+};
+
+// ----- Settle-up -----
+// The fewest transfers that clear every balance. Everyone splits into as many
+// groups as possible whose balances sum to zero, and a group of k people
+// settles in k - 1 transfers, so more groups means fewer transfers. Finding
+// the groups is exponential, fine for a household; past EXACT_LIMIT people
+// with open balances everyone is treated as one group.
+const EXACT_LIMIT = 12;
+
+const zeroSumGroups = (list) => {
+  const n = list.length;
+  const size = 1 << n;
+  const sum = new Array(size).fill(0);
+  const best = new Array(size).fill(0); // most zero-sum groups the set splits into
+  const last = new Array(size).fill(-1); // member to take out next on the way back
+  for (let mask = 1; mask < size; mask++) {
+    const low = 31 - Math.clz32(mask & -mask);
+    sum[mask] = sum[mask & (mask - 1)] + list[low].cents;
+    for (let i = 0; i < n; i++) {
+      if (!(mask & (1 << i))) continue;
+      const groups = best[mask ^ (1 << i)];
+      if (last[mask] < 0 || groups > best[mask]) {
+        best[mask] = groups;
+        last[mask] = i;
+      }
+    }
+    if (sum[mask] === 0) best[mask]++;
+  }
+  // Taking members out in that order, a group closes whenever the rest sums to zero
+  const groups = [];
+  let group = [];
+  for (let mask = size - 1; mask; ) {
+    const i = last[mask];
+    group.push(list[i]);
+    mask ^= 1 << i;
+    if (sum[mask] === 0) {
+      groups.push(group);
+      group = [];
+    }
+  }
+  return groups;
+};
+
+// Largest debt to largest credit; each transfer clears at least one person
+const settleGroup = (group) => {
+  const byCents = (a, b) => b.cents - a.cents;
+  const owes = group.filter((b) => b.cents < 0).map((b) => ({ ...b, cents: -b.cents })).sort(byCents);
+  const owed = group.filter((b) => b.cents > 0).map((b) => ({ ...b })).sort(byCents);
+  const transfers = [];
+  for (let i = 0, j = 0; i < owes.length && j < owed.length; ) {
+    const cents = Math.min(owes[i].cents, owed[j].cents);
+    transfers.push({ from: owes[i].person, to: owed[j].person, amount: cents / 100 });
+    owes[i].cents -= cents;
+    owed[j].cents -= cents;
+    if (!owes[i].cents) i++;
+    if (!owed[j].cents) j++;
+  }
+  return transfers;
+};
+
+// [{ from, to, amount }] from householdBalances rows
+export const settleUp = (balances) => {
+  const open = balances.map((b) => ({ person: b.person, cents: Math.round(b.net * 100) })).filter((b) => b.cents);
+  if (!open.length) return [];
+  // Rounding can leave the total a cent off; the largest balance absorbs it
+  const drift = open.reduce((s, b) => s + b.cents, 0);
+  if (drift) {
+    const largest = open.reduce((a, b) => (Math.abs(b.cents) > Math.abs(a.cents) ? b : a));
+    largest.cents -= drift;
+  }
+  const settled = open.filter((b) => b.cents);
+  const groups = settled.length <= EXACT_LIMIT ? zeroSumGroups(settled) : [settled];
+  return groups.flatMap(settleGroup);
+};
@@ -0,0 +1,129 @@
+import { describe, expect, it } from "vitest";
+import { checkShares, householdBalances, personUsage, rescaleShares, settleUp, shareFractions } from "./household";
+
+const PEOPLE = [{ id: "ann" }, { id: "bo" }, { id: "cy" }];
+const exact = (...values) => ({ mode: "exact", parts: values.map(([person, value]) => ({ person, value })) });
+
+describe("checkShares", () => {
+  it("accepts valid shares of every mode", () => {
+    expect(checkShares(100, null)).toBe(null);
+    expect(checkShares(100, { mode: "equal", parts: [{ person: "ann" }, { person: "bo" }] })).toBe(null);
+    expect(
+      checkShares(100, { mode: "percent", parts: [{ person: "ann", value: 60 }, { person: "bo", value: 40 }] })
+    ).toBe(null);
+    expect(checkShares(100, exact(["ann", 70], ["bo", 30]))).toBe(null);
+  });
+
+  it("names what is wrong", () => {
+    expect(checkShares(100, { mode: "equal", parts: [] })).toBe("noPeople");
+    expect(checkShares(100, { mode: "equal", parts: [{ person: "ann" }, { person: "ann" }] })).toBe("duplicate");
+    expect(checkShares(100, exact(["ann", -1], ["bo", 101]))).toBe("value");
+    expect(
+      checkShares(100, { mode: "percent", parts: [{ person: "ann", value: 60 }, { person: "bo", value: 30 }] })
+    ).toBe("percentTotal");
+    expect(checkShares(120, exact(["ann", 70], ["bo", 30]))).toBe("exactTotal");
+  });
+});
+
+describe("shareFractions", () => {
+  it("gives the payer everything without shares", () => {
+    expect([...shareFractions({ paidBy: "ann", amount: 50 })]).toEqual([["ann", 1]]);
+    expect(shareFractions({ amount: 50 }).size).toBe(0);
+  });
+
+  it("works from the original amount on converted ledger lines", () => {
+    const line = { paidBy: "ann", amount: 3500, originalAmount: 100, shares: exact(["ann", 25], ["bo", 75]) };
+    const fractions = shareFractions(line);
+    expect(fractions.get("ann")).toBeCloseTo(0.25);
+    expect(fractions.get("bo")).toBeCloseTo(0.75);
+  });
+});
+
+describe("rescaleShares", () => {
+  it("scales exact parts so they still add up to the new amount", () => {
+    const shares = rescaleShares(exact(["ann", 70], ["bo", 30]), 99.99);
+    expect(shares.parts.map((p) => p.value)).toEqual([69.99, 30]);
+    expect(checkShares(99.99, shares)).toBe(null);
+  });
+
+  it("leaves the rounding on the last part", () => {
+    const shares = rescaleShares(exact(["ann", 1], ["bo", 1], ["cy", 1]), 100);
+    expect(shares.parts.map((p) => p.value)).toEqual([33.33, 33.33, 33.34]);
+  });
+
+  it("returns other modes untouched", () => {
+    const equal = { mode: "equal", parts: [{ person: "ann" }] };
+    expect(rescaleShares(equal, 10)).toBe(equal);
+  });
+});
+
+describe("householdBalances", () => {
+  it("nets what each person paid against their share and paybacks", () => {
+    const entries = [
+      { paidBy: "ann", amount: 300, shares: { mode: "equal", parts: PEOPLE.map((p) => ({ person: p.id })) } },
+      { paidBy: "bo", amount: 100, shares: exact(["ann", 70], ["bo", 30]) },
+      { paidBy: "cy", amount: 999, rateMissing: true },
+    ];
+    const settlements = [{ from: "cy", to: "ann", amount: 50 }];
+    expect(householdBalances(PEOPLE, entries, settlements)).toEqual([
+      { person: "ann", paid: 300, share: 170, settled: -50, net: 80 },
+      { person: "bo", paid: 100, share: 130, settled: 0, net: -30 },
+      { person: "cy", paid: 0, share: 100, settled: 50, net: -50 },
+    ]);
+  });
+
+  it("counts income the other way round", () => {
+    const [ann] = householdBalances(PEOPLE.slice(0, 1), [{ type: "income", paidBy: "ann", amount: 40 }], []);
+    expect(ann.net).toBe(0);
+    expect(ann.paid).toBe(-40);
+  });
+});
+
+describe("settleUp", () => {
+  const net = (entries) => entries.map(([person, value]) => ({ person, net: value }));
+
+  it("clears every balance", () => {
+    const balances = net([["ann", 80], ["bo", -30], ["cy", -50]]);
+    const transfers = settleUp(balances);
+    const after = new Map(balances.map((b) => [b.person, b.net]));
+    for (const t of transfers) {
+      after.set(t.from, after.get(t.from) + t.amount);
+      after.set(t.to, after.get(t.to) - t.amount);
+    }
+    expect([...after.values()].every((v) => Math.abs(v) < 0.005)).toBe(true);
+  });
+
+  it("settles groups that cancel out on their own separately", () => {
+    // Largest debt to largest credit over everyone would take four transfers
+    const transfers = settleUp(net([["a", 7], ["b", 1], ["c", -8], ["d", 3], ["e", -3]]));
+    expect(transfers).toHaveLength(3);
+    expect(transfers).toEqual(
+      expect.arrayContaining([
+        { from: "c", to: "a", amount: 7 },
+        { from: "c", to: "b", amount: 1 },
+        { from: "e", to: "d", amount: 3 },
+      ])
+    );
+  });
+
+  it("absorbs a rounding cent instead of leaving it open", () => {
+    const transfers = settleUp(net([["ann", 33.34], ["bo", -16.67], ["cy", -16.66]]));
+    expect(transfers.reduce((s, t) => s + t.amount, 0)).toBeCloseTo(33.33, 2);
+  });
+
+  it("has nothing to do when everyone is square", () => {
+    expect(settleUp(net([["ann", 0], ["bo", 0]]))).toEqual([]);
+  });
+});
+
+describe("personUsage", () => {
+  it("counts entries, trash, templates and settlements", () => {
+    const usage = personUsage({
+      expenses: [{ paidBy: "ann", shares: exact(["ann", 1], ["bo", 1]) }],
+      trash: [{ paidBy: "bo" }],
+      recurring: [{ paidBy: "cy" }],
+      settlements: [{ from: "bo", to: "ann" }],
+    });
+    expect(Object.fromEntries(usage)).toEqual({ ann: 2, bo: 3, cy: 1 });
+  });
+});
@@ -0,0 +1,69 @@
+import en from "../locales/en";
+import th from "../locales/th";
+import { formatCompact, formatDate, formatDateTime, formatMoney, formatNumber } from "./format";
+
+// ===== Languages and calendars =====
+// UI strings live in src/locales/<language>.js as flat "area.name" keys; Thai
+// is the reference catalogue and the fallback for anything missing. Templates
+// use {name} placeholders, and a key with a `count` may have "_one"/"_other"
+// variants picked by the language's plural rules.
+
+export const LANGUAGES = { th: "ไทย", en: "English" };
+export const CALENDARS = ["buddhist", "gregory"];
+
+const CATALOGUES = { th, en };
+const LOCALE_TAGS = { th: "th-TH", en: "en-GB" };
+const NATIVE_CALENDAR = { th: "buddhist", en: "gregory" };
+
+export const parseLanguage = (raw) => (Object.hasOwn(CATALOGUES, raw) ? raw : "th");
+
+// Unset calendar = the language's usual one (BE for Thai, CE for English)
+export const localeFor = (language, calendar) => {
+  const lang = parseLanguage(language);
+  const cal = CALENDARS.includes(calendar) ? calendar : NATIVE_CALENDAR[lang];
+  return cal === NATIVE_CALENDAR[lang] ? LOCALE_TAGS[lang] : `${LOCALE_TAGS[lang]}-u-ca-${cal}`;
+};
+
+export const calendarOf = (language, calendar) =>
+  CALENDARS.includes(calendar) ? calendar : NATIVE_CALENDAR[parseLanguage(language)];
+
+const interpolate = (template, vars) =>
+  vars ? template.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m)) : template;
+
+export const translate = (language, key, vars) => {
+  const lang = parseLanguage(language);
+  const lookup = (k) => CATALOGUES[lang][k] ?? th[k];
+  const plural =
+    vars?.count !== undefined
+      ? lookup(`${key}_${new Intl.PluralRules(LOCALE_TAGS[lang]).select(Number(vars.count))}`)
+      : undefined;
+  return interpolate(plural ?? lookup(key) ?? key, vars);
+};
+
+// A lib message (see lib/messages) in `language`. Errors that carry a `code`
+// are messages too; any other error falls back to its own text.
+export const translateMessage = (language, m) => {
+  if (typeof m?.code !== "string") return m?.message ?? String(m ?? "");
+  const param = (v) =>
+    Array.isArray(v) ? v.map(param).join(", ") : typeof v?.code === "string" ? translateMessage(language, v) : v;
+  const params = m.params && Object.fromEntries(Object.entries(m.params).map(([k, v]) => [k, param(v)]));
+  return translate(language, m.code, params);
+};
+
+// Everything components need to render text for the current settings
+export const createI18n = ({ language, calendar }) => {
+  const lang = parseLanguage(language);
+  const locale = localeFor(lang, calendar);
+  return {
+    language: lang,
+    calendar: calendarOf(lang, calendar),
+    locale,
+    t: (key, vars) => translate(lang, key, vars),
+    message: (m) => translateMessage(lang, m),
+    money: (n, currency) => formatMoney(n, currency, locale),
+    number: (n, options) => formatNumber(n, locale, options),
+    compact: (n) => formatCompact(n, locale),
+    date: (d, options) => formatDate(d, locale, options),
+    dateTime: (d) => formatDateTime(d, locale),
+  };
+};
@@ -0,0 +1,18 @@
+// ===== Translatable messages =====
+// Lib code doesn't know the reader's language, so the problems it reports are
+// { code, params }: a catalogue key and its placeholders, worded by the UI
+// through i18n's message(). A param may itself be a message, or a list of
+// messages or values, which reads as a comma-separated list.
+
+export const message = (code, params) => (params ? { code, params } : { code });
+
+// A thrown message; `message` holds the code for logs
+export class MessageError extends Error {
+  constructor(code, params, cause) {
+    super(code);
+    this.name = "MessageError";
+    this.code = code;
+    this.params = params;
+    this.cause = cause;
+  }
+}
@@ -0,0 +1,195 @@
+import { entryCurrency } from "./currency";
+import { parseFlexibleDate } from "./dates";
+import { message } from "./messages";
+import { entryLines, isSplit } from "./split";
+import { entryTags, normalizeTag } from "./tags";
+import { entryType, parseType } from "./transactions";
+
+// ===== Search query language =====
+// Space-separated terms; an entry must match all of them.
+//   taxi  "two words"          note, account, tag, category name or split-line note contains it
+//   cat:food  หมวด:อาหาร        category id, or a category whose name contains it
+//                               (subcategories match through their parent)
+//   account:"บัตรเครดิต"         account name contains (method: still works)
+//   note:lunch                  note contains
+//   amount>200  amount<=50  amount:120   amount in the base currency
+//   after:2025-08-01            on or after the date
+//   before:2025-09-01           strictly before the date
+//   on:2025-08-15               that exact date
+//   type:income  cur:USD
+//   tag:reimbursable  #reimbursable   has that tag
+// A leading "-" negates a term: -taxi, -cat:food.
+// Category terms are checked per split line, so `cat:food` also narrows
+// totals and charts to the food lines of a split entry.
+
+const FIELDS = {
+  cat: "cat", category: "cat", หมวด: "cat",
+  account: "account", บัญชี: "account", method: "account", วิธีจ่าย: "account",
+  note: "note", หมายเหตุ: "note",
+  amount: "amount", จำนวน: "amount",
+  after: "after", หลัง: "after",
+  before: "before", ก่อน: "before",
+  on: "on", date: "on", วันที่: "on",
+  type: "type", ประเภท: "type",
+  cur: "currency", currency: "currency", สกุลเงิน: "currency",
+  tag: "tag", แท็ก: "tag",
+};
+
+const TOKEN = /(-)?(?:([a-zA-Z\u0E00-\u0E7F]+)(:|>=|<=|>|<|=))?(?:"([^"]*)"?|(\S+))/g;
+
+const COMPARE = {
+  ":": (a, b) => Math.abs(a - b) < 0.005,
+  "=": (a, b) => Math.abs(a - b) < 0.005,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+// Returns { terms, errors } with `errors` as messages (see lib/messages).
+// Terms that can't be understood are reported and left out rather than
+// matching nothing.
+export const parseQuery = (text) => {
+  const terms = [];
+  const errors = [];
+  for (const m of String(text || "").matchAll(TOKEN)) {
+    const [raw, neg, name, op, quoted, bare] = m;
+    const value = (quoted ?? bare ?? "").trim();
+    const negate = Boolean(neg);
+    if (!name) {
+      if (bare?.startsWith("#") && normalizeTag(bare))
+        terms.push({ field: "tag", value: normalizeTag(bare), negate });
+      else if (value) terms.push({ field: "text", value: value.toLowerCase(), negate });
+      continue;
+    }
+    const field = FIELDS[name.toLowerCase()];
+    if (!field) {
+      errors.push(message("query.error.unknownField", { term: `${name}${op}` }));
+      continue;
+    }
+    if (!value) {
+      errors.push(message("query.error.noValue", { term: raw.trim() }));
+      continue;
+    }
+    if (field !== "amount" && op !== ":" && op !== "=") {
+      errors.push(message("query.error.colonOnly", { name }));
+      continue;
+    }
+    if (field === "amount") {
+      const n = parseFloat(value.replace(/,/g, ""));
+      if (isNaN(n)) errors.push(message("problem.badAmountValue", { value }));
+      else terms.push({ field, op, value: n, negate });
+    } else if (field === "after" || field === "before" || field === "on") {
+      const date = parseFlexibleDate(value);
+      if (!date) errors.push(message("problem.badDateValue", { value }));
+      else terms.push({ field, value: date, negate });
+    } else if (field === "type") {
+      const type = parseType(value);
+      if (!type) errors.push(message("problem.badTypeValue", { value }));
+      else terms.push({ field, value: type, negate });
+    } else if (field === "tag") {
+      terms.push({ field, value: normalizeTag(value), negate });
+    } else {
+      terms.push({ field, value: field === "currency" ? value.toUpperCase() : value.toLowerCase(), negate });
+    }
+  }
+  return { terms, errors };
+};
+
+const includes = (s, v) => String(s || "").toLowerCase().includes(v);
+
+// A subcategory also matches its parent's id or name
+const categoryMatches = (id, value, categories) => {
+  if (id.toLowerCase() === value) return true;
+  const c = categories.find((x) => x.id === id);
+  return includes(c?.name, value) || Boolean(c?.parent && categoryMatches(c.parent, value, categories));
+};
+
+const testEntry = (e, t, { inCategory, accountName }) => {
+  switch (t.field) {
+    case "text":
+      return (
+        includes(e.note, t.value) ||
+        includes(accountName(e.accountId), t.value) ||
+        entryTags(e).some((tag) => tag.includes(t.value)) ||
+        entryLines(e).some((l) => inCategory(l.category, t.value)) ||
+        (isSplit(e) && e.items.some((it) => includes(it.note, t.value)))
+      );
+    case "account":
+      return includes(accountName(e.accountId), t.value);
+    case "note":
+      return includes(e.note, t.value);
+    case "amount":
+      return COMPARE[t.op](Number(e.amount), t.value);
+    case "after":
+      return e.date >= t.value;
+    case "before":
+      return e.date < t.value;
+    case "on":
+      return e.date === t.value;
+    case "type":
+      return entryType(e) === t.value;
+    case "currency":
+      return entryCurrency(e) === t.value;
+    case "tag":
+      return entryTags(e).includes(t.value);
+    default:
+      return true;
+  }
+};
+
+// Matchers for one parsed query, with the category and account lookups built
+// once so filtering thousands of entries doesn't search the lists per entry.
+//   entry(e)  every non-category term holds and at least one of its lines
+//             passes the category terms
+//   line(l)   category terms only, for one split line (or a whole plain entry)
+export const compileQuery = (terms, categories, accounts = []) => {
+  const names = new Map(accounts.map((a) => [a.id, a.name]));
+  const matching = new Map(); // search value → ids of the categories it matches
+  const inCategory = (id, value) => {
+    if (!matching.has(value))
+      matching.set(
+        value,
+        new Set(categories.filter((c) => categoryMatches(c.id, value, categories)).map((c) => c.id))
+      );
+    return matching.get(value).has(id) || String(id).toLowerCase() === value;
+  };
+  const lookups = { inCategory, accountName: (id) => names.get(id) };
+  const catTerms = terms.filter((t) => t.field === "cat");
+  const entryTerms = terms.filter((t) => t.field !== "cat");
+
+  const line = (l) => catTerms.every((t) => inCategory(l.category, t.value) !== t.negate);
+  const entry = (e) =>
+    entryTerms.every((t) => testEntry(e, t, lookups) !== t.negate) && (!catTerms.length || entryLines(e).some(line));
+  return { entry, line };
+};
+
+// ===== Filters in the URL =====
+// Only values that differ from the defaults are written, so an unfiltered view
+// keeps a clean address.
+const URL_PARAMS = {
+  from: "from",
+  to: "to",
+  type: "type",
+  category: "cat",
+  tag: "tag",
+  account: "acct",
+  person: "who",
+  sortBy: "sort",
+  query: "q",
+};
+
+export const filtersToSearch = (filters, defaults) => {
+  const params = new URLSearchParams();
+  for (const [key, param] of Object.entries(URL_PARAMS))
+    if (filters[key] && filters[key] !== defaults[key]) params.set(param, filters[key]);
+  const s = params.toString();
+  return s ? `?${s}` : "";
+};
+
+export const filtersFromSearch = (search, defaults) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...defaults };
+  for (const [key, param] of Object.entries(URL_PARAMS)) if (params.has(param)) filters[key] = params.get(param);
+  return filters;
+};
@@ -0,0 +1,128 @@
+import { toDateInputValue } from "./dates";
+
+// ===== Recurring templates =====
+// A template holds the fields copied into each generated entry plus a schedule:
+//   freq: "daily" | "weekly" (weekday 0-6) | "monthly" (day 1-31) | "yearly" (month 1-12, day)
+// `through` is the last date already generated (inclusive); null means nothing yet.
+// Generated entries carry `recurringId` and their scheduled `occurrence` date.
+
+export const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+
+// Sunday-first, as Date#getDay counts; 1 Jan 2023 was a Sunday
+export const weekdayNames = (locale) =>
+  Array.from({ length: 7 }, (_, i) => new Date(2023, 0, 1 + i).toLocaleDateString(locale, { weekday: "long" }));
+
+// Guard against runaway catch-up after very long absences
+const MAX_CATCH_UP_DAYS = 3660;
+
+const parseLocal = (s) => {
+  const [y, m, d] = s.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+const addDays = (s, n) => {
+  const d = parseLocal(s);
+  d.setDate(d.getDate() + n);
+  return toDateInputValue(d);
+};
+
+const daysInMonth = (y, m) => new Date(y, m + 1, 0).getDate();
+
+// Day N is clamped to the month's last day, so "31st" still runs in February
+const matches = (t, date) => {
+  const d = parseLocal(date);
+  switch (t.freq) {
+    case "daily":
+      return true;
+    case "weekly":
+      return d.getDay() === Number(t.weekday);
+    case "monthly":
+      return d.getDate() === Math.min(Number(t.day), daysInMonth(d.getFullYear(), d.getMonth()));
+    case "yearly":
+      return (
+        d.getMonth() === Number(t.month) - 1 &&
+        d.getDate() === Math.min(Number(t.day), daysInMonth(d.getFullYear(), d.getMonth()))
+      );
+    default:
+      return false;
+  }
+};
+
+export const isEnded = (t, today) => Boolean(t.endDate && t.endDate < today);
+
+// Scheduled dates in (after, until], honouring the template's start and end dates
+export const occurrencesBetween = (t, after, until) => {
+  const dates = [];
+  let date = after ? addDays(after, 1) : t.startDate;
+  if (date < t.startDate) date = t.startDate;
+  const last = t.endDate && t.endDate < until ? t.endDate : until;
+  for (let i = 0; date <= last && i < MAX_CATCH_UP_DAYS; i++) {
+    if (matches(t, date)) dates.push(date);
+    date = addDays(date, 1);
+  }
+  return dates;
+};
+
+export const nextOccurrence = (t, today) => {
+  if (t.paused || isEnded(t, today)) return null;
+  const from = t.through && t.through >= today ? t.through : addDays(today, -1);
+  const until = addDays(from, 366 + 31);
+  return occurrencesBetween(t, from, until)[0] || null;
+};
+
+// `i18n` is the object from lib/i18n's createI18n
+export const describeSchedule = (tpl, { t, locale }) => {
+  switch (tpl.freq) {
+    case "weekly":
+      return t("recurring.schedule.weekly", { weekday: weekdayNames(locale)[Number(tpl.weekday)] });
+    case "monthly":
+      return t("recurring.schedule.monthly", { day: tpl.day });
+    case "yearly":
+      return t("recurring.schedule.yearly", {
+        date: new Date(2000, tpl.month - 1, tpl.day).toLocaleDateString(locale, { day: "numeric", month: "long" }),
+      });
+    default:
+      return FREQUENCIES.includes(tpl.freq) ? t(`frequency.${tpl.freq}`) : tpl.freq;
+  }
+};
+
+export const entryFromTemplate = (t, occurrence, id) => ({
+  id,
+  date: occurrence,
+  type: t.type,
+  amount: t.amount,
+  ...(t.currency && { currency: t.currency }),
+  category: t.category,
+  note: t.note,
+  ...(t.accountId && { accountId: t.accountId }),
+  ...(t.tags?.length && { tags: t.tags }),
+  ...(t.paidBy && { paidBy: t.paidBy }),
+  ...(t.shares && { shares: t.shares }),
+  recurringId: t.id,
+  occurrence,
+});
+
+// Everything due up to `today` for active templates. Returns the new entries
+// and the templates with their `through` watermark advanced; `templates` is the
+// same array when nothing moved, so callers can skip a state update.
+export const collectDue = (templates, today, makeId) => {
+  const created = [];
+  let changed = false;
+  const next = templates.map((t) => {
+    const done = t.through && (t.through >= today || (t.endDate && t.through >= t.endDate));
+    if (t.paused || done) return t;
+    occurrencesBetween(t, t.through, today).forEach((d) =>
+      created.push(entryFromTemplate(t, d, makeId()))
+    );
+    changed = true;
+    return { ...t, through: today };
+  });
+  return { created, templates: changed ? next : templates };
+};
+
+// Occurrences missed while paused are skipped; today's still runs
+export const resumeTemplate = (t, today) => ({
+  ...t,
+  paused: false,
+  through: addDays(today, -1),
+});
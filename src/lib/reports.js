@@ -0,0 +1,191 @@
+import { categoryLabel, categoryTree, childrenOf } from "./categories";
+import { toCSV } from "./csv";
+import { toDateInputValue } from "./dates";
+import { TYPES, categoriesOfType, cashFlow, entryType } from "./transactions";
+
+// ===== Period reports =====
+// A period is a kind plus a key: month "2026-10", quarter "2026-Q4", year "2026".
+// Reports work on base-currency ledger data and ignore the dashboard filters.
+
+export const PERIODS = ["month", "quarter", "year"];
+
+const TOP_COUNT = 10;
+
+export const periodOf = (kind, date) => {
+  const [y, m] = date.split("-").map(Number);
+  if (kind === "year") return String(y);
+  if (kind === "quarter") return `${y}-Q${Math.ceil(m / 3)}`;
+  return date.slice(0, 7);
+};
+
+// First and last month (1-12) of a period
+const monthSpan = (kind, key) => {
+  const y = Number(key.slice(0, 4));
+  if (kind === "year") return { y, first: 1, last: 12 };
+  if (kind === "quarter") {
+    const q = Number(key.slice(-1));
+    return { y, first: q * 3 - 2, last: q * 3 };
+  }
+  const m = Number(key.slice(5, 7));
+  return { y, first: m, last: m };
+};
+
+// Inclusive "YYYY-MM-DD" bounds
+export const periodBounds = (kind, key) => {
+  const { y, first, last } = monthSpan(kind, key);
+  return {
+    from: toDateInputValue(new Date(y, first - 1, 1)),
+    to: toDateInputValue(new Date(y, last, 0)),
+  };
+};
+
+// `step` periods later (negative = earlier)
+export const shiftPeriod = (kind, key, step) => {
+  const { y, first } = monthSpan(kind, key);
+  const months = kind === "year" ? 12 : kind === "quarter" ? 3 : 1;
+  return periodOf(kind, toDateInputValue(new Date(y, first - 1 + step * months, 1)));
+};
+
+// `i18n` is the object from lib/i18n's createI18n
+export const periodLabel = (kind, key, { locale, t }) => {
+  const { y, first } = monthSpan(kind, key);
+  const d = new Date(y, first - 1, 1);
+  const year = d.toLocaleDateString(locale, { year: "numeric" });
+  if (kind === "year") return year;
+  if (kind === "quarter") return t("reports.quarterLabel", { quarter: Number(key.slice(-1)), year });
+  return d.toLocaleDateString(locale, { month: "long", year: "numeric" });
+};
+
+const inPeriod = (list, { from, to }) => list.filter((e) => e.date >= from && e.date <= to);
+
+// Days counted for the daily average: the whole period once it is over, up to
+// today while it is running
+const daysCounted = ({ from, to }, today) => {
+  if (today < from) return 0;
+  const end = today < to ? today : to;
+  const [fy, fm, fd] = from.split("-").map(Number);
+  const [ey, em, ed] = end.split("-").map(Number);
+  return Math.round((new Date(ey, em - 1, ed) - new Date(fy, fm - 1, fd)) / 86400000) + 1;
+};
+
+const sumBy = (lines) => {
+  const totals = new Map();
+  for (const l of lines) totals.set(l.category, (totals.get(l.category) || 0) + Number(l.amount || 0));
+  return totals;
+};
+
+export const change = (current, previous) => ({
+  diff: current - previous,
+  pct: previous ? ((current - previous) / Math.abs(previous)) * 100 : null,
+});
+
+// Per-category rows of one type in tree order. A parent's amount includes its
+// subcategories, which follow it with depth 1.
+const categoryRows = (categories, type, current, previous) => {
+  const cur = sumBy(current.filter((l) => entryType(l) === type));
+  const prev = sumBy(previous.filter((l) => entryType(l) === type));
+  const own = categoriesOfType(categories, type);
+  const amount = (totals, c) =>
+    [c, ...(c.depth ? [] : childrenOf(own, c.id))].reduce((s, x) => s + (totals.get(x.id) || 0), 0);
+  const rows = categoryTree(own).map((c) => {
+    const a = amount(cur, c);
+    const b = amount(prev, c);
+    const label = categoryLabel(categories, c.id);
+    return { category: c.id, label, depth: c.depth, current: a, previous: b, ...change(a, b) };
+  });
+  // Amounts under ids that no longer exist still show up
+  const known = new Set(own.map((c) => c.id));
+  const orphans = [...new Set([...cur.keys(), ...prev.keys()])].filter((id) => !known.has(id));
+  for (const id of orphans) {
+    const a = cur.get(id) || 0;
+    const b = prev.get(id) || 0;
+    rows.push({ category: id, label: id, depth: 0, current: a, previous: b, ...change(a, b) });
+  }
+  return rows.filter((r) => r.current || r.previous);
+};
+
+// Expenses grouped by note (statement imports put the payee there)
+const topNotes = (entries) => {
+  const groups = new Map();
+  for (const e of entries) {
+    const note = String(e.note || "").trim();
+    if (!note) continue;
+    const key = note.toLowerCase();
+    const g = groups.get(key) || { note, count: 0, total: 0 };
+    g.count++;
+    g.total += Number(e.amount || 0);
+    groups.set(key, g);
+  }
+  return [...groups.values()].sort((a, b) => b.total - a.total).slice(0, TOP_COUNT);
+};
+
+// `entries` are ledger entries and `lines` the same split into category lines
+export const buildReport = ({ entries, lines, categories, kind, key, i18n, today = toDateInputValue(new Date()) }) => {
+  const bounds = periodBounds(kind, key);
+  const previousKey = shiftPeriod(kind, key, -1);
+  const previousBounds = periodBounds(kind, previousKey);
+  const current = inPeriod(lines, bounds);
+  const previous = inPeriod(lines, previousBounds);
+  const totals = cashFlow(current);
+  const previousTotals = cashFlow(previous);
+  const expenses = inPeriod(entries, bounds).filter((e) => entryType(e) === "expense" && !e.rateMissing);
+  const days = daysCounted(bounds, today);
+
+  return {
+    kind,
+    key,
+    label: periodLabel(kind, key, i18n),
+    previousLabel: periodLabel(kind, previousKey, i18n),
+    ...bounds,
+    totals,
+    previousTotals,
+    changes: Object.fromEntries(
+      ["income", "expense", "net"].map((k) => [k, change(totals[k], previousTotals[k])])
+    ),
+    rows: Object.fromEntries(
+      TYPES.map((type) => [type, categoryRows(categories, type, current, previous)])
+    ),
+    topNotes: topNotes(expenses),
+    largest: [...expenses]
+      .sort((a, b) => Number(b.amount) - Number(a.amount))
+      .slice(0, TOP_COUNT)
+      .map((e) => ({ ...e, categoryLabel: categoryLabel(categories, e.category) })),
+    days,
+    averageDaily: days ? totals.expense / days : 0,
+  };
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+const pctText = (pct) => (pct == null ? "" : round(pct));
+
+// One CSV with a section per table, amounts in the base currency and headings
+// in the UI language (`t` from lib/i18n)
+export const reportToCSV = (report, currency, t) =>
+  toCSV([
+    [t("reports.csv.title"), report.label, t("reports.csv.range", report), t("reports.csv.currency", { currency })],
+    [],
+    [t("reports.csv.summary"), report.label, report.previousLabel, t("reports.change"), t("reports.csv.changePct")],
+    ...["income", "expense", "net"].map((k) => [
+      t(k === "net" ? "totals.net" : `type.${k}`),
+      round(report.totals[k]),
+      round(report.previousTotals[k]),
+      round(report.changes[k].diff),
+      pctText(report.changes[k].pct),
+    ]),
+    [t("reports.averageDaily"), round(report.averageDaily), "", "", ""],
+    ...Object.entries(report.rows).flatMap(([type, rows]) =>
+      rows.length
+        ? [
+            [],
+            [t(`reports.byCategory.${type}`), report.label, report.previousLabel, t("reports.change"), t("reports.csv.changePct")],
+            ...rows.map((r) => [r.label, round(r.current), round(r.previous), round(r.diff), pctText(r.pct)]),
+          ]
+        : []
+    ),
+    [],
+    [t("reports.csv.topNotes"), t("reports.csv.count"), t("reports.csv.total")],
+    ...report.topNotes.map((n) => [n.note, n.count, round(n.total)]),
+    [],
+    [t("reports.largest"), t("field.date"), t("field.category"), t("field.amount")],
+    ...report.largest.map((e) => [e.note || "", e.date, e.categoryLabel, round(Number(e.amount))]),
+  ]);
@@ -0,0 +1,180 @@
+import { setEntryField } from "./bulk";
+import { isSplit } from "./split";
+import { FALLBACK_CATEGORY, categoryKind, entryType } from "./transactions";
+
+// ===== Categorisation rules =====
+// A rule is { id, name?, conditions, category?, accountId?, disabled? }:
+//
+//   { id: "r1", name: "Netflix",
+//     conditions: [{ field: "note", op: "contains", value: "netflix" },
+//                  { field: "amount", op: "eq", value: 599 }],
+//     category: "entertain" }
+//
+// Every condition must hold. Rules are kept in priority order; for each field
+// the first matching rule that sets it wins. Note tests ignore case.
+
+export const CONDITION_OPS = {
+  note: ["contains", "equals", "startsWith"],
+  amount: ["eq", "lt", "gt"],
+  account: ["is"],
+};
+
+// The entry fields a rule can set
+export const RULE_FIELDS = ["category", "accountId"];
+
+export const blankCondition = (field = "note") => ({
+  field,
+  op: CONDITION_OPS[field][0],
+  value: field === "amount" ? 0 : "",
+});
+
+const normalize = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+const testCondition = (c, entry) => {
+  if (c.field === "note") {
+    const note = normalize(entry.note);
+    const value = normalize(c.value);
+    if (!value) return false;
+    if (c.op === "equals") return note === value;
+    if (c.op === "startsWith") return note.startsWith(value);
+    return note.includes(value);
+  }
+  if (c.field === "amount") {
+    const amount = Number(entry.amount);
+    if (!(amount > 0)) return false;
+    if (c.op === "lt") return amount < c.value;
+    if (c.op === "gt") return amount > c.value;
+    return Math.abs(amount - c.value) < 0.005;
+  }
+  if (c.field === "account") return !!entry.accountId && entry.accountId === c.value;
+  return false;
+};
+
+export const ruleMatches = (rule, entry) =>
+  !rule.disabled && rule.conditions.length > 0 && rule.conditions.every((c) => testCondition(c, entry));
+
+// What the rules say about an entry: { category?, accountId?, ruleIds } where
+// ruleIds lists the rules that supplied something. A category only counts when
+// it exists and has the entry's type, an account only when it exists.
+export const evaluateRules = (entry, rules, { categories, accounts }) => {
+  const type = entryType(entry);
+  const usable = {
+    category: (id) => categories.some((c) => c.id === id && categoryKind(c) === type),
+    accountId: (id) => accounts.some((a) => a.id === id),
+  };
+  const result = { ruleIds: [] };
+  for (const rule of rules) {
+    if (RULE_FIELDS.every((f) => f in result) || !ruleMatches(rule, entry)) continue;
+    let used = false;
+    for (const field of RULE_FIELDS) {
+      if (field in result || !rule[field] || !usable[field](rule[field])) continue;
+      result[field] = rule[field];
+      used = true;
+    }
+    if (used) result.ruleIds.push(rule.id);
+  }
+  return result;
+};
+
+// The entry with the rule fields in `fields` filled in; the same object when
+// nothing changes. Split entries keep their per-line categories.
+export const applyRules = (entry, rules, context, fields = RULE_FIELDS) => {
+  const hit = evaluateRules(entry, rules, context);
+  let next = entry;
+  for (const field of fields) {
+    if (!(field in hit) || next[field] === hit[field]) continue;
+    if (field === "category" && isSplit(entry)) continue;
+    next = setEntryField(next, field, hit[field]);
+  }
+  return next;
+};
+
+// Dry run over existing entries: [{ entry, next, ruleIds }] for every entry
+// the rules would change. With `onlyFallback`, only entries still in their
+// type's fallback category ("other") are recategorised.
+export const planRules = (entries, rules, context, { fields = RULE_FIELDS, onlyFallback = false } = {}) => {
+  const changes = [];
+  for (const entry of entries) {
+    const own = onlyFallback
+      ? fields.filter((f) => f !== "category" || entry.category === FALLBACK_CATEGORY[entryType(entry)])
+      : fields;
+    if (!own.length) continue;
+    const next = applyRules(entry, rules, context, own);
+    if (next !== entry) changes.push({ entry, next, ruleIds: evaluateRules(entry, rules, context).ruleIds });
+  }
+  return changes;
+};
+
+// ===== Suggestions =====
+// Learned from past entries: a note seen at least MIN_SAMPLES times that got
+// the same category at least MIN_SHARE of the time becomes a "note contains"
+// rule, unless the current rules already categorise it. Numbers (order ids,
+// dates) are dropped from notes so "Grab 0412" and "Grab 0413" count together;
+// statement notes ("payee · memo") are keyed on the payee.
+const MIN_SAMPLES = 3;
+const MIN_SHARE = 0.8;
+const MAX_SUGGESTIONS = 10;
+
+export const noteKey = (note) =>
+  normalize(String(note || "").split(" · ")[0])
+    .split(" ")
+    .filter((word) => !/^[\d.,:/#-]+$/.test(word))
+    .join(" ");
+
+const topOf = (counts) => [...counts].sort((a, b) => b[1] - a[1])[0];
+
+// Returns [{ key, category, accountId?, count, matched }] with `matched` the
+// number of entries that had `category`, most common first
+export const suggestRules = (entries, rules, context) => {
+  const groups = new Map();
+  for (const e of entries) {
+    if (isSplit(e)) continue;
+    const key = noteKey(e.note);
+    if (key.length < 3) continue;
+    const type = entryType(e);
+    const id = `${type}:${key}`;
+    if (!groups.has(id)) groups.set(id, { key, type, sample: e, total: 0, categories: new Map(), accounts: new Map() });
+    const g = groups.get(id);
+    g.total++;
+    g.categories.set(e.category, (g.categories.get(e.category) || 0) + 1);
+    if (e.accountId) g.accounts.set(e.accountId, (g.accounts.get(e.accountId) || 0) + 1);
+  }
+
+  const suggestions = [];
+  for (const g of groups.values()) {
+    if (g.total < MIN_SAMPLES) continue;
+    const [category, matched] = topOf(g.categories);
+    if (matched / g.total < MIN_SHARE || category === FALLBACK_CATEGORY[g.type]) continue;
+    if (!context.categories.some((c) => c.id === category)) continue;
+    if ("category" in evaluateRules({ ...g.sample, note: g.key }, rules, context)) continue;
+    const [accountId, withAccount] = topOf(g.accounts) || [];
+    suggestions.push({
+      key: g.key,
+      category,
+      ...(withAccount / g.total >= MIN_SHARE &&
+        context.accounts.some((a) => a.id === accountId) && { accountId }),
+      count: g.total,
+      matched,
+    });
+  }
+  return suggestions.sort((a, b) => b.count - a.count).slice(0, MAX_SUGGESTIONS);
+};
+
+export const ruleFromSuggestion = (s) => ({
+  name: s.key,
+  conditions: [{ field: "note", op: "contains", value: s.key }],
+  category: s.category,
+  ...(s.accountId && { accountId: s.accountId }),
+});
+
+// Rules pointing at a removed category lose that action; a rule left with
+// nothing to do is dropped
+export const remapRules = (rules, from, to) =>
+  rules
+    .map((r) => {
+      if (r.category !== from) return r;
+      if (to) return { ...r, category: to };
+      const { category: _category, ...rest } = r;
+      return rest;
+    })
+    .filter((r) => RULE_FIELDS.some((f) => r[f]));
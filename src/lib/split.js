@@ -0,0 +1,33 @@
+// ===== Split transactions =====
+// A split entry keeps one date, account, currency and total `amount`, plus
+// `items: [{ category, amount, note }]` whose amounts add up to the total.
+// Its own `category` mirrors the first item so older code paths still see a
+// valid category.
+
+// Allow for float noise when comparing sums of money
+const EPSILON = 0.005;
+
+export const isSplit = (e) => Array.isArray(e?.items) && e.items.length > 0;
+
+export const allocated = (items) =>
+  items.reduce((s, it) => s + (parseFloat(it.amount) || 0), 0);
+
+export const isBalanced = (total, items) => Math.abs(total - allocated(items)) < EPSILON;
+
+// One record per category line; plain entries come back as-is. Lines share
+// the parent's id so budget exclusion and lookups still work.
+export const entryLines = (e) =>
+  isSplit(e)
+    ? e.items.map((it, lineIndex) => ({
+        ...e,
+        items: undefined,
+        category: it.category,
+        amount: Number(it.amount || 0),
+        note: it.note || e.note,
+        lineIndex,
+      }))
+    : [e];
+
+export const toLines = (entries) => entries.flatMap(entryLines);
+
+export const entryCategories = (e) => (isSplit(e) ? e.items.map((it) => it.category) : [e.category]);
@@ -0,0 +1,263 @@
+import { parseAmount, resolveCategory } from "./csv";
+import { entryCurrency, isCurrencyCode } from "./currency";
+import { parseFlexibleDate } from "./dates";
+import { MessageError, message } from "./messages";
+import { evaluateRules } from "./rules";
+import { categoryKind, entryType } from "./transactions";
+
+// ===== Bank statement import (OFX / QIF / JSON) =====
+// Every parser returns { transactions, rejected, currency?, account? } where a
+// transaction is { line, date: "YYYY-MM-DD", amount, payee, memo, category? }.
+// `amount` is signed as on the statement: negative = money out (expense),
+// positive = money in (income). `rejected` lists records that could not be read.
+//
+// JSON format, for tools that want to produce a file we can read:
+//
+//   {
+//     "currency": "THB",               // optional, ISO code for every row
+//     "account": "KBank x1234",        // optional, preselects a matching account
+//     "transactions": [
+//       { "date": "2025-09-01", "amount": -120.5, "payee": "7-Eleven",
+//         "memo": "ขนม", "category": "food" }
+//     ]
+//   }
+//
+// A bare array of transactions is accepted as well. `date` may be any format
+// parseFlexibleDate understands; `category` (id or name) is optional.
+
+// A file that can't be read at all
+export class StatementError extends MessageError {
+  constructor(code, params) {
+    super(code, params);
+    this.name = "StatementError";
+  }
+}
+
+export const STATEMENT_FORMATS = { ofx: "OFX", qif: "QIF", json: "JSON" };
+
+export const detectFormat = (fileName, text) => {
+  const ext = String(fileName || "").toLowerCase().split(".").pop();
+  if (ext === "ofx" || ext === "qfx") return "ofx";
+  if (ext === "qif") return "qif";
+  if (ext === "json") return "json";
+  const head = String(text || "").trimStart().slice(0, 200);
+  if (/<OFX>|OFXHEADER/i.test(head)) return "ofx";
+  if (/^!Type:/i.test(head)) return "qif";
+  if (/^[[{]/.test(head)) return "json";
+  return null;
+};
+
+// Statements sometimes use a decimal comma ("-120,50")
+const parseStatementAmount = (raw) => {
+  const s = String(raw ?? "").trim();
+  return parseAmount(/^[-+]?\d+,\d{1,2}$/.test(s) ? s.replace(",", ".") : s);
+};
+
+const check = (tx, rawDate, rawAmount, rejected) => {
+  if (!tx.date) {
+    rejected.push({ line: tx.line, reason: message("problem.badDateValue", { value: rawDate ?? "" }) });
+    return false;
+  }
+  if (isNaN(tx.amount) || tx.amount === 0) {
+    rejected.push({ line: tx.line, reason: message("problem.badAmountValue", { value: rawAmount ?? "" }) });
+    return false;
+  }
+  return true;
+};
+
+// ----- OFX -----
+// Handles both OFX 1.x (SGML, unclosed leaf tags) and 2.x (XML). Leaf values
+// run up to the next tag or line break.
+const ofxField = (block, tag) => {
+  const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return m ? m[1].trim() : "";
+};
+
+const decodeEntities = (s) =>
+  s.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+
+export const parseOFX = (text) => {
+  const src = String(text || "");
+  if (!/<OFX>/i.test(src)) throw new StatementError("statement.error.noOfx");
+  const transactions = [];
+  const rejected = [];
+  const blocks = src.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  blocks.forEach((block, i) => {
+    const rawDate = ofxField(block, "DTPOSTED");
+    const rawAmount = ofxField(block, "TRNAMT");
+    const tx = {
+      line: i + 1,
+      date: /^\d{8}/.test(rawDate)
+        ? parseFlexibleDate(`${rawDate.slice(0, 4)}-${rawDate.slice(4, 6)}-${rawDate.slice(6, 8)}`)
+        : null,
+      amount: parseStatementAmount(rawAmount),
+      payee: decodeEntities(ofxField(block, "NAME") || ofxField(block, "PAYEE")),
+      memo: decodeEntities(ofxField(block, "MEMO")),
+    };
+    if (check(tx, rawDate, rawAmount, rejected)) transactions.push(tx);
+  });
+  const currency = ofxField(src, "CURDEF").toUpperCase();
+  const account = ofxField(src, "ACCTID");
+  return {
+    transactions,
+    rejected,
+    ...(isCurrencyCode(currency) && { currency }),
+    ...(account && { account: account.length > 4 ? `x${account.slice(-4)}` : account }),
+  };
+};
+
+// ----- QIF -----
+// One field per line, keyed by its first character; "^" ends a record.
+// Dates have no fixed order, so we look at the whole file: a first part above
+// 12 means day-first, a second part above 12 means month-first. With no clue
+// we assume day-first, as Thai banks write them.
+const splitQifDate = (s) => {
+  const m = String(s).trim().match(/^(\d{1,4})[/.-](\d{1,2})[/.'-]\s*(\d{2,4})$/);
+  return m ? m.slice(1).map(Number) : null;
+};
+
+const qifDateOrder = (raws) => {
+  for (const raw of raws) {
+    const p = splitQifDate(raw);
+    if (!p || p[0] > 31) continue;
+    if (p[0] > 12) return "dmy";
+    if (p[1] > 12) return "mdy";
+  }
+  return "dmy";
+};
+
+const qifDate = (raw, order) => {
+  const p = splitQifDate(raw);
+  if (!p) return parseFlexibleDate(raw);
+  if (p[0] > 31) return parseFlexibleDate(`${p[0]}-${p[1]}-${p[2]}`);
+  const [a, b, y] = p;
+  const year = y < 100 ? 2000 + y : y;
+  const [day, month] = order === "mdy" ? [b, a] : [a, b];
+  return parseFlexibleDate(`${year}-${month}-${day}`);
+};
+
+export const parseQIF = (text) => {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+  const records = [];
+  let current = null;
+  lines.forEach((raw, i) => {
+    const l = raw.trim();
+    if (!l || l.startsWith("!")) return;
+    if (l === "^") {
+      if (current) records.push(current);
+      current = null;
+      return;
+    }
+    current = current || { line: i + 1 };
+    const key = l[0];
+    const value = l.slice(1).trim();
+    // Split lines (S/E/$) belong to the record's own category breakdown; skip them
+    if ("DTUPML".includes(key) && !(key in current)) current[key] = value;
+  });
+  if (current) records.push(current);
+  if (!records.length) throw new StatementError("statement.error.noQifRecords");
+
+  const order = qifDateOrder(records.map((r) => r.D).filter(Boolean));
+  const transactions = [];
+  const rejected = [];
+  for (const r of records) {
+    const rawAmount = r.T ?? r.U;
+    const tx = {
+      line: r.line,
+      date: r.D ? qifDate(r.D, order) : null,
+      amount: parseStatementAmount(rawAmount),
+      payee: r.P || "",
+      memo: r.M || "",
+      // "[Account]" in L is a transfer, not a category
+      ...(r.L && !r.L.startsWith("[") && { category: r.L.split(":")[0] }),
+    };
+    if (check(tx, r.D, rawAmount, rejected)) transactions.push(tx);
+  }
+  return { transactions, rejected };
+};
+
+// ----- JSON -----
+export const parseStatementJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(String(text || "").replace(/^\uFEFF/, ""));
+  } catch {
+    throw new StatementError("statement.error.badJson");
+  }
+  const list = Array.isArray(data) ? data : data?.transactions;
+  if (!Array.isArray(list)) throw new StatementError("statement.error.noTransactions");
+
+  const transactions = [];
+  const rejected = [];
+  list.forEach((t, i) => {
+    const tx = {
+      line: i + 1,
+      date: parseFlexibleDate(t?.date),
+      amount: typeof t?.amount === "number" ? t.amount : parseStatementAmount(t?.amount),
+      payee: String(t?.payee ?? ""),
+      memo: String(t?.memo ?? t?.note ?? ""),
+      ...(t?.category && { category: String(t.category) }),
+    };
+    if (check(tx, t?.date, t?.amount, rejected)) transactions.push(tx);
+  });
+  const currency = String(data?.currency || "").toUpperCase();
+  return {
+    transactions,
+    rejected,
+    ...(isCurrencyCode(currency) && { currency }),
+    ...(data?.account && { account: String(data.account) }),
+  };
+};
+
+export const parseStatement = (format, text) =>
+  format === "ofx" ? parseOFX(text) : format === "qif" ? parseQIF(text) : parseStatementJSON(text);
+
+// ===== Review =====
+// Payee → category choices are remembered per type, keyed "expense:7-eleven"
+const normalize = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+export const payeeKey = (type, payee) => `${type}:${normalize(payee)}`;
+
+export const statementNote = (t) =>
+  t.payee && t.memo && normalize(t.memo) !== normalize(t.payee)
+    ? `${t.payee} · ${t.memo}`
+    : t.payee || t.memo;
+
+// Category for a statement row: remembered payee first, then the
+// categorisation rules, then the file's own category if we know it, then the
+// type's fallback.
+const pickCategory = (row, t, { categories, payees, rules = [], accounts = [] }) => {
+  const remembered = payees[payeeKey(row.type, row.payee)];
+  if (remembered && categories.some((c) => c.id === remembered && categoryKind(c) === row.type))
+    return remembered;
+  return (
+    evaluateRules(row, rules, { categories, accounts }).category ?? resolveCategory(t.category, row.type, categories).id
+  );
+};
+
+// `accountId` is the account the rows are going into, for rules that test it
+export const reviewRows = (transactions, { accountId, ...context }) =>
+  transactions.map((t) => {
+    const row = {
+      line: t.line,
+      date: t.date,
+      type: t.amount < 0 ? "expense" : "income",
+      amount: Math.abs(t.amount),
+      payee: t.payee || t.memo,
+      note: statementNote(t),
+    };
+    return { ...row, category: pickCategory({ ...row, accountId }, t, context) };
+  });
+
+// An existing entry with the same date, type, currency and amount whose note
+// matches (or contains the other, since banks truncate descriptions).
+// Entries without a note match on date and amount alone.
+export const findDuplicate = (row, currency, expenses) => {
+  const note = normalize(row.note);
+  return expenses.find((e) => {
+    if (e.date !== row.date || entryType(e) !== row.type || entryCurrency(e) !== currency) return false;
+    if (Math.abs(Number(e.amount) - row.amount) >= 0.005) return false;
+    const other = normalize(e.note);
+    return !other || !note || other === note || other.includes(note) || note.includes(other);
+  });
+};
@@ -0,0 +1,215 @@
+import { checkRecord } from "./backup";
+import { MessageError } from "./messages";
+
+// ===== Optional sync with a self-hosted server =====
+// Expenses, categories and the household (people, settlements) are pushed to
+// and pulled from a small REST API
+// (docs/sync-api.md; scripts/sync-server.js is a reference implementation).
+// Records are keyed by their existing uid() ids. Each change gets an
+// `updatedAt` time, kept here rather than on the records; deletions go out as
+// tombstones. When both sides changed the same id, the later `updatedAt`
+// wins as a whole record (the server's copy on a tie).
+//
+// The state below is persisted under the kv key "sync" and is never part of
+// backups or undo, so the server address and token stay on this device:
+//   { url, token, cursor, clock: { key: updatedAt }, pending: { key: updatedAt }, lastSync }
+// `clock` holds every record both sides agree on; `pending` the local changes
+// not yet accepted by the server, which doubles as the offline queue.
+// Receipt files stay on the device they were attached on.
+
+export const SYNC_COLLECTIONS = ["expenses", "categories", "people", "settlements"];
+
+// Collections whose order matters travel with a `position`
+const ORDERED = new Set(["categories"]);
+
+// Records per request in either direction
+const BATCH = 500;
+
+// Before the first sync, local records are queued as this old so that an
+// existing copy on the server wins over the same id here
+const NEVER = new Date(0).toISOString();
+
+// `code` is a "sync.error." message
+export class SyncError extends MessageError {
+  constructor(code, { params, offline = false, cause } = {}) {
+    super(code, params, cause);
+    this.name = "SyncError";
+    this.offline = offline;
+  }
+}
+
+const keyOf = (collection, id) => `${collection}/${id}`;
+
+const splitKey = (key) => {
+  const at = key.indexOf("/");
+  return [key.slice(0, at), key.slice(at + 1)];
+};
+
+const indexes = (collections) =>
+  Object.fromEntries(
+    SYNC_COLLECTIONS.map((c) => [c, new Map((collections[c] || []).map((r, i) => [r.id, { r, i }]))])
+  );
+
+export const newSyncState = ({ url, token }) => ({ url, token, cursor: null, clock: {}, pending: {}, lastSync: null });
+
+export const pendingCount = (state) => (state ? Object.keys(state.pending).length : 0);
+
+// Catches up with changes made while nothing was watching (first enable, or
+// edits before the sync state finished loading): records the clock doesn't
+// know are queued, known ones that are gone locally become tombstones.
+export const reconcile = (state, collections, now = new Date().toISOString()) => {
+  const at = state.cursor === null ? NEVER : now;
+  const clock = { ...state.clock };
+  const pending = { ...state.pending };
+  const present = new Set();
+  for (const collection of SYNC_COLLECTIONS)
+    for (const r of collections[collection] || []) {
+      const key = keyOf(collection, r.id);
+      present.add(key);
+      if (!clock[key] && !pending[key]) clock[key] = pending[key] = at;
+    }
+  for (const key of Object.keys(clock)) if (!present.has(key) && !pending[key]) pending[key] = now;
+  return { ...state, clock, pending };
+};
+
+// Queues what changed between two versions of a collection, compared by
+// object identity like the storage layer. `remote` maps records that just
+// came from the server to their index, so applying them isn't echoed back;
+// in ordered collections a record that moved counts as changed. Records the
+// clock doesn't know were deleted by the server, not here.
+export const trackChanges = (state, collection, prev, next, remote, now = new Date().toISOString()) => {
+  const before = new Map(prev.map((r, i) => [r.id, { r, i }]));
+  const ordered = ORDERED.has(collection);
+  const changed = [];
+  const seen = new Set();
+  next.forEach((r, i) => {
+    seen.add(r.id);
+    const old = before.get(r.id);
+    if (remote.has(r) && (!ordered || remote.get(r) === i)) return;
+    if (!old || old.r !== r || (ordered && old.i !== i)) changed.push(r.id);
+  });
+  const deleted = prev.filter((r) => !seen.has(r.id) && state.clock[keyOf(collection, r.id)]).map((r) => r.id);
+  if (!changed.length && !deleted.length) return state;
+
+  const clock = { ...state.clock };
+  const pending = { ...state.pending };
+  for (const id of [...changed, ...deleted]) clock[keyOf(collection, id)] = pending[keyOf(collection, id)] = now;
+  return { ...state, clock, pending };
+};
+
+// The queued changes as API records, with data read from the current collections
+export const outgoingChanges = (state, collections) => {
+  const byId = indexes(collections);
+  return Object.entries(state.pending)
+    .slice(0, BATCH)
+    .map(([key, updatedAt]) => {
+      const [collection, id] = splitKey(key);
+      const found = byId[collection]?.get(id);
+      if (!found) return { collection, id, updatedAt, deleted: true };
+      return { collection, id, updatedAt, data: ORDERED.has(collection) ? { ...found.r, position: found.i } : found.r };
+    });
+};
+
+// Drops pushed changes from the queue unless they were edited again meanwhile
+export const settlePushed = (state, records) => {
+  const clock = { ...state.clock };
+  const pending = { ...state.pending };
+  for (const r of records) {
+    const key = keyOf(r.collection, r.id);
+    if (pending[key] !== r.updatedAt) continue;
+    delete pending[key];
+    if (r.deleted) delete clock[key];
+  }
+  return { ...state, clock, pending };
+};
+
+// Applies pulled records that are newer than what this device has.
+// Returns { state, collections, remote, rejected } where `collections` holds
+// only the lists that changed, `remote` the record → index map for
+// trackChanges, and `rejected` how many records failed validation.
+export const mergeRemote = (state, collections, records) => {
+  const clock = { ...state.clock };
+  const pending = { ...state.pending };
+  const changes = Object.fromEntries(SYNC_COLLECTIONS.map((c) => [c, new Map()])); // id → record | null
+  let rejected = 0;
+  for (const r of records) {
+    if (!changes[r?.collection]) continue;
+    const key = keyOf(r.collection, r.id);
+    const local = pending[key] || clock[key];
+    if (r.deleted && !local) continue; // never had it, or already gone
+    // Ours is newer (it goes out next push) or this is our own change coming back
+    if (local && (pending[key] ? local > r.updatedAt : local >= r.updatedAt)) continue;
+    if (!r.deleted) {
+      const { position, ...data } = r.data || {};
+      if (data.id !== r.id || checkRecord(r.collection, data).length) {
+        rejected++;
+        continue;
+      }
+      changes[r.collection].set(r.id, { data, position });
+    } else changes[r.collection].set(r.id, null);
+    delete pending[key];
+    if (r.deleted) delete clock[key];
+    else clock[key] = r.updatedAt;
+  }
+
+  const next = {};
+  const remote = new Map();
+  for (const collection of SYNC_COLLECTIONS) {
+    const incoming = changes[collection];
+    if (!incoming.size) continue;
+    const list = collections[collection] || [];
+    const here = new Set(list.map((r) => r.id));
+    // Updated records keep their place, deleted ones drop out, new ones go last
+    let rows = [
+      ...list.map((r, i) => {
+        if (!incoming.has(r.id)) return { data: r, at: i };
+        return incoming.get(r.id) && { ...incoming.get(r.id), at: i };
+      }),
+      ...[...incoming].filter(([id, c]) => c && !here.has(id)).map(([, c]) => ({ ...c, at: Infinity })),
+    ].filter(Boolean);
+    if (ORDERED.has(collection))
+      rows = rows
+        .map((row) => ({ ...row, at: row.position ?? row.at, placed: row.position !== undefined }))
+        .sort((a, b) => a.at - b.at || b.placed - a.placed);
+    next[collection] = rows.map((row) => row.data);
+    // Everything in an ordered list may have moved; in the others only the new records
+    next[collection].forEach((r, i) => {
+      if (ORDERED.has(collection) || incoming.has(r.id)) remote.set(r, i);
+    });
+  }
+  return { state: { ...state, clock, pending }, collections: next, remote, rejected };
+};
+
+// ----- HTTP -----
+const request = async (state, path, options = {}) => {
+  let res;
+  try {
+    res = await fetch(`${state.url.replace(/\/+$/, "")}${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...(state.token && { Authorization: `Bearer ${state.token}` }),
+      },
+    });
+  } catch (err) {
+    throw new SyncError("sync.error.offline", { offline: true, cause: err });
+  }
+  if (res.status === 401 || res.status === 403) throw new SyncError("sync.error.token");
+  if (!res.ok) throw new SyncError("sync.error.status", { params: { status: res.status } });
+  try {
+    return await res.json();
+  } catch (err) {
+    throw new SyncError("sync.error.badResponse", { cause: err });
+  }
+};
+
+// One page of changes after `cursor`: { cursor, more, records }
+export const pullChanges = async (state, cursor) => {
+  const page = await request(state, `/changes?limit=${BATCH}${cursor ? `&since=${encodeURIComponent(cursor)}` : ""}`);
+  if (!Array.isArray(page?.records) || typeof page.cursor !== "string")
+    throw new SyncError("sync.error.badResponse");
+  return page;
+};
+
+export const pushChanges = (state, records) =>
+  request(state, "/changes", { method: "POST", body: JSON.stringify({ records }) });
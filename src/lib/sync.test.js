@@ -0,0 +1,142 @@
+import { describe, expect, it } from "vitest";
+import {
+  mergeRemote,
+  newSyncState,
+  outgoingChanges,
+  reconcile,
+  settlePushed,
+  trackChanges,
+} from "./sync";
+
+const T1 = "2026-05-01T10:00:00.000Z";
+const T2 = "2026-05-01T11:00:00.000Z";
+const T3 = "2026-05-01T12:00:00.000Z";
+
+const entry = (id, amount = 10) => ({ id, date: "2026-05-01", amount, category: "food", note: "" });
+const state = (clock = {}, pending = {}) => ({ ...newSyncState({ url: "", token: "" }), cursor: "c", clock, pending });
+const put = (id, updatedAt, data = entry(id)) => ({ collection: "expenses", id, updatedAt, data });
+const tombstone = (id, updatedAt) => ({ collection: "expenses", id, updatedAt, deleted: true });
+
+describe("reconcile", () => {
+  it("queues local records as old before the first sync, so the server's copy wins", () => {
+    const fresh = { ...state(), cursor: null };
+    const next = reconcile(fresh, { expenses: [entry("a")] }, T1);
+    expect(next.pending["expenses/a"]).toBe(new Date(0).toISOString());
+  });
+
+  it("tombstones records the clock knows that are gone locally", () => {
+    const next = reconcile(state({ "expenses/a": T1, "expenses/b": T1 }), { expenses: [entry("a")] }, T2);
+    expect(next.pending).toEqual({ "expenses/b": T2 });
+  });
+});
+
+describe("trackChanges", () => {
+  it("queues added, edited and deleted records", () => {
+    const a = entry("a");
+    const b = entry("b");
+    const before = state({ "expenses/a": T1, "expenses/b": T1 });
+    const next = trackChanges(before, "expenses", [a, b], [{ ...a, amount: 20 }, entry("c")], new Map(), T2);
+    expect(next.pending).toEqual({ "expenses/a": T2, "expenses/b": T2, "expenses/c": T2 });
+  });
+
+  it("doesn't tombstone records the server never had", () => {
+    const next = trackChanges(state(), "expenses", [entry("a")], [], new Map(), T2);
+    expect(next.pending).toEqual({});
+  });
+
+  it("doesn't echo records that just came from the server", () => {
+    const pulled = entry("a");
+    const next = trackChanges(state(), "expenses", [], [pulled], new Map([[pulled, 0]]), T2);
+    expect(next.pending).toEqual({});
+  });
+
+  it("counts a move in an ordered collection as a change", () => {
+    const food = { id: "food", name: "Food", color: "#000" };
+    const bill = { id: "bill", name: "Bill", color: "#000" };
+    const next = trackChanges(state(), "categories", [food, bill], [bill, food], new Map(), T2);
+    expect(Object.keys(next.pending).sort()).toEqual(["categories/bill", "categories/food"]);
+  });
+});
+
+describe("outgoingChanges and settlePushed", () => {
+  it("sends current data, positions for ordered lists and tombstones", () => {
+    const s = state({}, { "expenses/a": T2, "expenses/gone": T2, "categories/food": T2 });
+    const food = { id: "food", name: "Food", color: "#000" };
+    const out = outgoingChanges(s, { expenses: [entry("a")], categories: [food] });
+    expect(out).toEqual([
+      { collection: "expenses", id: "a", updatedAt: T2, data: entry("a") },
+      { collection: "expenses", id: "gone", updatedAt: T2, deleted: true },
+      { collection: "categories", id: "food", updatedAt: T2, data: { ...food, position: 0 } },
+    ]);
+  });
+
+  it("keeps changes that were edited again while pushing", () => {
+    const pushed = [put("a", T1), tombstone("gone", T1)];
+    const s = state({ "expenses/a": T2, "expenses/gone": T1 }, { "expenses/a": T2, "expenses/gone": T1 });
+    const next = settlePushed(s, pushed);
+    expect(next.pending).toEqual({ "expenses/a": T2 });
+    expect(next.clock).toEqual({ "expenses/a": T2 });
+  });
+});
+
+describe("mergeRemote", () => {
+  it("applies newer remote versions in place and appends new records", () => {
+    const local = [entry("a"), entry("b")];
+    const { state: next, collections, remote } = mergeRemote(
+      state({ "expenses/a": T1, "expenses/b": T1 }),
+      { expenses: local },
+      [put("a", T2, entry("a", 99)), put("c", T2)]
+    );
+    expect(collections.expenses.map((e) => [e.id, e.amount])).toEqual([
+      ["a", 99],
+      ["b", 10],
+      ["c", 10],
+    ]);
+    expect(next.clock).toMatchObject({ "expenses/a": T2, "expenses/c": T2 });
+    expect([...remote.values()]).toEqual([0, 2]);
+  });
+
+  it("keeps a newer local change and ignores its own change coming back", () => {
+    const s = state({ "expenses/a": T3, "expenses/b": T2 }, { "expenses/a": T3 });
+    const { collections, state: next } = mergeRemote(s, { expenses: [entry("a"), entry("b")] }, [
+      put("a", T2, entry("a", 1)),
+      put("b", T2, entry("b", 2)),
+    ]);
+    expect(collections).toEqual({});
+    expect(next.pending).toEqual({ "expenses/a": T3 });
+  });
+
+  it("lets a newer remote edit win over an older pending one", () => {
+    const s = state({ "expenses/a": T1 }, { "expenses/a": T1 });
+    const { collections, state: next } = mergeRemote(s, { expenses: [entry("a")] }, [put("a", T2, entry("a", 5))]);
+    expect(collections.expenses[0].amount).toBe(5);
+    expect(next.pending).toEqual({});
+  });
+
+  it("applies tombstones and forgets the record", () => {
+    const s = state({ "expenses/a": T1 });
+    const { collections, state: next } = mergeRemote(s, { expenses: [entry("a"), entry("b")] }, [
+      tombstone("a", T2),
+      tombstone("never-had", T2),
+    ]);
+    expect(collections.expenses.map((e) => e.id)).toEqual(["b"]);
+    expect(next.clock).toEqual({});
+  });
+
+  it("rejects records that fail validation", () => {
+    const { collections, rejected } = mergeRemote(state(), { expenses: [] }, [
+      put("a", T2, { ...entry("a"), amount: -1 }),
+      put("b", T2, entry("not-b")),
+    ]);
+    expect(rejected).toBe(2);
+    expect(collections).toEqual({});
+  });
+
+  it("orders categories by the positions they came with", () => {
+    const cat = (id) => ({ id, name: id, color: "#000" });
+    const { collections } = mergeRemote(state(), { categories: [cat("a"), cat("b")] }, [
+      { collection: "categories", id: "c", updatedAt: T2, data: { ...cat("c"), position: 0 } },
+    ]);
+    expect(collections.categories.map((c) => c.id)).toEqual(["c", "a", "b"]);
+  });
+});
@@ -0,0 +1,49 @@
+import { entryType } from "./transactions";
+
+// ===== Tags =====
+// Free-form labels that cut across categories, stored without the "#" as
+// `tags: ["trip-chiangmai", "reimbursable"]`. Untagged entries usually have
+// no `tags` field. Split lines inherit their entry's tags.
+
+// "#Trip Chiangmai" → "trip-chiangmai"
+export const normalizeTag = (s) =>
+  String(s ?? "")
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+
+// Space/comma separated text (as in CSV cells) → unique normalized tags
+export const parseTags = (text) => [
+  ...new Set(
+    String(text ?? "")
+      .split(/[\s,]+/)
+      .map(normalizeTag)
+      .filter(Boolean)
+  ),
+];
+
+export const entryTags = (e) => (Array.isArray(e?.tags) ? e.tags : []);
+
+export const formatTags = (tags) => tags.map((t) => `#${t}`).join(" ");
+
+// Every tag in use, most used first, for autocomplete and the tag filter
+export const allTags = (entries) => {
+  const counts = new Map();
+  for (const e of entries) for (const t of entryTags(e)) counts.set(t, (counts.get(t) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([t]) => t);
+};
+
+// Income and expense per tag, largest spending first. An entry with several
+// tags counts in full towards each, so the rows don't add up to the total.
+export const tagTotals = (entries) => {
+  const totals = new Map();
+  for (const e of entries) {
+    for (const tag of entryTags(e)) {
+      const row = totals.get(tag) || { tag, income: 0, expense: 0 };
+      row[entryType(e)] += Number(e.amount || 0);
+      totals.set(tag, row);
+    }
+  }
+  return [...totals.values()].sort((a, b) => b.expense - a.expense || b.income - a.income);
+};
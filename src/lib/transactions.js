@@ -0,0 +1,34 @@
+// ===== Transaction types =====
+// Records without `type` predate income support and are expenses. Amounts are
+// always stored positive; the type decides the sign in cash-flow totals.
+export const TYPES = ["expense", "income"];
+
+export const entryType = (e) => (e?.type === "income" ? "income" : "expense");
+
+export const categoryKind = (c) => (c?.kind === "income" ? "income" : "expense");
+
+export const categoriesOfType = (categories, type) =>
+  categories.filter((c) => categoryKind(c) === type);
+
+// Fallback category per type, used by imports when nothing matches
+export const FALLBACK_CATEGORY = { expense: "other", income: "income-other" };
+
+// Accepts the CSV/export spellings of a type; unknown/empty → null
+export const parseType = (raw) => {
+  const v = String(raw ?? "").trim().toLowerCase();
+  if (!v) return null;
+  if (["income", "in", "credit", "รายรับ", "รับ"].includes(v)) return "income";
+  if (["expense", "out", "debit", "รายจ่าย", "จ่าย"].includes(v)) return "expense";
+  return null;
+};
+
+export const cashFlow = (list) => {
+  let income = 0;
+  let expense = 0;
+  for (const e of list) {
+    const amount = Number(e.amount || 0);
+    if (entryType(e) === "income") income += amount;
+    else expense += amount;
+  }
+  return { income, expense, net: income - expense };
+};
@@ -0,0 +1,22 @@
+// ===== Trash bin =====
+// Deleted entries keep their full record plus `deletedAt` (ISO timestamp) and
+// are purged once older than the retention period.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const moveToTrash = (entries, now = new Date()) =>
+  entries.map((e) => ({ ...e, deletedAt: now.toISOString() }));
+
+export const restoreFromTrash = (item) => {
+  const { deletedAt: _deletedAt, ...entry } = item;
+  return entry;
+};
+
+export const daysLeft = (item, retentionDays, now = new Date()) =>
+  Math.max(0, Math.ceil((Date.parse(item.deletedAt) + retentionDays * DAY_MS - now) / DAY_MS));
+
+// Same array back when nothing expired
+export const purgeExpired = (trash, retentionDays, now = new Date()) => {
+  const kept = trash.filter((t) => daysLeft(t, retentionDays, now) > 0);
+  return kept.length === trash.length ? trash : kept;
+};
@@ -0,0 +1,98 @@
+import { toDateInputValue } from "./dates";
+import { entryType } from "./transactions";
+
+// ===== Spending over time =====
+export const GROUPINGS = ["day", "week", "month"];
+
+// Don't render more buckets than a chart can show; past that the newest are kept
+const MAX_BUCKETS = 400;
+
+const parseLocal = (s) => {
+  const [y, m, d] = s.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+// Weeks start on Monday; a week bucket is keyed by its Monday's date
+const bucketStart = (date, grouping) => {
+  const d = parseLocal(date);
+  if (grouping === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (grouping === "month") d.setDate(1);
+  return d;
+};
+
+// The bucket start `by` periods later (earlier when negative)
+const step = (d, grouping, by = 1) => {
+  const next = new Date(d);
+  if (grouping === "day") next.setDate(next.getDate() + by);
+  if (grouping === "week") next.setDate(next.getDate() + 7 * by);
+  if (grouping === "month") next.setMonth(next.getMonth() + by);
+  return next;
+};
+
+const bucketLabel = (d, grouping, locale) =>
+  grouping === "month"
+    ? d.toLocaleDateString(locale, { month: "short", year: "2-digit" })
+    : d.toLocaleDateString(locale, { day: "numeric", month: "short" });
+
+// Returns { rows, clipped }: one row per period with a key per category id,
+// plus the period's from/to dates so a clicked bar can be turned back into a
+// date filter. `clipped` is set when older periods didn't fit.
+export const buildTrend = (entries, grouping, locale) => {
+  const spending = entries.filter((e) => entryType(e) === "expense" && e.date);
+  if (!spending.length) return { rows: [], clipped: false };
+
+  const rows = new Map();
+  const buckets = new Map(); // date → bucket key, so each day is parsed once
+  let first = null;
+  let last = null;
+  for (const e of spending) {
+    if (!buckets.has(e.date)) buckets.set(e.date, toDateInputValue(bucketStart(e.date, grouping)));
+    const key = buckets.get(e.date);
+    if (!first || key < first) first = key;
+    if (!last || key > last) last = key;
+    const row = rows.get(key) || {};
+    row[e.category] = (row[e.category] || 0) + Number(e.amount || 0);
+    rows.set(key, row);
+  }
+
+  // Fill the gaps so quiet periods show up as empty bars
+  const earliest = toDateInputValue(step(parseLocal(last), grouping, 1 - MAX_BUCKETS));
+  const start = earliest > first ? earliest : first;
+  const data = [];
+  for (let d = parseLocal(start); toDateInputValue(d) <= last; ) {
+    const next = step(d, grouping);
+    const end = new Date(next);
+    end.setDate(end.getDate() - 1);
+    const key = toDateInputValue(d);
+    data.push({
+      ...rows.get(key),
+      key,
+      label: bucketLabel(d, grouping, locale),
+      from: key,
+      to: toDateInputValue(end),
+    });
+    d = next;
+  }
+  return { rows: data, clipped: start > first };
+};
+
+// Running total of spending per day of `month` ("YYYY-MM"), up to today for
+// the current month
+export const cumulativeForMonth = (entries, month) => {
+  const [y, m] = month.split("-").map(Number);
+  const days = new Date(y, m, 0).getDate();
+  const today = toDateInputValue(new Date());
+  const perDay = new Array(days + 1).fill(0);
+  for (const e of entries) {
+    if (entryType(e) !== "expense" || !e.date?.startsWith(month)) continue;
+    perDay[Number(e.date.slice(8, 10))] += Number(e.amount || 0);
+  }
+  const data = [];
+  let running = 0;
+  for (let day = 1; day <= days; day++) {
+    const date = `${month}-${day < 10 ? `0${day}` : day}`;
+    running += perDay[day];
+    data.push({ day, value: date <= today ? running : null });
+  }
+  return data;
+};
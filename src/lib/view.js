@@ -0,0 +1,72 @@
+import { withChildren } from "./categories";
+import { shareFractions } from "./household";
+import { compileQuery } from "./query";
+import { entryCategories, entryLines } from "./split";
+import { entryTags } from "./tags";
+import { categoriesOfType, entryType } from "./transactions";
+
+// ===== Filtered view of the ledger =====
+// The table, totals and charts are derived in a few linear passes so typing a
+// search stays quick with tens of thousands of entries:
+//   sortLedger    once per data change or sort order (filtering keeps order)
+//   filterLedger  one pass for both the table rows and the lines to aggregate
+//   categoryTotals / tagTotals / cashFlow  one pass each over those lines
+// Dates are stored as "YYYY-MM-DD", so they compare and sort as plain strings
+// without building Date objects.
+
+export const PAGE_SIZE = 100;
+
+export const indexById = (list) => new Map(list.map((x) => [x.id, x]));
+
+const byDate = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+const byAmount = (a, b) => Number(a.amount) - Number(b.amount);
+
+const COMPARE = {
+  dateDesc: (a, b) => byDate(b, a),
+  dateAsc: byDate,
+  amountDesc: (a, b) => byAmount(b, a),
+  amountAsc: byAmount,
+};
+
+// A sorted copy; unknown orders fall back to newest first
+export const sortLedger = (entries, sortBy) => [...entries].sort(COMPARE[sortBy] || COMPARE.dateDesc);
+
+// Returns { entries, lines }: the entries to list, and their split lines that
+// totals and charts should count, so a category filter or `cat:` term only
+// counts that category's share (including its subcategories). With a
+// `person` filter only entries with a share for them are listed, and their
+// lines count just that share.
+export const filterLedger = (entries, filters, { terms, categories, accounts }) => {
+  const { from, to, type, category, tag, account, person } = filters;
+  const ids = category !== "all" ? new Set(withChildren(categories, category)) : null;
+  const match = compileQuery(terms, categories, accounts);
+  const rows = [];
+  const lines = [];
+  for (const e of entries) {
+    if ((from && e.date < from) || (to && e.date > to)) continue;
+    if (type !== "all" && entryType(e) !== type) continue;
+    if (account !== "all" && e.accountId !== account) continue;
+    if (tag !== "all" && !entryTags(e).includes(tag)) continue;
+    if (ids && !entryCategories(e).some((id) => ids.has(id))) continue;
+    const share = person && person !== "all" ? shareFractions(e).get(person) : 1;
+    if (!share) continue;
+    if (terms.length && !match.entry(e)) continue;
+    rows.push(e);
+    for (const l of entryLines(e))
+      if ((!ids || ids.has(l.category)) && match.line(l)) lines.push(share === 1 ? l : { ...l, amount: l.amount * share });
+  }
+  return { entries: rows, lines };
+};
+
+// Pie/bar rows for one type, in category order, skipping empty categories
+export const categoryTotals = (lines, categories, type) => {
+  const sums = new Map();
+  for (const l of lines) sums.set(l.category, (sums.get(l.category) || 0) + Number(l.amount || 0));
+  return categoriesOfType(categories, type)
+    .map((c) => ({ name: c.name, value: sums.get(c.id) || 0, color: c.color }))
+    .filter((x) => x.value > 0);
+};
+
+export const pageCount = (total) => Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+export const pageOf = (list, page) => list.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
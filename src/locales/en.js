@@ -0,0 +1,748 @@
+// English UI strings (see lib/i18n for placeholders and plural variants)
+export default {
+  // ===== common =====
+  "common.close": "Close",
+  "common.cancel": "Cancel",
+  "common.save": "Save",
+  "common.edit": "Edit",
+  "common.delete": "Delete",
+  "common.all": "All",
+  "common.none": "— None —",
+  "common.unlimited": "No limit",
+  "common.days": "{count} days",
+  "common.days_one": "1 day",
+
+  // ===== field =====
+  "field.date": "Date",
+  "field.type": "Type",
+  "field.amount": "Amount",
+  "field.currency": "Currency",
+  "field.category": "Category",
+  "field.account": "Account",
+  "field.note": "Note",
+  "field.tags": "Tags",
+  "field.paidBy": "Paid by",
+  "field.receivedBy": "Received by",
+
+  // ===== type =====
+  "type.expense": "Expense",
+  "type.income": "Income",
+
+  // ===== totals =====
+  "totals.net": "Net",
+
+  // ===== calendar =====
+  "calendar.buddhist": "BE",
+  "calendar.gregory": "CE",
+
+  // ===== app =====
+  "app.title": "Expense Tracker",
+  "app.undoHint": "Undo (Ctrl+Z)",
+  "app.redoHint": "Redo (Ctrl+Shift+Z)",
+  "app.loading": "Loading…",
+  "app.unsaved": "changes made now will not be saved",
+  "app.confirmClearAll": "Move all {count} entries to the trash?",
+  "app.footer": "Data is stored in your browser (IndexedDB) · Back up and restore everything as a JSON file · Export/import CSV and import OFX/QIF/JSON statements",
+
+  // ===== header =====
+  "header.language": "Language",
+  "header.calendarHint": "Show years in the Buddhist era or Gregorian calendar",
+  "header.currency": "Currency {currency}",
+  "header.reports": "Reports",
+  "header.accounts": "Accounts",
+  "header.recurring": "Recurring",
+  "header.exportCsv": "Export CSV",
+  "header.importCsv": "Import CSV",
+  "header.importStatement": "Import statement",
+  "header.backup": "Back up",
+  "header.restore": "Restore",
+  "header.trash": "Trash",
+  "header.clearAll": "Delete all",
+  "header.sync": "Sync",
+  "header.rules": "Rules",
+  "header.household": "Household",
+
+  // ===== form =====
+  "form.addTitle": "New entry",
+  "form.editTitle": "Edit entry",
+  "form.amountPlaceholder": "e.g. 100",
+  "form.singleCategory": "Single category",
+  "form.split": "Split across categories",
+  "form.manageCategories": "Manage categories",
+  "form.manageAccounts": "Manage accounts",
+  "form.note": "Note",
+  "form.notePlaceholder": "Details",
+  "form.applyToSeries": "🔁 Apply to this and all later occurrences",
+  "form.add": "Add entry",
+  "form.saveEdit": "Save changes",
+  "form.invalidAmount": "Enter a valid amount",
+  "form.invalidItemAmount": "Enter an amount on every line",
+  "form.unbalanced": "The split lines must add up to the amount",
+  "form.missingDate": "Enter a date",
+
+  // ===== budget =====
+  "budget.overall": "Overall budget",
+  "budget.overspendLine": "• {label}: {after} of {limit}",
+  "budget.confirmOverspend": "This entry goes over budget\n{lines}\n\nSave anyway?",
+  "budget.title": "Budget · {month}",
+  "budget.set": "Set budgets",
+  "budget.overallMonthly": "Overall monthly budget ({currency})",
+  "budget.save": "Save budgets",
+  "budget.empty": "No budgets yet. Press \"Set budgets\" to add monthly limits",
+  "budget.over": "{amount} over budget",
+  "budget.left": "{amount} left",
+
+  // ===== filters =====
+  "filters.title": "Filters",
+  "filters.from": "From",
+  "filters.to": "To",
+  "filters.sort": "Sort",
+  "filters.search": "Search",
+  "filters.searchPlaceholder": "e.g. cat:food amount>200 account:\"Credit card\" before:2025-09-01 -taxi",
+  "filters.help": "Search syntax",
+  "filters.help.words": "Plain words — search notes, account names, tags and category names (use \"...\" around spaces)",
+  "filters.help.category": "cat:food or category:food — category",
+  "filters.help.account": "account:cash · note:coffee — account name / note",
+  "filters.help.amount": "amount>200 · amount<=50 · amount:120 — amount (base currency)",
+  "filters.help.dates": "after:2025-08-01 (on or after) · before:2025-09-01 (before) · on:2025-08-15",
+  "filters.help.type": "type:income · cur:USD",
+  "filters.help.exclude": "Prefix with - to exclude, e.g. -taxi or -cat:food",
+  "filters.presetName": "Name this filter",
+  "filters.deletePreset": "Delete this filter",
+  "filters.savePreset": "Save this filter",
+  "filters.clear": "Clear filters",
+  "filters.person": "Share of",
+
+  // ===== sort =====
+  "sort.dateDesc": "Date, newest first",
+  "sort.dateAsc": "Date, oldest first",
+  "sort.amountDesc": "Amount, highest first",
+  "sort.amountAsc": "Amount, lowest first",
+
+  // ===== rates =====
+  "rates.missing": "{count} entries have no exchange rate to {base} ({currencies}) and are left out of the totals",
+  "rates.missing_one": "1 entry has no exchange rate to {base} ({currencies}) and is left out of the totals",
+  "rates.add": "Add rate",
+  "rates.noRate": "No exchange rate",
+  "rates.title": "Currencies and exchange rates",
+  "rates.base": "Base currency (used for totals and charts)",
+  "rates.oneUnitOf": "1 unit of",
+  "rates.equals": "equals",
+  "rates.ratePlaceholder": "e.g. 0.23",
+  "rates.to": "Currency",
+  "rates.effective": "Effective from",
+  "rates.hint": "Each entry uses the latest rate effective on or before its date. Inverse rates and rates through a third currency are used automatically",
+  "rates.none": "No exchange rates yet",
+  "rates.pair": "Currency pair",
+  "rates.rate": "Rate",
+  "rates.invalidRate": "Enter a valid exchange rate",
+  "rates.sameCurrency": "Pick two different currencies",
+  "rates.missingDate": "Enter the effective date",
+
+  // ===== charts =====
+  "charts.breakdown.expense": "Expenses by category",
+  "charts.breakdown.income": "Income by category",
+  "charts.bars.expense": "Expenses per category (bars)",
+  "charts.bars.income": "Income per category (bars)",
+  "charts.rollup": "Count subcategories under their parent",
+
+  // ===== list =====
+  "list.title": "Recent entries",
+  "list.count": "{count} entries",
+  "list.count_one": "1 entry",
+  "list.category": "Category",
+  "list.actions": "Actions",
+  "list.empty": "No entries match the filters ✨ Try adding one or adjusting the filters",
+  "list.balance": "Balance {amount}",
+  "list.balanceHint": "Balance after this entry",
+  "list.showing": "Showing {from}–{to} of {total}",
+  "list.page": "Page {page} of {pages}",
+  "list.previousPage": "Previous page",
+  "list.nextPage": "Next page",
+  "list.inlineHint": "Double-click a cell or press Enter to edit it. Arrow keys move between cells, Enter/Tab save and Esc cancels · Shift-click to select a range of rows",
+
+  // ===== import =====
+  "import.empty": "No data found in the file",
+  "import.invalidFile": "Invalid file",
+  "import.unknownFormat": "Unknown file format (OFX, QIF and JSON are supported)",
+
+  // ===== backup =====
+  "backup.invalidJson": "Invalid JSON file",
+  "backup.title": "Restore from backup",
+  "backup.exportedAt": "backed up {date}",
+  "backup.invalid": "The file failed validation, so nothing was written",
+  "backup.data": "Data",
+  "backup.inFile": "In file",
+  "backup.onDevice": "On this device",
+  "backup.addedConflicts": "New / conflicts",
+  "backup.section.expenses": "Entries",
+  "backup.section.categories": "Categories",
+  "backup.section.recurring": "Recurring entries",
+  "backup.section.rates": "Exchange rates",
+  "backup.section.trash": "Trash",
+  "backup.section.presets": "Saved filters",
+  "backup.section.accounts": "Accounts",
+  "backup.section.transfers": "Transfers",
+  "backup.section.settings": "Settings",
+  "backup.section.payees": "Payee categories",
+  "backup.describe.rate": "1 {from} = {rate} {to} from {date}",
+  "backup.describe.account": "{name} · opening balance {amount}",
+  "backup.merge": "Merge",
+  "backup.mergeHint": "add records that aren't here yet, matched by id",
+  "backup.replace": "Replace everything",
+  "backup.replaceHint": "the data on this device is replaced by the file",
+  "backup.replaceAll": "Replace all data",
+  "backup.prefer": "When both sides changed a record, keep",
+  "backup.local": "This device",
+  "backup.file": "Backup file",
+  "backup.noConflicts": "No conflicts",
+  "backup.section.attachments": "Attachments",
+  "backup.section.rules": "Categorisation rules",
+  "backup.section.people": "Household members",
+  "backup.section.settlements": "Paybacks",
+  "backup.error.notBackup": "This is not a backup file from this app",
+  "backup.error.noVersion": "The backup has no version",
+  "backup.error.tooNew": "Backup version {version} is newer than this app (supports up to {supported})",
+  "backup.error.noData": "The backup holds no data",
+  "backup.error.notList": "{section}: must be a list (array)",
+  "backup.error.record": "{section} #{index}: {problems}",
+  "backup.error.settings": "Settings: must be an object",
+  "backup.error.payees": "Payee categories: invalid format",
+  "backup.error.more": "and {count} more",
+  "backup.warning.unknownCategories": "Some entries refer to categories that aren't in the file: {ids}",
+  "backup.warning.unknownPeople": "Some records refer to people who aren't in the file: {ids}",
+  "backup.warning.missingAttachments": "{count} attached files aren't in the backup",
+  "backup.warning.missingAttachments_one": "1 attached file isn't in the backup",
+
+  // ===== trash =====
+  "trash.confirmEmpty": "Permanently delete {count} entries in the trash?",
+  "trash.confirmEmpty_one": "Permanently delete the entry in the trash?",
+  "trash.keepFor": "Keep deleted entries for",
+  "trash.empty": "Empty trash",
+  "trash.isEmpty": "The trash is empty",
+  "trash.purgeIn": "Deleted in",
+  "trash.restore": "Restore",
+  "trash.purge": "Delete permanently",
+
+  // ===== recurring =====
+  "recurring.confirmEnd": "End this recurring entry? (Entries already created are kept)",
+  "recurring.confirmDelete": "Delete this recurring entry? (Entries already created are kept)",
+  "recurring.title": "Recurring entries",
+  "recurring.add": "Add recurring entry",
+  "recurring.empty": "No recurring entries yet, e.g. rent, phone bill or streaming",
+  "recurring.missingStart": "Enter a start date",
+  "recurring.endBeforeStart": "The end date can't be before the start date",
+  "recurring.notePlaceholder": "e.g. Rent, Netflix",
+  "recurring.frequency": "Frequency",
+  "recurring.weekday": "Day",
+  "recurring.month": "Month",
+  "recurring.dayOfMonth": "Day of month",
+  "recurring.start": "Starts",
+  "recurring.endOptional": "Ends (optional)",
+  "recurring.ended": "Ended",
+  "recurring.paused": "Paused",
+  "recurring.next": "Next {date}",
+  "recurring.pause": "Pause",
+  "recurring.resume": "Resume",
+  "recurring.end": "End",
+  "recurring.schedule.weekly": "Every {weekday}",
+  "recurring.schedule.monthly": "Monthly on day {day}",
+  "recurring.schedule.yearly": "Every year on {date}",
+
+  // ===== accounts =====
+  "accounts.inUse": "This account is still used by {count} records (counting recurring entries, transfers and the trash), so it can't be deleted",
+  "accounts.lastOne": "At least one account is required",
+  "accounts.confirmDelete": "Delete this account?",
+  "accounts.manage": "Manage accounts / transfer",
+  "accounts.currentCycle": "This cycle {start}–{end}:",
+  "accounts.lastStatement": "Last statement (closed {date}):",
+  "accounts.title": "Accounts and transfers",
+  "accounts.missingName": "Enter an account name",
+  "accounts.invalidOpening": "Enter a valid opening balance",
+  "accounts.invalidClosingDay": "Enter a statement closing day from 1 to 31",
+  "accounts.name": "Account name",
+  "accounts.namePlaceholder": "e.g. KBank savings",
+  "accounts.opening": "Opening balance",
+  "accounts.openingCard": "Opening balance (enter money owed as negative)",
+  "accounts.openingDate": "Opening balance as of (optional)",
+  "accounts.closingDay": "Statement closing day",
+  "accounts.closesOn": "Statement closes on day {day}",
+  "accounts.saveEdit": "Save changes",
+  "accounts.add": "Add account",
+  "accounts.balance": "Balance",
+
+  // ===== undo =====
+  "undo.add": "Add entry",
+  "undo.edit": "Edit entry",
+  "undo.delete": "Delete entry",
+  "undo.deleteAll": "Delete all",
+  "undo.restoreEntry": "Restore entry",
+  "undo.purge": "Delete permanently",
+  "undo.emptyTrash": "Empty trash",
+  "undo.retention": "Set trash retention",
+  "undo.addCategory": "Add category",
+  "undo.editCategory": "Edit category",
+  "undo.reorderCategories": "Reorder categories",
+  "undo.mergeCategory": "Merge category",
+  "undo.deleteCategory": "Delete category",
+  "undo.budgets": "Set budgets",
+  "undo.addTemplate": "Add recurring entry",
+  "undo.editTemplate": "Edit recurring entry",
+  "undo.pauseTemplate": "Pause/resume recurring entry",
+  "undo.endTemplate": "End recurring entry",
+  "undo.deleteTemplate": "Delete recurring entry",
+  "undo.addRate": "Add exchange rate",
+  "undo.deleteRate": "Delete exchange rate",
+  "undo.baseCurrency": "Change base currency",
+  "undo.language": "Change language",
+  "undo.calendar": "Change calendar",
+  "undo.addAccount": "Add account",
+  "undo.editAccount": "Edit account",
+  "undo.deleteAccount": "Delete account",
+  "undo.transfer": "Transfer between accounts",
+  "undo.deleteTransfer": "Delete transfer",
+  "undo.savePreset": "Save filter",
+  "undo.deletePreset": "Delete saved filter",
+  "undo.importCsv": "Import {count} entries",
+  "undo.importCsv_one": "Import 1 entry",
+  "undo.importStatement": "Import {count} entries from a statement",
+  "undo.importStatement_one": "Import 1 entry from a statement",
+  "undo.restoreBackup": "Restore from backup",
+  "undo.undo": "Undo",
+  "undo.redo": "Redo",
+  "undo.toast.undo": "Undone: {label}",
+  "undo.toast.redo": "Redone: {label}",
+  "undo.attachments": "Change attachments",
+  "undo.reviewed": "Confirm unusual expenses",
+  "undo.inlineEdit": "Edit in table",
+  "undo.bulkEdit": "Edit {count} entries",
+  "undo.bulkEdit_one": "Edit 1 entry",
+  "undo.bulkDelete": "Delete {count} entries",
+  "undo.bulkDelete_one": "Delete 1 entry",
+  "undo.addRule": "Add rule",
+  "undo.editRule": "Edit rule",
+  "undo.reorderRules": "Reorder rules",
+  "undo.deleteRule": "Delete rule",
+  "undo.applyRules": "Apply rules to {count} entries",
+  "undo.applyRules_one": "Apply rules to 1 entry",
+  "undo.addPerson": "Add person",
+  "undo.renamePerson": "Rename person",
+  "undo.deletePerson": "Delete person",
+  "undo.settle": "Record {count} paybacks",
+  "undo.settle_one": "Record payback",
+  "undo.deleteSettlement": "Delete payback",
+
+  // ===== update =====
+  "update.available": "A new version of the app is available",
+  "update.reload": "Reload",
+
+  // ===== tags =====
+  "tags.totals": "Totals by tag",
+  "tags.totalsHint": "Entries with several tags count towards each of them",
+  "tags.remove": "Remove tag {tag}",
+  "tags.placeholder": "e.g. #trip-chiangmai #reimbursable",
+
+  // ===== split =====
+  "split.amount": "Amount",
+  "split.removeLine": "Remove line",
+  "split.addLine": "Add line",
+  "split.balanced": "Fully allocated",
+  "split.over": "{amount} over the total",
+  "split.remaining": "{amount} not allocated yet",
+
+  // ===== trend =====
+  "trend.title": "Spending trend",
+  "trend.empty": "No spending in the selected range",
+  "trend.hint": "Click a bar to filter to that period",
+  "trend.clipped": "showing the latest {count} periods; group by week or month, or narrow the dates, to see earlier ones",
+  "trend.cumulative": "Running total · {month}",
+  "trend.day": "Day {day}",
+  "trend.runningTotal": "Running total",
+
+  // ===== grouping =====
+  "grouping.day": "Daily",
+  "grouping.week": "Weekly",
+  "grouping.month": "Monthly",
+
+  // ===== accountKind =====
+  "accountKind.cash": "Cash",
+  "accountKind.bank": "Bank account",
+  "accountKind.ewallet": "e-Wallet",
+  "accountKind.card": "Credit card",
+
+  // ===== csvImport =====
+  "csvImport.rows": "{count} data rows",
+  "csvImport.rows_one": "1 data row",
+  "csvImport.mapping": "Map columns",
+  "csvImport.field.date": "Date",
+  "csvImport.field.type": "Type (income/expense)",
+  "csvImport.field.amount": "Amount",
+  "csvImport.field.currency": "Currency",
+  "csvImport.field.category": "Category",
+  "csvImport.field.note": "Note",
+  "csvImport.field.account": "Account/payment method",
+  "csvImport.field.tags": "Tags",
+  "csvImport.field.id": "id",
+  "csvImport.field.items": "Split lines (JSON)",
+  "csvImport.unused": "— Not used —",
+  "csvImport.column": "Column {n}",
+  "csvImport.dateHint": "Dates may be YYYY-MM-DD or DD/MM/YYYY, with Gregorian or Buddhist-era years",
+  "csvImport.preview": "Preview",
+  "csvImport.missing": "Pick a column for: {fields}",
+  "csvImport.summary": "{accepted} ready to import · {rejected} rejected · {skipped} duplicates skipped",
+  "csvImport.newAccounts": "New accounts to create: {names}",
+  "csvImport.issue.rejected": "Row {line} · rejected: {reason}",
+  "csvImport.issue.skipped": "Row {line} · skipped: {reason}",
+  "csvImport.issue.warning": "Row {line} · warning: {reason}",
+  "csvImport.confirm": "Import {count} entries",
+  "csvImport.confirm_one": "Import 1 entry",
+  "csvImport.ruled": "Rules filled in a category or account for {count} rows",
+  "csvImport.ruled_one": "Rules filled in a category or account for 1 row",
+
+  // ===== statement =====
+  "statement.unreadable": "{count} unreadable",
+  "statement.account": "Account (for every row)",
+  "statement.accountInFile": "in file: {account}",
+  "statement.selected": "{selected} of {count} selected",
+  "statement.duplicates": "{count} possible duplicates of existing entries",
+  "statement.duplicates_one": "1 possible duplicate of an existing entry",
+  "statement.selectAll": "Select all",
+  "statement.selectNone": "Select none",
+  "statement.payee": "Payee/details",
+  "statement.possibleDuplicate": "Possible duplicate: {note} · {amount}",
+  "statement.noNote": "(no note)",
+  "statement.rejected": "Transaction {line} · rejected: {reason}",
+  "statement.error.noOfx": "No OFX data in the file",
+  "statement.error.noQifRecords": "No transactions in the QIF file",
+  "statement.error.badJson": "Invalid JSON file",
+  "statement.error.noTransactions": "No \"transactions\" in the JSON file",
+
+  // ===== period =====
+  "period.month": "Monthly",
+  "period.quarter": "Quarterly",
+  "period.year": "Yearly",
+
+  // ===== reports =====
+  "reports.quarterLabel": "Q{quarter} {year}",
+  "reports.previous": "Previous period",
+  "reports.next": "Next period",
+  "reports.print": "Print / save as PDF",
+  "reports.title": "Report for {period}",
+  "reports.comparedWith": "compared with {period}",
+  "reports.averageDaily": "Average daily spending",
+  "reports.byCategory.expense": "Expenses by category",
+  "reports.byCategory.income": "Income by category",
+  "reports.change": "Change",
+  "reports.topNotes": "Top payees (by note)",
+  "reports.noNotes": "No entries with a note",
+  "reports.largest": "Largest expenses",
+  "reports.noExpenses": "No expenses in this period",
+  "reports.csv.title": "Report",
+  "reports.csv.range": "{from} to {to}",
+  "reports.csv.currency": "Currency {currency}",
+  "reports.csv.summary": "Summary",
+  "reports.csv.changePct": "Change %",
+  "reports.csv.topNotes": "Top notes/shops",
+  "reports.csv.count": "Count",
+  "reports.csv.total": "Total",
+
+  // ===== frequency =====
+  "frequency.daily": "Daily",
+  "frequency.weekly": "Weekly",
+  "frequency.monthly": "Monthly",
+  "frequency.yearly": "Yearly",
+
+  // ===== categories =====
+  "categories.title": "Categories",
+  "categories.missingName": "Enter a category name",
+  "categories.invalidColor": "The colour must be in #rrggbb format",
+  "categories.exists": "A category \"{name}\" already exists",
+  "categories.name": "Category name",
+  "categories.parent": "Parent",
+  "categories.topLevel": "Top level",
+  "categories.color": "Colour",
+  "categories.icon": "Icon",
+  "categories.iconPlaceholder": "An emoji, e.g. ☕",
+  "categories.saveEdit": "Save changes",
+  "categories.addShort": "Add category",
+  "categories.add.expense": "Add expense category",
+  "categories.add.income": "Add income category",
+  "categories.deleteTitle": "Delete category \"{name}\"",
+  "categories.orphans": "Subcategories {names} will become top-level categories",
+  "categories.inUse": "{count} entries use this category (counting recurring entries and the trash) · Move or merge them into",
+  "categories.inUse_one": "1 entry uses this category (counting recurring entries and the trash) · Move or merge it into",
+  "categories.unused": "No entries use this category",
+  "categories.moveAndDelete": "Move entries and delete",
+  "categories.delete": "Delete category",
+  "categories.fallback": "Can't be deleted: imported entries that match no category go here",
+  "categories.dragHint": "Drag to reorder",
+  "categories.hasBudget": "Budgeted",
+
+  // ===== transfer =====
+  "transfer.title": "Transfer between accounts",
+  "transfer.needTwo": "You need at least two accounts to make a transfer",
+  "transfer.hint": "Transfers between accounts don't count as income or expenses, e.g. paying a credit card from a bank account",
+  "transfer.sameAccount": "Choose two different accounts",
+  "transfer.invalidReceived": "Enter a valid amount received",
+  "transfer.missingDate": "Enter a date",
+  "transfer.from": "From",
+  "transfer.to": "To",
+  "transfer.route": "From → To",
+  "transfer.amount": "Amount",
+  "transfer.received": "Received ({currency})",
+  "transfer.submit": "Transfer",
+
+  // ===== attachments =====
+  "attachments.title": "Receipts",
+  "attachments.camera": "Take photo",
+  "attachments.files": "Choose files",
+  "attachments.rejected": "Couldn't attach: {names} (only images or PDFs up to {size} MB)",
+  "attachments.unsupported": "Couldn't attach {name} (only images or PDFs are supported)",
+  "attachments.missing": "This file isn't stored on this device",
+  "attachments.confirmRemove": "Remove the attachment \"{name}\"?",
+  "attachments.replace": "Replace",
+  "attachments.remove": "Remove",
+  "attachments.removeNamed": "Remove {name}",
+  "attachments.none": "No attachments yet",
+  "attachments.view": "View {count} attachments",
+  "attachments.view_one": "View 1 attachment",
+
+  // ===== forecast =====
+  "forecast.title": "Month-end forecast · {month}",
+  "forecast.progress": "Day {day} of {days}",
+  "forecast.empty": "No spending to project yet",
+  "forecast.total": "All categories",
+  "forecast.typical": "Usually {amount} a month",
+  "forecast.overBudget": "Expected to go {amount} over budget",
+
+  // ===== unusual =====
+  "unusual.title": "{count} unusually large expenses",
+  "unusual.title_one": "1 unusually large expense",
+  "unusual.hint": "These are far above what the category usually costs, possibly a typo. Fix them, or confirm they're right.",
+  "unusual.usually": "usually ~{amount}",
+  "unusual.dismiss": "It's right",
+  "unusual.dismissAll": "All are right",
+  "unusual.badge": "Unusually large for this category (usually ~{amount}) · click to confirm it's right",
+
+  // ===== sync =====
+  "sync.title": "Sync between devices",
+  "sync.intro": "Sends and receives entries, categories and the household (people and paybacks) through a server you host yourself (see docs/sync-api.md). Changes made offline wait until you're back online. If the same entry is edited on two devices, the later edit wins. Attached files stay on the device they were added on.",
+  "sync.url": "Server address",
+  "sync.token": "Token",
+  "sync.tokenOptional": "Optional",
+  "sync.tokenUnchanged": "Leave empty to keep the current token",
+  "sync.invalidUrl": "Enter an address starting with http:// or https://",
+  "sync.connect": "Connect",
+  "sync.save": "Save",
+  "sync.now": "Sync now",
+  "sync.disconnect": "Disconnect",
+  "sync.confirmDisconnect": "Stop syncing with this server? Data on this device is kept, but changes not sent yet won't be sent.",
+  "sync.phase.idle": "Connected",
+  "sync.phase.syncing": "Syncing…",
+  "sync.phase.offline": "Offline; changes will be sent when you're back online",
+  "sync.phase.error": "Sync failed",
+  "sync.lastSync": "Last synced {time}",
+  "sync.never": "Not synced yet",
+  "sync.pending": "{count} changes waiting to be sent",
+  "sync.pending_one": "1 change waiting to be sent",
+  "sync.skipped": "Skipped {count} invalid records from the server",
+  "sync.skipped_one": "Skipped 1 invalid record from the server",
+  "sync.error.offline": "Couldn't reach the sync server",
+  "sync.error.token": "The sync server didn't accept the token",
+  "sync.error.status": "The sync server returned an error ({status})",
+  "sync.error.badResponse": "The sync server sent a reply that couldn't be read",
+
+  // ===== bulk =====
+  "bulk.selected": "{count} selected",
+  "bulk.selectAll": "Select all {count} filtered entries",
+  "bulk.selectAll_one": "Select the 1 filtered entry",
+  "bulk.selectRow": "Select this entry",
+  "bulk.recategorise": "Change category…",
+  "bulk.setAccount": "Change account…",
+  "bulk.setDate": "Set date",
+  "bulk.export": "Export selected CSV",
+  "bulk.clear": "Clear selection",
+  "bulk.confirmDelete": "Move the {count} selected entries to the trash?",
+  "bulk.confirmDelete_one": "Move the selected entry to the trash?",
+  "bulk.skippedCategory": "{count} entries were left unchanged (split entries, or a category of the other type)",
+  "bulk.skippedCategory_one": "1 entry was left unchanged (a split entry, or a category of the other type)",
+  "bulk.skippedAccount": "{count} entries were left where they were: they're in a different currency from the account",
+  "bulk.skippedAccount_one": "1 entry was left where it was: it's in a different currency from the account",
+
+  // ===== inline =====
+  "inline.invalid.date": "That isn't a valid date",
+  "inline.invalid.amount": "Enter an amount greater than 0",
+  "inline.invalid.category": "Choose a category",
+
+  // ===== rules =====
+  "rules.formHint": "Rule applied: {names}",
+  "rules.title": "Categorisation rules",
+  "rules.intro": "Rules pick the category and account when you add entries and when you import files. Rules higher in the list take priority.",
+  "rules.add": "Add rule",
+  "rules.empty": "No rules yet.",
+  "rules.matches": "matches {count} entries",
+  "rules.matches_one": "matches 1 entry",
+  "rules.and": "and",
+  "rules.moveUp": "Move up",
+  "rules.moveDown": "Move down",
+  "rules.enable": "Turn on",
+  "rules.disable": "Turn off",
+  "rules.confirmDelete": "Delete this rule?",
+  "rules.name": "Rule name",
+  "rules.namePlaceholder": "e.g. Netflix",
+  "rules.untitled": "Untitled rule",
+  "rules.when": "When an entry meets every condition",
+  "rules.conditionField": "Field to test",
+  "rules.conditionOp": "Comparison",
+  "rules.conditionValue": "Value",
+  "rules.field.note": "Note",
+  "rules.field.amount": "Amount",
+  "rules.field.account": "Account",
+  "rules.op.contains": "contains",
+  "rules.op.equals": "is exactly",
+  "rules.op.startsWith": "starts with",
+  "rules.op.eq": "=",
+  "rules.op.lt": "<",
+  "rules.op.gt": ">",
+  "rules.op.is": "is",
+  "rules.describe.note": "note {op} “{value}”",
+  "rules.describe.amount": "amount {op} {value}",
+  "rules.describe.account": "account {op} {value}",
+  "rules.chooseAccount": "Choose an account…",
+  "rules.notePlaceholder": "e.g. 7-Eleven",
+  "rules.addCondition": "Add condition",
+  "rules.removeCondition": "Remove condition",
+  "rules.setCategory": "Set category to",
+  "rules.setAccount": "Set account to",
+  "rules.keep": "— Leave as is —",
+  "rules.noConditions": "A rule needs at least one condition",
+  "rules.incompleteCondition": "Fill in every condition (amounts must be greater than 0)",
+  "rules.noAction": "Choose a category or an account for the rule to set",
+  "rules.suggestions": "Suggested from your history",
+  "rules.learnedFrom": "{matched} of {count} entries with this note are in this category",
+  "rules.accept": "Add as rule",
+  "rules.dismiss": "Dismiss",
+  "rules.runTitle": "Run rules on existing entries",
+  "rules.onlyFallback": "Only recategorise entries still in “Other”",
+  "rules.runField.category": "Category",
+  "rules.runField.accountId": "Account",
+  "rules.preview": "Preview changes",
+  "rules.nothingToChange": "The rules don't change any entries.",
+  "rules.tickAll": "Tick every row",
+  "rules.tickRow": "Apply this change",
+  "rules.change": "Change",
+  "rules.byRule": "By rule",
+  "rules.apply": "Apply {count} changes",
+  "rules.apply_one": "Apply 1 change",
+
+  // ===== household =====
+  "household.title": "Household ledger",
+  "household.people": "People",
+  "household.empty": "No one yet. Add the people you share costs with to track who paid and split expenses.",
+  "household.usage": "in {count} records",
+  "household.usage_one": "in 1 record",
+  "household.showShare": "Show share",
+  "household.rename": "Rename",
+  "household.name": "Name",
+  "household.namePlaceholder": "e.g. Sam",
+  "household.addPerson": "Add person",
+  "household.inUse": "Can't delete: this person is in {count} entries, recurring items or paybacks.",
+  "household.inUse_one": "Can't delete: this person is in 1 entry, recurring item or payback.",
+  "household.confirmDelete": "Delete this person?",
+  "household.confirmDeletePayment": "Delete this payback?",
+  "household.notShared": "— Not shared —",
+  "household.splitMode": "Split",
+  "household.mode.equal": "Equally",
+  "household.mode.percent": "By percent",
+  "household.mode.exact": "Exact amounts",
+  "household.shareOf": "{name}'s share",
+  "household.percentLeft": "{value}% left",
+  "household.amountLeft": "{amount} left",
+  "household.yourShare": "{name}'s share: {amount}",
+  "household.invalid.noPeople": "Pick at least one person to split with.",
+  "household.invalid.duplicate": "Someone appears twice in the split.",
+  "household.invalid.value": "Shares must be numbers of zero or more.",
+  "household.invalid.percentTotal": "Percentages must add up to 100.",
+  "household.invalid.exactTotal": "Exact shares must add up to the entry's amount.",
+  "household.balances": "Balances",
+  "household.person": "Person",
+  "household.paid": "Paid",
+  "household.share": "Own share",
+  "household.settled": "Paid back",
+  "household.net": "Net",
+  "household.isOwed": "Is owed money",
+  "household.owes": "Owes money",
+  "household.even": "All square",
+  "household.settleUp": "Settle up",
+  "household.allSettled": "Everyone is square 🎉",
+  "household.transfer": "{from} pays {to} {amount}",
+  "household.markPaid": "Mark as paid",
+  "household.markAllPaid": "Mark all as paid",
+  "household.payments": "Paybacks",
+  "household.from": "From",
+  "household.to": "To",
+  "household.recordPayment": "Record payback",
+  "household.noPayments": "No paybacks yet.",
+  "household.paidBack": "{from} paid {to} back {amount}",
+  "household.samePerson": "Pick two different people.",
+
+  // ===== problem =====
+  "problem.duplicateId": "duplicate id ({id})",
+  "problem.badDateValue": "invalid date: \"{value}\"",
+  "problem.badAmountValue": "invalid amount: \"{value}\"",
+  "problem.badCurrencyValue": "invalid currency: \"{value}\"",
+  "problem.badTypeValue": "invalid type: \"{value}\"",
+  "problem.textAfterQuote": "text follows a closing quote",
+  "problem.badItemsTotal": "split lines are invalid or don't add up to the amount",
+  "problem.unknownCategory": "unknown category \"{value}\" → {category}",
+  "problem.noId": "no id",
+  "problem.badDate": "invalid date",
+  "problem.badAmount": "invalid amount",
+  "problem.badType": "invalid type",
+  "problem.badCurrency": "invalid currency",
+  "problem.noCategory": "no category",
+  "problem.badTags": "invalid tags",
+  "problem.badAttachments": "invalid attachments",
+  "problem.badPaidBy": "invalid payer",
+  "problem.badShares": "invalid split between people",
+  "problem.badItems": "invalid split lines",
+  "problem.itemsUnbalanced": "split lines don't add up to the amount",
+  "problem.noDeletedAt": "no deletion time",
+  "problem.noName": "no name",
+  "problem.noColor": "no colour",
+  "problem.badCategoryKind": "invalid category kind",
+  "problem.badParent": "invalid parent category",
+  "problem.badIcon": "invalid icon",
+  "problem.badFrequency": "invalid frequency",
+  "problem.badStartDate": "invalid start date",
+  "problem.noFilters": "no filter settings",
+  "problem.badRate": "invalid rate",
+  "problem.badAccountKind": "invalid account type",
+  "problem.badOpeningBalance": "invalid opening balance",
+  "problem.badOpeningDate": "invalid opening date",
+  "problem.badClosingDay": "invalid statement closing day",
+  "problem.badConditions": "invalid conditions",
+  "problem.noRuleAction": "sets neither a category nor an account",
+  "problem.badColor": "invalid colour",
+  "problem.badPeople": "invalid payer or recipient",
+  "problem.badFileType": "unsupported file type",
+  "problem.noFileData": "no file data",
+  "problem.badTransferAccounts": "invalid source or destination account",
+  "problem.badToAmount": "invalid amount received",
+  "problem.notObject": "not an object",
+
+  // ===== storage =====
+  "storage.error.unsupported": "This browser doesn't support IndexedDB",
+  "storage.error.open": "Couldn't open the database",
+  "storage.error.blocked": "The database is held open by another tab. Close that tab and reload.",
+  "storage.error.quota": "the browser's storage is full",
+  "storage.error.unknown": "unknown reason",
+  "storage.error.saveEntries": "Couldn't save entries: {reason}",
+  "storage.error.saveData": "Couldn't save data: {reason}",
+  "storage.error.saveAttachments": "Couldn't save attachments: {reason}",
+
+  // ===== query =====
+  "query.error.unknownField": "unknown condition \"{term}\"",
+  "query.error.noValue": "\"{term}\" has no value",
+  "query.error.colonOnly": "\"{name}\" only works as {name}:value",
+};
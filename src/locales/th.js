@@ -0,0 +1,720 @@
+// Thai UI strings: the reference catalogue (see lib/i18n)
+export default {
+  // ===== common =====
+  "common.close": "ปิด",
+  "common.cancel": "ยกเลิก",
+  "common.save": "บันทึก",
+  "common.edit": "แก้ไข",
+  "common.delete": "ลบ",
+  "common.all": "ทั้งหมด",
+  "common.none": "— ไม่ระบุ —",
+  "common.unlimited": "ไม่จำกัด",
+  "common.days": "{count} วัน",
+
+  // ===== field =====
+  "field.date": "วันที่",
+  "field.type": "ประเภท",
+  "field.amount": "จำนวนเงิน",
+  "field.currency": "สกุลเงิน",
+  "field.category": "หมวดหมู่",
+  "field.account": "บัญชี",
+  "field.note": "หมายเหตุ",
+  "field.tags": "แท็ก",
+  "field.paidBy": "ใครจ่าย",
+  "field.receivedBy": "ใครรับเงิน",
+
+  // ===== type =====
+  "type.expense": "รายจ่าย",
+  "type.income": "รายรับ",
+
+  // ===== totals =====
+  "totals.net": "คงเหลือสุทธิ",
+
+  // ===== calendar =====
+  "calendar.buddhist": "พ.ศ.",
+  "calendar.gregory": "ค.ศ.",
+
+  // ===== app =====
+  "app.title": "ระบบบันทึกค่าใช้จ่าย",
+  "app.undoHint": "เลิกทำ (Ctrl+Z)",
+  "app.redoHint": "ทำซ้ำ (Ctrl+Shift+Z)",
+  "app.loading": "กำลังโหลดข้อมูล…",
+  "app.unsaved": "ข้อมูลที่แก้ไขตอนนี้จะไม่ถูกบันทึก",
+  "app.confirmClearAll": "ย้ายทั้งหมด {count} รายการไปถังขยะหรือไม่?",
+  "app.footer": "บันทึกข้อมูลลงในเบราว์เซอร์ของคุณ (IndexedDB) · สำรอง/กู้คืนทั้งหมดเป็นไฟล์ JSON · ส่งออก/นำเข้า CSV และนำเข้าใบแจ้งยอด OFX/QIF/JSON ได้",
+
+  // ===== header =====
+  "header.language": "ภาษา",
+  "header.calendarHint": "สลับการแสดงปีเป็น พ.ศ. หรือ ค.ศ.",
+  "header.currency": "สกุลเงิน {currency}",
+  "header.reports": "รายงาน",
+  "header.accounts": "บัญชี",
+  "header.recurring": "รายการประจำ",
+  "header.exportCsv": "ส่งออก CSV",
+  "header.importCsv": "นำเข้า CSV",
+  "header.importStatement": "นำเข้าใบแจ้งยอด",
+  "header.backup": "สำรองข้อมูล",
+  "header.restore": "กู้คืน",
+  "header.trash": "ถังขยะ",
+  "header.clearAll": "ลบทั้งหมด",
+  "header.sync": "ซิงก์",
+  "header.rules": "กฎจัดหมวด",
+  "header.household": "ในบ้าน",
+
+  // ===== form =====
+  "form.addTitle": "เพิ่มรายการใหม่",
+  "form.editTitle": "แก้ไขรายการ",
+  "form.amountPlaceholder": "เช่น 100",
+  "form.singleCategory": "ใช้หมวดเดียว",
+  "form.split": "แบ่งหลายหมวด",
+  "form.manageCategories": "จัดการหมวด",
+  "form.manageAccounts": "จัดการบัญชี",
+  "form.note": "บันทึก/หมายเหตุ",
+  "form.notePlaceholder": "รายละเอียดเพิ่มเติม",
+  "form.applyToSeries": "🔁 ใช้กับครั้งนี้และครั้งถัดไปทั้งหมด",
+  "form.add": "เพิ่มรายการ",
+  "form.saveEdit": "บันทึกการแก้ไข",
+  "form.invalidAmount": "กรอกจำนวนเงินให้ถูกต้อง",
+  "form.invalidItemAmount": "กรอกจำนวนเงินของทุกบรรทัด",
+  "form.unbalanced": "ยอดที่แบ่งต้องเท่ากับจำนวนเงินรวม",
+  "form.missingDate": "กรอกวันที่",
+
+  // ===== budget =====
+  "budget.overall": "งบรวม",
+  "budget.overspendLine": "• {label}: {after} จากงบ {limit}",
+  "budget.confirmOverspend": "รายการนี้จะทำให้เกินงบ\n{lines}\n\nบันทึกต่อหรือไม่?",
+  "budget.title": "งบประมาณ · {month}",
+  "budget.set": "ตั้งงบ",
+  "budget.overallMonthly": "งบรวมต่อเดือน ({currency})",
+  "budget.save": "บันทึกงบ",
+  "budget.empty": "ยังไม่ได้ตั้งงบ กด \"ตั้งงบ\" เพื่อกำหนดวงเงินรายเดือน",
+  "budget.over": "เกินงบ {amount}",
+  "budget.left": "เหลือ {amount}",
+
+  // ===== filters =====
+  "filters.title": "ตัวกรอง",
+  "filters.from": "ตั้งแต่วันที่",
+  "filters.to": "ถึงวันที่",
+  "filters.sort": "จัดเรียง",
+  "filters.search": "ค้นหา",
+  "filters.searchPlaceholder": "เช่น cat:food amount>200 account:\"บัตรเครดิต\" before:2025-09-01 -taxi",
+  "filters.help": "วิธีเขียนคำค้น",
+  "filters.help.words": "คำทั่วไป — ค้นในหมายเหตุ ชื่อบัญชี แท็ก และชื่อหมวด (ใช้ \"...\" เมื่อมีช่องว่าง)",
+  "filters.help.category": "cat:food หรือ หมวด:อาหาร — หมวดหมู่",
+  "filters.help.account": "account:เงินสด หรือ บัญชี:เงินสด · note:กาแฟ — ชื่อบัญชี / หมายเหตุ",
+  "filters.help.amount": "amount>200 · amount<=50 · amount:120 — จำนวนเงิน (สกุลเงินหลัก)",
+  "filters.help.dates": "after:2025-08-01 (ตั้งแต่) · before:2025-09-01 (ก่อน) · on:2025-08-15",
+  "filters.help.type": "type:income · cur:USD",
+  "filters.help.exclude": "ใส่ - ข้างหน้าเพื่อยกเว้น เช่น -taxi หรือ -cat:food",
+  "filters.presetName": "ตั้งชื่อตัวกรองนี้",
+  "filters.deletePreset": "ลบตัวกรองนี้",
+  "filters.savePreset": "บันทึกตัวกรองนี้",
+  "filters.clear": "ล้างตัวกรอง",
+  "filters.person": "ส่วนของ",
+
+  // ===== sort =====
+  "sort.dateDesc": "วันที่ ใหม่→เก่า",
+  "sort.dateAsc": "วันที่ เก่า→ใหม่",
+  "sort.amountDesc": "จำนวนเงิน มาก→น้อย",
+  "sort.amountAsc": "จำนวนเงิน น้อย→มาก",
+
+  // ===== rates =====
+  "rates.missing": "{count} รายการยังไม่มีอัตราแลกเปลี่ยนเป็น {base} ({currencies}) จึงไม่ถูกนับในยอดรวม",
+  "rates.add": "เพิ่มอัตรา",
+  "rates.noRate": "ไม่มีอัตราแลกเปลี่ยน",
+  "rates.title": "สกุลเงินและอัตราแลกเปลี่ยน",
+  "rates.base": "สกุลเงินหลัก (ใช้คำนวณยอดรวมและกราฟ)",
+  "rates.oneUnitOf": "1 หน่วยของ",
+  "rates.equals": "เท่ากับ",
+  "rates.ratePlaceholder": "เช่น 0.23",
+  "rates.to": "สกุล",
+  "rates.effective": "มีผลตั้งแต่",
+  "rates.hint": "รายการแต่ละวันใช้อัตราล่าสุดที่มีผลก่อนหรือในวันนั้น ใช้อัตรากลับด้านหรือผ่านสกุลกลางได้อัตโนมัติ",
+  "rates.none": "ยังไม่มีอัตราแลกเปลี่ยน",
+  "rates.pair": "คู่สกุลเงิน",
+  "rates.rate": "อัตรา",
+  "rates.invalidRate": "กรอกอัตราแลกเปลี่ยนให้ถูกต้อง",
+  "rates.sameCurrency": "เลือกสกุลเงินต่างกัน",
+  "rates.missingDate": "กรอกวันที่มีผล",
+
+  // ===== charts =====
+  "charts.breakdown.expense": "แจกแจงรายจ่ายตามหมวดหมู่",
+  "charts.breakdown.income": "แจกแจงรายรับตามหมวดหมู่",
+  "charts.bars.expense": "รายจ่ายต่อหมวด (แท่ง)",
+  "charts.bars.income": "รายรับต่อหมวด (แท่ง)",
+  "charts.rollup": "รวมหมวดย่อยเข้าหมวดหลัก",
+
+  // ===== list =====
+  "list.title": "รายการล่าสุด",
+  "list.count": "{count} รายการ",
+  "list.category": "หมวด",
+  "list.actions": "จัดการ",
+  "list.empty": "ยังไม่มีรายการที่ตรงกับตัวกรอง ✨ ลองเพิ่มรายการใหม่หรือปรับตัวกรองดูนะ",
+  "list.balance": "คงเหลือ {amount}",
+  "list.balanceHint": "ยอดคงเหลือหลังรายการนี้",
+  "list.showing": "แสดง {from}–{to} จาก {total} รายการ",
+  "list.page": "หน้า {page}/{pages}",
+  "list.previousPage": "หน้าก่อน",
+  "list.nextPage": "หน้าถัดไป",
+  "list.inlineHint": "ดับเบิลคลิกหรือกด Enter ที่ช่องเพื่อแก้ไข ใช้ลูกศรเลื่อนช่อง Enter/Tab บันทึก Esc ยกเลิก · Shift+คลิกเพื่อเลือกหลายแถว",
+
+  // ===== import =====
+  "import.empty": "ไม่พบข้อมูลในไฟล์",
+  "import.invalidFile": "ไฟล์ไม่ถูกต้อง",
+  "import.unknownFormat": "ไม่รู้จักรูปแบบไฟล์ (รองรับ OFX, QIF, JSON)",
+
+  // ===== backup =====
+  "backup.invalidJson": "ไฟล์ JSON ไม่ถูกต้อง",
+  "backup.title": "กู้คืนจากไฟล์สำรอง",
+  "backup.exportedAt": "สำรองเมื่อ {date}",
+  "backup.invalid": "ไฟล์ไม่ผ่านการตรวจสอบ จึงไม่มีการเขียนข้อมูลใด ๆ",
+  "backup.data": "ข้อมูล",
+  "backup.inFile": "ในไฟล์",
+  "backup.onDevice": "ในเครื่องนี้",
+  "backup.addedConflicts": "เพิ่มใหม่ / ขัดแย้ง",
+  "backup.section.expenses": "รายการ",
+  "backup.section.categories": "หมวดหมู่",
+  "backup.section.recurring": "รายการประจำ",
+  "backup.section.rates": "อัตราแลกเปลี่ยน",
+  "backup.section.trash": "ถังขยะ",
+  "backup.section.presets": "ตัวกรองที่บันทึกไว้",
+  "backup.section.accounts": "บัญชี",
+  "backup.section.transfers": "การโอน",
+  "backup.section.settings": "การตั้งค่า",
+  "backup.section.payees": "หมวดของผู้รับเงิน",
+  "backup.describe.rate": "1 {from} = {rate} {to} ตั้งแต่ {date}",
+  "backup.describe.account": "{name} · ยอดยกมา {amount}",
+  "backup.merge": "รวมข้อมูล",
+  "backup.mergeHint": "เพิ่มรายการที่ยังไม่มีโดยจับคู่ตาม id",
+  "backup.replace": "แทนที่ทั้งหมด",
+  "backup.replaceHint": "ข้อมูลในเครื่องนี้จะถูกแทนด้วยข้อมูลในไฟล์",
+  "backup.replaceAll": "แทนที่ข้อมูลทั้งหมด",
+  "backup.prefer": "เมื่อแก้ไขทั้งสองฝั่ง ให้ใช้ข้อมูลจาก",
+  "backup.local": "เครื่องนี้",
+  "backup.file": "ไฟล์สำรอง",
+  "backup.noConflicts": "ไม่มีข้อมูลที่ขัดแย้งกัน",
+  "backup.section.attachments": "ไฟล์แนบ",
+  "backup.section.rules": "กฎจัดหมวด",
+  "backup.section.people": "สมาชิกในบ้าน",
+  "backup.section.settlements": "การชำระคืน",
+  "backup.error.notBackup": "ไม่ใช่ไฟล์สำรองข้อมูลของแอปนี้",
+  "backup.error.noVersion": "ไม่พบเวอร์ชันของไฟล์สำรอง",
+  "backup.error.tooNew": "ไฟล์สำรองเวอร์ชัน {version} ใหม่กว่าแอปนี้ (รองรับถึง {supported})",
+  "backup.error.noData": "ไม่พบข้อมูลในไฟล์สำรอง",
+  "backup.error.notList": "{section}: ต้องเป็นรายการ (array)",
+  "backup.error.record": "{section} ลำดับที่ {index}: {problems}",
+  "backup.error.settings": "การตั้งค่า: ต้องเป็นออบเจกต์",
+  "backup.error.payees": "หมวดของผู้รับเงิน: รูปแบบไม่ถูกต้อง",
+  "backup.error.more": "และอีก {count} ข้อ",
+  "backup.warning.unknownCategories": "มีรายการที่อ้างถึงหมวดที่ไม่อยู่ในไฟล์: {ids}",
+  "backup.warning.unknownPeople": "มีรายการที่อ้างถึงสมาชิกที่ไม่อยู่ในไฟล์: {ids}",
+  "backup.warning.missingAttachments": "ไฟล์แนบ {count} ไฟล์ไม่อยู่ในไฟล์สำรอง",
+
+  // ===== trash =====
+  "trash.confirmEmpty": "ลบถาวร {count} รายการในถังขยะหรือไม่?",
+  "trash.keepFor": "เก็บรายการที่ลบไว้",
+  "trash.empty": "ล้างถังขยะ",
+  "trash.isEmpty": "ถังขยะว่างเปล่า",
+  "trash.purgeIn": "ลบถาวรใน",
+  "trash.restore": "กู้คืน",
+  "trash.purge": "ลบถาวร",
+
+  // ===== recurring =====
+  "recurring.confirmEnd": "สิ้นสุดรายการประจำนี้? (รายการที่สร้างไปแล้วจะยังอยู่)",
+  "recurring.confirmDelete": "ลบรายการประจำนี้? (รายการที่สร้างไปแล้วจะยังอยู่)",
+  "recurring.title": "รายการประจำ",
+  "recurring.add": "เพิ่มรายการประจำ",
+  "recurring.empty": "ยังไม่มีรายการประจำ เช่น ค่าเช่า ค่าโทรศัพท์ หรือค่าสตรีมมิ่ง",
+  "recurring.missingStart": "กรอกวันที่เริ่ม",
+  "recurring.endBeforeStart": "วันสิ้นสุดต้องไม่ก่อนวันเริ่ม",
+  "recurring.notePlaceholder": "เช่น ค่าเช่าห้อง, Netflix",
+  "recurring.frequency": "ความถี่",
+  "recurring.weekday": "วัน",
+  "recurring.month": "เดือน",
+  "recurring.dayOfMonth": "วันที่ของเดือน",
+  "recurring.start": "เริ่ม",
+  "recurring.endOptional": "สิ้นสุด (ไม่บังคับ)",
+  "recurring.ended": "สิ้นสุดแล้ว",
+  "recurring.paused": "หยุดชั่วคราว",
+  "recurring.next": "ครั้งถัดไป {date}",
+  "recurring.pause": "หยุดชั่วคราว",
+  "recurring.resume": "ทำต่อ",
+  "recurring.end": "สิ้นสุด",
+  "recurring.schedule.weekly": "ทุก{weekday}",
+  "recurring.schedule.monthly": "ทุกวันที่ {day} ของเดือน",
+  "recurring.schedule.yearly": "ทุกปี วันที่ {date}",
+
+  // ===== accounts =====
+  "accounts.inUse": "บัญชีนี้ยังถูกใช้อยู่ {count} รายการ (รวมรายการประจำ การโอน และถังขยะ) จึงลบไม่ได้",
+  "accounts.lastOne": "ต้องมีอย่างน้อยหนึ่งบัญชี",
+  "accounts.confirmDelete": "ลบบัญชีนี้หรือไม่?",
+  "accounts.manage": "จัดการบัญชี / โอน",
+  "accounts.currentCycle": "รอบนี้ {start}–{end}:",
+  "accounts.lastStatement": "บิลล่าสุด (ตัดรอบ {date}):",
+  "accounts.title": "บัญชีและการโอน",
+  "accounts.missingName": "กรอกชื่อบัญชี",
+  "accounts.invalidOpening": "กรอกยอดยกมาให้ถูกต้อง",
+  "accounts.invalidClosingDay": "กรอกวันตัดรอบบัญชี 1-31",
+  "accounts.name": "ชื่อบัญชี",
+  "accounts.namePlaceholder": "เช่น KBank ออมทรัพย์",
+  "accounts.opening": "ยอดยกมา",
+  "accounts.openingCard": "ยอดยกมา (ยอดค้างชำระใส่ติดลบ)",
+  "accounts.openingDate": "ยอดยกมา ณ วันที่ (ไม่บังคับ)",
+  "accounts.closingDay": "วันตัดรอบบัญชี",
+  "accounts.closesOn": "ตัดรอบทุกวันที่ {day}",
+  "accounts.saveEdit": "บันทึกการแก้ไข",
+  "accounts.add": "เพิ่มบัญชี",
+  "accounts.balance": "คงเหลือ",
+
+  // ===== undo =====
+  "undo.add": "เพิ่มรายการ",
+  "undo.edit": "แก้ไขรายการ",
+  "undo.delete": "ลบรายการ",
+  "undo.deleteAll": "ลบทั้งหมด",
+  "undo.restoreEntry": "กู้คืนรายการ",
+  "undo.purge": "ลบถาวร",
+  "undo.emptyTrash": "ล้างถังขยะ",
+  "undo.retention": "ตั้งระยะเวลาถังขยะ",
+  "undo.addCategory": "เพิ่มหมวด",
+  "undo.editCategory": "แก้ไขหมวด",
+  "undo.reorderCategories": "จัดลำดับหมวด",
+  "undo.mergeCategory": "รวมหมวด",
+  "undo.deleteCategory": "ลบหมวด",
+  "undo.budgets": "ตั้งงบ",
+  "undo.addTemplate": "เพิ่มรายการประจำ",
+  "undo.editTemplate": "แก้ไขรายการประจำ",
+  "undo.pauseTemplate": "หยุด/ทำต่อรายการประจำ",
+  "undo.endTemplate": "สิ้นสุดรายการประจำ",
+  "undo.deleteTemplate": "ลบรายการประจำ",
+  "undo.addRate": "เพิ่มอัตราแลกเปลี่ยน",
+  "undo.deleteRate": "ลบอัตราแลกเปลี่ยน",
+  "undo.baseCurrency": "เปลี่ยนสกุลเงินหลัก",
+  "undo.language": "เปลี่ยนภาษา",
+  "undo.calendar": "เปลี่ยนการแสดงปี",
+  "undo.addAccount": "เพิ่มบัญชี",
+  "undo.editAccount": "แก้ไขบัญชี",
+  "undo.deleteAccount": "ลบบัญชี",
+  "undo.transfer": "โอนระหว่างบัญชี",
+  "undo.deleteTransfer": "ลบการโอน",
+  "undo.savePreset": "บันทึกตัวกรอง",
+  "undo.deletePreset": "ลบตัวกรองที่บันทึกไว้",
+  "undo.importCsv": "นำเข้า {count} รายการ",
+  "undo.importStatement": "นำเข้า {count} รายการจากใบแจ้งยอด",
+  "undo.restoreBackup": "กู้คืนจากไฟล์สำรอง",
+  "undo.undo": "เลิกทำ",
+  "undo.redo": "ทำซ้ำ",
+  "undo.toast.undo": "เลิกทำ: {label}",
+  "undo.toast.redo": "ทำซ้ำ: {label}",
+  "undo.attachments": "แก้ไขไฟล์แนบ",
+  "undo.reviewed": "ยืนยันรายจ่ายที่สูงผิดปกติ",
+  "undo.inlineEdit": "แก้ไขในตาราง",
+  "undo.bulkEdit": "แก้ไข {count} รายการ",
+  "undo.bulkDelete": "ลบ {count} รายการ",
+  "undo.addRule": "เพิ่มกฎ",
+  "undo.editRule": "แก้ไขกฎ",
+  "undo.reorderRules": "จัดลำดับกฎ",
+  "undo.deleteRule": "ลบกฎ",
+  "undo.applyRules": "ใช้กฎกับ {count} รายการ",
+  "undo.addPerson": "เพิ่มสมาชิก",
+  "undo.renamePerson": "เปลี่ยนชื่อสมาชิก",
+  "undo.deletePerson": "ลบสมาชิก",
+  "undo.settle": "บันทึกการชำระคืน {count} รายการ",
+  "undo.deleteSettlement": "ลบการชำระคืน",
+
+  // ===== update =====
+  "update.available": "มีเวอร์ชันใหม่ของแอป",
+  "update.reload": "โหลดใหม่",
+
+  // ===== tags =====
+  "tags.totals": "ยอดตามแท็ก",
+  "tags.totalsHint": "รายการที่มีหลายแท็กถูกนับในทุกแท็ก",
+  "tags.remove": "ลบแท็ก {tag}",
+  "tags.placeholder": "เช่น #trip-chiangmai #reimbursable",
+
+  // ===== split =====
+  "split.amount": "จำนวน",
+  "split.removeLine": "ลบบรรทัด",
+  "split.addLine": "เพิ่มบรรทัด",
+  "split.balanced": "แบ่งครบแล้ว",
+  "split.over": "เกินยอดรวม {amount}",
+  "split.remaining": "ยังไม่ได้แบ่ง {amount}",
+
+  // ===== trend =====
+  "trend.title": "แนวโน้มรายจ่าย",
+  "trend.empty": "ไม่มีรายจ่ายในช่วงที่เลือก",
+  "trend.hint": "คลิกแท่งเพื่อกรองเฉพาะช่วงนั้น",
+  "trend.clipped": "แสดง {count} ช่วงล่าสุด ดูช่วงก่อนหน้าได้โดยจัดกลุ่มเป็นสัปดาห์/เดือนหรือกรองช่วงวันที่",
+  "trend.cumulative": "สะสม · {month}",
+  "trend.day": "วันที่ {day}",
+  "trend.runningTotal": "ยอดสะสม",
+
+  // ===== grouping =====
+  "grouping.day": "รายวัน",
+  "grouping.week": "รายสัปดาห์",
+  "grouping.month": "รายเดือน",
+
+  // ===== accountKind =====
+  "accountKind.cash": "เงินสด",
+  "accountKind.bank": "บัญชีธนาคาร",
+  "accountKind.ewallet": "e-Wallet",
+  "accountKind.card": "บัตรเครดิต",
+
+  // ===== csvImport =====
+  "csvImport.rows": "{count} แถวข้อมูล",
+  "csvImport.mapping": "จับคู่คอลัมน์",
+  "csvImport.field.date": "วันที่",
+  "csvImport.field.type": "ประเภท (รับ/จ่าย)",
+  "csvImport.field.amount": "จำนวนเงิน",
+  "csvImport.field.currency": "สกุลเงิน",
+  "csvImport.field.category": "หมวดหมู่",
+  "csvImport.field.note": "หมายเหตุ",
+  "csvImport.field.account": "บัญชี/วิธีจ่าย",
+  "csvImport.field.tags": "แท็ก",
+  "csvImport.field.id": "id",
+  "csvImport.field.items": "แบ่งหลายหมวด (JSON)",
+  "csvImport.unused": "— ไม่ใช้ —",
+  "csvImport.column": "คอลัมน์ {n}",
+  "csvImport.dateHint": "รองรับวันที่แบบ YYYY-MM-DD และ DD/MM/YYYY ทั้งปี ค.ศ. และ พ.ศ.",
+  "csvImport.preview": "ตัวอย่างข้อมูล",
+  "csvImport.missing": "ต้องเลือกคอลัมน์: {fields}",
+  "csvImport.summary": "พร้อมนำเข้า {accepted} รายการ · ปฏิเสธ {rejected} · ข้ามรายการซ้ำ {skipped}",
+  "csvImport.newAccounts": "จะสร้างบัญชีใหม่: {names}",
+  "csvImport.issue.rejected": "แถว {line} · ปฏิเสธ: {reason}",
+  "csvImport.issue.skipped": "แถว {line} · ข้าม: {reason}",
+  "csvImport.issue.warning": "แถว {line} · เตือน: {reason}",
+  "csvImport.confirm": "นำเข้า {count} รายการ",
+  "csvImport.ruled": "กฎจัดหมวดเติมหมวดหรือบัญชีให้ {count} แถว",
+
+  // ===== statement =====
+  "statement.unreadable": "อ่านไม่ได้ {count}",
+  "statement.account": "บัญชี (ใช้กับทุกรายการ)",
+  "statement.accountInFile": "ในไฟล์: {account}",
+  "statement.selected": "เลือก {selected} จาก {count} รายการ",
+  "statement.duplicates": "อาจซ้ำกับรายการเดิม {count}",
+  "statement.selectAll": "เลือกทั้งหมด",
+  "statement.selectNone": "ไม่เลือกทั้งหมด",
+  "statement.payee": "ผู้รับ/รายละเอียด",
+  "statement.possibleDuplicate": "อาจซ้ำ: {note} · {amount}",
+  "statement.noNote": "(ไม่มีหมายเหตุ)",
+  "statement.rejected": "รายการที่ {line} · ปฏิเสธ: {reason}",
+  "statement.error.noOfx": "ไม่พบข้อมูล OFX ในไฟล์",
+  "statement.error.noQifRecords": "ไม่พบรายการในไฟล์ QIF",
+  "statement.error.badJson": "ไฟล์ JSON ไม่ถูกต้อง",
+  "statement.error.noTransactions": "ไม่พบ \"transactions\" ในไฟล์ JSON",
+
+  // ===== period =====
+  "period.month": "รายเดือน",
+  "period.quarter": "รายไตรมาส",
+  "period.year": "รายปี",
+
+  // ===== reports =====
+  "reports.quarterLabel": "ไตรมาส {quarter} {year}",
+  "reports.previous": "ช่วงก่อนหน้า",
+  "reports.next": "ช่วงถัดไป",
+  "reports.print": "พิมพ์ / บันทึก PDF",
+  "reports.title": "รายงาน{period}",
+  "reports.comparedWith": "เทียบกับ{period}",
+  "reports.averageDaily": "เฉลี่ยรายจ่ายต่อวัน",
+  "reports.byCategory.expense": "รายจ่ายตามหมวด",
+  "reports.byCategory.income": "รายรับตามหมวด",
+  "reports.change": "เปลี่ยนแปลง",
+  "reports.topNotes": "จ่ายให้ใครมากที่สุด (ตามหมายเหตุ)",
+  "reports.noNotes": "ไม่มีรายการที่มีหมายเหตุ",
+  "reports.largest": "รายจ่ายก้อนใหญ่ที่สุด",
+  "reports.noExpenses": "ไม่มีรายจ่ายในช่วงนี้",
+  "reports.csv.title": "รายงาน",
+  "reports.csv.range": "{from} ถึง {to}",
+  "reports.csv.currency": "สกุลเงิน {currency}",
+  "reports.csv.summary": "สรุป",
+  "reports.csv.changePct": "เปลี่ยนแปลง %",
+  "reports.csv.topNotes": "หมายเหตุ/ร้านค้าที่จ่ายมากที่สุด",
+  "reports.csv.count": "จำนวนครั้ง",
+  "reports.csv.total": "ยอดรวม",
+
+  // ===== frequency =====
+  "frequency.daily": "ทุกวัน",
+  "frequency.weekly": "ทุกสัปดาห์",
+  "frequency.monthly": "ทุกเดือน",
+  "frequency.yearly": "ทุกปี",
+
+  // ===== categories =====
+  "categories.title": "หมวดหมู่",
+  "categories.missingName": "กรอกชื่อหมวดหมู่",
+  "categories.invalidColor": "รหัสสีต้องเป็นรูปแบบ #rrggbb",
+  "categories.exists": "มีหมวด \"{name}\" อยู่แล้ว",
+  "categories.name": "ชื่อหมวดหมู่",
+  "categories.parent": "อยู่ภายใต้",
+  "categories.topLevel": "หมวดหลัก",
+  "categories.color": "สี",
+  "categories.icon": "ไอคอน",
+  "categories.iconPlaceholder": "อีโมจิ เช่น ☕",
+  "categories.saveEdit": "บันทึกการแก้ไข",
+  "categories.addShort": "เพิ่มหมวด",
+  "categories.add.expense": "เพิ่มหมวดรายจ่าย",
+  "categories.add.income": "เพิ่มหมวดรายรับ",
+  "categories.deleteTitle": "ลบหมวด \"{name}\"",
+  "categories.orphans": "หมวดย่อย {names} จะกลายเป็นหมวดหลัก",
+  "categories.inUse": "มี {count} รายการใช้หมวดนี้ (รวมรายการประจำและถังขยะ) · ย้ายหรือรวมเข้ากับ",
+  "categories.unused": "ไม่มีรายการใช้หมวดนี้",
+  "categories.moveAndDelete": "ย้ายรายการแล้วลบ",
+  "categories.delete": "ลบหมวด",
+  "categories.fallback": "ลบไม่ได้ รายการนำเข้าที่ไม่ตรงกับหมวดใดจะมาอยู่ที่หมวดนี้",
+  "categories.dragHint": "ลากเพื่อจัดลำดับ",
+  "categories.hasBudget": "มีงบ",
+
+  // ===== transfer =====
+  "transfer.title": "โอนระหว่างบัญชี",
+  "transfer.needTwo": "ต้องมีอย่างน้อยสองบัญชีจึงจะโอนได้",
+  "transfer.hint": "การโอนย้ายเงินระหว่างบัญชีไม่นับเป็นรายรับหรือรายจ่าย เช่น ชำระบัตรเครดิตจากบัญชีธนาคาร",
+  "transfer.sameAccount": "เลือกบัญชีต้นทางและปลายทางที่ต่างกัน",
+  "transfer.invalidReceived": "กรอกจำนวนเงินที่ได้รับให้ถูกต้อง",
+  "transfer.missingDate": "กรอกวันที่",
+  "transfer.from": "จาก",
+  "transfer.to": "ไป",
+  "transfer.route": "จาก → ไป",
+  "transfer.amount": "จำนวน",
+  "transfer.received": "ได้รับ ({currency})",
+  "transfer.submit": "โอน",
+
+  // ===== attachments =====
+  "attachments.title": "ใบเสร็จ/ไฟล์แนบ",
+  "attachments.camera": "ถ่ายรูป",
+  "attachments.files": "เลือกไฟล์",
+  "attachments.rejected": "แนบไม่ได้: {names} (รองรับเฉพาะรูปภาพหรือ PDF ไม่เกิน {size} MB)",
+  "attachments.unsupported": "แนบ {name} ไม่ได้ (รองรับเฉพาะรูปภาพหรือ PDF)",
+  "attachments.missing": "ไม่พบไฟล์นี้ในเครื่อง",
+  "attachments.confirmRemove": "ลบไฟล์แนบ \"{name}\"?",
+  "attachments.replace": "แทนที่",
+  "attachments.remove": "ลบไฟล์แนบ",
+  "attachments.removeNamed": "ลบ {name}",
+  "attachments.none": "ยังไม่มีไฟล์แนบ",
+  "attachments.view": "ดูไฟล์แนบ {count} ไฟล์",
+
+  // ===== forecast =====
+  "forecast.title": "คาดการณ์สิ้นเดือน · {month}",
+  "forecast.progress": "วันที่ {day} จาก {days}",
+  "forecast.empty": "ยังไม่มีรายจ่ายให้คาดการณ์",
+  "forecast.total": "รวมทุกหมวด",
+  "forecast.typical": "ปกติเดือนละ {amount}",
+  "forecast.overBudget": "คาดว่าจะเกินงบ {amount}",
+
+  // ===== unusual =====
+  "unusual.title": "รายจ่ายที่สูงผิดปกติ {count} รายการ",
+  "unusual.hint": "จำนวนเงินสูงกว่าปกติของหมวดมาก อาจพิมพ์เลขเกิน ตรวจแล้วแก้ไข หรือกดยืนยันว่าถูกต้อง",
+  "unusual.usually": "ปกติ ~{amount}",
+  "unusual.dismiss": "ถูกต้อง",
+  "unusual.dismissAll": "ถูกต้องทั้งหมด",
+  "unusual.badge": "สูงผิดปกติสำหรับหมวดนี้ (ปกติ ~{amount}) · คลิกเพื่อยืนยันว่าถูกต้อง",
+
+  // ===== sync =====
+  "sync.title": "ซิงก์ระหว่างอุปกรณ์",
+  "sync.intro": "ส่งและรับรายการ หมวดหมู่ และข้อมูลบ้าน (สมาชิกและการชำระคืน) ผ่านเซิร์ฟเวอร์ที่คุณดูแลเอง (ดู docs/sync-api.md) ถ้าออฟไลน์ การเปลี่ยนแปลงจะรอส่งเมื่อกลับมาออนไลน์ ถ้าแก้รายการเดียวกันจากสองเครื่อง ฉบับที่แก้ทีหลังจะถูกใช้ ไฟล์แนบจะอยู่ในเครื่องที่แนบเท่านั้น",
+  "sync.url": "ที่อยู่เซิร์ฟเวอร์",
+  "sync.token": "โทเค็น",
+  "sync.tokenOptional": "ไม่บังคับ",
+  "sync.tokenUnchanged": "เว้นว่างไว้เพื่อใช้โทเค็นเดิม",
+  "sync.invalidUrl": "กรุณาใส่ที่อยู่ที่ขึ้นต้นด้วย http:// หรือ https://",
+  "sync.connect": "เชื่อมต่อ",
+  "sync.save": "บันทึก",
+  "sync.now": "ซิงก์ตอนนี้",
+  "sync.disconnect": "เลิกเชื่อมต่อ",
+  "sync.confirmDisconnect": "เลิกซิงก์กับเซิร์ฟเวอร์นี้? ข้อมูลในเครื่องยังอยู่ครบ การเปลี่ยนแปลงที่ยังไม่ได้ส่งจะไม่ถูกส่ง",
+  "sync.phase.idle": "เชื่อมต่อแล้ว",
+  "sync.phase.syncing": "กำลังซิงก์…",
+  "sync.phase.offline": "ออฟไลน์ จะส่งการเปลี่ยนแปลงเมื่อกลับมาออนไลน์",
+  "sync.phase.error": "ซิงก์ไม่สำเร็จ",
+  "sync.lastSync": "ซิงก์ล่าสุด {time}",
+  "sync.never": "ยังไม่เคยซิงก์",
+  "sync.pending": "รอส่ง {count} รายการ",
+  "sync.skipped": "ข้าม {count} รายการจากเซิร์ฟเวอร์ที่ข้อมูลไม่ถูกต้อง",
+  "sync.error.offline": "เชื่อมต่อเซิร์ฟเวอร์ซิงก์ไม่ได้",
+  "sync.error.token": "เซิร์ฟเวอร์ซิงก์ไม่ยอมรับโทเค็น",
+  "sync.error.status": "เซิร์ฟเวอร์ซิงก์ตอบกลับผิดพลาด ({status})",
+  "sync.error.badResponse": "เซิร์ฟเวอร์ซิงก์ตอบกลับในรูปแบบที่อ่านไม่ได้",
+
+  // ===== bulk =====
+  "bulk.selected": "เลือก {count} รายการ",
+  "bulk.selectAll": "เลือกทั้งหมด {count} รายการที่กรองอยู่",
+  "bulk.selectRow": "เลือกรายการนี้",
+  "bulk.recategorise": "เปลี่ยนหมวดหมู่…",
+  "bulk.setAccount": "เปลี่ยนบัญชี…",
+  "bulk.setDate": "ตั้งวันที่",
+  "bulk.export": "ส่งออก CSV ที่เลือก",
+  "bulk.clear": "ยกเลิกการเลือก",
+  "bulk.confirmDelete": "ย้าย {count} รายการที่เลือกไปถังขยะ?",
+  "bulk.skippedCategory": "ไม่ได้เปลี่ยน {count} รายการ (รายการแยกหมวด หรือประเภทไม่ตรงกับหมวด)",
+  "bulk.skippedAccount": "ไม่ได้ย้าย {count} รายการ เพราะสกุลเงินไม่ตรงกับบัญชี",
+
+  // ===== inline =====
+  "inline.invalid.date": "วันที่ไม่ถูกต้อง",
+  "inline.invalid.amount": "กรุณาใส่จำนวนเงินที่มากกว่า 0",
+  "inline.invalid.category": "กรุณาเลือกหมวดหมู่",
+
+  // ===== rules =====
+  "rules.formHint": "ใช้กฎ: {names}",
+  "rules.title": "กฎจัดหมวดอัตโนมัติ",
+  "rules.intro": "กฎจะเลือกหมวดและบัญชีให้ตอนเพิ่มรายการและตอนนำเข้าไฟล์ กฎที่อยู่ด้านบนมีลำดับความสำคัญสูงกว่า",
+  "rules.add": "เพิ่มกฎ",
+  "rules.empty": "ยังไม่มีกฎ",
+  "rules.matches": "ตรงกับ {count} รายการ",
+  "rules.and": "และ",
+  "rules.moveUp": "เลื่อนขึ้น",
+  "rules.moveDown": "เลื่อนลง",
+  "rules.enable": "เปิดใช้",
+  "rules.disable": "ปิดใช้",
+  "rules.confirmDelete": "ลบกฎนี้?",
+  "rules.name": "ชื่อกฎ",
+  "rules.namePlaceholder": "เช่น Netflix",
+  "rules.untitled": "กฎไม่มีชื่อ",
+  "rules.when": "เมื่อรายการตรงกับทุกเงื่อนไข",
+  "rules.conditionField": "ช่องที่ตรวจ",
+  "rules.conditionOp": "วิธีเทียบ",
+  "rules.conditionValue": "ค่าที่เทียบ",
+  "rules.field.note": "บันทึก",
+  "rules.field.amount": "จำนวนเงิน",
+  "rules.field.account": "บัญชี",
+  "rules.op.contains": "มีคำว่า",
+  "rules.op.equals": "ตรงกับ",
+  "rules.op.startsWith": "ขึ้นต้นด้วย",
+  "rules.op.eq": "=",
+  "rules.op.lt": "<",
+  "rules.op.gt": ">",
+  "rules.op.is": "คือ",
+  "rules.describe.note": "บันทึก{op} “{value}”",
+  "rules.describe.amount": "จำนวนเงิน {op} {value}",
+  "rules.describe.account": "บัญชี{op} {value}",
+  "rules.chooseAccount": "เลือกบัญชี…",
+  "rules.notePlaceholder": "เช่น 7-Eleven",
+  "rules.addCondition": "เพิ่มเงื่อนไข",
+  "rules.removeCondition": "ลบเงื่อนไข",
+  "rules.setCategory": "ตั้งหมวดหมู่เป็น",
+  "rules.setAccount": "ตั้งบัญชีเป็น",
+  "rules.keep": "— ไม่เปลี่ยน —",
+  "rules.noConditions": "กฎต้องมีเงื่อนไขอย่างน้อยหนึ่งข้อ",
+  "rules.incompleteCondition": "กรุณากรอกค่าของทุกเงื่อนไข (จำนวนเงินต้องมากกว่า 0)",
+  "rules.noAction": "กรุณาเลือกหมวดหมู่หรือบัญชีที่กฎจะตั้งให้",
+  "rules.suggestions": "กฎแนะนำจากประวัติของคุณ",
+  "rules.learnedFrom": "{matched} จาก {count} รายการที่มีบันทึกนี้อยู่ในหมวดนี้",
+  "rules.accept": "เพิ่มเป็นกฎ",
+  "rules.dismiss": "ข้าม",
+  "rules.runTitle": "ใช้กฎกับรายการที่มีอยู่",
+  "rules.onlyFallback": "เปลี่ยนหมวดเฉพาะรายการที่อยู่ในหมวด “อื่น ๆ”",
+  "rules.runField.category": "หมวดหมู่",
+  "rules.runField.accountId": "บัญชี",
+  "rules.preview": "ดูตัวอย่างการเปลี่ยนแปลง",
+  "rules.nothingToChange": "กฎไม่เปลี่ยนรายการใดเลย",
+  "rules.tickAll": "เลือกทุกแถว",
+  "rules.tickRow": "ใช้การเปลี่ยนแปลงนี้",
+  "rules.change": "การเปลี่ยนแปลง",
+  "rules.byRule": "ตามกฎ",
+  "rules.apply": "ใช้การเปลี่ยนแปลง {count} รายการ",
+
+  // ===== household =====
+  "household.title": "บัญชีร่วมในบ้าน",
+  "household.people": "สมาชิก",
+  "household.empty": "ยังไม่มีสมาชิก เพิ่มคนในบ้านเพื่อบันทึกว่าใครจ่ายและแบ่งค่าใช้จ่าย",
+  "household.usage": "ใช้ใน {count} รายการ",
+  "household.showShare": "ดูส่วนของคนนี้",
+  "household.rename": "เปลี่ยนชื่อ",
+  "household.name": "ชื่อ",
+  "household.namePlaceholder": "เช่น แม่, ต้น",
+  "household.addPerson": "เพิ่มสมาชิก",
+  "household.inUse": "ลบไม่ได้ สมาชิกนี้อยู่ใน {count} รายการ รายการประจำ หรือการชำระคืน",
+  "household.confirmDelete": "ลบสมาชิกนี้?",
+  "household.confirmDeletePayment": "ลบการชำระคืนนี้?",
+  "household.notShared": "— ไม่ใช่ค่าใช้จ่ายร่วม —",
+  "household.splitMode": "วิธีแบ่ง",
+  "household.mode.equal": "เท่า ๆ กัน",
+  "household.mode.percent": "เปอร์เซ็นต์",
+  "household.mode.exact": "ระบุจำนวน",
+  "household.shareOf": "ส่วนของ {name}",
+  "household.percentLeft": "เหลือ {value}%",
+  "household.amountLeft": "เหลือ {amount}",
+  "household.yourShare": "ส่วนของ {name}: {amount}",
+  "household.invalid.noPeople": "เลือกอย่างน้อยหนึ่งคนที่จะแบ่งค่าใช้จ่าย",
+  "household.invalid.duplicate": "มีชื่อซ้ำในการแบ่ง",
+  "household.invalid.value": "ส่วนแบ่งต้องเป็นตัวเลขที่ไม่ติดลบ",
+  "household.invalid.percentTotal": "เปอร์เซ็นต์รวมกันต้องได้ 100",
+  "household.invalid.exactTotal": "จำนวนที่แบ่งรวมกันต้องเท่ากับยอดรายการ",
+  "household.balances": "ยอดคงค้าง",
+  "household.person": "สมาชิก",
+  "household.paid": "จ่ายไป",
+  "household.share": "ส่วนของตัวเอง",
+  "household.settled": "ชำระคืนสุทธิ",
+  "household.net": "สุทธิ",
+  "household.isOwed": "คนอื่นติดเงินคนนี้",
+  "household.owes": "ติดเงินคนอื่น",
+  "household.even": "ไม่มียอดค้าง",
+  "household.settleUp": "เคลียร์ยอด",
+  "household.allSettled": "ทุกคนไม่มียอดค้างกัน 🎉",
+  "household.transfer": "{from} โอนให้ {to} {amount}",
+  "household.markPaid": "บันทึกว่าจ่ายแล้ว",
+  "household.markAllPaid": "บันทึกว่าจ่ายครบทั้งหมด",
+  "household.payments": "การชำระคืน",
+  "household.from": "ผู้จ่าย",
+  "household.to": "ผู้รับ",
+  "household.recordPayment": "บันทึกการชำระคืน",
+  "household.noPayments": "ยังไม่มีการชำระคืน",
+  "household.paidBack": "{from} จ่ายคืน {to} {amount}",
+  "household.samePerson": "เลือกผู้จ่ายและผู้รับที่ต่างกัน",
+
+  // ===== problem =====
+  "problem.duplicateId": "id ซ้ำ ({id})",
+  "problem.badDateValue": "วันที่ไม่ถูกต้อง: \"{value}\"",
+  "problem.badAmountValue": "จำนวนเงินไม่ถูกต้อง: \"{value}\"",
+  "problem.badCurrencyValue": "สกุลเงินไม่ถูกต้อง: \"{value}\"",
+  "problem.badTypeValue": "ประเภทไม่ถูกต้อง: \"{value}\"",
+  "problem.textAfterQuote": "มีข้อความต่อท้ายหลังเครื่องหมายคำพูดปิด",
+  "problem.badItemsTotal": "รายการย่อยไม่ถูกต้องหรือยอดรวมไม่ตรงกับจำนวนเงิน",
+  "problem.unknownCategory": "ไม่รู้จักหมวด \"{value}\" → {category}",
+  "problem.noId": "ไม่มี id",
+  "problem.badDate": "วันที่ไม่ถูกต้อง",
+  "problem.badAmount": "จำนวนเงินไม่ถูกต้อง",
+  "problem.badType": "ประเภทไม่ถูกต้อง",
+  "problem.badCurrency": "สกุลเงินไม่ถูกต้อง",
+  "problem.noCategory": "ไม่มีหมวดหมู่",
+  "problem.badTags": "แท็กไม่ถูกต้อง",
+  "problem.badAttachments": "ไฟล์แนบไม่ถูกต้อง",
+  "problem.badPaidBy": "ผู้จ่ายไม่ถูกต้อง",
+  "problem.badShares": "การแบ่งจ่ายไม่ถูกต้อง",
+  "problem.badItems": "รายการย่อยไม่ถูกต้อง",
+  "problem.itemsUnbalanced": "ยอดรายการย่อยไม่ตรงกับจำนวนเงิน",
+  "problem.noDeletedAt": "ไม่มีเวลาที่ลบ",
+  "problem.noName": "ไม่มีชื่อ",
+  "problem.noColor": "ไม่มีสี",
+  "problem.badCategoryKind": "ชนิดหมวดไม่ถูกต้อง",
+  "problem.badParent": "หมวดหลักไม่ถูกต้อง",
+  "problem.badIcon": "ไอคอนไม่ถูกต้อง",
+  "problem.badFrequency": "ความถี่ไม่ถูกต้อง",
+  "problem.badStartDate": "วันเริ่มไม่ถูกต้อง",
+  "problem.noFilters": "ไม่มีเงื่อนไขตัวกรอง",
+  "problem.badRate": "อัตราไม่ถูกต้อง",
+  "problem.badAccountKind": "ประเภทบัญชีไม่ถูกต้อง",
+  "problem.badOpeningBalance": "ยอดยกมาไม่ถูกต้อง",
+  "problem.badOpeningDate": "วันที่ยอดยกมาไม่ถูกต้อง",
+  "problem.badClosingDay": "วันตัดรอบไม่ถูกต้อง",
+  "problem.badConditions": "เงื่อนไขไม่ถูกต้อง",
+  "problem.noRuleAction": "ไม่ได้กำหนดหมวดหรือบัญชี",
+  "problem.badColor": "สีไม่ถูกต้อง",
+  "problem.badPeople": "ผู้จ่าย/ผู้รับไม่ถูกต้อง",
+  "problem.badFileType": "ชนิดไฟล์ไม่รองรับ",
+  "problem.noFileData": "ไม่มีข้อมูลไฟล์",
+  "problem.badTransferAccounts": "บัญชีต้นทาง/ปลายทางไม่ถูกต้อง",
+  "problem.badToAmount": "จำนวนเงินที่ได้รับไม่ถูกต้อง",
+  "problem.notObject": "ไม่ใช่ออบเจกต์",
+
+  // ===== storage =====
+  "storage.error.unsupported": "เบราว์เซอร์นี้ไม่รองรับ IndexedDB",
+  "storage.error.open": "เปิดฐานข้อมูลไม่สำเร็จ",
+  "storage.error.blocked": "ฐานข้อมูลถูกเปิดค้างอยู่ในแท็บอื่น กรุณาปิดแท็บนั้นแล้วโหลดใหม่",
+  "storage.error.quota": "พื้นที่จัดเก็บในเบราว์เซอร์เต็ม",
+  "storage.error.unknown": "ไม่ทราบสาเหตุ",
+  "storage.error.saveEntries": "บันทึกรายการไม่สำเร็จ: {reason}",
+  "storage.error.saveData": "บันทึกข้อมูลไม่สำเร็จ: {reason}",
+  "storage.error.saveAttachments": "บันทึกไฟล์แนบไม่สำเร็จ: {reason}",
+
+  // ===== query =====
+  "query.error.unknownField": "ไม่รู้จักเงื่อนไข \"{term}\"",
+  "query.error.noValue": "\"{term}\" ไม่มีค่า",
+  "query.error.colonOnly": "\"{name}\" ใช้ได้เฉพาะ {name}:ค่า",
+};
@@ -0,0 +1,36 @@
+// ===== Service worker =====
+// Not bundled: vite.config.js copies this file to dist/sw.js at build time,
+// replacing the two placeholders below with the build's file list and a hash
+// of it. A new deploy therefore installs a new worker, which waits until the
+// page asks it to take over (the update prompt).
+
+const VERSION = self.__VERSION__;
+const PRECACHE = self.__PRECACHE__; // absolute URLs, index.html included
+const CACHE = `expense-tracker-${VERSION}`;
+const INDEX = PRECACHE.find((url) => url.endsWith("/index.html"));
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// Cache first: every page load (including ?add=expense) gets the cached app
+// shell, so the app opens offline; anything not precached goes to the network.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  const lookup = request.mode === "navigate" ? caches.match(INDEX) : caches.match(request, { ignoreSearch: true });
+  event.respondWith(lookup.then((hit) => hit || fetch(request)));
+});
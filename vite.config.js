@@ -1,8 +1,40 @@
 // vite.config.js
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes dist/sw.js from src/sw.js with the list of built files to precache
+// (bundle output plus everything in public/) and a version hashed from their
+// contents, so any change to a cached file gives the new worker a fresh cache
+const serviceWorker = () => {
+  let base = '/'
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post', // after index.html has been emitted
+    configResolved(config) {
+      base = config.base
+    },
+    generateBundle(_, bundle) {
+      const files = [...Object.keys(bundle), ...readdirSync('public')]
+        .filter((f) => !f.endsWith('.map'))
+        .sort()
+      // Chunks carry `code`, assets `source`; public files aren't in the bundle
+      const contents = (f) => (bundle[f] ? (bundle[f].code ?? bundle[f].source) : readFileSync(`public/${f}`))
+      const template = readFileSync('src/sw.js', 'utf8')
+      const hash = createHash('sha256').update(template)
+      for (const f of files) hash.update(f).update(contents(f))
+      const version = hash.digest('hex').slice(0, 12)
+      const source = template
+        .replace('self.__VERSION__', JSON.stringify(version))
+        .replace('self.__PRECACHE__', JSON.stringify(files.map((f) => base + f)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/Projectvanness/',   // ← ชื่อรีโปบน GitHub แบบตรงเป๊ะ
-})
\ No newline at end of file
+})